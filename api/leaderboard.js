@@ -0,0 +1,477 @@
+/**
+ * Leaderboards for Endless streaks, speed Survival runs and the Daily Challenge
+ * Scores are never taken from players. Every run is played here, one round at a time, and refereed with the game's
+ * own rules (js/game/replay.js). An Endless or Survival AI draws on randomness that never leaves the server, and the
+ * Daily Challenge's script is keyed on a secret of the server's, so no move can be worked out before it is played.
+ * Only the score the referee comes to is kept, for the player the run was handed out to.
+ * Scores are kept by day in a JSON file on the server, so a board can be shown for today, this week or all time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isValidPlayerId } = require('./ratings');
+
+// Where leaderboards are kept unless the server is told otherwise (LEADERBOARD_FILE)
+const DEFAULT_LEADERBOARD_FILE = path.join(__dirname, '../data/leaderboard.json');
+
+// Board periods: the days of scores each one takes in
+const PERIODS = ['daily', 'weekly', 'all'];
+
+// Players shown on a page of a board
+const PAGE_SIZE = 10;
+
+// How long a run's seed can be played with before it runs out
+const TICKET_LIFETIME = 24 * 60 * 60 * 1000;
+
+// How long a run can go without a round before it is dropped
+const RUN_IDLE_LIFETIME = 30 * 60 * 1000;
+
+// Runs held at once, started or not; the oldest are dropped beyond this
+const MAX_RUNS = 10000;
+
+// Random bytes in the nonce that hides a move locked in for fair play
+const NONCE_BYTES = 16;
+
+// The secret the Daily Challenge's script is keyed on (DAILY_CHALLENGE_SECRET); set it so a restart keeps the day's
+// script, or every start of the server makes up its own
+const DAILY_SCRIPT_KEY = process.env.DAILY_CHALLENGE_SECRET || crypto.randomBytes(16).toString('hex');
+
+// Longest name and avatar kept with a score, as the game's profile allows
+const MAX_NAME_LENGTH = 15;
+const MAX_AVATAR_LENGTH = 16;
+
+// The file leaderboards are saved to
+let leaderboardFile = DEFAULT_LEADERBOARD_FILE;
+
+// Scores by board, then player ID: { name, avatar, days: { [YYYY-MM-DD]: { score, at, difficulty } } }
+let boards = {};
+
+// Runs handed out and not yet submitted, by run ID:
+// { board, playerId, seed, issuedAt, lastPlayedAt, day, difficulty, referee, locked }, where the referee is set once the run starts and locked holds the AI's move for the next round ({ move, nonce })
+const runs = new Map();
+
+// Daily Challenge attempts started and not yet on the board, as "YYYY-MM-DD:playerId"
+const startedAttempts = new Set();
+
+// The game's replay module, once loaded
+let replayModule = null;
+
+/**
+ * Load the game's replay module (an ES module, so it is imported the first time it is needed)
+ * @returns {Promise<Object>} The module
+ */
+function loadReplay() {
+  if (!replayModule) {
+    replayModule = import('../js/game/replay.js');
+  }
+  return replayModule;
+}
+
+/**
+ * Load the leaderboards from their file
+ * @param {string} file - The leaderboard file (created on the first save if it doesn't exist)
+ */
+function loadLeaderboard(file = DEFAULT_LEADERBOARD_FILE) {
+  leaderboardFile = file;
+
+  try {
+    boards = JSON.parse(fs.readFileSync(leaderboardFile, 'utf8')).boards || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading leaderboards:', error);
+    }
+    boards = {};
+  }
+}
+
+/**
+ * Save the leaderboards, replacing the file in one step so a crash can't leave half of it
+ */
+function saveLeaderboard() {
+  try {
+    fs.mkdirSync(path.dirname(leaderboardFile), { recursive: true });
+    const tempFile = `${leaderboardFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ boards }, null, 2));
+    fs.renameSync(tempFile, leaderboardFile);
+  } catch (error) {
+    console.error('Error saving leaderboards:', error);
+  }
+}
+
+/**
+ * Get a UTC day as YYYY-MM-DD
+ * @param {Date} date - The time
+ * @param {number} offset - Days to move by
+ * @returns {string} The day
+ */
+function getDay(date, offset = 0) {
+  const day = new Date(date.getTime());
+  day.setUTCDate(day.getUTCDate() + offset);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the first day a period takes in (weeks start on Monday, UTC)
+ * @param {string} period - One of PERIODS
+ * @param {Date} now - The current time
+ * @returns {string|null} The day, or null for all time
+ */
+function getPeriodStart(period, now) {
+  if (period === 'daily') return getDay(now);
+  if (period === 'weekly') return getDay(now, -((now.getUTCDay() + 6) % 7));
+  return null;
+}
+
+/**
+ * List the boards
+ * @returns {Promise<Array>} Each board's { id, name, scoreName, description }
+ */
+async function listBoards() {
+  const { BOARDS } = await loadReplay();
+  return Object.values(BOARDS).map(({ id, name, scoreName, description }) => ({ id, name, scoreName, description }));
+}
+
+/**
+ * Hand out a run on a board to a player, with the seed its bonus rounds and speed mode timer are played with
+ * The seed is no secret: the AI's moves never come from it. A Daily Challenge attempt has no seed of its own, as
+ * its bonus rounds and timer follow from its date.
+ * @param {string} boardId - The board
+ * @param {Object} body - { playerId: the player the run counts for }
+ * @returns {Promise<Object>} { valid: true, runId, seed, expiresAt } or { valid: false, status, error }
+ */
+async function issueTicket(boardId, body) {
+  const { BOARDS, findBoard } = await loadReplay();
+  if (!findBoard(boardId)) {
+    return { valid: false, status: 404, error: 'There is no such leaderboard' };
+  }
+
+  const playerId = body && body.playerId;
+  if (!isValidPlayerId(playerId)) {
+    return { valid: false, status: 400, error: 'Invalid player ID' };
+  }
+
+  // Drop the oldest runs rather than hold on to every one that's asked for
+  while (runs.size >= MAX_RUNS) {
+    runs.delete(runs.keys().next().value);
+  }
+
+  const runId = crypto.randomBytes(16).toString('hex');
+  const seed = boardId === BOARDS.daily.id ? null : crypto.randomBytes(5).toString('hex');
+  const issuedAt = Date.now();
+  runs.set(runId, {
+    board: boardId,
+    playerId,
+    seed,
+    issuedAt,
+    lastPlayedAt: issuedAt,
+    day: null,
+    difficulty: null,
+    referee: null,
+    locked: null
+  });
+
+  return { valid: true, runId, seed, expiresAt: new Date(issuedAt + TICKET_LIFETIME).toISOString() };
+}
+
+/**
+ * Find a run handed out on a board, dropping it if it has run out
+ * A run waits for its player to start it until its ticket runs out; once started, it is dropped if left idle
+ * @param {string} boardId - The board
+ * @param {*} runId - The run ID the player sent
+ * @returns {Object|null} The run, or null if there is no such run
+ */
+function findRun(boardId, runId) {
+  const run = typeof runId === 'string' ? runs.get(runId) : null;
+  if (!run || run.board !== boardId) return null;
+
+  const now = Date.now();
+  if (now - run.issuedAt > TICKET_LIFETIME || (run.referee && now - run.lastPlayedAt > RUN_IDLE_LIFETIME)) {
+    runs.delete(runId);
+    return null;
+  }
+  return run;
+}
+
+/**
+ * Draw a random number the way the game's generators do, from randomness only the server has
+ * @returns {number} A number in [0, 1)
+ */
+function secretRandom() {
+  return crypto.randomBytes(4).readUInt32BE(0) / 4294967296;
+}
+
+/**
+ * Take a player's one Daily Challenge attempt of a day, which is used up as soon as it starts
+ * @param {string} playerId - The player
+ * @param {*} day - The challenge's day as the player sent it, which must be today somewhere in the world
+ * @returns {Object|null} { valid: false, status, error } if the attempt can't be played, or null once it is taken
+ */
+function takeDailyAttempt(playerId, day) {
+  const now = new Date();
+  const playable = [getDay(now, -1), getDay(now), getDay(now, 1)];
+  if (!playable.includes(day)) {
+    return { valid: false, status: 422, error: "That isn't a Daily Challenge that can be played now" };
+  }
+
+  const player = boards.daily && boards.daily[playerId];
+  const attempt = `${day}:${playerId}`;
+  if ((player && player.days[day]) || startedAttempts.has(attempt)) {
+    return { valid: false, status: 409, error: 'You have already played this Daily Challenge' };
+  }
+
+  // Attempts from before the days that can still be played are done with
+  startedAttempts.forEach((started) => {
+    if (started.slice(0, 10) < playable[0]) {
+      startedAttempts.delete(started);
+    }
+  });
+  startedAttempts.add(attempt);
+  return null;
+}
+
+/**
+ * Start a run handed out on a board, against a fresh AI (or the day's script) that plays here
+ * @param {string} boardId - The board
+ * @param {string} runId - The run
+ * @param {Object} settings - The run's { difficulty, fairPlay, bonusRounds, speedMode, date }
+ * @returns {Promise<Object>} { valid: true } or { valid: false, status, error }
+ */
+async function startRun(boardId, runId, settings) {
+  const { BOARDS, createReferee } = await loadReplay();
+  const run = findRun(boardId, runId);
+  if (!run) {
+    return { valid: false, status: 404, error: 'This run has already been played, or it ran out' };
+  }
+  if (run.referee) {
+    return { valid: false, status: 409, error: 'This run has already started' };
+  }
+
+  // The AI draws on the server's own randomness and the script on the server's secret, never the seed the player holds
+  const { difficulty, fairPlay, bonusRounds, speedMode, date } = settings || {};
+  try {
+    const runSettings = { difficulty, fairPlay, bonusRounds, speedMode, date };
+    run.referee = createReferee(boardId, runSettings, { seed: run.seed, ai: secretRandom, scriptKey: DAILY_SCRIPT_KEY });
+  } catch (error) {
+    runs.delete(runId);
+    return { valid: false, status: 422, error: error.message };
+  }
+
+  // A Daily Challenge attempt counts for its own day, and only once
+  if (boardId === BOARDS.daily.id) {
+    const refused = takeDailyAttempt(run.playerId, date);
+    if (refused) {
+      runs.delete(runId);
+      return refused;
+    }
+    run.day = date;
+  }
+
+  run.difficulty = difficulty;
+  run.lastPlayedAt = Date.now();
+  return { valid: true };
+}
+
+/**
+ * Find a run that has started, for its next round
+ * @param {string} boardId - The board
+ * @param {string} runId - The run
+ * @returns {Object} { valid: true, run } or { valid: false, status, error }
+ */
+function findStartedRun(boardId, runId) {
+  const run = findRun(boardId, runId);
+  if (!run || !run.referee) {
+    return { valid: false, status: 404, error: "This run isn't being played, or it ran out" };
+  }
+
+  run.lastPlayedAt = Date.now();
+  return { valid: true, run };
+}
+
+/**
+ * Have a fair play run's AI lock in its move for the next round, before the player chooses
+ * Only the move's hash is sent; the move and nonce follow once the round is played.
+ * @param {string} boardId - The board
+ * @param {string} runId - The run
+ * @param {Object} body - { secretMove: whether Fire is unlocked for the round }
+ * @returns {Promise<Object>} { valid: true, hash } or { valid: false, status, error }
+ */
+async function lockInMove(boardId, runId, body) {
+  const found = findStartedRun(boardId, runId);
+  if (!found.valid) return found;
+
+  const { run } = found;
+  try {
+    const move = run.referee.lockInMove(Boolean(body && body.secretMove));
+    run.locked = { move, nonce: crypto.randomBytes(NONCE_BYTES).toString('hex') };
+  } catch (error) {
+    runs.delete(runId);
+    return { valid: false, status: 422, error: error.message };
+  }
+
+  const hash = crypto.createHash('sha256').update(`${run.locked.move}:${run.locked.nonce}`).digest('hex');
+  return { valid: true, hash };
+}
+
+/**
+ * Play the next round of a run with the player's move
+ * A round that breaks the game's rules ends the run without counting it.
+ * @param {string} boardId - The board
+ * @param {string} runId - The run
+ * @param {Object} round - The round ({ move, timedOut, secretMove, powerUps })
+ * @returns {Promise<Object>} { valid: true, aiMove, nonce } with the nonce of a move locked in for fair play,
+ *     or { valid: false, status, error }
+ */
+async function playRound(boardId, runId, round) {
+  const found = findStartedRun(boardId, runId);
+  if (!found.valid) return found;
+
+  const { run } = found;
+  const locked = run.locked;
+  run.locked = null;
+
+  try {
+    const played = run.referee.playRound(round);
+    return { valid: true, aiMove: played.aiMove, ...(locked ? { nonce: locked.nonce } : {}) };
+  } catch (error) {
+    runs.delete(runId);
+    return { valid: false, status: 422, error: error.message };
+  }
+}
+
+/**
+ * Finish a run and keep the score its referee came to, for the player it was handed out to
+ * @param {string} boardId - The board
+ * @param {Object} submission - The run's { runId }, with the player's { name, avatar } to show on the board
+ * @returns {Promise<Object>} { valid: true, score, rank } with the player's rank today, or { valid: false, status, error }
+ */
+async function submitRun(boardId, submission) {
+  const { BOARDS, findBoard } = await loadReplay();
+  if (!findBoard(boardId)) {
+    return { valid: false, status: 404, error: 'There is no such leaderboard' };
+  }
+
+  // A run counts once
+  const run = findRun(boardId, submission && submission.runId);
+  if (!run || !run.referee) {
+    return { valid: false, status: 422, error: 'This run has already been sent, or it ran out' };
+  }
+  runs.delete(submission.runId);
+
+  let result;
+  try {
+    result = run.referee.finish();
+  } catch (error) {
+    return { valid: false, status: 422, error: error.message };
+  }
+
+  // A Daily Challenge attempt is kept by the challenge's day, which is today somewhere in the world
+  const now = new Date();
+  const day = run.day || getDay(now);
+  const { playerId } = run;
+
+  boards[boardId] = boards[boardId] || {};
+  const player = boards[boardId][playerId] || { days: {} };
+  player.name = String(submission.name || 'Player').trim().slice(0, MAX_NAME_LENGTH) || 'Player';
+  player.avatar = String(submission.avatar || '').slice(0, MAX_AVATAR_LENGTH);
+
+  // A day keeps its best run
+  const best = player.days[day];
+  if (!best || result.score > best.score) {
+    player.days[day] = {
+      score: result.score,
+      at: now.toISOString(),
+      ...(boardId === BOARDS.endless.id ? { difficulty: run.difficulty } : {})
+    };
+  }
+
+  boards[boardId][playerId] = player;
+  startedAttempts.delete(`${day}:${playerId}`);
+  saveLeaderboard();
+
+  const standings = await getStandings(boardId, 'daily');
+  const placing = standings.find(standing => standing.playerId === playerId);
+
+  return { valid: true, score: result.score, rank: placing ? placing.rank : null };
+}
+
+/**
+ * Rank the players on a board over a period
+ * @param {string} boardId - The board
+ * @param {string} period - One of PERIODS
+ * @returns {Promise<Array>} Each player's { playerId, rank, name, avatar, score, difficulty }, best first
+ */
+async function getStandings(boardId, period) {
+  const { findBoard } = await loadReplay();
+  const board = findBoard(boardId);
+  const start = getPeriodStart(period, new Date());
+
+  const standings = Object.entries(boards[boardId] || {}).map(([playerId, player]) => {
+    const days = Object.keys(player.days)
+      .filter(day => !start || (period === 'daily' ? day === start : day >= start))
+      .map(day => player.days[day]);
+    if (days.length === 0) return null;
+
+    // The best run stands for the period, or every day's points add up
+    const top = days.reduce((best, entry) => (entry.score > best.score ? entry : best));
+    const score = board.aggregate === 'total' ? days.reduce((sum, entry) => sum + entry.score, 0) : top.score;
+    const at = board.aggregate === 'total' ? days.map(entry => entry.at).sort().pop() : top.at;
+
+    return { playerId, name: player.name, avatar: player.avatar, score, at, difficulty: top.difficulty };
+  }).filter(Boolean);
+
+  // Ties go to whoever got there first
+  standings.sort((a, b) => b.score - a.score || a.at.localeCompare(b.at));
+  return standings.map((standing, index) => ({ ...standing, rank: index + 1 }));
+}
+
+/**
+ * Get a page of a board, as the game shows it (player IDs are never sent out)
+ * @param {string} boardId - The board
+ * @param {string} period - One of PERIODS
+ * @param {number} page - The page, from 1
+ * @param {string} playerId - The player asking, who is marked on the board
+ * @returns {Promise<Object|null>} { board, period, page, pages, total, entries, you }, or null if there is no such board
+ */
+async function getBoard(boardId, period, page, playerId) {
+  const { findBoard } = await loadReplay();
+  if (!findBoard(boardId)) return null;
+
+  const standings = await getStandings(boardId, period);
+  const pages = Math.max(1, Math.ceil(standings.length / PAGE_SIZE));
+  const shownPage = Math.min(Math.max(1, Math.floor(page) || 1), pages);
+  const you = standings.find(standing => standing.playerId === playerId);
+
+  const entries = standings.slice((shownPage - 1) * PAGE_SIZE, shownPage * PAGE_SIZE).map(standing => ({
+    rank: standing.rank,
+    name: standing.name,
+    avatar: standing.avatar,
+    score: standing.score,
+    ...(standing.difficulty ? { difficulty: standing.difficulty } : {}),
+    you: standing.playerId === playerId
+  }));
+
+  return {
+    board: boardId,
+    period,
+    page: shownPage,
+    pages,
+    total: standings.length,
+    entries,
+    you: you ? { rank: you.rank, score: you.score } : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LEADERBOARD_FILE,
+  PERIODS,
+  PAGE_SIZE,
+  loadLeaderboard,
+  listBoards,
+  issueTicket,
+  startRun,
+  lockInMove,
+  playRound,
+  submitRun,
+  getBoard
+};
@@ -0,0 +1,177 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The Daily Challenge script is keyed on this, so the tests can work out the moves the server plays
+process.env.DAILY_CHALLENGE_SECRET = 'test-secret';
+const leaderboard = require('./leaderboard');
+
+const ALICE = 'a'.repeat(32);
+const BOB = 'b'.repeat(32);
+
+// What beats each classic move, and what each one beats
+const COUNTERS = { rock: 'paper', paper: 'scissors', scissors: 'rock' };
+const BEATEN = { rock: 'scissors', paper: 'rock', scissors: 'paper' };
+
+let directory = null;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+  leaderboard.loadLeaderboard(path.join(directory, 'leaderboard.json'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Get a ticket for a player and start the run
+ * @param {string} boardId - The board
+ * @param {string} playerId - The player
+ * @param {Object} settings - The run's settings
+ * @returns {Promise<string>} The run ID
+ */
+async function startRun(boardId, playerId, settings) {
+  const ticket = await leaderboard.issueTicket(boardId, { playerId });
+  assert.equal(ticket.valid, true);
+
+  const started = await leaderboard.startRun(boardId, ticket.runId, settings);
+  assert.deepEqual(started, { valid: true });
+  return ticket.runId;
+}
+
+/**
+ * Get today as the server keeps it
+ * @returns {string} The day as YYYY-MM-DD (UTC)
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+test('tickets are only handed out on real boards to valid players', async () => {
+  assert.equal((await leaderboard.issueTicket('nope', { playerId: ALICE })).status, 404);
+  assert.equal((await leaderboard.issueTicket('__proto__', { playerId: ALICE })).status, 404);
+  assert.equal((await leaderboard.issueTicket('endless', { playerId: 'alice' })).status, 400);
+  assert.equal((await leaderboard.issueTicket('endless')).status, 400);
+
+  const ticket = await leaderboard.issueTicket('endless', { playerId: ALICE });
+  assert.match(ticket.runId, /^[a-f0-9]{32}$/);
+  assert.equal(typeof ticket.seed, 'string');
+
+  // The Daily Challenge plays the seed of its date
+  assert.equal((await leaderboard.issueTicket('daily', { playerId: ALICE })).seed, null);
+});
+
+test('a run is only started once, against a level that can count', async () => {
+  const ticket = await leaderboard.issueTicket('endless', { playerId: ALICE });
+  const refused = await leaderboard.startRun('endless', ticket.runId, { difficulty: 'adaptive' });
+  assert.equal(refused.status, 422);
+
+  // A refused start drops the run
+  assert.equal((await leaderboard.startRun('endless', ticket.runId, { difficulty: 'easy' })).status, 404);
+
+  const runId = await startRun('endless', ALICE, { difficulty: 'easy' });
+  assert.equal((await leaderboard.startRun('endless', runId, { difficulty: 'easy' })).status, 409);
+  assert.equal((await leaderboard.playRound('survival', runId, { move: 'rock' })).status, 404);
+});
+
+test('an Endless run is scored by the longest streak against the moves the server played', async () => {
+  const runId = await startRun('endless', ALICE, { difficulty: 'medium' });
+
+  let streak = 0;
+  let longest = 0;
+  for (let round = 0; round < 30; round++) {
+    const played = await leaderboard.playRound('endless', runId, { move: 'rock' });
+    assert.equal(played.valid, true);
+
+    if (played.aiMove === 'scissors') {
+      longest = Math.max(longest, ++streak);
+    } else if (played.aiMove === 'paper') {
+      streak = 0;
+    }
+  }
+
+  const submitted = await leaderboard.submitRun('endless', { runId, name: 'Alice', avatar: '🙂' });
+  assert.equal(submitted.valid, true);
+  assert.equal(submitted.score, longest);
+
+  // A run counts once
+  assert.equal((await leaderboard.submitRun('endless', { runId })).status, 422);
+
+  const board = await leaderboard.getBoard('endless', 'daily', 1, ALICE);
+  assert.deepEqual(board.you, { rank: submitted.rank, score: longest });
+  assert.equal(board.entries.find(entry => entry.you).difficulty, 'medium');
+});
+
+test('a fair play AI move is revealed with the nonce that makes up the hash sent before the player chose', async () => {
+  const runId = await startRun('endless', ALICE, { difficulty: 'hard', fairPlay: true });
+
+  for (let round = 0; round < 5; round++) {
+    const locked = await leaderboard.lockInMove('endless', runId, { secretMove: false });
+    assert.match(locked.hash, /^[a-f0-9]{64}$/);
+
+    const played = await leaderboard.playRound('endless', runId, { move: 'paper', secretMove: false });
+    const hash = crypto.createHash('sha256').update(`${played.aiMove}:${played.nonce}`).digest('hex');
+    assert.equal(hash, locked.hash);
+  }
+});
+
+test('a round that breaks the rules ends the run without counting it', async () => {
+  const runId = await startRun('endless', ALICE, { difficulty: 'easy' });
+
+  // Fire isn't unlocked, and the run has no speed mode to time a move out
+  assert.equal((await leaderboard.playRound('endless', runId, { move: 'fire', secretMove: false })).status, 422);
+  assert.equal((await leaderboard.playRound('endless', runId, { move: 'rock' })).status, 404);
+
+  const timed = await startRun('endless', ALICE, { difficulty: 'easy' });
+  assert.equal((await leaderboard.playRound('endless', timed, { move: 'rock', timedOut: true })).status, 422);
+});
+
+test('a Survival run only counts with speed mode on, once it is over', async () => {
+  const ticket = await leaderboard.issueTicket('survival', { playerId: ALICE });
+  assert.equal((await leaderboard.startRun('survival', ticket.runId, { speedMode: false })).status, 422);
+
+  const runId = await startRun('survival', ALICE, { speedMode: true });
+  await leaderboard.playRound('survival', runId, { move: 'rock' });
+  assert.equal((await leaderboard.submitRun('survival', { runId })).status, 422);
+});
+
+test("a Daily Challenge attempt plays the script keyed on the server's secret, once a day", async () => {
+  const { createDailyChallenge, getMaxScore } = await import('../js/game/dailyChallenge.js');
+  const date = today();
+  const challenge = createDailyChallenge(date, process.env.DAILY_CHALLENGE_SECRET);
+  const { script, bonusRounds } = challenge;
+
+  // Knowing the script wins every round (a reverse rules round is won by the move the script's move beats)
+  const runId = await startRun('daily', ALICE, { date });
+  for (let round = 0; round < script.length; round++) {
+    const move = bonusRounds[round] === 'reverse-rules' ? BEATEN[script[round]] : COUNTERS[script[round]];
+    const played = await leaderboard.playRound('daily', runId, { move });
+    assert.equal(played.aiMove, script[round]);
+  }
+
+  const submitted = await leaderboard.submitRun('daily', { runId, name: 'Alice' });
+  assert.equal(submitted.valid, true);
+  assert.equal(submitted.score, getMaxScore(challenge));
+
+  // The day's attempt is used up, whichever ticket asks for it
+  const again = await leaderboard.issueTicket('daily', { playerId: ALICE });
+  assert.equal((await leaderboard.startRun('daily', again.runId, { date })).status, 409);
+});
+
+test('a Daily Challenge attempt is used up as soon as it starts, and only for a day that can be played now', async () => {
+  const ticket = await leaderboard.issueTicket('daily', { playerId: BOB });
+  assert.equal((await leaderboard.startRun('daily', ticket.runId, { date: '2001-01-01' })).status, 422);
+
+  const runId = await startRun('daily', BOB, { date: today() });
+  await leaderboard.playRound('daily', runId, { move: 'rock' });
+
+  const again = await leaderboard.issueTicket('daily', { playerId: BOB });
+  assert.equal((await leaderboard.startRun('daily', again.runId, { date: today() })).status, 409);
+
+  // An attempt left part way doesn't count
+  assert.equal((await leaderboard.submitRun('daily', { runId })).status, 422);
+});
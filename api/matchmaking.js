@@ -0,0 +1,100 @@
+/**
+ * Matchmaking for ranked online play
+ * Players waiting for a ranked match are paired with the closest rated player in the queue. The rating gap
+ * allowed grows the longer they wait, and once they have waited long enough they play an AI opponent instead.
+ */
+
+// How long a player waits for someone to play before getting an AI opponent unless the server is told otherwise
+const DEFAULT_AI_WAIT = 30000;
+
+// Rating gap allowed between two players as soon as they queue, and how much it grows per second waited
+const BASE_RATING_GAP = 100;
+const RATING_GAP_GROWTH = 10;
+
+// Players waiting for a match, longest waiting first ({ socket, playerId, name, avatar, rating, joinedAt })
+const queue = [];
+
+/**
+ * Put a player in the queue (or back at its end, if they were already in it)
+ * A player queueing again from another tab takes the place of their older entry, so no one is paired with themselves
+ * @param {Object} entry - { socket, playerId, name, avatar, rating }
+ * @returns {Object|null} The entry of the player's other socket that was taken out, if any
+ */
+function joinQueue(entry) {
+  leaveQueue(entry.socket);
+
+  const index = queue.findIndex(waiting => waiting.playerId === entry.playerId);
+  const replaced = index === -1 ? null : queue.splice(index, 1)[0];
+
+  queue.push({ ...entry, joinedAt: Date.now() });
+  return replaced;
+}
+
+/**
+ * Take a player out of the queue
+ * @param {WebSocket} socket - The player's socket
+ * @returns {boolean} Whether they were in it
+ */
+function leaveQueue(socket) {
+  const index = queue.findIndex(entry => entry.socket === socket);
+  if (index === -1) return false;
+
+  queue.splice(index, 1);
+  return true;
+}
+
+/**
+ * Get the rating gap a waiting player accepts
+ * @param {Object} entry - The queue entry
+ * @param {number} now - The current time
+ * @returns {number} The largest rating difference to their opponent
+ */
+function getRatingGap(entry, now) {
+  return BASE_RATING_GAP + RATING_GAP_GROWTH * Math.floor((now - entry.joinedAt) / 1000);
+}
+
+/**
+ * Pair up the players in the queue, and take out those who have waited too long to keep waiting
+ * @param {number} aiWait - How long a player waits before getting an AI opponent
+ * @returns {Object} { pairs: [[entry, entry]], unpaired: [entry] } - All of them are out of the queue
+ */
+function findMatches(aiWait = DEFAULT_AI_WAIT) {
+  const now = Date.now();
+  const pairs = [];
+  const unpaired = [];
+
+  // The longest waiting players choose first, each taking the closest rated player both of them accept
+  let index = 0;
+  while (index < queue.length) {
+    const entry = queue[index];
+    let best = -1;
+
+    for (let other = index + 1; other < queue.length; other++) {
+      const gap = Math.abs(entry.rating - queue[other].rating);
+      const allowed = Math.min(getRatingGap(entry, now), getRatingGap(queue[other], now));
+      if (gap <= allowed && (best === -1 || gap < Math.abs(entry.rating - queue[best].rating))) {
+        best = other;
+      }
+    }
+
+    if (best !== -1) {
+      pairs.push([entry, queue[best]]);
+      queue.splice(best, 1);
+      queue.splice(index, 1);
+    } else if (now - entry.joinedAt >= aiWait) {
+      unpaired.push(entry);
+      queue.splice(index, 1);
+    } else {
+      index++;
+    }
+  }
+
+  return { pairs, unpaired };
+}
+
+module.exports = {
+  DEFAULT_AI_WAIT,
+  joinQueue,
+  leaveQueue,
+  findMatches
+};
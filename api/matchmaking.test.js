@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const matchmaking = require('./matchmaking');
+
+// The time the queue sees, moved on by the tests
+let now = 0;
+
+beforeEach(() => {
+  now = 1000000;
+  mock.method(Date, 'now', () => now);
+});
+
+afterEach(() => {
+  // Whoever is left waits long enough to be taken out
+  now += matchmaking.DEFAULT_AI_WAIT;
+  matchmaking.findMatches();
+  mock.restoreAll();
+});
+
+/**
+ * Put a player in the queue
+ * @param {string} name - The player's name (also their socket and ID)
+ * @param {number} rating - The player's rating
+ * @returns {Object} The entry queued
+ */
+function queue(name, rating) {
+  const entry = { socket: name, playerId: name, name, avatar: '🙂', rating };
+  matchmaking.joinQueue(entry);
+  return entry;
+}
+
+/**
+ * Get the names of the players in each pair
+ * @param {Object} matches - What findMatches came to
+ * @returns {Array} The pairs, as [name, name]
+ */
+function pairNames(matches) {
+  return matches.pairs.map(pair => pair.map(entry => entry.name));
+}
+
+test('closely rated players are paired straight away', () => {
+  queue('alice', 1500);
+  queue('bob', 1600);
+
+  assert.deepEqual(pairNames(matchmaking.findMatches()), [['alice', 'bob']]);
+});
+
+test('the rating gap allowed grows the longer both players wait', () => {
+  queue('alice', 1500);
+  queue('bob', 1750);
+  assert.deepEqual(pairNames(matchmaking.findMatches()), []);
+
+  // 100 at first, and 10 more for every second waited
+  now += 14000;
+  assert.deepEqual(pairNames(matchmaking.findMatches()), []);
+  now += 1000;
+  assert.deepEqual(pairNames(matchmaking.findMatches()), [['alice', 'bob']]);
+});
+
+test('a newcomer only accepts the gap of their own wait', () => {
+  queue('alice', 1500);
+  now += 20000;
+  queue('bob', 1750);
+
+  assert.deepEqual(pairNames(matchmaking.findMatches()), []);
+});
+
+test('the longest waiting player takes the closest rated opponent', () => {
+  queue('alice', 1500);
+  queue('bob', 1590);
+  queue('carol', 1520);
+
+  const matches = matchmaking.findMatches();
+  assert.deepEqual(pairNames(matches), [['alice', 'carol']]);
+  assert.deepEqual(matches.unpaired, []);
+});
+
+test('a player left unpaired for too long is taken out for an AI opponent', () => {
+  queue('alice', 1500);
+  queue('bob', 2500);
+
+  now += 29000;
+  assert.deepEqual(matchmaking.findMatches().unpaired, []);
+
+  now += 1000;
+  const matches = matchmaking.findMatches();
+  assert.deepEqual(pairNames(matches), []);
+  assert.deepEqual(matches.unpaired.map(entry => entry.name), ['alice', 'bob']);
+});
+
+test('a player queueing from a second socket replaces their first entry and is never paired with themselves', () => {
+  const first = queue('alice', 1500);
+  const replaced = matchmaking.joinQueue({ ...first, socket: 'alice-tab' });
+  assert.equal(replaced.socket, 'alice');
+
+  assert.deepEqual(pairNames(matchmaking.findMatches()), []);
+  now += matchmaking.DEFAULT_AI_WAIT;
+  assert.deepEqual(matchmaking.findMatches().unpaired.map(entry => entry.socket), ['alice-tab']);
+});
+
+test('a player who leaves the queue is not paired', () => {
+  queue('alice', 1500);
+  queue('bob', 1500);
+
+  assert.equal(matchmaking.leaveQueue('bob'), true);
+  assert.equal(matchmaking.leaveQueue('bob'), false);
+  assert.deepEqual(pairNames(matchmaking.findMatches()), []);
+});
@@ -0,0 +1,885 @@
+/**
+ * Online multiplayer for Rock Paper Battle
+ * A WebSocket game server: players create a room and share its invite code, both choose a move,
+ * and the server resolves the round with the game's own rules so neither browser decides the result.
+ * Ranked players queue instead (see matchmaking.js): they are paired by rating, or with an AI opponent
+ * if no one is found in time, and the result of each match moves their rating (see ratings.js).
+ * Anyone can watch a room by its code: spectators see the same room and rounds as the players, so a move
+ * is only ever shown once both are in, and can send emoji reactions that everyone in the room sees.
+ *
+ * Messages are JSON objects with a type. From the client:
+ *   create { name, avatar, rulesetId, length } - Open a room and take its first seat
+ *   join { code, name, avatar }                - Take the free seat in a room
+ *   queue { name, avatar, playerId }           - Wait for a ranked match
+ *   unqueue {}                                 - Stop waiting for a ranked match
+ *   watch { code }                             - Watch a room without playing
+ *   react { emoji }                            - Send a reaction to everyone in the room (one of REACTIONS)
+ *   rejoin { code, token }                     - Take back a seat after a dropped connection or a reload
+ *   move { move }                              - Lock in a move for the round
+ *   rematch {}                                 - Ask for another match once one is over
+ *   leave {}                                   - Give up the seat
+ * From the server:
+ *   joined { code, seat, token }               - The seat is yours; keep the token to rejoin
+ *   queued { rating, aiWait }                  - The player is waiting for a ranked match
+ *   watching { code }                          - The socket is watching the room
+ *   room { ... }                               - The room as both players should see it (see describeRoom)
+ *   round { round, moves, results, scores, forfeit }
+ *                                              - Both moves and each seat's result
+ *   rated { rating, change }                   - The player's new rating after a ranked match
+ *   reaction { emoji }                         - Someone in the room reacted
+ *   closed {}                                  - The watched room closed (both players left)
+ *   error { message }                          - Something the player asked for couldn't be done
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const ratings = require('./ratings');
+const matchmaking = require('./matchmaking');
+
+// Path the game connects to
+const MULTIPLAYER_PATH = '/multiplayer';
+
+// Invite codes leave out characters that are easy to mix up when read out (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+// Once one player has chosen, how long the other has before forfeiting the round
+const MOVE_TIMEOUT = 30000;
+
+// How long a disconnected player's seat is kept for them
+const RECONNECT_GRACE = 60000;
+
+// How often connections are checked for players who vanished without closing them
+const HEARTBEAT_INTERVAL = 30000;
+
+// Match lengths, as for Best of N against the AI
+const DEFAULT_MATCH_LENGTH = 5;
+const MAX_MATCH_LENGTH = 99;
+
+// Longest player name, as in the profile settings
+const MAX_NAME_LENGTH = 15;
+
+// Ranked matches are always a classic best of 5
+const RANKED_MATCH_LENGTH = 5;
+
+// How often the matchmaking queue is checked for players to pair
+const MATCHMAKING_INTERVAL = 1000;
+
+// Rounds of history an AI opponent is given, as in the game
+const MAX_ROUND_HISTORY = 50;
+
+// AI opponents for ranked players no one was found for, each with a fixed rating (the closest one plays)
+const AI_OPPONENTS = [
+  { difficulty: 'easy', name: 'Noobron', avatar: '😊', rating: 1300 },
+  { difficulty: 'medium', name: 'Median Mind', avatar: '😐', rating: 1500 },
+  { difficulty: 'hard', name: 'Mindbreaker', avatar: '😈', rating: 1700 }
+];
+
+// Reactions spectators can send, as on the game's reaction bar (js/features/reactions.js)
+const REACTIONS = ['👏', '🔥', '😱', '😂', '🎉', '💪'];
+
+// Shortest time between two reactions from one socket
+const REACTION_COOLDOWN = 250;
+
+// Outcomes for one seat by outcome for the other
+const OTHER_SEAT_OUTCOMES = {
+  win: 'lose',
+  lose: 'win',
+  draw: 'draw'
+};
+
+// Open rooms by invite code
+const rooms = new Map();
+
+// The shared rules and AI, loaded once (the game's modules are ES modules)
+let rulesPromise = null;
+
+/**
+ * Load the game's rules and AI modules
+ * @returns {Promise<Object>} { determineWinner, getAvailableMoves, getRandomMove, RULESETS, CLASSIC_RULESET,
+ *     createDifficultyStrategy, createStrategyContext }
+ */
+function loadRules() {
+  if (!rulesPromise) {
+    rulesPromise = Promise.all([
+      import('../js/game/logic.js'),
+      import('../js/game/rules.js'),
+      import('../js/ai/difficulties.js'),
+      import('../js/ai/strategy.js')
+    ]).then(([logic, rules, difficulties, strategy]) => ({
+      determineWinner: logic.determineWinner,
+      getAvailableMoves: logic.getAvailableMoves,
+      getRandomMove: logic.getRandomMove,
+      RULESETS: rules.RULESETS,
+      CLASSIC_RULESET: rules.CLASSIC_RULESET,
+      createDifficultyStrategy: difficulties.createDifficultyStrategy,
+      createStrategyContext: strategy.createStrategyContext
+    }));
+  }
+  return rulesPromise;
+}
+
+/**
+ * Create an invite code that no open room has
+ * @returns {string} The code
+ */
+function createCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Get the round wins that take a match
+ * @param {number} length - The match length
+ * @returns {number} Wins needed (3 in a best of 5)
+ */
+function getWinsNeeded(length) {
+  return Math.floor(length / 2) + 1;
+}
+
+/**
+ * Clean up a name sent by a player
+ * @param {*} name - The name
+ * @returns {string} The name, or 'Player' if it isn't usable
+ */
+function cleanName(name) {
+  const cleaned = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return cleaned || 'Player';
+}
+
+/**
+ * Clean up an avatar sent by a player
+ * @param {*} avatar - The avatar emoji
+ * @returns {string} The avatar, or the default one if it isn't usable
+ */
+function cleanAvatar(avatar) {
+  return typeof avatar === 'string' && avatar.length > 0 && avatar.length <= 4 ? avatar : '👤';
+}
+
+/**
+ * Send a message to a player, if they are connected
+ * @param {Object} player - The player
+ * @param {Object} message - The message
+ */
+function send(player, message) {
+  if (player && player.socket && player.socket.readyState === WebSocket.OPEN) {
+    player.socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a message to a socket that hasn't got a seat, if it is still connected
+ * @param {WebSocket} socket - The socket
+ * @param {Object} message - The message
+ */
+function sendToSocket(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Tell a socket that hasn't got a seat what went wrong
+ * @param {WebSocket} socket - The socket
+ * @param {string} message - What went wrong
+ */
+function sendError(socket, message) {
+  sendToSocket(socket, { type: 'error', message });
+}
+
+/**
+ * Send a message to everyone watching a room
+ * @param {Object} room - The room
+ * @param {Object} message - The message
+ */
+function sendToSpectators(room, message) {
+  const data = JSON.stringify(message);
+  room.spectators.forEach((socket) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(data);
+    }
+  });
+}
+
+/**
+ * Describe a room as the players and spectators see it (moves stay secret until both are in)
+ * @param {Object} room - The room
+ * @returns {Object} The room message
+ */
+function describeRoom(room) {
+  return {
+    type: 'room',
+    code: room.code,
+    ranked: room.ranked,
+    rulesetId: room.ruleset.id,
+    length: room.length,
+    winsNeeded: getWinsNeeded(room.length),
+    status: room.status,
+    round: room.round,
+    scores: room.scores,
+    winner: room.winner,
+    moveTimeLeft: room.moveDeadline ? Math.max(0, room.moveDeadline - Date.now()) : null,
+    spectators: room.spectators.size,
+    players: room.seats.map((player, seat) => player && {
+      name: player.name,
+      avatar: player.avatar,
+      rating: room.ranked ? player.rating : null,
+      ai: Boolean(player.bot),
+      connected: player.connected,
+      ready: Boolean(room.moves[seat]),
+      rematch: room.rematch[seat]
+    })
+  };
+}
+
+/**
+ * Send the room to both players and everyone watching
+ * @param {Object} room - The room
+ */
+function broadcastRoom(room) {
+  const message = describeRoom(room);
+  room.seats.forEach(player => send(player, message));
+  sendToSpectators(room, message);
+}
+
+/**
+ * Give a socket a seat in a room
+ * @param {Object} room - The room
+ * @param {number} seat - 0 or 1
+ * @param {WebSocket} socket - The player's socket
+ * @param {Object} profile - { name, avatar, playerId, rating } (the ID and rating only in ranked rooms)
+ */
+function seatPlayer(room, seat, socket, profile) {
+  const player = {
+    token: crypto.randomBytes(16).toString('hex'),
+    name: cleanName(profile.name),
+    avatar: cleanAvatar(profile.avatar),
+    playerId: profile.playerId || null,
+    rating: profile.rating || null,
+    bot: null,
+    socket,
+    connected: true,
+    reconnectTimer: null
+  };
+  room.seats[seat] = player;
+  socket.seat = { code: room.code, seat };
+
+  send(player, { type: 'joined', code: room.code, seat, token: player.token });
+}
+
+/**
+ * Open an empty room
+ * @param {Object} ruleset - The rules the room plays
+ * @param {number} length - The match length
+ * @param {boolean} ranked - Whether its matches are rated
+ * @returns {Object} The room
+ */
+function openRoom(ruleset, length, ranked) {
+  const room = {
+    code: createCode(),
+    ranked,
+    ruleset,
+    length,
+    seats: [null, null],
+    status: 'waiting',
+    round: 1,
+    scores: [0, 0],
+    moves: [null, null],
+    winner: null,
+    rematch: [false, false],
+    moveTimer: null,
+    moveDeadline: null,
+    spectators: new Set()
+  };
+  rooms.set(room.code, room);
+  return room;
+}
+
+/**
+ * Open a room
+ * @param {WebSocket} socket - The creator's socket
+ * @param {Object} message - { name, avatar, rulesetId, length }
+ */
+async function createRoom(socket, message) {
+  const { RULESETS } = await loadRules();
+
+  // Custom rule packs only exist in the creator's browser, so rooms play a built-in ruleset
+  if (!Object.hasOwn(RULESETS, message.rulesetId)) {
+    sendError(socket, "Online rooms can only play the game's built-in rules.");
+    return;
+  }
+
+  const ruleset = RULESETS[message.rulesetId];
+  const length = parseInt(message.length, 10);
+
+  const room = openRoom(ruleset, Number.isNaN(length) ? DEFAULT_MATCH_LENGTH : Math.min(MAX_MATCH_LENGTH, Math.max(1, length)), false);
+
+  seatPlayer(room, 0, socket, message);
+  broadcastRoom(room);
+}
+
+/**
+ * Wait for a ranked match
+ * @param {WebSocket} socket - The player's socket
+ * @param {Object} message - { name, avatar, playerId }
+ * @param {number} aiWait - How long before an AI opponent steps in
+ */
+function queuePlayer(socket, message, aiWait) {
+  if (!ratings.isValidPlayerId(message.playerId)) {
+    sendError(socket, 'Ranked play needs a player ID.');
+    return;
+  }
+
+  const rating = ratings.getRating(message.playerId);
+  const replaced = matchmaking.joinQueue({
+    socket,
+    playerId: message.playerId,
+    name: cleanName(message.name),
+    avatar: cleanAvatar(message.avatar),
+    rating
+  });
+
+  // The player's other tab stops waiting
+  if (replaced) {
+    sendError(replaced.socket, 'You joined the ranked queue somewhere else, so this tab stopped waiting.');
+  }
+
+  sendToSocket(socket, { type: 'queued', rating, aiWait });
+}
+
+/**
+ * Start the ranked matches for players who were paired, or who waited long enough for an AI opponent
+ * @param {number} aiWait - How long before an AI opponent steps in
+ */
+async function runMatchmaking(aiWait) {
+  const { CLASSIC_RULESET, createDifficultyStrategy } = await loadRules();
+  const { pairs, unpaired } = matchmaking.findMatches(aiWait);
+
+  pairs.forEach((entries) => {
+    const room = openRoom(CLASSIC_RULESET, RANKED_MATCH_LENGTH, true);
+    entries.forEach((entry, seat) => seatPlayer(room, seat, entry.socket, entry));
+    room.status = 'playing';
+    broadcastRoom(room);
+  });
+
+  unpaired.forEach((entry) => {
+    const room = openRoom(CLASSIC_RULESET, RANKED_MATCH_LENGTH, true);
+    seatPlayer(room, 0, entry.socket, entry);
+
+    // The AI opponent closest to the player's rating
+    const opponent = AI_OPPONENTS.reduce((closest, ai) =>
+      (Math.abs(ai.rating - entry.rating) < Math.abs(closest.rating - entry.rating) ? ai : closest));
+    room.seats[1] = {
+      token: null,
+      name: opponent.name,
+      avatar: opponent.avatar,
+      playerId: null,
+      rating: opponent.rating,
+      bot: { strategy: createDifficultyStrategy(opponent.difficulty), rounds: [] },
+      socket: null,
+      connected: true,
+      reconnectTimer: null
+    };
+
+    room.status = 'playing';
+    broadcastRoom(room);
+  });
+}
+
+/**
+ * Take the free seat in a room
+ * @param {WebSocket} socket - The joining player's socket
+ * @param {Object} message - { code, name, avatar }
+ */
+function joinRoom(socket, message) {
+  const room = rooms.get(String(message.code || '').toUpperCase());
+  if (!room) {
+    sendError(socket, 'There is no room with that code.');
+    return;
+  }
+
+  // Ranked players are only ever paired by matchmaking
+  if (room.ranked) {
+    sendError(socket, 'Ranked rooms can\'t be joined with a code.');
+    return;
+  }
+
+  const seat = room.seats.indexOf(null);
+  if (seat === -1) {
+    sendError(socket, 'That room is full.');
+    return;
+  }
+
+  seatPlayer(room, seat, socket, message);
+
+  // The match starts once both seats are taken
+  if (room.status === 'waiting') {
+    room.status = 'playing';
+  }
+  broadcastRoom(room);
+}
+
+/**
+ * Take back a seat with its token
+ * @param {WebSocket} socket - The player's new socket
+ * @param {Object} message - { code, token }
+ */
+function rejoinRoom(socket, message) {
+  const room = rooms.get(String(message.code || '').toUpperCase());
+  const seat = room ? room.seats.findIndex(player => player && player.token === message.token) : -1;
+  if (seat === -1) {
+    sendError(socket, 'Your seat in that room is gone.');
+    return;
+  }
+
+  const player = room.seats[seat];
+  clearTimeout(player.reconnectTimer);
+  player.reconnectTimer = null;
+
+  // Only the newest connection speaks for the seat
+  if (player.socket && player.socket !== socket) {
+    player.socket.seat = null;
+    player.socket.close();
+  }
+  player.socket = socket;
+  player.connected = true;
+  socket.seat = { code: room.code, seat };
+
+  send(player, { type: 'joined', code: room.code, seat, token: player.token });
+  broadcastRoom(room);
+}
+
+/**
+ * Lock in a player's move, and resolve the round once both are in
+ * @param {Object} room - The room
+ * @param {number} seat - The player's seat
+ * @param {Object} message - { move }
+ */
+async function chooseMove(room, seat, message) {
+  const rules = await loadRules();
+
+  if (room.status !== 'playing' || room.moves[seat]) return;
+  if (!rules.getAvailableMoves(false, room.ruleset).includes(message.move)) {
+    send(room.seats[seat], { type: 'error', message: 'That move is not in this room\'s rules.' });
+    return;
+  }
+
+  room.moves[seat] = message.move;
+
+  // An AI opponent answers straight away, without seeing the move
+  const otherSeat = 1 - seat;
+  if (room.seats[otherSeat] && room.seats[otherSeat].bot) {
+    room.moves[otherSeat] = chooseBotMove(room.seats[otherSeat].bot, room.ruleset, rules);
+  }
+
+  if (room.moves.every(Boolean)) {
+    await resolveRound(room, null);
+    return;
+  }
+
+  // The other player now has a while to choose
+  startMoveTimer(room);
+  broadcastRoom(room);
+}
+
+/**
+ * Choose an AI opponent's move
+ * @param {Object} bot - The AI ({ strategy, rounds })
+ * @param {Object} ruleset - The rules the room plays
+ * @param {Object} rules - The game's rules and AI modules (see loadRules)
+ * @returns {string} The move
+ */
+function chooseBotMove(bot, ruleset, rules) {
+  const context = rules.createStrategyContext(bot.rounds, rules.getAvailableMoves(false, ruleset), ruleset);
+
+  let move = null;
+  try {
+    move = bot.strategy.chooseMove(context);
+  } catch (error) {
+    // A failing strategy plays a random move, as in the game
+  }
+  return context.availableMoves.includes(move) ? move : rules.getRandomMove(context.availableMoves);
+}
+
+/**
+ * Let an AI opponent learn from a round
+ * @param {Object} bot - The AI ({ strategy, rounds })
+ * @param {string} move - The AI's move
+ * @param {string} opponentMove - The player's move
+ * @param {string} outcome - 'win', 'lose' or 'draw' for the AI
+ */
+function updateBot(bot, move, opponentMove, outcome) {
+  // The AI's rounds are kept from its opponent's side, as the game keeps them
+  bot.rounds.push({ player: opponentMove, opponent: move, outcome: OTHER_SEAT_OUTCOMES[outcome] });
+  if (bot.rounds.length > MAX_ROUND_HISTORY) {
+    bot.rounds.shift();
+  }
+
+  if (typeof bot.strategy.update === 'function') {
+    bot.strategy.update({ me: move, opponent: opponentMove, outcome });
+  }
+}
+
+/**
+ * Start the clock on the player who hasn't chosen yet
+ * @param {Object} room - The room
+ */
+function startMoveTimer(room) {
+  clearTimeout(room.moveTimer);
+  room.moveDeadline = Date.now() + MOVE_TIMEOUT;
+  room.moveTimer = setTimeout(() => {
+    room.moveTimer = null;
+    const absentSeat = room.moves.indexOf(null);
+    if (room.status === 'playing' && absentSeat !== -1) {
+      resolveRound(room, absentSeat).catch(error => console.error('Multiplayer round failed:', error));
+    }
+  }, MOVE_TIMEOUT);
+}
+
+/**
+ * Score the round and tell both players
+ * @param {Object} room - The room
+ * @param {number|null} forfeit - The seat that ran out of time, or null if both chose
+ */
+async function resolveRound(room, forfeit) {
+  const { determineWinner } = await loadRules();
+
+  clearTimeout(room.moveTimer);
+  room.moveTimer = null;
+  room.moveDeadline = null;
+
+  // A player who ran out of time loses the round
+  let result;
+  if (forfeit === null) {
+    result = determineWinner(room.moves[0], room.moves[1], room.ruleset);
+  } else {
+    result = forfeit === 1 ? 'win' : 'lose';
+  }
+  const results = [result, OTHER_SEAT_OUTCOMES[result]];
+
+  if (result === 'win') {
+    room.scores[0]++;
+  } else if (result === 'lose') {
+    room.scores[1]++;
+  }
+
+  const roundMessage = {
+    type: 'round',
+    round: room.round,
+    moves: room.moves,
+    scores: room.scores,
+    forfeit
+  };
+  room.seats.forEach((player, seat) => {
+    if (player && player.bot) {
+      updateBot(player.bot, room.moves[seat], room.moves[1 - seat], results[seat]);
+    }
+    send(player, { ...roundMessage, results, result: results[seat] });
+  });
+  sendToSpectators(room, { ...roundMessage, results });
+
+  // Drawn rounds are replayed, so the match always has a winner
+  const winsNeeded = getWinsNeeded(room.length);
+  const winner = room.scores.findIndex(score => score >= winsNeeded);
+  if (winner !== -1) {
+    endMatch(room, winner);
+  } else {
+    room.round++;
+  }
+
+  room.moves = [null, null];
+  broadcastRoom(room);
+}
+
+/**
+ * End the match, rating it if it was ranked
+ * @param {Object} room - The room
+ * @param {number} winner - The winning seat
+ */
+function endMatch(room, winner) {
+  clearTimeout(room.moveTimer);
+  room.moveTimer = null;
+  room.moveDeadline = null;
+  room.status = 'over';
+  room.winner = winner;
+  room.rematch = [false, false];
+
+  if (room.ranked) {
+    const results = ratings.recordMatch(room.seats, winner);
+    room.seats.forEach((player, seat) => {
+      if (player.bot) return;
+      player.rating = results[seat].rating;
+      send(player, { type: 'rated', ...results[seat] });
+    });
+  }
+}
+
+/**
+ * Ask for another match, which starts once both players have asked
+ * @param {Object} room - The room
+ * @param {number} seat - The player's seat
+ */
+function requestRematch(room, seat) {
+  if (room.status !== 'over' || room.seats.includes(null)) return;
+
+  // Ranked players queue again for their next opponent
+  if (room.ranked) {
+    send(room.seats[seat], { type: 'error', message: 'Ranked matches can\'t be rematched. Queue again for your next match.' });
+    return;
+  }
+
+  room.rematch[seat] = true;
+  if (room.rematch.every(Boolean)) {
+    room.status = 'playing';
+    room.round = 1;
+    room.scores = [0, 0];
+    room.moves = [null, null];
+    room.winner = null;
+    room.rematch = [false, false];
+  }
+  broadcastRoom(room);
+}
+
+/**
+ * Give up a seat; leaving a match in progress hands it to the other player
+ * @param {Object} room - The room
+ * @param {number} seat - The player's seat
+ */
+function leaveRoom(room, seat) {
+  const player = room.seats[seat];
+  if (player) {
+    clearTimeout(player.reconnectTimer);
+    if (player.socket) player.socket.seat = null;
+  }
+
+  // The match is rated before the seat is given up
+  if (room.status === 'playing') {
+    endMatch(room, 1 - seat);
+  }
+  room.seats[seat] = null;
+  room.moves = [null, null];
+
+  // A room with no one (or only an AI) left is closed
+  if (room.seats.every(other => other === null || other.bot)) {
+    clearTimeout(room.moveTimer);
+    sendToSpectators(room, { type: 'closed' });
+    room.spectators.forEach((socket) => {
+      socket.watching = null;
+    });
+    rooms.delete(room.code);
+    return;
+  }
+
+  // The free seat can be taken by someone else, who can then ask for a rematch
+  broadcastRoom(room);
+}
+
+/**
+ * Watch a room without playing
+ * @param {WebSocket} socket - The spectator's socket
+ * @param {Object} message - { code }
+ */
+function watchRoom(socket, message) {
+  const room = rooms.get(String(message.code || '').toUpperCase());
+  if (!room) {
+    sendError(socket, 'There is no room with that code.');
+    return;
+  }
+
+  room.spectators.add(socket);
+  socket.watching = room.code;
+
+  sendToSocket(socket, { type: 'watching', code: room.code });
+  broadcastRoom(room);
+}
+
+/**
+ * Stop watching a room
+ * @param {WebSocket} socket - The spectator's socket
+ */
+function stopWatching(socket) {
+  const room = socket.watching ? rooms.get(socket.watching) : null;
+  socket.watching = null;
+
+  if (room && room.spectators.delete(socket)) {
+    broadcastRoom(room);
+  }
+}
+
+/**
+ * Pass a reaction on to everyone in the room
+ * @param {Object} room - The room the socket plays in or watches
+ * @param {WebSocket} socket - The socket reacting
+ * @param {Object} message - { emoji }
+ */
+function react(room, socket, message) {
+  if (!REACTIONS.includes(message.emoji)) return;
+
+  // A held-down button can't flood the room
+  const now = Date.now();
+  if (socket.lastReaction && now - socket.lastReaction < REACTION_COOLDOWN) return;
+  socket.lastReaction = now;
+
+  const reaction = { type: 'reaction', emoji: message.emoji };
+  room.seats.forEach(player => send(player, reaction));
+  sendToSpectators(room, reaction);
+}
+
+/**
+ * Hold a disconnected player's seat for a while before giving it up
+ * @param {Object} room - The room
+ * @param {number} seat - The player's seat
+ */
+function holdSeat(room, seat) {
+  const player = room.seats[seat];
+  player.connected = false;
+  player.socket = null;
+  player.reconnectTimer = setTimeout(() => leaveRoom(room, seat), RECONNECT_GRACE);
+  broadcastRoom(room);
+}
+
+/**
+ * Handle a message from a socket
+ * @param {WebSocket} socket - The socket
+ * @param {Object} message - The parsed message
+ * @param {Object} options - The game server's options ({ aiWait })
+ */
+async function handleMessage(socket, message, options) {
+  // Messages about a match need the seat the socket holds
+  const room = socket.seat ? rooms.get(socket.seat.code) : null;
+  const seat = room ? socket.seat.seat : -1;
+
+  // Anything else the player does means they have stopped waiting for a ranked match
+  if (message.type !== 'queue') {
+    matchmaking.leaveQueue(socket);
+  }
+
+  // Spectators stop watching when they do anything but react
+  if (socket.watching && message.type !== 'react') {
+    stopWatching(socket);
+  }
+
+  switch (message.type) {
+    case 'create':
+      if (room) leaveRoom(room, seat);
+      await createRoom(socket, message);
+      break;
+    case 'join':
+      if (room) leaveRoom(room, seat);
+      joinRoom(socket, message);
+      break;
+    case 'queue':
+      if (room) leaveRoom(room, seat);
+      queuePlayer(socket, message, options.aiWait);
+      await runMatchmaking(options.aiWait);
+      break;
+    case 'unqueue':
+      break;
+    case 'watch':
+      if (room) leaveRoom(room, seat);
+      watchRoom(socket, message);
+      break;
+    case 'react': {
+      const reactedRoom = room || (socket.watching ? rooms.get(socket.watching) : null);
+      if (reactedRoom) react(reactedRoom, socket, message);
+      break;
+    }
+    case 'rejoin':
+      rejoinRoom(socket, message);
+      break;
+    case 'move':
+      if (room) await chooseMove(room, seat, message);
+      break;
+    case 'rematch':
+      if (room) requestRematch(room, seat);
+      break;
+    case 'leave':
+      if (room) leaveRoom(room, seat);
+      break;
+    default:
+      sendError(socket, `Unknown message type: ${message.type}`);
+  }
+}
+
+/**
+ * Add the game server to an HTTP server
+ * @param {http.Server} server - The server the Express app listens on
+ * @param {Object} options - { ratingsFile: where ranked ratings are kept,
+ *     aiWait: how long (in ms) a ranked player waits before playing an AI opponent }
+ * @returns {WebSocketServer} The WebSocket server
+ */
+function attachMultiplayer(server, options = {}) {
+  const wss = new WebSocketServer({ server, path: MULTIPLAYER_PATH });
+  const aiWait = Number.isFinite(options.aiWait) && options.aiWait >= 0 ? options.aiWait : matchmaking.DEFAULT_AI_WAIT;
+
+  ratings.loadRatings(options.ratingsFile);
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.seat = null;
+    socket.watching = null;
+    socket.lastReaction = 0;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        sendError(socket, 'Messages must be JSON.');
+        return;
+      }
+
+      handleMessage(socket, message || {}, { aiWait }).catch((error) => {
+        console.error('Multiplayer message failed:', error);
+        sendError(socket, 'Something went wrong on the server.');
+      });
+    });
+
+    // A dropped connection keeps its seat for a while, but not its place in the queue
+    socket.on('close', () => {
+      matchmaking.leaveQueue(socket);
+      stopWatching(socket);
+
+      const room = socket.seat ? rooms.get(socket.seat.code) : null;
+      if (room && room.seats[socket.seat.seat] && room.seats[socket.seat.seat].socket === socket) {
+        holdSeat(room, socket.seat.seat);
+      }
+    });
+  });
+
+  // Close connections that stopped answering, which frees their seat after the grace period
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  // Waiting players are paired as the rating gap they accept grows
+  const matchmakingTimer = setInterval(() => {
+    runMatchmaking(aiWait).catch(error => console.error('Matchmaking failed:', error));
+  }, MATCHMAKING_INTERVAL);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(matchmakingTimer);
+  });
+
+  return wss;
+}
+
+module.exports = {
+  MULTIPLAYER_PATH,
+  attachMultiplayer
+};
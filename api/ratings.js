@@ -0,0 +1,161 @@
+/**
+ * Skill ratings for ranked online play
+ * Each ranked player has an Elo rating, kept with their record and rating history in a JSON file on the server.
+ * Players are known by a random ID their browser makes up and keeps, so a rating follows the browser, not the name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Where ratings are kept unless the server is told otherwise (RATINGS_FILE)
+const DEFAULT_RATINGS_FILE = path.join(__dirname, '../data/ratings.json');
+
+// Rating every player starts from, as in the bot tournament runner
+const BASE_RATING = 1500;
+
+// How far one match can move a rating
+const K_FACTOR = 32;
+
+// Matches kept in each player's rating history
+const MAX_HISTORY = 50;
+
+// Player IDs, as made by the game (js/features/ranked.js)
+const PLAYER_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// The file ratings are saved to
+let ratingsFile = DEFAULT_RATINGS_FILE;
+
+// Ratings by player ID
+let players = {};
+
+/**
+ * Load the ratings from their file
+ * @param {string} file - The ratings file (created on the first save if it doesn't exist)
+ */
+function loadRatings(file = DEFAULT_RATINGS_FILE) {
+  ratingsFile = file;
+
+  try {
+    players = JSON.parse(fs.readFileSync(ratingsFile, 'utf8')).players || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading ratings:', error);
+    }
+    players = {};
+  }
+}
+
+/**
+ * Save the ratings, replacing the file in one step so a crash can't leave half of it
+ */
+function saveRatings() {
+  try {
+    fs.mkdirSync(path.dirname(ratingsFile), { recursive: true });
+    const tempFile = `${ratingsFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ players }, null, 2));
+    fs.renameSync(tempFile, ratingsFile);
+  } catch (error) {
+    console.error('Error saving ratings:', error);
+  }
+}
+
+/**
+ * Check that a player ID is one the game could have made
+ * @param {*} playerId - The ID
+ * @returns {boolean} Whether it can be rated
+ */
+function isValidPlayerId(playerId) {
+  return typeof playerId === 'string' && PLAYER_ID_PATTERN.test(playerId);
+}
+
+/**
+ * Get a player's rating record
+ * @param {string} playerId - The player's ID
+ * @returns {Object|null} { name, avatar, rating, games, wins, losses, history }, or null if they haven't played ranked
+ */
+function getPlayer(playerId) {
+  return isValidPlayerId(playerId) && players[playerId] ? players[playerId] : null;
+}
+
+/**
+ * Get a player's current rating
+ * @param {string} playerId - The player's ID
+ * @returns {number} The rating (the base rating for new players)
+ */
+function getRating(playerId) {
+  const player = getPlayer(playerId);
+  return player ? player.rating : BASE_RATING;
+}
+
+/**
+ * Get the expected score of one player against another
+ * @param {number} rating - The player's rating
+ * @param {number} opponentRating - The opponent's rating
+ * @returns {number} From 0 (sure to lose) to 1 (sure to win)
+ */
+function getExpectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Rate a finished Best of N match and save the new ratings
+ * @param {Array} sides - Both sides: { playerId, name, avatar, rating } (AI opponents have no player ID and a fixed rating)
+ * @param {number} winner - Index of the winning side
+ * @returns {Array} Each side's { rating, change }
+ */
+function recordMatch(sides, winner) {
+  const ratings = sides.map(side => (side.playerId ? getRating(side.playerId) : side.rating));
+  const date = new Date().toISOString();
+
+  const results = sides.map((side, index) => {
+    const opponent = sides[1 - index];
+    const score = index === winner ? 1 : 0;
+    const change = Math.round(K_FACTOR * (score - getExpectedScore(ratings[index], ratings[1 - index])));
+
+    // AI opponents keep their rating
+    if (!side.playerId) {
+      return { rating: ratings[index], change: 0 };
+    }
+
+    const record = players[side.playerId] || {
+      rating: BASE_RATING,
+      games: 0,
+      wins: 0,
+      losses: 0,
+      history: []
+    };
+    record.name = side.name;
+    record.avatar = side.avatar;
+    record.rating = ratings[index] + change;
+    record.games++;
+    record[score ? 'wins' : 'losses']++;
+
+    record.history.push({
+      date,
+      rating: record.rating,
+      change,
+      result: score ? 'win' : 'lose',
+      opponent: `${opponent.avatar} ${opponent.name}`,
+      ai: !opponent.playerId
+    });
+    if (record.history.length > MAX_HISTORY) {
+      record.history.shift();
+    }
+
+    players[side.playerId] = record;
+    return { rating: record.rating, change };
+  });
+
+  saveRatings();
+  return results;
+}
+
+module.exports = {
+  DEFAULT_RATINGS_FILE,
+  BASE_RATING,
+  loadRatings,
+  isValidPlayerId,
+  getPlayer,
+  getRating,
+  recordMatch
+};
@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ratings = require('./ratings');
+
+const ALICE = 'a'.repeat(32);
+const BOB = 'b'.repeat(32);
+
+// Each test rates players from an empty file of its own
+let ratingsFile = null;
+
+beforeEach(() => {
+  ratingsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ratings-')), 'ratings.json');
+  ratings.loadRatings(ratingsFile);
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(ratingsFile), { recursive: true, force: true });
+});
+
+/**
+ * Describe one side of a match between players
+ * @param {string} playerId - The player's ID
+ * @param {string} name - The player's name
+ * @returns {Object} The side ({ playerId, name, avatar })
+ */
+function player(playerId, name) {
+  return { playerId, name, avatar: '🙂' };
+}
+
+test('only IDs the game makes are valid', () => {
+  assert.equal(ratings.isValidPlayerId(ALICE), true);
+  assert.equal(ratings.isValidPlayerId('A'.repeat(32)), false);
+  assert.equal(ratings.isValidPlayerId('a'.repeat(31)), false);
+  assert.equal(ratings.isValidPlayerId('__proto__'), false);
+  assert.equal(ratings.isValidPlayerId(undefined), false);
+});
+
+test('new players start from the base rating', () => {
+  assert.equal(ratings.getPlayer(ALICE), null);
+  assert.equal(ratings.getRating(ALICE), ratings.BASE_RATING);
+});
+
+test('evenly rated players win and lose half the K-factor', () => {
+  const results = ratings.recordMatch([player(ALICE, 'Alice'), player(BOB, 'Bob')], 0);
+
+  assert.deepEqual(results, [{ rating: 1516, change: 16 }, { rating: 1484, change: -16 }]);
+  assert.equal(ratings.getRating(ALICE), 1516);
+  assert.equal(ratings.getRating(BOB), 1484);
+
+  const alice = ratings.getPlayer(ALICE);
+  assert.equal(alice.games, 1);
+  assert.equal(alice.wins, 1);
+  assert.equal(alice.losses, 0);
+  assert.equal(alice.history[0].result, 'win');
+  assert.equal(alice.history[0].opponent, '🙂 Bob');
+});
+
+test('an upset moves ratings further than an expected result', () => {
+  ratings.recordMatch([player(ALICE, 'Alice'), player(BOB, 'Bob')], 0);
+
+  // Bob (1484) beating Alice (1516) was the less likely result
+  const [aliceResult, bobResult] = ratings.recordMatch([player(ALICE, 'Alice'), player(BOB, 'Bob')], 1);
+  assert.equal(bobResult.change, 17);
+  assert.equal(aliceResult.change, -17);
+});
+
+test('AI opponents keep their rating and are marked in the history', () => {
+  const ai = { name: 'Mindbreaker', avatar: '🤖', rating: 1700 };
+  const [result, aiResult] = ratings.recordMatch([player(ALICE, 'Alice'), ai], 0);
+
+  assert.equal(result.change, 24);
+  assert.deepEqual(aiResult, { rating: 1700, change: 0 });
+  assert.equal(ratings.getPlayer(ALICE).history[0].ai, true);
+});
+
+test('the history keeps the latest 50 matches', () => {
+  for (let match = 0; match < 60; match++) {
+    ratings.recordMatch([player(ALICE, 'Alice'), player(BOB, 'Bob')], match % 2);
+  }
+
+  const alice = ratings.getPlayer(ALICE);
+  assert.equal(alice.games, 60);
+  assert.equal(alice.history.length, 50);
+  assert.equal(alice.history[alice.history.length - 1].rating, alice.rating);
+});
+
+test('ratings are saved and loaded again', () => {
+  ratings.recordMatch([player(ALICE, 'Alice'), player(BOB, 'Bob')], 1);
+  ratings.loadRatings(ratingsFile);
+
+  assert.equal(ratings.getRating(BOB), 1516);
+  assert.equal(ratings.getPlayer(BOB).name, 'Bob');
+});
@@ -1,5 +1,8 @@
 const express = require('express');
 const path = require('path');
+const { attachMultiplayer } = require('./multiplayer');
+const ratings = require('./ratings');
+const leaderboard = require('./leaderboard');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -7,6 +10,109 @@ const PORT = process.env.PORT || 5000;
 // Serve static files from the dist directory
 app.use(express.static(path.join(__dirname, '../dist')));
 
+// A ranked player's rating, record and rating history (the ID is the one their browser plays ranked with)
+app.get('/api/ratings/:playerId', (req, res) => {
+  if (!ratings.isValidPlayerId(req.params.playerId)) {
+    res.status(400).json({ error: 'Invalid player ID' });
+    return;
+  }
+
+  const player = ratings.getPlayer(req.params.playerId);
+  if (!player) {
+    res.status(404).json({ error: 'This player has not played a ranked match yet', rating: ratings.BASE_RATING });
+    return;
+  }
+
+  res.json(player);
+});
+
+// The leaderboards, kept in their own file (LEADERBOARD_FILE)
+leaderboard.loadLeaderboard(process.env.LEADERBOARD_FILE);
+
+/**
+ * Wrap an async route handler so a failure answers with an error instead of crashing the server
+ * @param {Function} handler - The route handler
+ * @returns {Function} The wrapped handler
+ */
+function asyncHandler(handler) {
+  return (req, res) => {
+    handler(req, res).catch((error) => {
+      console.error(`Error handling ${req.method} ${req.path}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Something went wrong on the game server' });
+      }
+    });
+  };
+}
+
+// The leaderboards there are
+app.get('/api/leaderboard', asyncHandler(async (req, res) => {
+  res.json({ boards: await leaderboard.listBoards(), periods: leaderboard.PERIODS });
+}));
+
+/**
+ * Answer a request about a run being played with what the leaderboard made of it
+ * @param {Object} res - The response
+ * @param {Object} result - { valid: true, ... } or { valid: false, status, error }
+ */
+function sendRunResult(res, result) {
+  const { valid, status, error, ...reply } = result;
+  if (!valid) {
+    res.status(status).json({ error });
+    return;
+  }
+
+  res.json(reply);
+}
+
+// The next run on a board for a player ({ playerId }), with the seed its bonus rounds and speed mode timer are played with
+app.post('/api/leaderboard/:board/runs', express.json(), asyncHandler(async (req, res) => {
+  sendRunResult(res, await leaderboard.issueTicket(req.params.board, req.body));
+}));
+
+// A run starting, with the settings it is played with ({ difficulty, fairPlay, bonusRounds, speedMode, date })
+app.post('/api/leaderboard/:board/runs/:runId/start', express.json(), asyncHandler(async (req, res) => {
+  sendRunResult(res, await leaderboard.startRun(req.params.board, req.params.runId, req.body));
+}));
+
+// The hash of the move a fair play run's AI locks in before the player chooses ({ secretMove })
+app.post('/api/leaderboard/:board/runs/:runId/lock', express.json(), asyncHandler(async (req, res) => {
+  sendRunResult(res, await leaderboard.lockInMove(req.params.board, req.params.runId, req.body));
+}));
+
+// A round of a run, answered with the AI's move ({ move, timedOut, secretMove, powerUps })
+app.post('/api/leaderboard/:board/runs/:runId/rounds', express.json(), asyncHandler(async (req, res) => {
+  sendRunResult(res, await leaderboard.playRound(req.params.board, req.params.runId, req.body));
+}));
+
+// A finished run, scored by the referee that played it ({ runId, name, avatar })
+app.post('/api/leaderboard/:board', express.json(), asyncHandler(async (req, res) => {
+  const result = await leaderboard.submitRun(req.params.board, req.body);
+  if (!result.valid) {
+    res.status(result.status).json({ error: result.error });
+    return;
+  }
+
+  res.json({ score: result.score, rank: result.rank });
+}));
+
+// A page of a board for a period (the player's own place is marked if their ID is given)
+app.get('/api/leaderboard/:board', asyncHandler(async (req, res) => {
+  const period = req.query.period || 'daily';
+  if (!leaderboard.PERIODS.includes(period)) {
+    res.status(400).json({ error: `The period must be one of ${leaderboard.PERIODS.join(', ')}` });
+    return;
+  }
+
+  const board = await leaderboard.getBoard(req.params.board, period, Number(req.query.page) || 1, req.query.player);
+  if (!board) {
+    res.status(404).json({ error: 'There is no such leaderboard' });
+    return;
+  }
+
+  res.json(board);
+}));
+
 // Fallback to index.html for SPA routing
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../dist/index.html'));
@@ -14,10 +120,16 @@ app.get('*', (req, res) => {
 
 // Start the server if not running in Vercel
 if (process.env.NODE_ENV !== 'production') {
-  app.listen(PORT, '0.0.0.0', () => {
+  const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Rock Paper Battle server running at http://0.0.0.0:${PORT}/`);
     console.log('Game is ready to play!');
   });
+
+  // Online games need this long-running server (a serverless function can't hold their connections)
+  attachMultiplayer(server, {
+    ratingsFile: process.env.RATINGS_FILE,
+    aiWait: process.env.MATCHMAKING_AI_WAIT ? Number(process.env.MATCHMAKING_AI_WAIT) * 1000 : undefined
+  });
 }
 
 // Export the Express app for Vercel
@@ -0,0 +1,231 @@
+/**
+ * Adaptive module for Rock Paper Battle
+ * Strategy that tunes its own skill to hold the player near a target win rate.
+ * Skill runs from -1 to 1: positive skill counters the most trusted prediction that often,
+ * zero plays at random and negative skill deliberately plays into the prediction.
+ */
+
+import { getCounterMove, getRandomMove } from '../game/logic.js';
+import { beats } from '../game/rules.js';
+import { createMarkovPredictor } from './markov.js';
+import { random } from '../utils/random.js';
+
+// Share of decisive rounds the player should win unless configured otherwise
+export const DEFAULT_TARGET_WIN_RATE = 0.45;
+
+// Allowed range for the target win rate
+export const MIN_TARGET_WIN_RATE = 0.2;
+export const MAX_TARGET_WIN_RATE = 0.8;
+
+// Skill a new strategy starts at
+const INITIAL_SKILL = 0.3;
+
+// How quickly the long-run win rate estimate follows new results
+const WIN_RATE_SMOOTHING = 0.1;
+
+// How far skill moves per decisive round for each point of win rate error
+const SKILL_STEP = 0.15;
+
+// How quickly trust in a predictor follows its hits and misses
+const TRUST_SMOOTHING = 0.1;
+
+// Predictors of the player's next move, in tie-break order
+const SOURCES = ['pattern', 'frequency', 'repeat', 'mirror'];
+
+/**
+ * Create an adaptive strategy
+ * @param {Object} savedState - Tuning state from a previous session (see getState)
+ * @param {string|Function} stream - The random stream its choices draw from
+ * @returns {Object} The strategy ({ update, chooseMove, reset, getState, setTargetWinRate })
+ */
+export function createAdaptiveStrategy(savedState = {}, stream = 'ai') {
+    const state = restoreState(savedState || {});
+    const markovPredictor = createMarkovPredictor();
+
+    // Player move -> count
+    const frequency = {};
+    let lastRound = null;
+
+    // What each predictor expected for the round in progress (null if this strategy did not pick the move)
+    let pendingPredictions = null;
+
+    /**
+     * Predict the player's next move with each predictor
+     * @param {Array} availableMoves - The moves in play
+     * @returns {Object} Source name -> predicted player move
+     */
+    function getPredictions(availableMoves) {
+        const predictions = {};
+
+        const prediction = markovPredictor.predict();
+        if (prediction) {
+            predictions.pattern = prediction.move;
+        }
+
+        let highestCount = 0;
+        Object.entries(frequency).forEach(([move, count]) => {
+            if (count > highestCount) {
+                highestCount = count;
+                predictions.frequency = move;
+            }
+        });
+
+        if (lastRound) {
+            predictions.repeat = lastRound.player;
+            predictions.mirror = lastRound.opponent;
+        }
+
+        // Only keep predictions of moves that can actually be played
+        Object.keys(predictions).forEach(source => {
+            if (!availableMoves.includes(predictions[source])) {
+                delete predictions[source];
+            }
+        });
+
+        return predictions;
+    }
+
+    /**
+     * Choose the AI's move for the next round
+     * @param {Array} availableMoves - The moves available to the AI
+     * @returns {string} The selected move
+     */
+    function chooseMove(availableMoves) {
+        const predictions = getPredictions(availableMoves);
+        pendingPredictions = predictions;
+
+        // Use the predictor that has been right most often lately
+        let source = null;
+        SOURCES.forEach(name => {
+            if (predictions[name] && (!source || state.trust[name] > state.trust[source])) {
+                source = name;
+            }
+        });
+
+        // Only act on it as often as the current skill says
+        if (!source || random(stream) >= Math.abs(state.skill)) {
+            return getRandomMove(availableMoves, stream);
+        }
+
+        const predicted = predictions[source];
+        if (state.skill > 0) {
+            const counter = getCounterMove(predicted, availableMoves);
+            return beats(counter, predicted) ? counter : getRandomMove(availableMoves, stream);
+        }
+
+        // Going easy: play something the predicted move beats
+        const losingMove = availableMoves.find(move => beats(predicted, move));
+        return losingMove || getRandomMove(availableMoves, stream);
+    }
+
+    /**
+     * Learn from a finished round and, if this strategy picked the AI's move, recalibrate
+     * @param {Object} round - The round ({ player, opponent, outcome })
+     * @param {Array} recentOutcomes - The latest outcomes from the AI's perspective ('win', 'loss', 'draw'), newest first
+     */
+    function update(round, recentOutcomes = []) {
+        if (pendingPredictions) {
+            // Trust predictors that got this round right a little more
+            Object.entries(pendingPredictions).forEach(([source, move]) => {
+                const hit = move === round.player ? 1 : 0;
+                state.trust[source] = state.trust[source] * (1 - TRUST_SMOOTHING) + hit * TRUST_SMOOTHING;
+            });
+
+            // Draws say nothing about who is stronger
+            if (round.outcome !== 'draw') {
+                const playerWon = round.outcome === 'win' ? 1 : 0;
+                state.winRate = state.winRate * (1 - WIN_RATE_SMOOTHING) + playerWon * WIN_RATE_SMOOTHING;
+
+                // React to the last few rounds as well as the long-run estimate
+                const recentWins = recentOutcomes.filter(outcome => outcome === 'loss').length;
+                const recentDecisive = recentOutcomes.filter(outcome => outcome !== 'draw').length;
+                const recentWinRate = recentDecisive > 0 ? recentWins / recentDecisive : state.winRate;
+                const error = (state.winRate + recentWinRate) / 2 - state.targetWinRate;
+
+                state.skill = clamp(state.skill + SKILL_STEP * error, -1, 1);
+            }
+
+            state.rounds++;
+            pendingPredictions = null;
+        }
+
+        frequency[round.player] = (frequency[round.player] || 0) + 1;
+        markovPredictor.update(round);
+        lastRound = round;
+    }
+
+    /**
+     * Forget the player's move patterns (the calibration is kept)
+     */
+    function reset() {
+        markovPredictor.reset();
+        Object.keys(frequency).forEach(move => delete frequency[move]);
+        lastRound = null;
+        pendingPredictions = null;
+    }
+
+    /**
+     * Get the tuning state, for saving or display
+     * @returns {Object} The state ({ targetWinRate, skill, winRate, trust, rounds })
+     */
+    function getState() {
+        return { ...state, trust: { ...state.trust } };
+    }
+
+    /**
+     * Change the win rate the strategy aims for
+     * @param {number} rate - Target share of decisive rounds the player should win (0-1)
+     */
+    function setTargetWinRate(rate) {
+        state.targetWinRate = clamp(Number(rate) || DEFAULT_TARGET_WIN_RATE, MIN_TARGET_WIN_RATE, MAX_TARGET_WIN_RATE);
+    }
+
+    return {
+        update,
+        chooseMove,
+        reset,
+        getState,
+        setTargetWinRate
+    };
+}
+
+/**
+ * Build a complete tuning state from saved data, filling in anything missing or invalid
+ * @param {Object} saved - The saved state
+ * @returns {Object} The tuning state
+ */
+function restoreState(saved) {
+    const number = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+    const targetWinRate = clamp(number(saved.targetWinRate, DEFAULT_TARGET_WIN_RATE), MIN_TARGET_WIN_RATE, MAX_TARGET_WIN_RATE);
+
+    const trust = {};
+    SOURCES.forEach(source => {
+        trust[source] = clamp(number(saved.trust && saved.trust[source], 0), 0, 1);
+    });
+
+    return {
+        targetWinRate,
+        skill: clamp(number(saved.skill, INITIAL_SKILL), -1, 1),
+        winRate: clamp(number(saved.winRate, targetWinRate), 0, 1),
+        trust,
+        rounds: Math.max(0, Math.floor(number(saved.rounds, 0)))
+    };
+}
+
+/**
+ * Clamp a number to a range
+ * @param {number} value - The number
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {number} The clamped number
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+export default {
+    createAdaptiveStrategy,
+    DEFAULT_TARGET_WIN_RATE,
+    MIN_TARGET_WIN_RATE,
+    MAX_TARGET_WIN_RATE
+};
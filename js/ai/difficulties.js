@@ -0,0 +1,317 @@
+/**
+ * Difficulties module for Rock Paper Battle
+ * The built-in difficulty levels as strategies (see strategy.js for the contract).
+ * Every strategy keeps its own model of its opponent, so any number of them can play at once.
+ */
+
+import { getCounterMove, getBestResponse, getRandomMove } from '../game/logic.js';
+import { beats, getActiveRuleset } from '../game/rules.js';
+import { random } from '../utils/random.js';
+import { createMarkovPredictor } from './markov.js';
+import { createIocaineStrategy } from './iocaine.js';
+import { createAdaptiveStrategy } from './adaptive.js';
+import { toPlayerRound } from './strategy.js';
+
+// AI Difficulty levels
+export const DIFFICULTY_LEVELS = {
+    EASY: 'easy',
+    MEDIUM: 'medium',
+    HARD: 'hard',
+    IOCAINE: 'iocaine',
+    IMPOSSIBLE: 'impossible',
+    ADAPTIVE: 'adaptive'
+};
+
+// Heuristics the Easy, Medium, Hard and Impossible levels choose their moves with
+export const HEURISTICS = {
+    PATTERN: 'pattern', // What the opponent tends to play after their last move
+    SEQUENCE: 'sequence', // What the opponent tends to play after their last few moves
+    FREQUENCY: 'frequency', // The opponent's most played move
+    RANDOM: 'random', // No prediction
+    PEEK: 'peek' // The opponent's actual move (Impossible without fair play)
+};
+
+// A prediction must beat a uniform guess by this much before the AI acts on it
+const PREDICTION_MARGIN = 0.1;
+
+// Number of recent outcomes the Adaptive level reacts to
+const MAX_RECENT_OUTCOMES = 5;
+
+// Outcomes for the AI ('win', 'loss', 'draw') by outcome for the player
+const AI_OUTCOMES = {
+    win: 'loss',
+    lose: 'win',
+    draw: 'draw'
+};
+
+/**
+ * Create the strategy for a built-in difficulty level
+ * @param {string} difficulty - One of DIFFICULTY_LEVELS
+ * @param {Object} options - { adaptiveState: saved Adaptive calibration,
+ *     peek: function returning the opponent's move for the round in progress, or null if it is not known,
+ *     stream: the random stream its choices draw from, a name or a generator of its own (default 'ai') }
+ * @returns {Object} The strategy ({ chooseMove, update, reset, getDecision, getAdaptiveState, setTargetWinRate })
+ */
+export function createDifficultyStrategy(difficulty, options = {}) {
+    const peek = typeof options.peek === 'function' ? options.peek : () => null;
+    const stream = options.stream || 'ai';
+
+    // Opponent move -> count
+    const moveHistory = {};
+
+    // Variable-order pattern model of the opponent's moves (orders 1-5)
+    const markovPredictor = createMarkovPredictor();
+
+    // Ensemble of predictors used by the Iocaine level
+    const iocaineStrategy = difficulty === DIFFICULTY_LEVELS.IOCAINE ? createIocaineStrategy({ stream }) : null;
+
+    // Self-tuning strategy used by the Adaptive level
+    const adaptiveStrategy = difficulty === DIFFICULTY_LEVELS.ADAPTIVE ? createAdaptiveStrategy(options.adaptiveState, stream) : null;
+
+    // Latest outcomes for the AI, newest first
+    let recentOutcomes = [];
+
+    // How the last move was chosen ({ heuristic, prediction, confidence, order, reason }), null if no heuristic was used
+    let decision = null;
+
+    /**
+     * Remember how the move being chosen was picked
+     * @param {string} heuristic - One of HEURISTICS
+     * @param {Object} details - Optional { prediction, confidence, order, reason }
+     */
+    function decide(heuristic, details = {}) {
+        decision = {
+            heuristic,
+            prediction: details.prediction || null,
+            confidence: typeof details.confidence === 'number' ? details.confidence : null,
+            order: details.order || null,
+            reason: details.reason || null
+        };
+    }
+
+    /**
+     * Get a strategic move based on pattern analysis
+     * Heuristics are tried in order of strength, falling through when they have nothing confident to say
+     * @param {Array} availableMoves - The moves available to the AI
+     * @returns {string} The selected move
+     */
+    function getStrategicMove(availableMoves) {
+        // If we don't have enough moves yet, use random
+        if (markovPredictor.getRoundCount() < 3) {
+            decide(HEURISTICS.RANDOM, { reason: 'warmup' });
+            return getRandomMove(availableMoves, stream);
+        }
+
+        // A guess that beats picking uniformly at random by a clear margin
+        const threshold = 1 / availableMoves.length + PREDICTION_MARGIN;
+
+        // Try pattern prediction first
+        const prediction = markovPredictor.predict();
+        if (prediction && prediction.confidence >= threshold) {
+            // A first-order pattern looks at the last move only, longer ones at a sequence of moves
+            decide(prediction.order > 1 ? HEURISTICS.SEQUENCE : HEURISTICS.PATTERN, {
+                prediction: prediction.move,
+                confidence: prediction.confidence,
+                order: prediction.order
+            });
+            return getBestResponse(prediction.distribution, availableMoves, getActiveRuleset(), stream);
+        }
+
+        // Then frequency-based prediction
+        const totalMoves = Object.values(moveHistory).reduce((sum, count) => sum + count, 0);
+        let mostUsedMove = null;
+        let highestCount = 0;
+
+        for (const [move, count] of Object.entries(moveHistory)) {
+            if (count > highestCount) {
+                highestCount = count;
+                mostUsedMove = move;
+            }
+        }
+
+        // Choose an available counter to the most used move
+        if (mostUsedMove && highestCount / totalMoves >= threshold) {
+            const counterMove = findCounter(mostUsedMove, availableMoves);
+            if (counterMove) {
+                decide(HEURISTICS.FREQUENCY, { prediction: mostUsedMove, confidence: highestCount / totalMoves });
+                return counterMove;
+            }
+        }
+
+        // If the opponent shows no exploitable pattern, use random
+        decide(HEURISTICS.RANDOM, { reason: 'noPattern' });
+        return getRandomMove(availableMoves, stream);
+    }
+
+    /**
+     * Get a move that counters the opponent's actual move when it can be seen
+     * @param {Array} availableMoves - The moves available to the AI
+     * @returns {string} The selected move
+     */
+    function getImpossibleMove(availableMoves) {
+        // If we know the opponent's move, counter it directly
+        const opponentMove = peek();
+        if (opponentMove) {
+            const counterMove = findCounter(opponentMove, availableMoves);
+
+            // If counter move is available, use it
+            if (counterMove) {
+                decide(HEURISTICS.PEEK, { prediction: opponentMove, confidence: 1 });
+                return counterMove;
+            }
+        }
+
+        // If we can't counter directly, fall back to strategic
+        return getStrategicMove(availableMoves);
+    }
+
+    /**
+     * Choose the move for the next round
+     * @param {Object} context - The strategy context ({ history, availableMoves, ruleset })
+     * @returns {string} The selected move
+     */
+    function chooseMove({ availableMoves }) {
+        decision = null;
+
+        switch (difficulty) {
+            case DIFFICULTY_LEVELS.EASY:
+                // Easy is always random
+                decide(HEURISTICS.RANDOM, { reason: 'easy' });
+                return getRandomMove(availableMoves, stream);
+
+            case DIFFICULTY_LEVELS.MEDIUM:
+                // Medium uses 50% strategic, 50% random
+                if (random(stream) < 0.5) {
+                    return getStrategicMove(availableMoves);
+                }
+                decide(HEURISTICS.RANDOM, { reason: 'coinFlip' });
+                return getRandomMove(availableMoves, stream);
+
+            case DIFFICULTY_LEVELS.HARD:
+                // Hard is fully strategic
+                return getStrategicMove(availableMoves);
+
+            case DIFFICULTY_LEVELS.IOCAINE:
+                // Iocaine plays whichever predictor would have done best so far
+                return iocaineStrategy.chooseMove(availableMoves);
+
+            case DIFFICULTY_LEVELS.IMPOSSIBLE:
+                // Impossible always wins if possible
+                return getImpossibleMove(availableMoves);
+
+            case DIFFICULTY_LEVELS.ADAPTIVE:
+                // Adaptive plays as well as it needs to for the target win rate
+                return adaptiveStrategy.chooseMove(availableMoves);
+
+            default:
+                return getRandomMove(availableMoves, stream);
+        }
+    }
+
+    /**
+     * Learn from a finished round
+     * @param {Object} round - The round from the AI's side ({ me, opponent, outcome })
+     */
+    function update(round) {
+        // The models predict the opponent, so they learn from the opponent's side of the round
+        const playerRound = toPlayerRound(round);
+
+        recentOutcomes.unshift(AI_OUTCOMES[playerRound.outcome]);
+        if (recentOutcomes.length > MAX_RECENT_OUTCOMES) {
+            recentOutcomes.pop();
+        }
+
+        moveHistory[playerRound.player] = (moveHistory[playerRound.player] || 0) + 1;
+        markovPredictor.update(playerRound);
+
+        if (iocaineStrategy) {
+            iocaineStrategy.update(playerRound);
+        }
+        if (adaptiveStrategy) {
+            adaptiveStrategy.update(playerRound, recentOutcomes);
+        }
+    }
+
+    /**
+     * Forget the opponent's moves (the Adaptive calibration is kept)
+     */
+    function reset() {
+        Object.keys(moveHistory).forEach(move => delete moveHistory[move]);
+        markovPredictor.reset();
+        recentOutcomes = [];
+        decision = null;
+
+        if (iocaineStrategy) {
+            iocaineStrategy.reset();
+        }
+        if (adaptiveStrategy) {
+            adaptiveStrategy.reset();
+        }
+    }
+
+    /**
+     * Get how the last move was chosen
+     * @returns {Object|null} The decision ({ heuristic, prediction, confidence, order, reason }),
+     *     null if the level does not use the heuristics
+     */
+    function getDecision() {
+        return decision ? { ...decision } : null;
+    }
+
+    /**
+     * Get the Adaptive level's calibration
+     * @returns {Object|null} The tuning state (see adaptive.js), null for other levels
+     */
+    function getAdaptiveState() {
+        return adaptiveStrategy ? adaptiveStrategy.getState() : null;
+    }
+
+    /**
+     * Change the win rate the Adaptive level aims for (other levels ignore it)
+     * @param {number} rate - Target share of decisive rounds the opponent should win (0-1)
+     */
+    function setTargetWinRate(rate) {
+        if (adaptiveStrategy) {
+            adaptiveStrategy.setTargetWinRate(rate);
+        }
+    }
+
+    return {
+        chooseMove,
+        update,
+        reset,
+        getDecision,
+        getAdaptiveState,
+        setTargetWinRate
+    };
+}
+
+/**
+ * Find an available move that beats the given move under the active ruleset
+ * @param {string} move - The move to counter
+ * @param {Array} availableMoves - The moves available to the AI
+ * @returns {string|null} The counter move, or null if no available move beats it
+ */
+function findCounter(move, availableMoves) {
+    const counter = getCounterMove(move, availableMoves);
+    return beats(counter, move) ? counter : null;
+}
+
+/**
+ * Get the levels a mode climbs through, weakest first
+ * Impossible is only the last rung with fair play on, since it otherwise sees the player's move before choosing;
+ * without it the last rung is Iocaine, the strongest tier that plays fair.
+ * @param {boolean} fairPlay - Whether fair play is on
+ * @returns {Array} The difficulty IDs
+ */
+export function getLadder(fairPlay) {
+    const { EASY, MEDIUM, HARD, IMPOSSIBLE, IOCAINE } = DIFFICULTY_LEVELS;
+    return [EASY, MEDIUM, HARD, fairPlay ? IMPOSSIBLE : IOCAINE];
+}
+
+export default {
+    DIFFICULTY_LEVELS,
+    HEURISTICS,
+    createDifficultyStrategy,
+    getLadder
+};
@@ -0,0 +1,217 @@
+/**
+ * Iocaine module for Rock Paper Battle
+ * Ensemble meta-strategy in the style of Iocaine Powder: several predictors run side by side,
+ * including one that models a player who reads the AI's own patterns the way Hard does,
+ * each is second- and third-guessed, and every resulting strategy is scored on how it would
+ * have done in past rounds. The best scoring strategy picks the move.
+ */
+
+import { determineWinner, getCounterMove, getRandomMove } from '../game/logic.js';
+import { createMarkovPredictor } from './markov.js';
+
+// How much of a strategy's past score is kept each round (lower adapts faster).
+// Scores cover roughly the last 50 rounds, so one lucky round doesn't swing the pick to another strategy.
+const SCORE_DECAY = 0.98;
+
+// A pattern-reading player only acts on a guess that beats picking uniformly at random by this much
+const PREDICTION_MARGIN = 0.1;
+
+// How many times each prediction is second-guessed (0 = plain counter)
+const GUESS_LEVELS = 3;
+
+// Names of the predictors, in tie-break order
+const PREDICTORS = ['frequency', 'markov', 'selfMarkov', 'mirror', 'rotation', 'random'];
+
+// Outcomes for the AI by outcome for the player
+const OTHER_SIDE_OUTCOMES = {
+    win: 'lose',
+    lose: 'win',
+    draw: 'draw'
+};
+
+/**
+ * Create an Iocaine strategy
+ * @param {Object} options - { stream: the random stream its no-pattern baseline draws from (default 'ai') }
+ * @returns {Object} The strategy ({ update, chooseMove, reset, getRoundCount })
+ */
+export function createIocaineStrategy({ stream = 'ai' } = {}) {
+    // Rounds seen so far ({ player, opponent, outcome } with outcome from the player's perspective)
+    const history = [];
+    const markovPredictor = createMarkovPredictor();
+
+    // The same pattern model pointed at the AI's own moves, as a pattern-reading player sees them
+    const selfMarkovPredictor = createMarkovPredictor();
+
+    // Player move -> count
+    const frequency = {};
+
+    // Strategy key ('predictor:level') -> decayed score
+    const scores = {};
+
+    // Moves each strategy suggested for the round in progress
+    let pendingCandidates = null;
+
+    /**
+     * Predict the player's next move with each predictor
+     * @param {Array} availableMoves - The moves in play
+     * @returns {Object} Predictor name -> predicted player move (missing when a predictor has no opinion)
+     */
+    function getPredictions(availableMoves) {
+        const predictions = {};
+        const lastRound = history[history.length - 1];
+
+        // Most used move overall
+        let highestCount = 0;
+        Object.entries(frequency).forEach(([move, count]) => {
+            if (count > highestCount && availableMoves.includes(move)) {
+                highestCount = count;
+                predictions.frequency = move;
+            }
+        });
+
+        // Variable-order pattern model
+        const markovPrediction = markovPredictor.predict();
+        if (markovPrediction && availableMoves.includes(markovPrediction.move)) {
+            predictions.markov = markovPrediction.move;
+        }
+
+        // The player reads the AI's own patterns and counters the move it expects, once the pattern is clear
+        const selfPrediction = selfMarkovPredictor.predict();
+        const threshold = 1 / availableMoves.length + PREDICTION_MARGIN;
+        if (selfPrediction && selfPrediction.confidence >= threshold && availableMoves.includes(selfPrediction.move)) {
+            predictions.selfMarkov = getCounterMove(selfPrediction.move, availableMoves);
+        }
+
+        if (lastRound) {
+            // The player copies whatever the AI just played
+            if (availableMoves.includes(lastRound.opponent)) {
+                predictions.mirror = lastRound.opponent;
+            }
+
+            // The player keeps stepping through the move list by their most common step size
+            const step = getRotationStep(availableMoves);
+            const lastIndex = availableMoves.indexOf(lastRound.player);
+            if (step !== null && lastIndex !== -1) {
+                predictions.rotation = availableMoves[(lastIndex + step) % availableMoves.length];
+            }
+        }
+
+        // Keeps a no-pattern baseline in the running so a lost streak falls back to random play
+        predictions.random = getRandomMove(availableMoves, stream);
+
+        return predictions;
+    }
+
+    /**
+     * Find how far through the move list the player most often steps between rounds
+     * @param {Array} availableMoves - The moves in play
+     * @returns {number|null} The most common step, or null before there are two rounds
+     */
+    function getRotationStep(availableMoves) {
+        const stepCounts = {};
+        let bestStep = null;
+        let bestCount = 0;
+
+        for (let i = 1; i < history.length; i++) {
+            const from = availableMoves.indexOf(history[i - 1].player);
+            const to = availableMoves.indexOf(history[i].player);
+            if (from === -1 || to === -1) continue;
+
+            const step = (to - from + availableMoves.length) % availableMoves.length;
+            stepCounts[step] = (stepCounts[step] || 0) + 1;
+            if (stepCounts[step] > bestCount) {
+                bestCount = stepCounts[step];
+                bestStep = step;
+            }
+        }
+
+        return bestStep;
+    }
+
+    /**
+     * Choose the AI's move for the next round
+     * @param {Array} availableMoves - The moves available to the AI
+     * @returns {string} The selected move
+     */
+    function chooseMove(availableMoves) {
+        const predictions = getPredictions(availableMoves);
+        pendingCandidates = {};
+
+        let bestKey = null;
+        let bestScore = -Infinity;
+
+        PREDICTORS.forEach(name => {
+            if (!predictions[name]) return;
+
+            // Level 0 counters the prediction; each further level assumes the player
+            // saw the previous answer coming and counters it
+            let expectedPlayerMove = predictions[name];
+            for (let level = 0; level < GUESS_LEVELS; level++) {
+                const move = getCounterMove(expectedPlayerMove, availableMoves);
+                const key = `${name}:${level}`;
+                pendingCandidates[key] = move;
+
+                const score = scores[key] || 0;
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestKey = key;
+                }
+
+                expectedPlayerMove = getCounterMove(move, availableMoves);
+            }
+        });
+
+        return pendingCandidates[bestKey];
+    }
+
+    /**
+     * Learn from a finished round and score every strategy on it
+     * @param {Object} round - The round ({ player, opponent, outcome })
+     */
+    function update(round) {
+        if (pendingCandidates) {
+            Object.entries(pendingCandidates).forEach(([key, move]) => {
+                const result = determineWinner(move, round.player);
+                const points = result === 'win' ? 1 : result === 'lose' ? -1 : 0;
+                scores[key] = (scores[key] || 0) * SCORE_DECAY + points;
+            });
+            pendingCandidates = null;
+        }
+
+        frequency[round.player] = (frequency[round.player] || 0) + 1;
+        markovPredictor.update(round);
+        selfMarkovPredictor.update({ player: round.opponent, opponent: round.player, outcome: OTHER_SIDE_OUTCOMES[round.outcome] });
+        history.push(round);
+    }
+
+    /**
+     * Forget everything the strategy has learned
+     */
+    function reset() {
+        history.length = 0;
+        markovPredictor.reset();
+        selfMarkovPredictor.reset();
+        Object.keys(frequency).forEach(move => delete frequency[move]);
+        Object.keys(scores).forEach(key => delete scores[key]);
+        pendingCandidates = null;
+    }
+
+    /**
+     * Get the number of rounds the strategy has learned from
+     * @returns {number} The number of rounds
+     */
+    function getRoundCount() {
+        return history.length;
+    }
+
+    return {
+        update,
+        chooseMove,
+        reset,
+        getRoundCount
+    };
+}
+
+export default {
+    createIocaineStrategy
+};
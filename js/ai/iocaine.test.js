@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { determineWinner, getAvailableMoves } from '../game/logic.js';
+import { createStream } from '../utils/random.js';
+import { DIFFICULTY_LEVELS, createDifficultyStrategy, getLadder } from './difficulties.js';
+
+// Outcomes for one side of a round by outcome for the other side
+const OTHER_SIDE_OUTCOMES = {
+    win: 'lose',
+    lose: 'win',
+    draw: 'draw'
+};
+
+/**
+ * Play two difficulty levels against each other, each drawing from its own seeded stream
+ * @param {string} first - The first level
+ * @param {string} second - The second level
+ * @param {number} rounds - Number of rounds
+ * @param {string} seed - The match seed
+ * @returns {Object} The first level's record ({ wins, draws, losses })
+ */
+function playMatch(first, second, rounds, seed) {
+    const strategies = [
+        createDifficultyStrategy(first, { stream: createStream(seed, first) }),
+        createDifficultyStrategy(second, { stream: createStream(seed, second) })
+    ];
+    const availableMoves = getAvailableMoves();
+    const record = { wins: 0, draws: 0, losses: 0 };
+
+    for (let round = 0; round < rounds; round++) {
+        const moves = strategies.map(strategy => strategy.chooseMove({ availableMoves }));
+        const outcome = determineWinner(moves[0], moves[1]);
+        record[outcome === 'win' ? 'wins' : outcome === 'lose' ? 'losses' : 'draws']++;
+
+        strategies[0].update({ me: moves[0], opponent: moves[1], outcome });
+        strategies[1].update({ me: moves[1], opponent: moves[0], outcome: OTHER_SIDE_OUTCOMES[outcome] });
+    }
+
+    return record;
+}
+
+test('Iocaine beats Hard head-to-head', () => {
+    ['s1', 's2', 's3'].forEach(seed => {
+        const { wins, losses } = playMatch(DIFFICULTY_LEVELS.IOCAINE, DIFFICULTY_LEVELS.HARD, 1000, seed);
+        assert.ok(wins > losses * 1.5, `seed ${seed}: Iocaine won ${wins} and lost ${losses}`);
+    });
+});
+
+test('Iocaine is the top rung without fair play, above Hard', () => {
+    const ladder = getLadder(false);
+    assert.equal(ladder[ladder.length - 1], DIFFICULTY_LEVELS.IOCAINE);
+    assert.ok(ladder.indexOf(DIFFICULTY_LEVELS.HARD) < ladder.indexOf(DIFFICULTY_LEVELS.IOCAINE));
+});
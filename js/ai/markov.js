@@ -0,0 +1,201 @@
+/**
+ * Markov Predictor module for Rock Paper Battle
+ * Predicts the player's next move with variable-order n-gram models,
+ * weighting each model by how well it has predicted recent rounds
+ */
+
+// Range of context lengths (in rounds) the predictor looks at
+const DEFAULT_MIN_ORDER = 1;
+const DEFAULT_MAX_ORDER = 5;
+
+// How much weight older hits and misses keep when a model's accuracy is updated
+const ACCURACY_DECAY = 0.85;
+
+// Accuracy a model starts with before it has made any predictions
+const INITIAL_ACCURACY = 0.3;
+
+/**
+ * Create a Markov predictor
+ * Every order is modelled twice: once on the player's moves alone and once on
+ * moves conditioned on the round outcome (what the player does after a win vs a loss).
+ * @param {Object} options - Predictor options
+ * @param {number} options.minOrder - Shortest context length
+ * @param {number} options.maxOrder - Longest context length
+ * @returns {Object} The predictor ({ update, predict, reset, getRoundCount })
+ */
+export function createMarkovPredictor({ minOrder = DEFAULT_MIN_ORDER, maxOrder = DEFAULT_MAX_ORDER } = {}) {
+    // Rounds seen so far ({ player, opponent, outcome } with outcome from the player's perspective)
+    const history = [];
+    const models = [];
+
+    for (let order = minOrder; order <= maxOrder; order++) {
+        models.push(createModel(order, false));
+        models.push(createModel(order, true));
+    }
+
+    /**
+     * Build the context key a model sees before the round at the given index
+     * @param {Object} model - The n-gram model
+     * @param {number} endIndex - Index of the round being predicted
+     * @returns {string|null} The context key, or null if there is not enough history
+     */
+    function getContextKey(model, endIndex) {
+        if (endIndex < model.order) {
+            return null;
+        }
+
+        return history
+            .slice(endIndex - model.order, endIndex)
+            .map(round => (model.conditioned ? `${round.player}/${round.outcome}` : round.player))
+            .join(' ');
+    }
+
+    /**
+     * Get a model's prediction for the next round
+     * @param {Object} model - The n-gram model
+     * @returns {Object|null} The prediction ({ distribution, total, move }), or null if the context is unseen
+     */
+    function getModelPrediction(model) {
+        const key = getContextKey(model, history.length);
+        const counts = key !== null ? model.counts.get(key) : null;
+        if (!counts) {
+            return null;
+        }
+
+        let total = 0;
+        let move = null;
+        let highestCount = 0;
+        counts.forEach((count, nextMove) => {
+            total += count;
+            if (count > highestCount) {
+                highestCount = count;
+                move = nextMove;
+            }
+        });
+
+        const distribution = {};
+        counts.forEach((count, nextMove) => {
+            distribution[nextMove] = count / total;
+        });
+
+        return { distribution, total, move };
+    }
+
+    /**
+     * Learn from a finished round
+     * @param {Object} round - The round ({ player, opponent, outcome })
+     */
+    function update(round) {
+        models.forEach(model => {
+            // Score what this model would have predicted before learning from the answer
+            const prediction = getModelPrediction(model);
+            if (prediction) {
+                const hit = prediction.move === round.player ? 1 : 0;
+                model.accuracy = model.accuracy * ACCURACY_DECAY + hit * (1 - ACCURACY_DECAY);
+            }
+
+            const key = getContextKey(model, history.length);
+            if (key !== null) {
+                if (!model.counts.has(key)) {
+                    model.counts.set(key, new Map());
+                }
+                const counts = model.counts.get(key);
+                counts.set(round.player, (counts.get(round.player) || 0) + 1);
+            }
+        });
+
+        history.push(round);
+    }
+
+    /**
+     * Predict the player's next move
+     * @returns {Object|null} The prediction ({ move, confidence, distribution, order }), or null without data
+     */
+    function predict() {
+        const combined = {};
+        let totalWeight = 0;
+        let bestModel = null;
+        let bestModelWeight = 0;
+
+        models.forEach(model => {
+            const prediction = getModelPrediction(model);
+            if (!prediction) return;
+
+            // Trust accurate models much more, and models that have seen their context more often
+            const support = prediction.total / (prediction.total + 1);
+            const weight = model.accuracy * model.accuracy * support;
+            if (weight <= 0) return;
+
+            Object.entries(prediction.distribution).forEach(([move, probability]) => {
+                combined[move] = (combined[move] || 0) + weight * probability;
+            });
+            totalWeight += weight;
+
+            if (weight > bestModelWeight) {
+                bestModelWeight = weight;
+                bestModel = model;
+            }
+        });
+
+        if (totalWeight === 0) {
+            return null;
+        }
+
+        let move = null;
+        let confidence = 0;
+        Object.keys(combined).forEach(candidate => {
+            combined[candidate] /= totalWeight;
+            if (combined[candidate] > confidence) {
+                confidence = combined[candidate];
+                move = candidate;
+            }
+        });
+
+        return { move, confidence, distribution: combined, order: bestModel.order };
+    }
+
+    /**
+     * Forget everything the predictor has learned
+     */
+    function reset() {
+        history.length = 0;
+        models.forEach(model => {
+            model.counts.clear();
+            model.accuracy = INITIAL_ACCURACY;
+        });
+    }
+
+    /**
+     * Get the number of rounds the predictor has learned from
+     * @returns {number} The number of rounds
+     */
+    function getRoundCount() {
+        return history.length;
+    }
+
+    return {
+        update,
+        predict,
+        reset,
+        getRoundCount
+    };
+}
+
+/**
+ * Create an empty n-gram model
+ * @param {number} order - Context length in rounds
+ * @param {boolean} conditioned - Whether the context includes round outcomes
+ * @returns {Object} The model
+ */
+function createModel(order, conditioned) {
+    return {
+        order,
+        conditioned,
+        counts: new Map(), // context key -> Map(next move -> count)
+        accuracy: INITIAL_ACCURACY
+    };
+}
+
+export default {
+    createMarkovPredictor
+};
@@ -0,0 +1,109 @@
+/**
+ * Personalities module for Rock Paper Battle
+ * Named opponents with simple, recognizable play styles for the player to spot and exploit
+ */
+
+import { getCounterMove, getRandomMove } from '../game/logic.js';
+import { random } from '../utils/random.js';
+import { toPlayerRound } from './strategy.js';
+
+/**
+ * Every personality has a strategy that takes the rounds played so far
+ * ({ player, opponent, outcome } with outcome from the player's perspective, oldest first)
+ * and the moves it may choose from, and returns its move.
+ * Consistency is the chance it sticks to its style instead of playing at random.
+ */
+export const PERSONALITIES = [
+    {
+        id: 'rockLover',
+        name: 'The Rock Lover',
+        avatar: '🪨',
+        description: 'Rock is solid. Rock is dependable. Rock is nearly always the answer.',
+        consistency: 0.6,
+        strategy: (history, availableMoves) => availableMoves[0]
+    },
+    {
+        id: 'cycler',
+        name: 'The Cycler',
+        avatar: '🔄',
+        description: 'Works through the moves in order, Rock then Paper then Scissors, again and again.',
+        consistency: 0.9,
+        strategy: (history, availableMoves) => {
+            const lastRound = history[history.length - 1];
+            const lastIndex = lastRound ? availableMoves.indexOf(lastRound.opponent) : -1;
+            return availableMoves[(lastIndex + 1) % availableMoves.length];
+        }
+    },
+    {
+        id: 'copycat',
+        name: 'The Copycat',
+        avatar: '🐒',
+        description: 'Whatever you just played looked good. It will have one of those.',
+        consistency: 0.9,
+        strategy: (history, availableMoves) => {
+            const lastRound = history[history.length - 1];
+            return lastRound && availableMoves.includes(lastRound.player) ? lastRound.player : null;
+        }
+    },
+    {
+        id: 'grudge',
+        name: 'The Grudge',
+        avatar: '😤',
+        description: 'Never forgets the move that last beat it, and keeps countering it until something else does.',
+        consistency: 0.9,
+        strategy: (history, availableMoves) => {
+            // Find the last round the player won
+            for (let i = history.length - 1; i >= 0; i--) {
+                if (history[i].outcome === 'win') {
+                    return getCounterMove(history[i].player, availableMoves);
+                }
+            }
+            return null;
+        }
+    }
+];
+
+/**
+ * Get a personality by ID
+ * @param {string} personalityId - The personality ID
+ * @returns {Object|null} The personality, or null if there is none with that ID
+ */
+export function getPersonality(personalityId) {
+    return PERSONALITIES.find(personality => personality.id === personalityId) || null;
+}
+
+/**
+ * Choose a personality's move for the next round
+ * @param {string} personalityId - The personality ID
+ * @param {Array} history - The rounds played so far, oldest first
+ * @param {Array} availableMoves - The moves available to the AI
+ * @returns {string} The selected move
+ */
+export function getPersonalityMove(personalityId, history, availableMoves) {
+    const personality = getPersonality(personalityId);
+    if (!personality || random() >= personality.consistency) {
+        return getRandomMove(availableMoves);
+    }
+
+    // Styles that have nothing to go on yet (e.g. the first round) play at random
+    const move = personality.strategy(history, availableMoves);
+    return move && availableMoves.includes(move) ? move : getRandomMove(availableMoves);
+}
+
+/**
+ * Create a strategy (see strategy.js for the contract) that plays as a personality
+ * @param {string} personalityId - The personality ID
+ * @returns {Object} The strategy ({ chooseMove })
+ */
+export function createPersonalityStrategy(personalityId) {
+    return {
+        chooseMove: ({ history, availableMoves }) => getPersonalityMove(personalityId, history.map(toPlayerRound), availableMoves)
+    };
+}
+
+export default {
+    PERSONALITIES,
+    getPersonality,
+    getPersonalityMove,
+    createPersonalityStrategy
+};
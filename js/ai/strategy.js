@@ -0,0 +1,108 @@
+/**
+ * Strategy module for Rock Paper Battle
+ * The contract every AI opponent that can be picked as a difficulty implements, built in or user-written.
+ *
+ * A strategy is an object with:
+ *   chooseMove(context)  - Returns the move to play: one of context.availableMoves.
+ *                          Anything else (or throwing) makes the AI play a random move instead.
+ *   prepareMove(context) - Optional. For strategies that think asynchronously, like user bots running in
+ *                          a Web Worker. Called with the next round's context as soon as it is known and
+ *                          returns a Promise that settles once the strategy is ready; chooseMove is then
+ *                          called with the same context and must answer straight away.
+ *   update(round)        - Optional. Called after every round with that round from the strategy's side
+ *                          ({ me, opponent, outcome }, as in context.history) so it can learn as it goes.
+ *   reset()              - Optional. Called when a new opponent or match starts.
+ *
+ * The context a strategy is given:
+ *   history        - The rounds of the current match, oldest first (at most the last 50), seen from the
+ *                    AI's side: { me, opponent, outcome } where me is the AI's move, opponent is the
+ *                    player's and outcome is 'win', 'lose' or 'draw' for the AI.
+ *   availableMoves - IDs of the moves the AI may play this round, e.g. ['rock', 'paper', 'scissors'].
+ *   ruleset        - The rules in play: { id, name, moves: [{ id, name, emoji }], rules: [{ winner, loser, verb }] }.
+ *
+ * The context is plain data, so it can be sent to a Web Worker as it is.
+ */
+
+// Outcomes for one side of a round by outcome for the other side
+const OTHER_SIDE_OUTCOMES = {
+    win: 'lose',
+    lose: 'win',
+    draw: 'draw'
+};
+
+/**
+ * Build the context a strategy chooses its move from
+ * @param {Array} rounds - Rounds of the match ({ player, opponent, outcome }, outcome from the player's side), oldest first
+ * @param {Array} availableMoves - The moves the AI may play
+ * @param {Object} ruleset - The ruleset in play
+ * @returns {Object} The context ({ history, availableMoves, ruleset })
+ */
+export function createStrategyContext(rounds, availableMoves, ruleset) {
+    return {
+        history: rounds.map(toStrategyRound),
+        availableMoves: [...availableMoves],
+        ruleset: {
+            id: ruleset.id,
+            name: ruleset.name,
+            moves: ruleset.moves.map(move => ({ id: move.id, name: move.name, emoji: move.emoji })),
+            rules: ruleset.rules.map(rule => ({ winner: rule.winner, loser: rule.loser, verb: rule.verb }))
+        }
+    };
+}
+
+/**
+ * See a round from the AI's side
+ * @param {Object} round - The round from the player's side ({ player, opponent, outcome })
+ * @returns {Object} The round from the AI's side ({ me, opponent, outcome })
+ */
+export function toStrategyRound(round) {
+    return {
+        me: round.opponent,
+        opponent: round.player,
+        outcome: OTHER_SIDE_OUTCOMES[round.outcome]
+    };
+}
+
+/**
+ * See a round from the AI's opponent's side (the form the player models in this folder learn from)
+ * @param {Object} round - The round from the AI's side ({ me, opponent, outcome })
+ * @returns {Object} The round from the opponent's side ({ player, opponent, outcome })
+ */
+export function toPlayerRound(round) {
+    return {
+        player: round.opponent,
+        opponent: round.me,
+        outcome: OTHER_SIDE_OUTCOMES[round.outcome]
+    };
+}
+
+/**
+ * Check that an object implements the strategy contract
+ * @param {Object} strategy - The strategy to check
+ * @returns {Object} Validation result ({ valid, errors })
+ */
+export function validateStrategy(strategy) {
+    const errors = [];
+
+    if (!strategy || typeof strategy !== 'object') {
+        errors.push('A strategy must be an object');
+    } else {
+        if (typeof strategy.chooseMove !== 'function') {
+            errors.push('A strategy needs a chooseMove(context) function');
+        }
+        ['prepareMove', 'update', 'reset'].forEach(name => {
+            if (strategy[name] !== undefined && typeof strategy[name] !== 'function') {
+                errors.push(`${name} must be a function if it is given`);
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+export default {
+    createStrategyContext,
+    toStrategyRound,
+    toPlayerRound,
+    validateStrategy
+};
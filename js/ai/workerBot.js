@@ -0,0 +1,232 @@
+/**
+ * Worker Bot module for Rock Paper Battle
+ * Runs user-written bots (see strategy.js for the contract) in a Web Worker, away from the page,
+ * with a time budget for every move.
+ *
+ * A bot is JavaScript source that defines a chooseMove(context) function returning a move ID
+ * (or a Promise of one), for example:
+ *
+ *     function chooseMove({ history, availableMoves }) {
+ *         const last = history[history.length - 1];
+ *         return last ? last.opponent : availableMoves[0];
+ *     }
+ */
+
+// Milliseconds a bot has to choose each move
+export const MOVE_TIME_BUDGET = 250;
+
+// Largest bot source accepted, in characters
+export const MAX_SOURCE_LENGTH = 50000;
+
+// Runs before the bot's code: takes away ways to reach the network or start more code
+const PRELUDE = `
+(() => {
+    ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'Worker', 'indexedDB', 'caches'].forEach(name => {
+        try {
+            self[name] = undefined;
+        } catch (error) {
+            // Some browsers make these read-only
+        }
+    });
+})();
+`;
+
+// Runs after the bot's code: answers move requests from the page
+const HARNESS = `
+;self.onmessage = (event) => {
+    const { requestId, context } = event.data;
+    Promise.resolve()
+        .then(() => {
+            if (typeof chooseMove !== 'function') {
+                throw new Error('The bot must define a chooseMove(context) function');
+            }
+            return chooseMove(context);
+        })
+        .then(move => self.postMessage({ requestId, move }))
+        .catch(error => self.postMessage({ requestId, error: String(error && error.message ? error.message : error) }));
+};
+`;
+
+/**
+ * Check if the browser can run bots
+ * @returns {boolean} Whether Web Workers can be started from generated code
+ */
+export function isSupported() {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined' &&
+        typeof URL.createObjectURL === 'function';
+}
+
+/**
+ * Create a strategy that runs a user-written bot in a Web Worker
+ * The worker is only started when the bot is first asked for a move
+ * @param {Object} bot - The bot ({ id, name, source })
+ * @param {number} timeBudget - Milliseconds the bot has to choose each move
+ * @returns {Object} The strategy ({ prepareMove, chooseMove, getLastError, terminate })
+ */
+export function createWorkerBot(bot, timeBudget = MOVE_TIME_BUDGET) {
+    let worker = null;
+    let workerUrl = null;
+    let lastRequestId = 0;
+
+    // Request ID -> function settling that request
+    const pendingRequests = {};
+
+    // The move worked out for the next round ({ key, move })
+    let preparedMove = null;
+
+    // Why the bot last failed to choose a move (null if it answered)
+    let lastError = null;
+
+    /**
+     * Start the worker running the bot's code
+     */
+    function startWorker() {
+        const blob = new Blob([PRELUDE, bot.source, HARNESS], { type: 'text/javascript' });
+        workerUrl = URL.createObjectURL(blob);
+        worker = new Worker(workerUrl);
+
+        worker.onmessage = (event) => {
+            const settle = pendingRequests[event.data.requestId];
+            if (settle) {
+                settle(event.data);
+            }
+        };
+
+        // Syntax errors and uncaught errors fail every request in flight
+        worker.onerror = (event) => {
+            event.preventDefault();
+            Object.values(pendingRequests).forEach(settle => settle({ error: event.message || 'The bot crashed' }));
+        };
+    }
+
+    /**
+     * Stop the worker (the next request starts a fresh one)
+     */
+    function terminate() {
+        if (worker) {
+            worker.terminate();
+            URL.revokeObjectURL(workerUrl);
+            worker = null;
+            workerUrl = null;
+        }
+        Object.values(pendingRequests).forEach(settle => settle({ error: 'The bot was stopped' }));
+    }
+
+    /**
+     * Ask the bot for a move
+     * @param {Object} context - The strategy context
+     * @returns {Promise<Object>} Resolves with { move } or { error }, never rejects
+     */
+    function requestMove(context) {
+        if (!worker) {
+            startWorker();
+        }
+
+        const requestId = ++lastRequestId;
+
+        return new Promise(resolve => {
+            // A bot that runs out of time may be stuck in a loop, so its worker is replaced
+            const timer = setTimeout(() => {
+                settle({ error: `The bot took longer than ${timeBudget}ms` });
+                terminate();
+            }, timeBudget);
+
+            function settle(reply) {
+                clearTimeout(timer);
+                delete pendingRequests[requestId];
+                resolve(reply);
+            }
+
+            pendingRequests[requestId] = settle;
+            worker.postMessage({ requestId, context });
+        });
+    }
+
+    /**
+     * Work out the move for the next round in the background
+     * @param {Object} context - The next round's context
+     * @returns {Promise} Resolves once the bot has answered, failed or run out of time
+     */
+    function prepareMove(context) {
+        const key = getContextKey(context);
+        preparedMove = null;
+
+        return requestMove(context).then(reply => {
+            lastError = reply.error || null;
+            if (reply.error) {
+                console.warn(`Bot "${bot.name}" failed to choose a move: ${reply.error}`);
+                return;
+            }
+            preparedMove = { key, move: reply.move };
+        });
+    }
+
+    /**
+     * Get the move the bot prepared for this context
+     * @param {Object} context - The round's context
+     * @returns {string|null} The move, or null if the bot has not answered for this context
+     */
+    function chooseMove(context) {
+        return preparedMove && preparedMove.key === getContextKey(context) ? preparedMove.move : null;
+    }
+
+    /**
+     * Get why the bot last failed to choose a move
+     * @returns {string|null} The error, or null if its last answer arrived in time
+     */
+    function getLastError() {
+        return lastError;
+    }
+
+    return {
+        prepareMove,
+        chooseMove,
+        getLastError,
+        terminate
+    };
+}
+
+/**
+ * Run a bot once on a context to check that it works
+ * @param {string} source - The bot's source code
+ * @param {Object} context - The context to ask it about
+ * @returns {Promise<Object>} Resolves with { valid, errors, move }
+ */
+export function testBot(source, context) {
+    if (!isSupported()) {
+        return Promise.resolve({ valid: false, errors: ['This browser cannot run bots (Web Workers are unavailable)'], move: null });
+    }
+
+    const bot = createWorkerBot({ name: 'Test', source });
+
+    return bot.prepareMove(context).then(() => {
+        const move = bot.chooseMove(context);
+        const error = bot.getLastError();
+        bot.terminate();
+
+        if (error) {
+            return { valid: false, errors: [error], move: null };
+        }
+        if (!context.availableMoves.includes(move)) {
+            return { valid: false, errors: [`The bot returned "${move}", which is not one of: ${context.availableMoves.join(', ')}`], move };
+        }
+        return { valid: true, errors: [], move };
+    });
+}
+
+/**
+ * Identify the round a context is for
+ * @param {Object} context - The strategy context
+ * @returns {string} The key
+ */
+function getContextKey(context) {
+    return `${context.ruleset.id}|${context.availableMoves.join(',')}|${context.history.length}`;
+}
+
+export default {
+    MOVE_TIME_BUDGET,
+    MAX_SOURCE_LENGTH,
+    isSupported,
+    createWorkerBot,
+    testBot
+};
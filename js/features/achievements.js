@@ -17,7 +17,7 @@ const ACHIEVEMENTS = {
     flawlessVictory: {
         id: 'flawlessVictory',
         name: 'Flawless Victory',
-        description: 'Win all rounds in a Best of 5 match',
+        description: 'Win a Best of N match without losing a round',
         icon: '🥇'
     },
     roundsPlayed10: {
@@ -25,6 +25,12 @@ const ACHIEVEMENTS = {
         name: '10 Total Rounds Played',
         description: 'Play 10 or more rounds',
         icon: '📊'
+    },
+    tournamentChampion: {
+        id: 'tournamentChampion',
+        name: 'Tournament Champion',
+        description: 'Win a tournament',
+        icon: '🏆'
     }
 };
 
@@ -41,7 +47,8 @@ export function init() {
         setData('achievements', {
             winStreak3: false,
             flawlessVictory: false,
-            roundsPlayed10: false
+            roundsPlayed10: false,
+            tournamentChampion: false
         });
     }
     
@@ -53,7 +60,7 @@ export function init() {
  * Update achievements based on game result
  * @param {string} result - The game result ('win', 'lose', or 'draw')
  * @param {Object} gameState - The current game state object
- * @param {string} gameMode - The current game mode ('endless' or 'bestOf5')
+ * @param {string} gameMode - The current game mode ('endless' or 'bestOfN')
  */
 export function checkAchievements(result, gameState = {}, gameMode = 'endless') {
     // Update win streak
@@ -71,9 +78,9 @@ export function checkAchievements(result, gameState = {}, gameMode = 'endless')
         unlockAchievement('winStreak3');
     }
     
-    // Check for flawless victory in Best of 5
-    if (gameMode === 'bestOf5' && gameState.gameOver && 
-        gameState.playerScore >= 3 && gameState.aiScore === 0) {
+    // Check for flawless victory in Best of N
+    if (gameMode === 'bestOfN' && gameState.gameOver && 
+        gameState.playerScore > gameState.aiScore && gameState.aiScore === 0) {
         unlockAchievement('flawlessVictory');
     }
     
@@ -89,7 +96,7 @@ export function checkAchievements(result, gameState = {}, gameMode = 'endless')
  * Unlock an achievement and display a notification
  * @param {string} achievementId - The ID of the achievement to unlock
  */
-function unlockAchievement(achievementId) {
+export function unlockAchievement(achievementId) {
     // Check if achievement exists
     if (!ACHIEVEMENTS[achievementId]) {
         console.error(`Achievement "${achievementId}" does not exist`);
@@ -173,7 +180,8 @@ export function resetAchievements() {
     setData('achievements', {
         winStreak3: false,
         flawlessVictory: false,
-        roundsPlayed10: false
+        roundsPlayed10: false,
+        tournamentChampion: false
     });
     
     // Reset current win streak
@@ -184,6 +192,7 @@ export function resetAchievements() {
 export default {
     init,
     checkAchievements,
+    unlockAchievement,
     getAllAchievements,
     resetAchievements
 }; 
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * AI Explainer module for Rock Paper Battle
+ * Shows on the results screen why the AI chose its move, and how well each of its heuristics
+ * has been predicting the player this session
+ */
+
+import { getMoveEmoji } from '../game/logic.js';
+import * as aiModes from './aiModes.js';
+
+const { HEURISTICS } = aiModes;
+
+// Display names, in chart order
+const HEURISTIC_LABELS = {
+    [HEURISTICS.PATTERN]: '🔁 Pattern',
+    [HEURISTICS.SEQUENCE]: '🧩 Sequence',
+    [HEURISTICS.FREQUENCY]: '📊 Frequency',
+    [HEURISTICS.RANDOM]: '🎲 Random',
+    [HEURISTICS.PEEK]: '👀 Peek'
+};
+
+// Why a random move was played
+const RANDOM_REASONS = {
+    easy: 'Easy AI always picks at random.',
+    coinFlip: 'Medium AI flipped a coin this round and picked at random instead of predicting.',
+    warmup: "It hadn't seen enough of your moves to spot anything yet, so it picked at random.",
+    noPattern: "It couldn't find a pattern it trusted, so it picked at random."
+};
+
+// DOM elements
+let explainButton = null;
+let explainPanel = null;
+
+/**
+ * Initialize the explanation panel
+ */
+export function init() {
+    explainButton = document.getElementById('ai-explain-btn');
+    explainPanel = document.getElementById('ai-explain-panel');
+
+    // Toggle the panel on the results screen
+    if (explainButton) {
+        explainButton.addEventListener('click', () => {
+            const isHidden = explainPanel.classList.toggle('hidden');
+            explainButton.setAttribute('aria-expanded', String(!isHidden));
+            if (!isHidden) {
+                renderExplanation();
+            }
+        });
+    }
+
+    refresh();
+}
+
+/**
+ * Update the panel for the round that just finished
+ * Called by the game modes when they show a result
+ */
+export function refresh() {
+    if (explainButton) {
+        explainButton.classList.toggle('hidden', !aiModes.getLastExplanation());
+    }
+
+    if (explainPanel && !explainPanel.classList.contains('hidden')) {
+        renderExplanation();
+    }
+}
+
+/**
+ * Hide the button and the panel (for results the AI explanation does not belong to)
+ */
+export function hide() {
+    if (explainButton) {
+        explainButton.classList.add('hidden');
+        explainButton.setAttribute('aria-expanded', 'false');
+    }
+    if (explainPanel) {
+        explainPanel.classList.add('hidden');
+    }
+}
+
+/**
+ * Describe how the AI chose its move
+ * @param {Object} explanation - The last round's explanation (see aiModes.getLastExplanation)
+ * @returns {string} The description
+ */
+function describeDecision(explanation) {
+    const predicted = explanation.prediction ? `${getMoveEmoji(explanation.prediction)} ${explanation.prediction}` : '';
+    const confidence = explanation.confidence !== null ? Math.round(explanation.confidence * 100) : 0;
+    const played = `${getMoveEmoji(explanation.aiMove)} ${explanation.aiMove}`;
+
+    switch (explanation.heuristic) {
+        case HEURISTICS.PATTERN:
+            return `After your last move, you have often played ${predicted} next. It guessed ${predicted} (${confidence}% sure) and played ${played} against it.`;
+        case HEURISTICS.SEQUENCE:
+            return `Your last ${explanation.order} moves have been followed by ${predicted} before. It guessed ${predicted} (${confidence}% sure) and played ${played} against it.`;
+        case HEURISTICS.FREQUENCY:
+            return `${predicted} is the move you play most (${confidence}% of the time), so it played ${played} to beat it.`;
+        case HEURISTICS.PEEK:
+            return `It looked at your move before choosing and played ${played} to beat it. That's cheating! Turn on Fair Play to stop it.`;
+        case HEURISTICS.RANDOM:
+            return `${RANDOM_REASONS[explanation.reason] || 'It picked at random.'} It played ${played}.`;
+        default:
+            return `${explanation.opponent} chooses its moves its own way. Play against Easy, Medium, Hard or Impossible to see which heuristic it uses.`;
+    }
+}
+
+/**
+ * Render the last round's explanation and the session chart
+ */
+function renderExplanation() {
+    if (!explainPanel) return;
+
+    explainPanel.innerHTML = '';
+
+    const explanation = aiModes.getLastExplanation();
+    if (!explanation) return;
+
+    // Which heuristic fired
+    const heading = document.createElement('h3');
+    heading.textContent = HEURISTIC_LABELS[explanation.heuristic] || explanation.opponent;
+    explainPanel.appendChild(heading);
+
+    const decision = document.createElement('p');
+    decision.textContent = describeDecision(explanation);
+    explainPanel.appendChild(decision);
+
+    // Whether the prediction came true
+    if (explanation.correct !== null && explanation.correct !== undefined) {
+        const outcome = document.createElement('p');
+        outcome.className = 'ai-explain-outcome';
+        outcome.textContent = explanation.correct
+            ? `✅ You played ${getMoveEmoji(explanation.playerMove)} ${explanation.playerMove}, so the guess was right.`
+            : `❌ You played ${getMoveEmoji(explanation.playerMove)} ${explanation.playerMove}, so the guess was wrong.`;
+        explainPanel.appendChild(outcome);
+    }
+
+    renderAccuracyChart();
+}
+
+/**
+ * Render a bar per heuristic showing how often its prediction was right this session
+ */
+function renderAccuracyChart() {
+    const record = aiModes.getHeuristicRecord();
+    const heuristics = Object.keys(HEURISTIC_LABELS).filter(heuristic => record[heuristic]);
+    if (heuristics.length === 0) return;
+
+    const title = document.createElement('h4');
+    title.textContent = 'How often each heuristic guessed right this session';
+    explainPanel.appendChild(title);
+
+    const chart = document.createElement('ul');
+    chart.className = 'ai-explain-chart';
+
+    heuristics.forEach(heuristic => {
+        const { used, predicted, correct } = record[heuristic];
+        const rate = predicted > 0 ? Math.round((correct / predicted) * 100) : 0;
+
+        const row = document.createElement('li');
+        row.className = 'ai-explain-row';
+
+        const label = document.createElement('span');
+        label.className = 'ai-explain-label';
+        label.textContent = HEURISTIC_LABELS[heuristic];
+
+        const bar = document.createElement('span');
+        bar.className = 'ai-explain-bar';
+        const fill = document.createElement('span');
+        fill.className = 'ai-explain-fill';
+        fill.style.width = `${rate}%`;
+        bar.appendChild(fill);
+
+        // Random play makes no prediction, so it only has a usage count
+        const value = document.createElement('span');
+        value.className = 'ai-explain-value';
+        value.textContent = predicted > 0
+            ? `${correct}/${predicted} right (${rate}%)`
+            : `used ${used} time${used === 1 ? '' : 's'}, no guess`;
+
+        row.setAttribute('aria-label', `${HEURISTIC_LABELS[heuristic]}: ${value.textContent}`);
+        row.appendChild(label);
+        row.appendChild(bar);
+        row.appendChild(value);
+        chart.appendChild(row);
+    });
+
+    explainPanel.appendChild(chart);
+}
+
+export default {
+    init,
+    refresh,
+    hide
+};
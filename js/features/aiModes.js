@@ -4,54 +4,79 @@
  */
 
 import { getData, setData } from '../settings/storage.js';
+import { getAvailableMoves } from '../game/logic.js';
+import { pick } from '../utils/random.js';
+import { getActiveRuleset } from '../game/rules.js';
+import { DIFFICULTY_LEVELS, HEURISTICS, createDifficultyStrategy } from '../ai/difficulties.js';
+import { PERSONALITIES, getPersonality, getPersonalityMove } from '../ai/personalities.js';
+import { createStrategyContext, toStrategyRound } from '../ai/strategy.js';
+import { createWorkerBot, MOVE_TIME_BUDGET } from '../ai/workerBot.js';
+import * as customBots from './customBots.js';
+import playerMemory from './playerMemory.js';
 
-// AI Difficulty levels
-const DIFFICULTY_LEVELS = {
-    EASY: 'easy',
-    MEDIUM: 'medium',
-    HARD: 'hard',
-    IMPOSSIBLE: 'impossible'
-};
+// The difficulty levels and heuristics live with the strategies in ai/difficulties.js
+export { DIFFICULTY_LEVELS, HEURISTICS };
 
 // Default settings
 let currentDifficulty = DIFFICULTY_LEVELS.MEDIUM;
 
-// Player move history for AI analysis
-const moveHistory = {
-    rock: 0,
-    paper: 0,
-    scissors: 0,
-    fire: 0
-};
+// Personality played instead of the difficulty level (null for none)
+let currentPersonality = null;
 
-// Sequence-based pattern tracking (last 10 moves)
-const playerMoveSequence = [];
-const MAX_SEQUENCE_LENGTH = 10;
-
-// Pattern analysis data
-const patternFrequency = {
-    'rock-rock': 0,
-    'rock-paper': 0,
-    'rock-scissors': 0,
-    'paper-rock': 0,
-    'paper-paper': 0,
-    'paper-scissors': 0,
-    'scissors-rock': 0,
-    'scissors-paper': 0,
-    'scissors-scissors': 0
-};
+// The opponent chosen in settings while a game mode has the player face someone else ({ difficulty, personality }),
+// null when the chosen opponent is being played
+let chosenOpponent = null;
+
+// Recent rounds ({ player, opponent, outcome }), oldest first, for personality strategies
+const roundHistory = [];
+const MAX_ROUND_HISTORY = 50;
+
+// Strategy for the built-in difficulty being played, with its model of the player
+// (null when a custom bot is selected; created in init)
+let difficultyStrategy = null;
+
+// Emoji shown for custom bots
+const BOT_EMOJI = '💻';
+
+// Strategy for the custom bot being played (null when a built-in difficulty is selected)
+let botStrategy = null;
+
+// Moves the AI was last offered, used to prepare the next move ahead of time
+let lastAvailableMoves = null;
+
+// Settles once the current strategy is ready to answer for the next round
+let movePreparation = Promise.resolve();
 
-// Last player move for analysis
-let lastPlayerMove = null;
 // Current player move for impossible mode
 let currentPlayerMove = null;
+// Last AI move, learned from together with the player's move once the round is decided
+let lastAiMove = null;
+
+// How the AI chose its move for the round in progress
+// ({ heuristic, prediction, confidence, order, reason }), null if the move was not chosen by a heuristic
+let pendingDecision = null;
+
+// The last finished round's decision, with the moves that were actually played
+let lastExplanation = null;
+
+// How each heuristic has done this session (heuristic -> { used, predicted, correct })
+const heuristicRecord = {};
+
+// Whether opponents start without what is remembered about the player (for leaderboard runs)
+let playingFresh = false;
+
+// AI outcomes seen from the player's side
+const PLAYER_OUTCOMES = {
+    win: 'lose',
+    loss: 'win',
+    draw: 'draw'
+};
 
 // AI performance tracking
 const aiStats = {
     wins: 0,
     losses: 0,
-    draws: 0,
-    lastOutcomes: [] // Last 5 game outcomes
+    draws: 0
 };
 
 /**
@@ -60,7 +85,7 @@ const aiStats = {
 export function init() {
     // Load difficulty from localStorage
     const savedDifficulty = getData('aiDifficulty');
-    if (savedDifficulty && Object.values(DIFFICULTY_LEVELS).includes(savedDifficulty)) {
+    if (savedDifficulty && isValidDifficulty(savedDifficulty)) {
         currentDifficulty = savedDifficulty;
     } else {
         // Set default difficulty
@@ -87,68 +112,86 @@ export function init() {
         }
         
         // Remove legacy data
-        localStorage.removeItem('aiMode');
+        setData('aiMode', null);
     }
     
+    // Create the strategy for the difficulty (the adaptive AI resumes its calibration from the last session)
+    loadStrategy();
+    
+    // Load the selected personality
+    const savedPersonality = getData('aiPersonality');
+    currentPersonality = getPersonality(savedPersonality) ? savedPersonality : null;
+    
     // Reset move history and patterns
     resetMoveHistory();
 }
 
 /**
  * Reset the player move history and pattern data
+ * What the AI remembers about the player from earlier sessions is learned again straight away
  */
 export function resetMoveHistory() {
-    // Reset frequency counters
-    moveHistory.rock = 0;
-    moveHistory.paper = 0;
-    moveHistory.scissors = 0;
-    moveHistory.fire = 0;
-    
-    // Reset sequence
-    playerMoveSequence.length = 0;
-    
     // Reset patterns
-    Object.keys(patternFrequency).forEach(key => {
-        patternFrequency[key] = 0;
-    });
+    roundHistory.length = 0;
+    const strategy = getStrategy();
+    if (typeof strategy.reset === 'function') {
+        strategy.reset();
+    }
     
     // Reset tracking variables
-    lastPlayerMove = null;
     currentPlayerMove = null;
+    lastAiMove = null;
+    pendingDecision = null;
+    
+    // Start warm from the player's remembered rounds
+    recallPlayer();
     
-    // Reset AI stats
-    aiStats.lastOutcomes = [];
+    // Let a bot work out its opening move
+    prepareNextMove();
+}
+
+/**
+ * Learn the current profile's remembered rounds for the active ruleset
+ * Personalities still start each match with a clean slate
+ */
+function recallPlayer() {
+    const strategy = getStrategy();
+    if (playingFresh || typeof strategy.update !== 'function') return;
+    
+    const ruleset = getActiveRuleset();
+    const moveIds = ruleset.moves.map(move => move.id);
+    
+    playerMemory.getRememberedRounds(ruleset.id)
+        // Skip rounds with moves an edited rule pack no longer has
+        .filter(round => moveIds.includes(round.player) && moveIds.includes(round.opponent))
+        .forEach(round => strategy.update(toStrategyRound(round)));
+}
+
+/**
+ * Have opponents start from nothing, or again from what is remembered about the player
+ * Leaderboard runs are played against a fresh AI (see game/replay.js), so the AI here starts fresh too when it plays one
+ * @param {boolean} fresh - Whether opponents start without the player's remembered rounds
+ */
+export function playFresh(fresh) {
+    playingFresh = Boolean(fresh);
+}
+
+/**
+ * Forget everything the AI remembers about the current profile, in this session and saved
+ */
+export function forgetPlayer() {
+    playerMemory.forgetPlayer();
+    resetMoveHistory();
 }
 
 /**
  * Record a player move for AI analysis
+ * The move is only learned from once the round is decided, so the AI never sees it before choosing
  * @param {string} move - The player's move
  */
 export function recordPlayerMove(move) {
     // Store current move for impossible mode
     currentPlayerMove = move;
-    
-    // Update frequency counters
-    if (moveHistory[move] !== undefined) {
-        moveHistory[move]++;
-    }
-    
-    // Update sequence
-    playerMoveSequence.push(move);
-    if (playerMoveSequence.length > MAX_SEQUENCE_LENGTH) {
-        playerMoveSequence.shift(); // Keep only the last MAX_SEQUENCE_LENGTH moves
-    }
-    
-    // Update pattern data if we have at least 2 moves
-    if (lastPlayerMove && move) {
-        const pattern = `${lastPlayerMove}-${move}`;
-        if (patternFrequency[pattern] !== undefined) {
-            patternFrequency[pattern]++;
-        }
-    }
-    
-    // Update last move
-    lastPlayerMove = move;
 }
 
 /**
@@ -164,175 +207,199 @@ export function recordGameOutcome(outcome) {
         aiStats.draws++;
     }
     
-    // Keep track of recent outcomes for adaptive strategy
-    aiStats.lastOutcomes.unshift(outcome);
-    if (aiStats.lastOutcomes.length > 5) {
-        aiStats.lastOutcomes.pop();
+    // Learn from the finished round
+    if (currentPlayerMove && lastAiMove) {
+        const round = {
+            player: currentPlayerMove,
+            opponent: lastAiMove,
+            outcome: PLAYER_OUTCOMES[outcome]
+        };
+        roundHistory.push(round);
+        if (roundHistory.length > MAX_ROUND_HISTORY) {
+            roundHistory.shift();
+        }
+        
+        const strategy = getStrategy();
+        if (typeof strategy.update === 'function') {
+            strategy.update(toStrategyRound(round));
+        }
+        playerMemory.rememberRound(getActiveRuleset().id, round);
+        
+        // Keep the calibration so the adaptive AI resumes where it left off
+        if (currentDifficulty === DIFFICULTY_LEVELS.ADAPTIVE) {
+            setData('adaptiveAi', difficultyStrategy.getAdaptiveState());
+        }
     }
+    
+    // Keep the player's record against the personality
+    if (currentPersonality) {
+        recordPersonalityOutcome(currentPersonality, outcome);
+    }
+    
+    // Keep the AI's reasoning for the explanation panel
+    if (currentPlayerMove && lastAiMove) {
+        explainRound(currentPlayerMove, lastAiMove);
+    }
+    
+    currentPlayerMove = null;
+    lastAiMove = null;
+    pendingDecision = null;
+    
+    // Let a bot work out its next move while the player decides
+    prepareNextMove();
 }
 
 /**
- * Get the AI's move based on the current difficulty
- * @param {Array} availableMoves - The moves available to the AI
- * @returns {string} - The AI's selected move
+ * Check the finished round's decision against the player's actual move and add it to the session record
+ * @param {string} playerMove - The player's move
+ * @param {string} aiMove - The AI's move
  */
-export function getComputerMove(availableMoves) {
-    // Apply difficulty
-    switch (currentDifficulty) {
-        case DIFFICULTY_LEVELS.EASY:
-            // Easy is always random
-            return getRandomMove(availableMoves);
-            
-        case DIFFICULTY_LEVELS.MEDIUM:
-            // Medium uses 50% strategic, 50% random
-            if (Math.random() < 0.5) {
-                return getStrategicMove(availableMoves);
-            } else {
-                return getRandomMove(availableMoves);
-            }
-            
-        case DIFFICULTY_LEVELS.HARD:
-            // Hard is fully strategic
-            return getStrategicMove(availableMoves);
-            
-        case DIFFICULTY_LEVELS.IMPOSSIBLE:
-            // Impossible always wins if possible
-            return getImpossibleMove(availableMoves);
-            
-        default:
-            return getRandomMove(availableMoves);
+function explainRound(playerMove, aiMove) {
+    if (!pendingDecision) {
+        lastExplanation = { heuristic: null, playerMove, aiMove, opponent: getCurrentOpponentName() };
+        return;
+    }
+    
+    const correct = pendingDecision.prediction ? pendingDecision.prediction === playerMove : null;
+    lastExplanation = { ...pendingDecision, playerMove, aiMove, correct, opponent: getCurrentOpponentName() };
+    
+    const record = heuristicRecord[pendingDecision.heuristic] || { used: 0, predicted: 0, correct: 0 };
+    record.used++;
+    if (correct !== null) {
+        record.predicted++;
+        if (correct) record.correct++;
     }
+    heuristicRecord[pendingDecision.heuristic] = record;
+}
+
+/**
+ * Get how the AI chose its move in the last finished round
+ * @returns {Object|null} - { heuristic, prediction, confidence, order, reason, playerMove, aiMove, correct, opponent },
+ * heuristic is null for tiers that do not use the heuristics; null before the first round
+ */
+export function getLastExplanation() {
+    return lastExplanation ? { ...lastExplanation } : null;
+}
+
+/**
+ * Get how often each heuristic was used and how often its prediction was right this session
+ * @returns {Object} - Heuristic -> { used, predicted, correct }
+ */
+export function getHeuristicRecord() {
+    const record = {};
+    Object.entries(heuristicRecord).forEach(([heuristic, counts]) => {
+        record[heuristic] = { ...counts };
+    });
+    return record;
 }
 
 /**
- * Get a strategic move based on pattern analysis
+ * Get the AI's move based on the current difficulty
  * @param {Array} availableMoves - The moves available to the AI
  * @returns {string} - The AI's selected move
  */
-function getStrategicMove(availableMoves) {
-    // If we don't have enough moves yet, use random
-    const totalMoves = playerMoveSequence.length;
-    if (totalMoves < 3) {
-        return getRandomMove(availableMoves);
-    }
+export function getComputerMove(availableMoves) {
+    pendingDecision = null;
+    lastAvailableMoves = availableMoves;
     
-    // Try pattern prediction first (30% chance)
-    if (Math.random() < 0.3 && lastPlayerMove) {
-        // Find the most likely next move based on patterns
-        let highestFrequency = 0;
-        let mostLikelyNextMove = null;
-        
-        Object.keys(patternFrequency).forEach(pattern => {
-            if (pattern.startsWith(lastPlayerMove + '-') && patternFrequency[pattern] > highestFrequency) {
-                highestFrequency = patternFrequency[pattern];
-                mostLikelyNextMove = pattern.split('-')[1]; // The second part of the pattern
-            }
-        });
-        
-        if (mostLikelyNextMove && highestFrequency > 1) {
-            const counter = getCounterMove(mostLikelyNextMove);
-            if (availableMoves.includes(counter)) {
-                return counter;
-            }
-        }
+    if (currentPersonality) {
+        lastAiMove = getPersonalityMove(currentPersonality, roundHistory, availableMoves);
+        return lastAiMove;
     }
     
-    // Try frequency-based prediction (40% chance)
-    if (Math.random() < 0.4) {
-        // Find the most used move
-        let mostUsedMove = 'rock'; // Default
-        let highestCount = 0;
-        
-        for (const [move, count] of Object.entries(moveHistory)) {
-            if (count > highestCount) {
-                highestCount = count;
-                mostUsedMove = move;
-            }
-        }
-        
-        // Choose the counter to most used move
-        const counterMove = getCounterMove(mostUsedMove);
-        
-        // If counter move is available, use it
-        if (availableMoves.includes(counterMove)) {
-            return counterMove;
-        }
+    // A strategy that throws or answers with something unplayable forfeits to a random move
+    const strategy = getStrategy();
+    let move = null;
+    try {
+        move = strategy.chooseMove(createStrategyContext(roundHistory, availableMoves, getActiveRuleset()));
+    } catch (error) {
+        console.error('AI strategy failed to choose a move:', error);
     }
     
-    // Try sequence-based prediction (30% chance)
-    if (Math.random() < 0.3 && playerMoveSequence.length >= 3) {
-        // Look at the last 3 moves to predict a pattern
-        const lastThree = playerMoveSequence.slice(-3);
-        
-        // Simple pattern: if player used the same move twice in a row, they might use it again
-        if (lastThree[1] === lastThree[2]) {
-            const counter = getCounterMove(lastThree[2]);
-            if (availableMoves.includes(counter)) {
-                return counter;
-            }
-        }
-        
-        // Alternating pattern: if player is alternating between two moves
-        if (lastThree[0] === lastThree[2] && lastThree[0] !== lastThree[1]) {
-            const counter = getCounterMove(lastThree[0]);
-            if (availableMoves.includes(counter)) {
-                return counter;
-            }
-        }
+    // Built-in difficulties say which heuristic they used
+    if (typeof strategy.getDecision === 'function') {
+        pendingDecision = strategy.getDecision();
     }
     
-    // If all prediction methods fail or aren't triggered, use random
-    return getRandomMove(availableMoves);
+    lastAiMove = availableMoves.includes(move) ? move : getRandomMove(availableMoves);
+    return lastAiMove;
 }
 
 /**
- * Get a move for the impossible AI that always counters the player's move
- * @param {Array} availableMoves - The moves available to the AI
- * @returns {string} - The AI's selected move
+ * Get the strategy for the current difficulty
+ * @returns {Object} - The strategy
  */
-function getImpossibleMove(availableMoves) {
-    // If we know the current player move, counter it directly
-    if (currentPlayerMove && moveHistory[currentPlayerMove] !== undefined) {
-        const counterMove = getCounterMove(currentPlayerMove);
-        
-        // If counter move is available, use it
-        if (availableMoves.includes(counterMove)) {
-            return counterMove;
-        }
+function getStrategy() {
+    if (!difficultyStrategy && !botStrategy) {
+        loadStrategy();
+    }
+    return difficultyStrategy || botStrategy;
+}
+
+/**
+ * Give a strategy that thinks ahead (like a custom bot) the next round's context
+ */
+function prepareNextMove() {
+    const strategy = getStrategy();
+    if (currentPersonality || typeof strategy.prepareMove !== 'function') {
+        movePreparation = Promise.resolve();
+        return;
     }
     
-    // If we can't counter directly, fall back to strategic
-    return getStrategicMove(availableMoves);
+    const availableMoves = lastAvailableMoves || getAvailableMoves();
+    movePreparation = strategy.prepareMove(createStrategyContext(roundHistory, availableMoves, getActiveRuleset()));
 }
 
 /**
- * Get a random move for the AI
- * @param {Array} availableMoves - The moves available to the AI
- * @returns {string} - A random move
+ * Wait until the AI is ready to choose its next move straight away
+ * Custom bots think in the background; built-in difficulties are always ready
+ * @returns {Promise} - Settles once the next move is ready (or the bot ran out of time)
  */
-export function getRandomMove(availableMoves) {
-    const randomIndex = Math.floor(Math.random() * availableMoves.length);
-    return availableMoves[randomIndex];
+export function whenMoveReady() {
+    return movePreparation;
 }
 
 /**
- * Get the counter move that beats the given move
- * @param {string} move - The move to counter
- * @returns {string} - The counter move
+ * Create the strategy for the current difficulty, stopping any previous custom bot
+ * A bot that no longer exists is replaced by Median Mind
  */
-function getCounterMove(move) {
-    switch (move) {
-        case 'rock':
-            return 'paper';
-        case 'paper':
-            return 'scissors';
-        case 'scissors':
-            return 'rock';
-        case 'fire':
-            return 'rock'; // Assuming rock counters fire
-        default:
-            return 'rock';
+function loadStrategy() {
+    if (botStrategy) {
+        botStrategy.terminate();
+        botStrategy = null;
     }
+    difficultyStrategy = null;
+    
+    const bot = customBots.getBot(currentDifficulty);
+    if (bot) {
+        botStrategy = createWorkerBot(bot);
+        return;
+    }
+    
+    const difficulty = Object.values(DIFFICULTY_LEVELS).includes(currentDifficulty) ? currentDifficulty : DIFFICULTY_LEVELS.MEDIUM;
+    difficultyStrategy = createDifficultyStrategy(difficulty, {
+        adaptiveState: getData('adaptiveAi'),
+        // Impossible counters the player's move when it is known before the AI chooses
+        peek: () => currentPlayerMove
+    });
+}
+
+/**
+ * Check if a difficulty is a built-in level or a saved custom bot
+ * @param {string} difficulty - The difficulty ID
+ * @returns {boolean} - Whether the difficulty can be selected
+ */
+function isValidDifficulty(difficulty) {
+    return Object.values(DIFFICULTY_LEVELS).includes(difficulty) || Boolean(customBots.getBot(difficulty));
+}
+
+/**
+ * Get a random move for the AI
+ * @param {Array} availableMoves - The moves available to the AI
+ * @returns {string} - A random move
+ */
+export function getRandomMove(availableMoves) {
+    return pick(availableMoves);
 }
 
 /**
@@ -340,15 +407,131 @@ function getCounterMove(move) {
  * @param {string} difficulty - The difficulty level to set
  */
 export function setDifficulty(difficulty) {
-    if (Object.values(DIFFICULTY_LEVELS).includes(difficulty)) {
-        currentDifficulty = difficulty;
+    if (isValidDifficulty(difficulty)) {
         setData('aiDifficulty', difficulty);
-        resetMoveHistory(); // Reset history when changing difficulty
+        
+        // While another opponent is being played, the choice applies once it is done
+        if (chosenOpponent) {
+            chosenOpponent.difficulty = difficulty;
+            return;
+        }
+        
+        currentDifficulty = difficulty;
+        loadStrategy();
+        resetMoveHistory(); // Start the new difficulty from what is remembered about the player
     } else {
         console.error(`Invalid AI difficulty: ${difficulty}`);
     }
 }
 
+/**
+ * Set the AI personality, which is played instead of the difficulty level
+ * @param {string|null} personalityId - The personality ID, or null to play the difficulty level
+ */
+export function setPersonality(personalityId) {
+    if (personalityId && !getPersonality(personalityId)) {
+        console.error(`Invalid AI personality: ${personalityId}`);
+        return;
+    }
+    
+    setData('aiPersonality', personalityId || null);
+    
+    // While another opponent is being played, the choice applies once it is done
+    if (chosenOpponent) {
+        chosenOpponent.personality = personalityId || null;
+        return;
+    }
+    
+    currentPersonality = personalityId || null;
+    resetMoveHistory(); // A new opponent starts with a clean slate
+}
+
+/**
+ * Have the player face a particular opponent for a while, without changing the one chosen in settings
+ * @param {Object|null} opponent - The opponent ({ difficulty, personality }), or null to go back to the chosen one
+ */
+export function playOpponent(opponent) {
+    if (!opponent && !chosenOpponent) return;
+    
+    // Remember the chosen opponent the first time it is replaced
+    if (opponent && !chosenOpponent) {
+        chosenOpponent = { difficulty: currentDifficulty, personality: currentPersonality };
+    }
+    
+    const next = opponent || chosenOpponent;
+    if (!opponent) {
+        chosenOpponent = null;
+    }
+    
+    currentDifficulty = isValidDifficulty(next.difficulty) ? next.difficulty : DIFFICULTY_LEVELS.MEDIUM;
+    currentPersonality = getPersonality(next.personality) ? next.personality : null;
+    loadStrategy();
+    resetMoveHistory(); // A new opponent starts from what is remembered about the player
+}
+
+/**
+ * Get the current AI personality
+ * @returns {string|null} - The current personality ID, or null if the difficulty level is played
+ */
+export function getCurrentPersonality() {
+    return currentPersonality;
+}
+
+/**
+ * Get all personalities with their details
+ * @returns {Array} - Array of personality objects ({ id, name, avatar, description })
+ */
+export function getAllPersonalities() {
+    return PERSONALITIES.map(({ id, name, avatar, description }) => ({ id, name, avatar, description }));
+}
+
+/**
+ * Get the player's record against each personality
+ * @returns {Object} - Personality ID -> { wins, losses, draws } from the player's perspective
+ */
+export function getPersonalityRecords() {
+    return getData('personalityStats') || {};
+}
+
+/**
+ * Add a round outcome to the player's record against a personality
+ * @param {string} personalityId - The personality ID
+ * @param {string} outcome - 'win', 'loss', or 'draw' from AI perspective
+ */
+function recordPersonalityOutcome(personalityId, outcome) {
+    const records = getPersonalityRecords();
+    const record = records[personalityId] || { wins: 0, losses: 0, draws: 0 };
+    
+    if (outcome === 'loss') {
+        record.wins++;
+    } else if (outcome === 'win') {
+        record.losses++;
+    } else if (outcome === 'draw') {
+        record.draws++;
+    }
+    
+    records[personalityId] = record;
+    setData('personalityStats', records);
+}
+
+/**
+ * Get the name of the current opponent (personality or difficulty level)
+ * @returns {string} - The opponent's display name
+ */
+export function getCurrentOpponentName() {
+    const personality = getPersonality(currentPersonality);
+    return personality ? personality.name : getCurrentDifficultyDisplayName();
+}
+
+/**
+ * Get the avatar of the current opponent (personality or difficulty level)
+ * @returns {string} - The opponent's avatar emoji
+ */
+export function getCurrentOpponentAvatar() {
+    const personality = getPersonality(currentPersonality);
+    return personality ? personality.avatar : getCurrentDifficultyAvatar();
+}
+
 /**
  * Get the current AI difficulty level
  * @returns {string} - The current difficulty level
@@ -369,10 +552,16 @@ export function getCurrentDifficultyDisplayName() {
             return 'Median Mind';
         case DIFFICULTY_LEVELS.HARD:
             return 'Mindbreaker';
+        case DIFFICULTY_LEVELS.IOCAINE:
+            return 'Iocaine';
         case DIFFICULTY_LEVELS.IMPOSSIBLE:
             return 'Impossible';
-        default:
-            return 'Median Mind';
+        case DIFFICULTY_LEVELS.ADAPTIVE:
+            return 'Adaptive';
+        default: {
+            const bot = customBots.getBot(currentDifficulty);
+            return bot ? bot.name : 'Median Mind';
+        }
     }
 }
 
@@ -388,46 +577,107 @@ export function getCurrentDifficultyEmoji() {
             return '😐';
         case DIFFICULTY_LEVELS.HARD:
             return '😈';
+        case DIFFICULTY_LEVELS.IOCAINE:
+            return '🧪';
         case DIFFICULTY_LEVELS.IMPOSSIBLE:
             return '👹';
+        case DIFFICULTY_LEVELS.ADAPTIVE:
+            return '🎯';
         default:
-            return '😐';
+            return botStrategy ? BOT_EMOJI : '😐';
     }
 }
 
 /**
  * Get all available difficulty levels with their details
- * @returns {Array} - Array of difficulty level objects
+ * @returns {Array} - Array of difficulty level objects (details is the longer text shown in settings)
  */
 export function getAllDifficultyLevels() {
+    const bots = customBots.getBots().map(bot => ({
+        id: bot.id,
+        name: bot.name,
+        description: 'Custom bot',
+        details: `A bot written in JavaScript. It runs in the background and has ${MOVE_TIME_BUDGET}ms to choose each move, or it plays at random.`,
+        emoji: BOT_EMOJI,
+        custom: true
+    }));
+    
     return [
         {
             id: DIFFICULTY_LEVELS.EASY,
             name: 'Noobron',
             description: 'Chill, always makes mistakes',
+            details: 'Chill, always makes mistakes. Great for beginners or casual play.',
             emoji: '😊'
         },
         {
             id: DIFFICULTY_LEVELS.MEDIUM,
             name: 'Median Mind',
             description: 'Keeps things fair',
+            details: 'Keeps things fair. A balanced challenge for most players.',
             emoji: '😐'
         },
         {
             id: DIFFICULTY_LEVELS.HARD,
             name: 'Mindbreaker',
             description: 'Forces you to think harder',
+            details: 'Forces you to think harder. Learns your habits, cycles and how you react to wins and losses, then counters them.',
             emoji: '😈'
         },
+        {
+            id: DIFFICULTY_LEVELS.IOCAINE,
+            name: 'Iocaine',
+            description: 'Thinks about what you think it thinks',
+            details: 'Runs several strategies at once, second- and third-guesses each of them and plays whichever has been working. Beatable, but only just.',
+            emoji: '🧪'
+        },
         {
             id: DIFFICULTY_LEVELS.IMPOSSIBLE,
             name: 'Impossible',
             description: 'Impossible to Beat',
+            details: 'Impossible to Beat. Only for those seeking the ultimate challenge! With Fair Play on it has to guess like everyone else.',
             emoji: '👹'
-        }
+        },
+        {
+            id: DIFFICULTY_LEVELS.ADAPTIVE,
+            name: 'Adaptive',
+            description: 'Matches your skill',
+            details: 'Tunes how hard it plays, and which of your habits it trusts, to keep you near the target win rate below.',
+            emoji: '🎯'
+        },
+        ...bots
     ];
 }
 
+/**
+ * Get the adaptive AI's current calibration
+ * @returns {Object} - The tuning state ({ targetWinRate, skill, winRate, trust, rounds })
+ */
+export function getAdaptiveState() {
+    return getAdaptiveStrategy().getAdaptiveState();
+}
+
+/**
+ * Set the win rate the adaptive AI aims for
+ * @param {number} rate - Target share of decisive rounds the player should win (0-1)
+ */
+export function setAdaptiveTargetWinRate(rate) {
+    const strategy = getAdaptiveStrategy();
+    strategy.setTargetWinRate(rate);
+    setData('adaptiveAi', strategy.getAdaptiveState());
+}
+
+/**
+ * Get the Adaptive strategy: the one being played, or one loaded from the saved calibration
+ * @returns {Object} - The strategy
+ */
+function getAdaptiveStrategy() {
+    if (currentDifficulty === DIFFICULTY_LEVELS.ADAPTIVE && difficultyStrategy) {
+        return difficultyStrategy;
+    }
+    return createDifficultyStrategy(DIFFICULTY_LEVELS.ADAPTIVE, { adaptiveState: getData('adaptiveAi') });
+}
+
 /**
  * Get the AI avatar based on the current difficulty
  * @returns {string} - The avatar emoji for the current difficulty
@@ -440,10 +690,14 @@ export function getCurrentDifficultyAvatar() {
             return '🤖'; // Robot for Median Mind
         case DIFFICULTY_LEVELS.HARD:
             return '👾'; // Alien monster for Mindbreaker
+        case DIFFICULTY_LEVELS.IOCAINE:
+            return '🧙'; // Mage for Iocaine
         case DIFFICULTY_LEVELS.IMPOSSIBLE:
             return '👹'; // Ogre for Impossible
+        case DIFFICULTY_LEVELS.ADAPTIVE:
+            return '🎛️'; // Control knobs for Adaptive
         default:
-            return '🤖';
+            return botStrategy ? '🦾' : '🤖'; // Mechanical arm for custom bots
     }
 }
 
@@ -455,14 +709,18 @@ export function updateAiIndicators() {
     // Update AI avatar
     const aiAvatar = document.getElementById('ai-avatar');
     if (aiAvatar) {
-        aiAvatar.textContent = getCurrentDifficultyAvatar();
-        aiAvatar.title = getCurrentDifficultyDisplayName();
+        aiAvatar.textContent = getCurrentOpponentAvatar();
+        aiAvatar.title = getCurrentOpponentName();
         
         // Clear existing classes
         aiAvatar.className = 'avatar-small';
         
-        // Add class based on difficulty
-        aiAvatar.classList.add(`ai-${getCurrentDifficulty()}-difficulty`);
+        // Add class based on difficulty (personalities and custom bots each share one style)
+        if (currentPersonality) {
+            aiAvatar.classList.add('ai-personality');
+        } else {
+            aiAvatar.classList.add(botStrategy ? 'ai-custom-bot' : `ai-${getCurrentDifficulty()}-difficulty`);
+        }
     }
     
     // For backward compatibility, also update the mode indicator if it exists
@@ -486,6 +744,7 @@ export default {
     getComputerMove,
     getRandomMove,
     setDifficulty,
+    playOpponent,
     getCurrentDifficulty,
     getCurrentDifficultyDisplayName,
     getCurrentDifficultyEmoji,
@@ -493,6 +752,20 @@ export default {
     recordPlayerMove,
     recordGameOutcome,
     resetMoveHistory,
+    playFresh,
+    whenMoveReady,
+    forgetPlayer,
+    getLastExplanation,
+    getHeuristicRecord,
+    getAdaptiveState,
+    setAdaptiveTargetWinRate,
+    setPersonality,
+    getCurrentPersonality,
+    getAllPersonalities,
+    getPersonalityRecords,
+    getCurrentOpponentName,
+    getCurrentOpponentAvatar,
     updateAiIndicators,
-    DIFFICULTY_LEVELS
+    DIFFICULTY_LEVELS,
+    HEURISTICS
 }; 
\ No newline at end of file
@@ -5,6 +5,7 @@
 
 import { getData, setData } from '../settings/storage.js';
 import * as sound from './sound.js';
+import aiModes from './aiModes.js';
 
 // Default profile
 const DEFAULT_PROFILE = {
@@ -12,6 +13,15 @@ const DEFAULT_PROFILE = {
     avatar: '👤'
 };
 
+// Default profile of the second player in two-player games
+const DEFAULT_SECOND_PROFILE = {
+    name: 'Player 2',
+    avatar: '🦊'
+};
+
+// Avatars that can be chosen
+export const AVATARS = ['👤', '🤖', '👽', '🦊', '🐱', '🐺'];
+
 // Current profile
 let currentProfile = { ...DEFAULT_PROFILE };
 
@@ -103,6 +113,8 @@ export function selectAvatar(avatar) {
  * Save the profile
  */
 function saveProfile() {
+    const previousName = currentProfile.name;
+    
     // Get name from input
     const nameInput = document.getElementById('player-name-input');
     if (nameInput && nameInput.value.trim()) {
@@ -112,6 +124,11 @@ function saveProfile() {
     // Save to localStorage
     setData('profile', currentProfile);
     
+    // The AI remembers each player by name
+    if (currentProfile.name !== previousName) {
+        aiModes.resetMoveHistory();
+    }
+    
     // Update UI
     updateProfileDisplay();
     
@@ -167,19 +184,54 @@ export function getCurrentProfile() {
     return { ...currentProfile };
 }
 
+/**
+ * Get the profile of the second player in two-player games
+ * @returns {Object} The second player's profile ({ name, avatar })
+ */
+export function getSecondProfile() {
+    return { ...DEFAULT_SECOND_PROFILE, ...(getData('secondProfile') || {}) };
+}
+
+/**
+ * Change the second player's profile
+ * @param {Object} changes - The name and/or avatar to change
+ */
+export function setSecondProfile(changes) {
+    const profile = { ...getSecondProfile(), ...changes };
+    
+    // A blank name keeps the previous one, as does the first player's name (their stats would be mixed up)
+    profile.name = String(profile.name).trim();
+    if (!profile.name || profile.name.toLowerCase() === currentProfile.name.trim().toLowerCase()) {
+        profile.name = getSecondProfile().name;
+    }
+    if (!AVATARS.includes(profile.avatar)) {
+        profile.avatar = DEFAULT_SECOND_PROFILE.avatar;
+    }
+    
+    setData('secondProfile', profile);
+}
+
 /**
  * Reset the profile to default
  */
 export function resetProfile() {
+    const previousName = currentProfile.name;
     currentProfile = { ...DEFAULT_PROFILE };
     setData('profile', currentProfile);
     updateProfileDisplay();
+    
+    if (currentProfile.name !== previousName) {
+        aiModes.resetMoveHistory();
+    }
 }
 
 export default {
     init,
     setupAvatarSelectors,
+    AVATARS,
     getCurrentProfile,
+    getSecondProfile,
+    setSecondProfile,
     resetProfile,
     selectAvatar
 }; 
\ No newline at end of file
@@ -6,15 +6,17 @@
 import { getData, setData } from '../settings/storage.js';
 import * as sound from './sound.js';
 import * as ui from '../ui.js';
+import { random, pick, shuffle } from '../utils/random.js';
+import { BONUS_ROUND_CHANCE, BONUS_TYPES, POWER_UPS, resolveBonusResult, getBonusMultiplier } from '../game/bonusRules.js';
 
-// Configuration
-const BONUS_ROUND_CHANCE = 0.2; // 20% chance for bonus round (1 in 5)
+// The bonus round and power-up rules live in game/bonusRules.js, where the game server can replay them
+export { BONUS_ROUND_CHANCE, BONUS_TYPES, POWER_UPS };
 
-// Bonus round types
-const BONUS_TYPES = {
-    DOUBLE_POINTS: 'double-points',
-    REVERSE_RULES: 'reverse-rules',
-    CHAOS_MODE: 'chaos-mode'
+// Power-up names, icons and descriptions
+const POWER_UP_DETAILS = {
+    [POWER_UPS.PEEK]: { name: 'Peek', icon: '👀', description: "See the AI's most likely move" },
+    [POWER_UPS.SHIELD]: { name: 'Shield', icon: '🛡️', description: 'Your next lost round costs no life' },
+    [POWER_UPS.REDO]: { name: 'Redo', icon: '⏪', description: 'Your next lost round is played again' }
 };
 
 // State
@@ -71,7 +73,7 @@ export function shouldActivateBonusRound() {
     // If bonus rounds are disabled, never activate
     if (!isBonusEnabled) return false;
     
-    return Math.random() < BONUS_ROUND_CHANCE;
+    return random('bonus') < BONUS_ROUND_CHANCE;
 }
 
 /**
@@ -88,8 +90,7 @@ export function activateRandomBonusRound() {
     const bonusTypes = Object.values(BONUS_TYPES);
     
     // Select a random bonus type
-    const randomIndex = Math.floor(Math.random() * bonusTypes.length);
-    const selectedBonus = bonusTypes[randomIndex];
+    const selectedBonus = pick(bonusTypes, 'bonus');
     
     // Activate the selected bonus round
     activateBonusRound(selectedBonus);
@@ -161,10 +162,7 @@ function applyChaosMode() {
     const labels = Array.from(moveButtons).map(btn => btn.textContent);
     
     // Shuffle labels
-    for (let i = labels.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [labels[i], labels[j]] = [labels[j], labels[i]];
-    }
+    shuffle(labels, 'bonus');
     
     // Apply shuffled labels
     moveButtons.forEach((button, index) => {
@@ -219,6 +217,54 @@ function cleanupChaosMode() {
     originalMoveButtons = {};
 }
 
+/**
+ * Get a power-up's name, icon and description
+ * @param {string} powerUp - One of POWER_UPS
+ * @returns {Object|null} The details ({ name, icon, description }), or null for an unknown power-up
+ */
+export function getPowerUpDetails(powerUp) {
+    return POWER_UP_DETAILS[powerUp] || null;
+}
+
+/**
+ * Show a power-up being used, with the bonus round notification and glow
+ * @param {string} powerUp - One of POWER_UPS
+ * @param {Object} options - { message: shown instead of the description, lasting: keep glowing until endPowerUp }
+ */
+export function activatePowerUp(powerUp, { message = null, lasting = false } = {}) {
+    const details = getPowerUpDetails(powerUp);
+    if (!details) {
+        console.error(`Invalid power-up: ${powerUp}`);
+        return;
+    }
+    
+    // A lasting power-up glows on the game area like a bonus round
+    const gameArea = document.querySelector('.game-area');
+    if (gameArea && lasting) {
+        gameArea.classList.add('power-up', `power-up-${powerUp}`);
+    }
+    
+    showNotification(details.icon, `${details.name}!`, message || details.description);
+    sound.play('bonusRound');
+}
+
+/**
+ * Stop showing a lasting power-up
+ * @param {string} powerUp - One of POWER_UPS
+ */
+export function endPowerUp(powerUp) {
+    const gameArea = document.querySelector('.game-area');
+    if (!gameArea) return;
+    
+    gameArea.classList.remove(`power-up-${powerUp}`);
+    
+    // Keep the glow while another power-up is still active
+    const stillActive = Object.values(POWER_UPS).some(other => gameArea.classList.contains(`power-up-${other}`));
+    if (!stillActive) {
+        gameArea.classList.remove('power-up');
+    }
+}
+
 /**
  * Show a notification about the bonus round
  * @param {string} bonusType - The type of bonus round
@@ -248,6 +294,16 @@ function showBonusRoundNotification(bonusType) {
             icon = "🎁";
     }
     
+    showNotification(icon, title, description);
+}
+
+/**
+ * Show a bonus round style notification
+ * @param {string} icon - The notification's icon
+ * @param {string} title - The notification's title
+ * @param {string} description - The notification's text
+ */
+export function showNotification(icon, title, description) {
     // Create notification element
     const notification = document.createElement('div');
     notification.className = 'bonus-notification';
@@ -292,70 +348,7 @@ export function getCurrentBonusType() {
  * @returns {string} The modified result
  */
 export function modifyResult(result, playerMove, aiMove) {
-    if (!currentBonusType) return result;
-    
-    switch (currentBonusType) {
-        case BONUS_TYPES.REVERSE_RULES:
-            return modifyResultForReverseRules(result, playerMove, aiMove);
-        default:
-            return result;
-    }
-}
-
-/**
- * Modify the game result for reverse rules bonus round
- * @param {string} result - The original result
- * @param {string} playerMove - The player's move
- * @param {string} aiMove - The AI's move
- * @returns {string} The modified result
- */
-function modifyResultForReverseRules(result, playerMove, aiMove) {
-    // If it's a draw, keep it a draw
-    if (playerMove === aiMove) return 'draw';
-    
-    // Reversed rules:
-    // - Rock beats Paper (instead of Paper beats Rock)
-    // - Paper beats Scissors (instead of Scissors beats Paper) 
-    // - Scissors beats Rock (instead of Rock beats Scissors)
-    // - Fire still beats Paper and Scissors, and Rock still beats Fire
-    
-    if (
-        (playerMove === 'rock' && aiMove === 'paper') ||
-        (playerMove === 'paper' && aiMove === 'scissors') ||
-        (playerMove === 'scissors' && aiMove === 'rock')
-    ) {
-        return 'win';
-    }
-    
-    if (
-        (playerMove === 'paper' && aiMove === 'rock') ||
-        (playerMove === 'scissors' && aiMove === 'paper') ||
-        (playerMove === 'rock' && aiMove === 'scissors')
-    ) {
-        return 'lose';
-    }
-    
-    // For Fire, keep the regular rules
-    if (playerMove === 'fire') {
-        if (aiMove === 'scissors' || aiMove === 'paper') {
-            return 'win';
-        }
-        if (aiMove === 'rock') {
-            return 'lose';
-        }
-    }
-    
-    if (aiMove === 'fire') {
-        if (playerMove === 'scissors' || playerMove === 'paper') {
-            return 'lose';
-        }
-        if (playerMove === 'rock') {
-            return 'win';
-        }
-    }
-    
-    // Fallback to original result
-    return result;
+    return resolveBonusResult(currentBonusType, result, playerMove, aiMove);
 }
 
 /**
@@ -363,10 +356,7 @@ function modifyResultForReverseRules(result, playerMove, aiMove) {
  * @returns {number} The score multiplier (1 for normal, 2 for double points, etc.)
  */
 export function getScoreMultiplier() {
-    if (currentBonusType === BONUS_TYPES.DOUBLE_POINTS) {
-        return 2;
-    }
-    return 1;
+    return getBonusMultiplier(currentBonusType);
 }
 
 export default {
@@ -381,5 +371,11 @@ export default {
     getCurrentBonusType,
     modifyResult,
     getScoreMultiplier,
-    BONUS_TYPES
+    getPowerUpDetails,
+    activatePowerUp,
+    endPowerUp,
+    showNotification,
+    BONUS_ROUND_CHANCE,
+    BONUS_TYPES,
+    POWER_UPS
 }; 
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * Custom Bots module for Rock Paper Battle
+ * Stores the user-written bots that can be picked as an AI difficulty
+ */
+
+import { getData, setData } from '../settings/storage.js';
+import { MAX_SOURCE_LENGTH } from '../ai/workerBot.js';
+
+// Every bot ID starts with this, so bots can never clash with a built-in difficulty
+const BOT_ID_PREFIX = 'bot_';
+
+// Longest allowed bot name
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * Get all saved bots
+ * @returns {Array} Array of bots ({ id, name, source })
+ */
+export function getBots() {
+    return getData('customBots') || [];
+}
+
+/**
+ * Get a saved bot by ID
+ * @param {string} botId - The bot ID
+ * @returns {Object|null} The bot, or null if there is none with that ID
+ */
+export function getBot(botId) {
+    return getBots().find(bot => bot.id === botId) || null;
+}
+
+/**
+ * Check if an ID belongs to a custom bot (saved or not)
+ * @param {string} id - The ID to check
+ * @returns {boolean} Whether the ID is a bot ID
+ */
+export function isBotId(id) {
+    return typeof id === 'string' && id.startsWith(BOT_ID_PREFIX);
+}
+
+/**
+ * Check that a bot has a usable name and source
+ * Whether the code actually plays is checked separately by running it (see workerBot.testBot)
+ * @param {Object} bot - The bot ({ name, source })
+ * @returns {Object} Validation result ({ valid, errors })
+ */
+export function validateBot(bot) {
+    const errors = [];
+    const name = typeof bot.name === 'string' ? bot.name.trim() : '';
+    const source = typeof bot.source === 'string' ? bot.source : '';
+
+    if (!name) {
+        errors.push('Give the bot a name');
+    } else if (name.length > MAX_NAME_LENGTH) {
+        errors.push(`Bot names can be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (!source.trim()) {
+        errors.push('The bot has no code');
+    } else if (source.length > MAX_SOURCE_LENGTH) {
+        errors.push(`Bot code can be at most ${MAX_SOURCE_LENGTH} characters`);
+    } else if (!/chooseMove/.test(source)) {
+        errors.push('The bot must define a chooseMove(context) function');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Save a bot, replacing any saved bot with the same ID
+ * @param {Object} bot - The bot ({ id, name, source }); a new ID is made if it has none
+ * @returns {Object} Validation result ({ valid, errors, bot })
+ */
+export function saveBot(bot) {
+    const validation = validateBot(bot);
+    if (!validation.valid) {
+        return validation;
+    }
+
+    const savedBot = {
+        id: isBotId(bot.id) ? bot.id : `${BOT_ID_PREFIX}${Date.now().toString(36)}`,
+        name: bot.name.trim(),
+        source: bot.source
+    };
+
+    const bots = getBots().filter(existing => existing.id !== savedBot.id);
+    bots.push(savedBot);
+    setData('customBots', bots);
+
+    return { ...validation, bot: savedBot };
+}
+
+/**
+ * Delete a bot
+ * @param {string} botId - The ID of the bot to delete
+ */
+export function deleteBot(botId) {
+    setData('customBots', getBots().filter(bot => bot.id !== botId));
+}
+
+export default {
+    getBots,
+    getBot,
+    isBotId,
+    validateBot,
+    saveBot,
+    deleteBot
+};
@@ -0,0 +1,350 @@
+/**
+ * Fair Play module for Rock Paper Battle
+ * Commit-reveal rounds: the AI locks in its move and publishes a SHA-256 hash of it
+ * before the player chooses, then reveals the move and nonce so the hash can be checked.
+ * On a leaderboard run the AI plays on the game server, which locks in and reveals its moves the same way.
+ */
+
+import { getData, setData } from '../settings/storage.js';
+import { getMoveEmoji } from '../game/logic.js';
+import * as aiModes from './aiModes.js';
+
+// Number of random bytes in each nonce
+const NONCE_BYTES = 16;
+
+// State
+let isFairPlayEnabled = false;
+let commitment = null; // { move, nonce, preimage, hash, remote } for the round in progress
+let verificationLog = []; // Revealed rounds of the current match
+
+// DOM elements
+let commitmentElement = null;
+let logButton = null;
+let logPanel = null;
+
+/**
+ * Initialize the fair play system
+ */
+export function init() {
+    // Load fair play setting from localStorage
+    const fairPlayEnabled = getData('fairPlay');
+    if (fairPlayEnabled !== undefined) {
+        isFairPlayEnabled = fairPlayEnabled && isSupported();
+    } else {
+        // Default to disabled
+        setData('fairPlay', false);
+        isFairPlayEnabled = false;
+    }
+
+    commitmentElement = document.getElementById('fair-play-commitment');
+    logButton = document.getElementById('fair-play-log-btn');
+    logPanel = document.getElementById('fair-play-log');
+
+    // Toggle the verification log on the results screen
+    if (logButton) {
+        logButton.addEventListener('click', () => {
+            const isHidden = logPanel.classList.toggle('hidden');
+            logButton.setAttribute('aria-expanded', String(!isHidden));
+            if (!isHidden) {
+                renderVerificationLog();
+            }
+        });
+    }
+
+    updateFairPlayUI();
+}
+
+/**
+ * Check whether the browser can hash moves (Web Crypto needs a secure context)
+ * @returns {boolean} Whether fair play can be used
+ */
+export function isSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof crypto.getRandomValues === 'function';
+}
+
+/**
+ * Check if fair play is enabled
+ * @returns {boolean} Whether fair play is enabled
+ */
+export function isEnabled() {
+    return isFairPlayEnabled;
+}
+
+/**
+ * Enable or disable fair play
+ * @param {boolean} enabled - Whether fair play should be enabled
+ */
+export function setEnabled(enabled) {
+    isFairPlayEnabled = Boolean(enabled) && isSupported();
+    setData('fairPlay', isFairPlayEnabled);
+
+    // A commitment made under the old setting no longer applies
+    commitment = null;
+    updateFairPlayUI();
+}
+
+/**
+ * Start a new match with an empty verification log
+ */
+export function startMatch() {
+    verificationLog = [];
+    commitment = null;
+
+    if (logPanel) {
+        logPanel.classList.add('hidden');
+    }
+    updateFairPlayUI();
+}
+
+/**
+ * Have the AI commit to its move for the next round
+ * Must be called before the player can choose; does nothing if a commitment is already pending
+ * @param {Array} availableMoves - The moves available to the AI
+ */
+export function commitMove(availableMoves) {
+    if (!isFairPlayEnabled || commitment) return;
+
+    const pending = { move: null, nonce: null, preimage: null, hash: null };
+    commitment = pending;
+
+    // Custom bots work out their move in the background
+    aiModes.whenMoveReady().then(() => {
+        // The round may already have been played without a commitment
+        if (commitment !== pending) return;
+
+        // The player's move is not known yet, so no difficulty can peek at it
+        pending.move = aiModes.getComputerMove(availableMoves);
+        pending.nonce = createNonce();
+        pending.preimage = `${pending.move}:${pending.nonce}`;
+
+        hashText(pending.preimage).then(hash => {
+            pending.hash = hash;
+            if (commitment === pending) {
+                updateFairPlayUI();
+            }
+        });
+    });
+
+    updateFairPlayUI();
+}
+
+/**
+ * Reveal the committed move for the round being played
+ * The revealed move is logged and its hash is checked against the published commitment
+ * @param {Array} availableMoves - The moves available to the AI
+ * @returns {string|null} The committed move, or null if there is no usable commitment
+ */
+export function revealMove(availableMoves) {
+    if (!isFairPlayEnabled || !commitment) return null;
+
+    const revealed = commitment;
+    commitment = null;
+
+    // The AI was still choosing, or the move list changed since the commitment (e.g. the variant was switched)
+    if (!revealed.move || !availableMoves.includes(revealed.move)) {
+        updateFairPlayUI();
+        return null;
+    }
+
+    logReveal(revealed.move, revealed.nonce, revealed.hash);
+    updateFairPlayUI();
+    return revealed.move;
+}
+
+/**
+ * Publish the hash of the move the game server's AI locked in for the next round
+ * Must be called before the player can choose, as commitMove is
+ * @param {Promise<string|null>} hash - Resolves to the hash once the server sends it (null if it never does)
+ */
+export function commitRemoteMove(hash) {
+    if (!isFairPlayEnabled || commitment) return;
+
+    const pending = { move: null, nonce: null, preimage: null, hash: null, remote: true };
+    commitment = pending;
+
+    hash.then(published => {
+        pending.hash = published;
+        if (commitment === pending) {
+            updateFairPlayUI();
+        }
+    });
+
+    updateFairPlayUI();
+}
+
+/**
+ * Close the game server's commitment for the round being played, as the player chooses
+ * @returns {Object|null} { hash }, where the hash is null if it wasn't shown in time, or null if there is no commitment
+ */
+export function closeRemoteMove() {
+    if (!isFairPlayEnabled || !commitment || !commitment.remote) return null;
+
+    const closed = { hash: commitment.hash };
+    commitment = null;
+    updateFairPlayUI();
+    return closed;
+}
+
+/**
+ * Reveal the move the game server's AI locked in, once the server has played the round
+ * @param {Object} closed - The commitment, as closed when the player chose
+ * @param {string} move - The AI's move
+ * @param {string} nonce - The nonce the server hashed the move with
+ */
+export function revealRemoteMove(closed, move, nonce) {
+    logReveal(move, nonce, closed.hash);
+    updateFairPlayUI();
+}
+
+/**
+ * Log a revealed move and check it against the hash that was published for it
+ * @param {string} move - The AI's move
+ * @param {string} nonce - The nonce it was hashed with
+ * @param {string|null} hash - The published hash
+ */
+function logReveal(move, nonce, hash) {
+    // A player who chose before the hash was published saw no commitment, so the round can't be verified
+    const entry = {
+        round: verificationLog.length + 1,
+        move,
+        nonce,
+        preimage: `${move}:${nonce}`,
+        hash,
+        verified: hash ? null : false
+    };
+    verificationLog.push(entry);
+
+    if (entry.hash) {
+        verifyEntry(entry).then(() => {
+            if (logPanel && !logPanel.classList.contains('hidden')) {
+                renderVerificationLog();
+            }
+        });
+    }
+}
+
+/**
+ * Check that a revealed move and nonce hash to the published commitment
+ * @param {Object} entry - The log entry to fill in
+ * @returns {Promise} Resolves once the entry is verified
+ */
+function verifyEntry(entry) {
+    return hashText(`${entry.move}:${entry.nonce}`)
+        .then(revealedHash => {
+            entry.verified = entry.hash === revealedHash;
+        })
+        .catch(error => {
+            console.error('Error verifying fair play commitment:', error);
+            entry.verified = false;
+        });
+}
+
+/**
+ * Get the verification log for the current match
+ * @returns {Array} Array of log entries ({ round, move, nonce, preimage, hash, verified })
+ */
+export function getVerificationLog() {
+    return verificationLog.map(entry => ({ ...entry }));
+}
+
+/**
+ * Hash text with SHA-256
+ * @param {string} text - The text to hash
+ * @returns {Promise<string>} The hex-encoded hash
+ */
+function hashText(text) {
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+        .then(buffer => toHex(new Uint8Array(buffer)));
+}
+
+/**
+ * Create a random nonce so the committed move cannot be guessed from its hash
+ * @returns {string} The hex-encoded nonce
+ */
+function createNonce() {
+    const bytes = new Uint8Array(NONCE_BYTES);
+    crypto.getRandomValues(bytes);
+    return toHex(bytes);
+}
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The hex string
+ */
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Update the commitment banner and the verification log button
+ */
+function updateFairPlayUI() {
+    if (commitmentElement) {
+        if (isFairPlayEnabled && commitment) {
+            commitmentElement.classList.remove('hidden');
+            commitmentElement.textContent = commitment.hash
+                ? `🔒 AI move locked in: ${commitment.hash.slice(0, 16)}…`
+                : '🔒 AI is locking in its move…';
+            commitmentElement.title = commitment.hash ? `SHA-256: ${commitment.hash}` : '';
+        } else {
+            commitmentElement.classList.add('hidden');
+        }
+    }
+
+    if (logButton) {
+        logButton.classList.toggle('hidden', !isFairPlayEnabled || verificationLog.length === 0);
+    }
+}
+
+/**
+ * Render the verification log on the results screen
+ */
+function renderVerificationLog() {
+    if (!logPanel) return;
+
+    logPanel.innerHTML = '';
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Each hash was shown before you chose. SHA-256 of "move:nonce" must match it.';
+    logPanel.appendChild(intro);
+
+    const list = document.createElement('ol');
+    list.className = 'fair-play-entries';
+
+    verificationLog.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'fair-play-entry';
+
+        const status = !entry.hash ? '⚠️' : entry.verified === null ? '⏳' : entry.verified ? '✅' : '❌';
+        const summary = document.createElement('div');
+        summary.textContent = `${status} Round ${entry.round}: AI played ${getMoveEmoji(entry.move)} ${entry.move}`;
+
+        const preimage = document.createElement('code');
+        preimage.textContent = entry.preimage;
+
+        const hash = document.createElement('code');
+        hash.textContent = entry.hash || 'Unverified: you chose before the hash was shown';
+
+        item.appendChild(summary);
+        item.appendChild(preimage);
+        item.appendChild(hash);
+        list.appendChild(item);
+    });
+
+    logPanel.appendChild(list);
+}
+
+export default {
+    init,
+    isSupported,
+    isEnabled,
+    setEnabled,
+    startMatch,
+    commitMove,
+    revealMove,
+    commitRemoteMove,
+    closeRemoteMove,
+    revealRemoteMove,
+    getVerificationLog
+};
@@ -0,0 +1,97 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import * as fairPlay from './fairPlay.js';
+
+const MOVES = ['rock', 'paper', 'scissors'];
+
+beforeEach(() => {
+    fairPlay.setEnabled(true);
+    fairPlay.startMatch();
+});
+
+/**
+ * Hash a move the way the game server does when its AI locks the move in (api/leaderboard.js)
+ * @param {string} move - The move
+ * @param {string} nonce - The nonce
+ * @returns {string} The SHA-256 hash, as hex
+ */
+function serverHash(move, nonce) {
+    return createHash('sha256').update(`${move}:${nonce}`).digest('hex');
+}
+
+/**
+ * Wait until every revealed move in the log has been checked
+ * @returns {Promise<Array>} The verification log
+ */
+async function settledLog() {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const log = fairPlay.getVerificationLog();
+        if (log.every(entry => entry.verified !== null)) return log;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error('The log was never verified');
+}
+
+test('fair play is available where Web Crypto is', () => {
+    assert.equal(fairPlay.isSupported(), true);
+    assert.equal(fairPlay.isEnabled(), true);
+});
+
+test("the AI's committed move is the one revealed, and its hash checks out", async () => {
+    // The AI picks its move, then hashes it, before the player chooses
+    fairPlay.commitMove(MOVES);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const move = fairPlay.revealMove(MOVES);
+    assert.ok(MOVES.includes(move));
+
+    const [entry] = await settledLog();
+    assert.equal(entry.move, move);
+    assert.equal(entry.preimage, `${move}:${entry.nonce}`);
+    assert.equal(entry.hash, serverHash(move, entry.nonce));
+    assert.equal(entry.verified, true);
+});
+
+test("the game server's move verifies against the hash it sent before the player chose", async () => {
+    fairPlay.commitRemoteMove(Promise.resolve(serverHash('paper', 'abc123')));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const closed = fairPlay.closeRemoteMove();
+    fairPlay.revealRemoteMove(closed, 'paper', 'abc123');
+
+    const [entry] = await settledLog();
+    assert.equal(entry.verified, true);
+});
+
+test("a move that doesn't match the hash fails verification", async () => {
+    fairPlay.commitRemoteMove(Promise.resolve(serverHash('paper', 'abc123')));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    fairPlay.revealRemoteMove(fairPlay.closeRemoteMove(), 'scissors', 'abc123');
+
+    const [entry] = await settledLog();
+    assert.equal(entry.verified, false);
+});
+
+test('a round played before the hash was shown is logged as unverified', async () => {
+    let publish = null;
+    fairPlay.commitRemoteMove(new Promise(resolve => { publish = resolve; }));
+
+    // The player chooses first, so a hash sent afterwards proves nothing
+    const closed = fairPlay.closeRemoteMove();
+    publish(serverHash('rock', 'abc123'));
+    fairPlay.revealRemoteMove(closed, 'rock', 'abc123');
+
+    const [entry] = await settledLog();
+    assert.equal(entry.hash, null);
+    assert.equal(entry.verified, false);
+});
+
+test('nothing is committed with fair play off', () => {
+    fairPlay.setEnabled(false);
+    fairPlay.commitMove(MOVES);
+
+    assert.equal(fairPlay.revealMove(MOVES), null);
+    assert.equal(fairPlay.closeRemoteMove(), null);
+});
@@ -0,0 +1,449 @@
+/**
+ * Leaderboard module for Rock Paper Battle
+ * Plays the runs that can count for a leaderboard with the game server (see api/leaderboard.js): an Endless or
+ * Survival run against the server's AI, and a Daily Challenge attempt against the day's script as the server has
+ * it, round by round. Also shows the leaderboard screen.
+ */
+
+import * as ui from '../ui.js';
+import * as sound from './sound.js';
+import * as avatar from './avatar.js';
+import * as aiModes from './aiModes.js';
+import * as fairPlay from './fairPlay.js';
+import * as speedMode from './speedMode.js';
+import * as bonusRound from './bonusRound.js';
+import { getPlayerId } from './ranked.js';
+import { getActiveRuleset, CLASSIC_RULESET } from '../game/rules.js';
+import { BOARDS, LEADERBOARD_DIFFICULTIES, findBoard } from '../game/replay.js';
+
+// Where the game server keeps the leaderboards
+const LEADERBOARD_API = '/api/leaderboard';
+
+// Board periods, as the game server names them
+const PERIODS = {
+    daily: 'Today',
+    weekly: 'This week',
+    all: 'All time'
+};
+
+// Runs handed out by the game server for the next run on each board (board ID -> { runId, seed }; a Daily Challenge
+// attempt's seed is null, as it follows from the date)
+const tickets = {};
+
+// Board, period and page shown on the leaderboard screen
+let shownBoard = BOARDS.endless.id;
+let shownPeriod = 'daily';
+let shownPage = 1;
+
+/**
+ * Initialize the leaderboard screen, and get seeds for the first runs
+ */
+export function init() {
+    const tabs = document.getElementById('leaderboard-tabs');
+    if (tabs) {
+        tabs.addEventListener('click', (event) => {
+            const tab = event.target.closest('.leaderboard-tab');
+            if (tab) {
+                shownBoard = tab.getAttribute('data-board');
+                shownPage = 1;
+                sound.play('click');
+                render();
+            }
+        });
+    }
+    
+    const period = document.getElementById('leaderboard-period');
+    if (period) {
+        period.addEventListener('change', () => {
+            shownPeriod = period.value;
+            shownPage = 1;
+            render();
+        });
+    }
+    
+    const previousButton = document.getElementById('leaderboard-prev');
+    if (previousButton) {
+        previousButton.addEventListener('click', () => changePage(-1));
+    }
+    
+    const nextButton = document.getElementById('leaderboard-next');
+    if (nextButton) {
+        nextButton.addEventListener('click', () => changePage(1));
+    }
+    
+    // A run is only played on the server once the server has handed it out, so have one ready before it starts
+    Object.values(BOARDS).forEach(board => fetchTicket(board.id));
+}
+
+/**
+ * Ask the game server for the player's next run on a board and the seed it is played with
+ * Without the server there is no run, and matches are played without counting
+ * @param {string} boardId - The board
+ */
+async function fetchTicket(boardId) {
+    try {
+        const response = await fetch(`${LEADERBOARD_API}/${boardId}/runs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ playerId: getPlayerId() })
+        });
+        if (response.ok) {
+            tickets[boardId] = await response.json();
+        }
+    } catch (error) {
+        delete tickets[boardId];
+    }
+}
+
+/**
+ * Check whether a run on a board can be played for the game server with the current settings
+ * @param {string} boardId - The board
+ * @returns {boolean} Whether the run can count
+ */
+function canCount(boardId) {
+    // The Daily Challenge brings its own opponent and moves
+    if (boardId === BOARDS.daily.id) return true;
+    
+    // Runs are played with the classic moves against a built-in level
+    if (getActiveRuleset().id !== CLASSIC_RULESET.id) return false;
+    if (boardId === BOARDS.survival.id) return speedMode.isEnabled();
+    
+    return !aiModes.getCurrentPersonality() && LEADERBOARD_DIFFICULTIES.includes(aiModes.getCurrentDifficulty());
+}
+
+/**
+ * Start a run for a board, if it can count for it
+ * @param {string} boardId - The board (nothing for a mode without one)
+ * @param {Object} modeSettings - Settings of the mode's own the run is played with ({ date } for the Daily Challenge)
+ * @returns {Object|null} The run ({ board, runId, seed, difficulty, fairPlay, bonusRounds, speedMode, date, rounds,
+ *     powerUps, requests, dropped }), or null if the match won't count (seed is null when the mode seeds the run itself)
+ */
+export function startRun(boardId, modeSettings = {}) {
+    if (!findBoard(boardId) || !canCount(boardId)) return null;
+    
+    // A run is only played once, so get the next one straight away
+    const ticket = tickets[boardId];
+    if (!ticket) return null;
+    delete tickets[boardId];
+    fetchTicket(boardId);
+    
+    const run = {
+        board: boardId,
+        runId: ticket.runId,
+        seed: ticket.seed,
+        difficulty: aiModes.getCurrentDifficulty(),
+        fairPlay: fairPlay.isEnabled(),
+        bonusRounds: bonusRound.isEnabled(),
+        speedMode: speedMode.isEnabled(),
+        date: modeSettings.date || null,
+        rounds: [],
+        powerUps: [],
+        requests: Promise.resolve(),
+        dropped: false
+    };
+    
+    // The server plays the run with the settings it starts with
+    send(run, 'start', {
+        difficulty: run.difficulty,
+        fairPlay: run.fairPlay,
+        bonusRounds: run.bonusRounds,
+        speedMode: run.speedMode,
+        date: run.date
+    });
+    return run;
+}
+
+/**
+ * Check whether a run is being played against the game server
+ * @param {Object|null} run - The run
+ * @returns {boolean} Whether the server chooses the AI's moves (false once the run has stopped counting)
+ */
+export function isLive(run) {
+    return Boolean(run) && !run.dropped;
+}
+
+/**
+ * Send a request about a run played on the game server, once the ones before it have been answered
+ * The run stops counting if the server turns the request down or can't be reached.
+ * @param {Object} run - The run
+ * @param {string} action - 'start', 'lock' or 'rounds'
+ * @param {Object} body - What to send
+ * @returns {Promise<Object|null>} The server's answer, or null if the run has stopped counting
+ */
+function send(run, action, body) {
+    run.requests = run.requests.then(async () => {
+        if (run.dropped) return null;
+        
+        try {
+            const response = await fetch(`${LEADERBOARD_API}/${run.board}/runs/${run.runId}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (response.ok) return result;
+            
+            dropRun(run, result.error);
+        } catch (error) {
+            console.error('Error playing the run on the game server:', error);
+            dropRun(run, "The game server couldn't be reached, so the AI plays on here.");
+        }
+        return null;
+    });
+    return run.requests;
+}
+
+/**
+ * Stop a run from counting, and tell the player why
+ * @param {Object} run - The run
+ * @param {string} reason - Why it won't count
+ */
+function dropRun(run, reason) {
+    run.dropped = true;
+    bonusRound.showNotification('🏆', "Your Run Won't Count", reason);
+}
+
+/**
+ * Have the game server's AI lock in its move for the next round of a fair play run, before the player chooses
+ * @param {Object} run - The run
+ * @param {boolean} secretMoveUnlocked - Whether the player can play Fire this round
+ */
+export function lockInMove(run, secretMoveUnlocked) {
+    if (!isLive(run) || !run.fairPlay) return;
+    
+    const reply = send(run, 'lock', { secretMove: secretMoveUnlocked });
+    fairPlay.commitRemoteMove(reply.then(result => (result ? result.hash : null)));
+}
+
+/**
+ * Note a power-up used before the next round, for the game server to play it with the round
+ * @param {Object|null} run - The run (nothing is noted without one)
+ * @param {string} powerUp - The power-up
+ */
+export function recordPowerUp(run, powerUp) {
+    if (!run) return;
+    
+    run.powerUps.push(powerUp);
+}
+
+/**
+ * Play a round of a run against the game server's AI
+ * @param {Object} run - The run
+ * @param {string} playerMove - The player's move
+ * @param {boolean} timedOut - Whether the speed mode timer chose the move
+ * @param {boolean} secretMoveUnlocked - Whether the player could play Fire
+ * @returns {Promise<string|null>} The AI's move, or null if the run has stopped counting
+ */
+export async function playRound(run, playerMove, timedOut, secretMoveUnlocked) {
+    // The player has chosen, so whatever hash they have seen is all the commitment they get
+    const commitment = fairPlay.closeRemoteMove();
+    
+    const round = { move: playerMove, timedOut, secretMove: secretMoveUnlocked };
+    if (run.powerUps.length > 0) {
+        round.powerUps = run.powerUps;
+        run.powerUps = [];
+    }
+    run.rounds.push(round);
+    
+    const result = await send(run, 'rounds', round);
+    if (!result) return null;
+    
+    if (commitment && result.nonce) {
+        fairPlay.revealRemoteMove(commitment, result.aiMove, result.nonce);
+    }
+    return result.aiMove;
+}
+
+/**
+ * Finish a run with the game server and tell the player where it placed
+ * The server scores the run once its last round has been answered, for the player it handed the run out to.
+ * @param {Object} run - The run
+ * @returns {Promise} Settles once the server has answered
+ */
+export async function submitRun(run) {
+    const board = BOARDS[run.board];
+    const profile = avatar.getCurrentProfile();
+    
+    await run.requests;
+    if (run.dropped) return;
+    
+    try {
+        const response = await fetch(`${LEADERBOARD_API}/${run.board}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ runId: run.runId, name: profile.name, avatar: profile.avatar })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            bonusRound.showNotification('🏆', "Your Run Didn't Count", result.error);
+            return;
+        }
+        
+        bonusRound.showNotification('🏆', board.name, `${board.scoreName}: ${result.score}. You're #${result.rank} today!`);
+    } catch (error) {
+        console.error('Error submitting the run to the leaderboard:', error);
+    }
+}
+
+/**
+ * Show the leaderboard screen
+ */
+export function showLeaderboard() {
+    shownPage = 1;
+    ui.showSection('leaderboard-screen');
+    sound.play('click');
+    render();
+}
+
+/**
+ * Go back to the main menu from the leaderboard screen
+ */
+export function hideLeaderboard() {
+    ui.showSection('landing-page');
+    sound.play('click');
+}
+
+/**
+ * Show another page of the board
+ * @param {number} step - Pages to move by (-1 for the previous page)
+ */
+function changePage(step) {
+    shownPage = Math.max(1, shownPage + step);
+    sound.play('click');
+    render();
+}
+
+/**
+ * Get a page of a board from the game server
+ * @param {string} boardId - The board
+ * @param {string} period - One of PERIODS
+ * @param {number} page - The page, from 1
+ * @returns {Promise<Object>} { board, period, page, pages, total, entries: [{ rank, name, avatar, score, difficulty, you }], you }
+ */
+export async function fetchBoard(boardId, period, page) {
+    const query = new URLSearchParams({ period, page: String(page), player: getPlayerId() });
+    const response = await fetch(`${LEADERBOARD_API}/${boardId}?${query}`);
+    
+    if (!response.ok) {
+        throw new Error(`The game server answered ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Render the board, period and page being shown
+ */
+async function render() {
+    const board = BOARDS[shownBoard];
+    const list = document.getElementById('leaderboard-list');
+    const status = document.getElementById('leaderboard-status');
+    if (!list || !status) return;
+    
+    document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+        const selected = tab.getAttribute('data-board') === shownBoard;
+        tab.classList.toggle('active', selected);
+        tab.setAttribute('aria-selected', String(selected));
+    });
+    
+    const description = document.getElementById('leaderboard-description');
+    if (description) description.textContent = board.description;
+    
+    const period = document.getElementById('leaderboard-period');
+    if (period) period.value = shownPeriod;
+    
+    // Only the latest request gets to fill the list
+    const request = `${shownBoard}:${shownPeriod}:${shownPage}`;
+    list.setAttribute('data-request', request);
+    status.textContent = 'Loading...';
+    
+    let result;
+    try {
+        result = await fetchBoard(shownBoard, shownPeriod, shownPage);
+    } catch (error) {
+        if (list.getAttribute('data-request') !== request) return;
+        list.innerHTML = '';
+        status.textContent = 'The leaderboards need the game server';
+        renderPaging(null);
+        return;
+    }
+    if (list.getAttribute('data-request') !== request) return;
+    
+    list.innerHTML = '';
+    result.entries.forEach(entry => list.appendChild(renderEntry(entry, board)));
+    
+    if (result.total === 0) {
+        status.textContent = `No one is on the ${board.name} board for ${PERIODS[shownPeriod].toLowerCase()} yet. Be the first!`;
+    } else if (result.you) {
+        status.textContent = `You're #${result.you.rank} of ${result.total} with ${result.you.score}.`;
+    } else {
+        status.textContent = `${result.total} ${result.total === 1 ? 'player' : 'players'}`;
+    }
+    
+    renderPaging(result);
+}
+
+/**
+ * Render a row of the board
+ * Names come from other players, so they are only ever set as text
+ * @param {Object} entry - { rank, name, avatar, score, difficulty, you }
+ * @param {Object} board - The board
+ * @returns {HTMLElement} The row
+ */
+function renderEntry(entry, board) {
+    const item = document.createElement('li');
+    item.className = 'leaderboard-entry';
+    item.classList.toggle('you', Boolean(entry.you));
+    
+    const rank = document.createElement('span');
+    rank.className = 'leaderboard-rank';
+    rank.textContent = `#${entry.rank}`;
+    
+    const name = document.createElement('span');
+    name.className = 'leaderboard-name';
+    name.textContent = `${entry.avatar} ${entry.name}${entry.you ? ' (you)' : ''}`;
+    
+    // An Endless streak is only as good as the AI it was against
+    if (entry.difficulty) {
+        const level = aiModes.getAllDifficultyLevels().find(tier => tier.id === entry.difficulty);
+        const opponent = document.createElement('span');
+        opponent.className = 'leaderboard-opponent';
+        opponent.textContent = level ? `vs ${level.emoji} ${level.name}` : '';
+        name.appendChild(opponent);
+    }
+    
+    const score = document.createElement('span');
+    score.className = 'leaderboard-score';
+    score.textContent = entry.score;
+    score.setAttribute('title', board.scoreName);
+    
+    item.append(rank, name, score);
+    return item;
+}
+
+/**
+ * Show which page is shown and enable the page buttons
+ * @param {Object|null} result - The page shown (null if none could be loaded)
+ */
+function renderPaging(result) {
+    const page = document.getElementById('leaderboard-page');
+    const previousButton = document.getElementById('leaderboard-prev');
+    const nextButton = document.getElementById('leaderboard-next');
+    
+    if (page) page.textContent = result && result.pages > 1 ? `Page ${result.page} of ${result.pages}` : '';
+    if (previousButton) previousButton.disabled = !result || result.page <= 1;
+    if (nextButton) nextButton.disabled = !result || result.page >= result.pages;
+}
+
+export default {
+    init,
+    startRun,
+    isLive,
+    lockInMove,
+    recordPowerUp,
+    playRound,
+    submitRun,
+    showLeaderboard,
+    hideLeaderboard,
+    fetchBoard
+};
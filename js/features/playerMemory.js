@@ -0,0 +1,125 @@
+/**
+ * Player Memory module for Rock Paper Battle
+ * Saves the rounds each profile has played so the AI can pick up where it left off next session
+ */
+
+import { getData, setData } from '../settings/storage.js';
+
+// Rounds kept per profile and ruleset (oldest are dropped first)
+const MAX_ROUNDS_PER_MODEL = 300;
+
+// Profile and ruleset combinations kept (least recently played are dropped first)
+const MAX_MODELS = 12;
+
+/**
+ * Check if the AI is allowed to remember the player between sessions
+ * @returns {boolean} Whether player memory is enabled
+ */
+export function isEnabled() {
+    return getData('aiMemoryEnabled') !== false;
+}
+
+/**
+ * Allow or stop the AI remembering the player between sessions
+ * @param {boolean} enabled - Whether player memory should be enabled
+ */
+export function setEnabled(enabled) {
+    setData('aiMemoryEnabled', Boolean(enabled));
+}
+
+/**
+ * Get the key identifying a profile
+ * @param {string} name - The profile's name (defaults to the current profile's)
+ * @returns {string} The profile key
+ */
+export function getProfileKey(name = null) {
+    const profile = getData('profile');
+    const profileName = name || (profile && profile.name ? profile.name : 'Player');
+    return profileName.trim().toLowerCase();
+}
+
+/**
+ * Get all saved player models
+ * @returns {Object} Model key ('profile|ruleset') -> { rounds, updatedAt }
+ */
+function getModels() {
+    return getData('playerModels') || {};
+}
+
+/**
+ * Get the rounds the current profile has played under a ruleset
+ * @param {string} rulesetId - The ruleset ID
+ * @returns {Array} Rounds ({ player, opponent, outcome }), oldest first
+ */
+export function getRememberedRounds(rulesetId) {
+    if (!isEnabled()) return [];
+
+    const model = getModels()[`${getProfileKey()}|${rulesetId}`];
+    if (!model || !Array.isArray(model.rounds)) return [];
+
+    // Rounds are stored as compact [player, opponent, outcome] triples
+    return model.rounds.map(([player, opponent, outcome]) => ({ player, opponent, outcome }));
+}
+
+/**
+ * Save a finished round for the current profile
+ * @param {string} rulesetId - The ruleset the round was played under
+ * @param {Object} round - The round ({ player, opponent, outcome })
+ */
+export function rememberRound(rulesetId, round) {
+    if (!isEnabled()) return;
+
+    const models = getModels();
+    const key = `${getProfileKey()}|${rulesetId}`;
+    const model = models[key] || { rounds: [] };
+
+    model.rounds.push([round.player, round.opponent, round.outcome]);
+    if (model.rounds.length > MAX_ROUNDS_PER_MODEL) {
+        model.rounds.splice(0, model.rounds.length - MAX_ROUNDS_PER_MODEL);
+    }
+    model.updatedAt = Date.now();
+    models[key] = model;
+
+    // Drop the least recently played models once there are too many
+    const keys = Object.keys(models).sort((a, b) => (models[b].updatedAt || 0) - (models[a].updatedAt || 0));
+    keys.slice(MAX_MODELS).forEach(oldKey => delete models[oldKey]);
+
+    setData('playerModels', models);
+}
+
+/**
+ * Get how many rounds are remembered for the current profile across all rulesets
+ * @returns {number} The number of remembered rounds
+ */
+export function getRememberedRoundCount() {
+    const prefix = `${getProfileKey()}|`;
+    const models = getModels();
+
+    return Object.keys(models)
+        .filter(key => key.startsWith(prefix))
+        .reduce((total, key) => total + (models[key].rounds ? models[key].rounds.length : 0), 0);
+}
+
+/**
+ * Delete everything remembered about the current profile
+ */
+export function forgetPlayer() {
+    const prefix = `${getProfileKey()}|`;
+    const models = getModels();
+
+    Object.keys(models)
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => delete models[key]);
+
+    setData('playerModels', models);
+}
+
+export default {
+    isEnabled,
+    setEnabled,
+    getProfileKey,
+    getRememberedRounds,
+    rememberRound,
+    getRememberedRoundCount,
+    forgetPlayer
+};
@@ -0,0 +1,52 @@
+/**
+ * Ranked module for Rock Paper Battle
+ * The ID this browser plays ranked matches with, and the rating the game server keeps for it (see api/ratings.js)
+ */
+
+import { getData, setData } from '../settings/storage.js';
+
+// Where the game server answers with a player's rating
+const RATINGS_API = '/api/ratings';
+
+// Bytes in a player ID (written as 32 hex digits)
+const PLAYER_ID_BYTES = 16;
+
+/**
+ * Get the ID this browser plays ranked matches with, making one up the first time
+ * Anyone with the ID could play as the player, so it is never shown
+ * @returns {string} The player ID
+ */
+export function getPlayerId() {
+    let playerId = getData('rankedPlayerId');
+
+    if (!playerId) {
+        const bytes = new Uint8Array(PLAYER_ID_BYTES);
+        crypto.getRandomValues(bytes);
+        playerId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        setData('rankedPlayerId', playerId);
+    }
+
+    return playerId;
+}
+
+/**
+ * Get the player's rating from the game server
+ * @returns {Promise<Object|null>} { rating, games, wins, losses, history }, or null before their first ranked match
+ */
+export async function fetchRating() {
+    const response = await fetch(`${RATINGS_API}/${getPlayerId()}`);
+
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`The game server answered ${response.status}`);
+    }
+
+    return response.json();
+}
+
+export default {
+    getPlayerId,
+    fetchRating
+};
@@ -0,0 +1,60 @@
+/**
+ * Reactions module for Rock Paper Battle
+ * The emoji spectators of an online match can send, and the bursts everyone in the room sees when they do
+ */
+
+// Reactions on the reaction bar (the game server only passes these on, see api/multiplayer.js)
+export const REACTIONS = ['👏', '🔥', '😱', '😂', '🎉', '💪'];
+
+// How long a burst floats up the screen
+const BURST_DURATION = 2000;
+
+// Bursts on screen at once (the oldest goes first)
+const MAX_BURSTS = 30;
+
+/**
+ * Fill a reaction bar with a button for each reaction
+ * @param {HTMLElement} container - The reaction bar
+ * @param {Function} onReact - Called with the emoji when a button is clicked
+ */
+export function renderReactionBar(container, onReact) {
+    container.innerHTML = '';
+    
+    REACTIONS.forEach(emoji => {
+        const button = document.createElement('button');
+        button.className = 'reaction-btn';
+        button.setAttribute('aria-label', `React with ${emoji}`);
+        button.textContent = emoji;
+        button.addEventListener('click', () => onReact(emoji));
+        container.appendChild(button);
+    });
+}
+
+/**
+ * Float a reaction up the screen
+ * @param {string} emoji - The reaction
+ */
+export function showBurst(emoji) {
+    if (!REACTIONS.includes(emoji)) return;
+    
+    const bursts = document.querySelectorAll('.reaction-burst');
+    if (bursts.length >= MAX_BURSTS) {
+        bursts[0].remove();
+    }
+    
+    // Each burst rises from somewhere along the bottom of the screen
+    const burst = document.createElement('span');
+    burst.className = 'reaction-burst';
+    burst.setAttribute('aria-hidden', 'true');
+    burst.textContent = emoji;
+    burst.style.left = `${10 + Math.random() * 80}%`;
+    document.body.appendChild(burst);
+    
+    setTimeout(() => burst.remove(), BURST_DURATION);
+}
+
+export default {
+    REACTIONS,
+    renderReactionBar,
+    showBurst
+};
@@ -5,6 +5,7 @@
 
 import { getData, setData } from '../settings/storage.js';
 import * as sound from './sound.js';
+import { getMove } from '../game/rules.js';
 
 // Secret move unlock condition
 const WINS_REQUIRED = 10;
@@ -65,12 +66,13 @@ function unlockSecretMove() {
 
 /**
  * Update the secret move UI elements
+ * The fire button is only shown when the active ruleset has a fire move
  */
-function updateSecretMoveUI() {
+export function updateSecretMoveUI() {
     const fireButton = document.getElementById('fire-move-btn');
     
     if (fireButton) {
-        if (isSecretMoveUnlocked) {
+        if (isSecretMoveUnlocked && getMove('fire')) {
             // Show the button
             fireButton.classList.remove('hidden');
             
@@ -170,6 +172,7 @@ export function resetUnlock() {
 export default {
     init,
     isUnlocked,
+    updateSecretMoveUI,
     forceUnlock,
     resetUnlock
 }; 
\ No newline at end of file
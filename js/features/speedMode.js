@@ -5,7 +5,7 @@
 
 import { getData, setData } from '../settings/storage.js';
 import * as sound from './sound.js';
-import { getRandomMove } from './aiModes.js';
+import { pick } from '../utils/random.js';
 
 // Configuration
 const DEFAULT_TIME_LIMIT = 3000; // 3 seconds in milliseconds
@@ -42,14 +42,14 @@ export function init() {
 
 /**
  * Set the current game mode
- * @param {string} mode - The current game mode ('endless', 'bestOf5', etc.)
+ * @param {string|null} mode - The current game mode ('endless', 'bestOfN', etc.), null when no timed game is played
  */
 export function setGameMode(mode) {
     currentGameMode = mode;
     // Always update the UI based on the new game mode
     updateSpeedModeUI();
-    // Stop timer if not endless
-    if (mode !== 'endless' && isTimerRunning) {
+    // Stop timer if no game is being timed
+    if (!mode && isTimerRunning) {
         stopTimer();
     }
 }
@@ -59,7 +59,7 @@ export function setGameMode(mode) {
  * @returns {boolean} Whether speed mode should be active
  */
 export function shouldBeActive() {
-    return isSpeedModeEnabled && currentGameMode === 'endless';
+    return isSpeedModeEnabled && Boolean(currentGameMode);
 }
 
 /**
@@ -272,7 +272,7 @@ function timeUp() {
  * @returns {string} A randomly selected move
  */
 export function getTimeoutMove(availableMoves) {
-    return getRandomMove(availableMoves);
+    return pick(availableMoves, 'timer');
 }
 
 /**
@@ -5,6 +5,20 @@
 
 import { getData, setData } from '../settings/storage.js';
 import * as sound from './sound.js';
+import * as aiModes from './aiModes.js';
+import { getProfileKey } from './playerMemory.js';
+import { fetchRating } from './ranked.js';
+
+// Gauntlet records before any run ({ bestRungs, rungCount, fastestTime, completions })
+// Ranked matches listed in the rating history on the stats screen
+const RANKED_HISTORY_SHOWN = 10;
+
+const DEFAULT_GAUNTLET_STATS = {
+    bestRungs: 0,
+    rungCount: 0,
+    fastestTime: null,
+    completions: 0
+};
 
 /**
  * Initialize the stats system
@@ -47,6 +61,156 @@ export function updateBestMode(mode) {
     setData('stats', stats);
 }
 
+/**
+ * Record the result of a match in its format
+ * @param {string} format - The match format, e.g. 'Best of 7 (first to 4)'
+ * @param {string} result - The player's result ('win', 'lose' or 'draw')
+ */
+export function recordMatch(format, result) {
+    const matchStats = getData('matchStats') || {};
+    const record = matchStats[format] || { wins: 0, losses: 0, draws: 0 };
+    
+    if (result === 'win') {
+        record.wins++;
+    } else if (result === 'lose') {
+        record.losses++;
+    } else {
+        record.draws++;
+    }
+    
+    matchStats[format] = record;
+    setData('matchStats', matchStats);
+}
+
+/**
+ * Count a round won against an AI difficulty
+ * @param {string} difficulty - The difficulty (or custom bot) that was beaten
+ */
+export function recordWinAgainst(difficulty) {
+    const aiStats = getData('aiStats') || {};
+    aiStats[difficulty] = { wins: ((aiStats[difficulty] && aiStats[difficulty].wins) || 0) + 1 };
+    setData('aiStats', aiStats);
+}
+
+/**
+ * Record how far up the Gauntlet ladder the player got, keeping the best run
+ * @param {number} rungsCleared - Rungs cleared in the run so far
+ * @param {number} rungCount - Rungs on the ladder
+ */
+export function recordGauntletProgress(rungsCleared, rungCount) {
+    const gauntletStats = { ...DEFAULT_GAUNTLET_STATS, ...(getData('gauntletStats') || {}) };
+    if (rungsCleared > gauntletStats.bestRungs) {
+        gauntletStats.bestRungs = rungsCleared;
+        gauntletStats.rungCount = rungCount;
+        setData('gauntletStats', gauntletStats);
+    }
+}
+
+/**
+ * Record a completed Gauntlet run, keeping the fastest time
+ * @param {number} time - Time from the first match to the last, in milliseconds
+ */
+export function recordGauntletCompletion(time) {
+    const gauntletStats = { ...DEFAULT_GAUNTLET_STATS, ...(getData('gauntletStats') || {}) };
+    gauntletStats.completions++;
+    if (gauntletStats.fastestTime === null || time < gauntletStats.fastestTime) {
+        gauntletStats.fastestTime = time;
+    }
+    setData('gauntletStats', gauntletStats);
+}
+
+/**
+ * Record how many rounds the current profile lasted in Survival, keeping its longest run
+ * @param {number} rounds - Rounds lasted
+ */
+export function recordSurvival(rounds) {
+    const survivalRecords = getData('survivalRecords') || {};
+    const profileKey = getProfileKey();
+    if (rounds > (survivalRecords[profileKey] || 0)) {
+        survivalRecords[profileKey] = rounds;
+        setData('survivalRecords', survivalRecords);
+    }
+}
+
+/**
+ * Get the current profile's longest Survival run
+ * @returns {number} Rounds lasted (0 if Survival hasn't been played)
+ */
+export function getLongestSurvival() {
+    const survivalRecords = getData('survivalRecords') || {};
+    return survivalRecords[getProfileKey()] || 0;
+}
+
+/**
+ * Get a profile's two-player record, adding it if needed
+ * @param {Object} twoPlayerStats - Records by profile key
+ * @param {Object} profile - The profile ({ name, avatar })
+ * @returns {Object} The record ({ name, avatar, wins, losses, draws, matchWins, matchLosses, matchDraws })
+ */
+function getTwoPlayerRecord(twoPlayerStats, profile) {
+    const key = getProfileKey(profile.name);
+    const record = twoPlayerStats[key] || { wins: 0, losses: 0, draws: 0, matchWins: 0, matchLosses: 0, matchDraws: 0 };
+    
+    // Show the profile as it was last seen
+    record.name = profile.name;
+    record.avatar = profile.avatar;
+    
+    twoPlayerStats[key] = record;
+    return record;
+}
+
+/**
+ * Record a two-player round in a profile's stats
+ * @param {Object} profile - The profile ({ name, avatar })
+ * @param {string} result - The profile's result ('win', 'lose' or 'draw')
+ */
+export function recordTwoPlayerRound(profile, result) {
+    const twoPlayerStats = getData('twoPlayerStats') || {};
+    const record = getTwoPlayerRecord(twoPlayerStats, profile);
+    
+    if (result === 'win') {
+        record.wins++;
+    } else if (result === 'lose') {
+        record.losses++;
+    } else {
+        record.draws++;
+    }
+    
+    setData('twoPlayerStats', twoPlayerStats);
+}
+
+/**
+ * Record a two-player match in a profile's stats
+ * @param {Object} profile - The profile ({ name, avatar })
+ * @param {string} result - The profile's result ('win', 'lose' or 'draw')
+ */
+export function recordTwoPlayerMatch(profile, result) {
+    const twoPlayerStats = getData('twoPlayerStats') || {};
+    const record = getTwoPlayerRecord(twoPlayerStats, profile);
+    
+    if (result === 'win') {
+        record.matchWins++;
+    } else if (result === 'lose') {
+        record.matchLosses++;
+    } else {
+        record.matchDraws++;
+    }
+    
+    setData('twoPlayerStats', twoPlayerStats);
+}
+
+/**
+ * Format a duration
+ * @param {number} time - The duration in milliseconds
+ * @returns {string} Minutes and seconds, e.g. '4:05'
+ */
+export function formatTime(time) {
+    const totalSeconds = Math.round(time / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
 /**
  * Render the stats on the stats screen
  */
@@ -85,6 +249,244 @@ export function renderStats() {
     
     // Update progress bars
     updateStatBars(stats, totalGames);
+    
+    // Show the difficulty beaten most often and the bonus rounds won
+    renderBestAiDifficulty();
+    const bonusRoundsElement = document.getElementById('stats-bonus-rounds');
+    if (bonusRoundsElement) bonusRoundsElement.textContent = getData('bonusRoundsWon') || 0;
+    
+    // Show the best Gauntlet run and the profile's longest Survival run
+    renderGauntletStats();
+    const survivalElement = document.getElementById('stats-survival');
+    if (survivalElement) {
+        const longestSurvival = getLongestSurvival();
+        survivalElement.textContent = longestSurvival > 0 ? `${longestSurvival} rounds` : 'None';
+    }
+    
+    // Show how the adaptive AI is currently calibrated
+    renderAdaptiveStats();
+    
+    // Show the record in each match format
+    renderMatchRecords();
+    
+    // Show the record against each personality
+    renderPersonalityRecords();
+    
+    // Show each profile's record in two-player games
+    renderTwoPlayerRecords();
+    
+    // Show the ranked rating the game server keeps
+    renderRankedRating();
+}
+
+/**
+ * Render the player's record in each Best of N match format played
+ */
+function renderMatchRecords() {
+    const recordsList = document.getElementById('stats-match-records');
+    if (!recordsList) return;
+    
+    const matchStats = getData('matchStats') || {};
+    recordsList.innerHTML = '';
+    
+    const formats = Object.keys(matchStats);
+    if (formats.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'personality-record';
+        item.textContent = 'No matches played yet';
+        recordsList.appendChild(item);
+        return;
+    }
+    
+    formats.forEach(format => {
+        const record = matchStats[format];
+        
+        const item = document.createElement('li');
+        item.className = 'personality-record';
+        item.innerHTML = `
+            <span class="personality-record-name">${format}</span>
+            <span class="personality-record-score">${record.wins}W - ${record.losses}L - ${record.draws}D</span>
+        `;
+        recordsList.appendChild(item);
+    });
+}
+
+/**
+ * Render the player's record against each AI personality
+ */
+function renderPersonalityRecords() {
+    const recordsList = document.getElementById('stats-personality-records');
+    if (!recordsList) return;
+    
+    const records = aiModes.getPersonalityRecords();
+    recordsList.innerHTML = '';
+    
+    aiModes.getAllPersonalities().forEach(personality => {
+        const record = records[personality.id] || { wins: 0, losses: 0, draws: 0 };
+        
+        const item = document.createElement('li');
+        item.className = 'personality-record';
+        item.innerHTML = `
+            <span class="personality-record-name">${personality.avatar} ${personality.name}</span>
+            <span class="personality-record-score">${record.wins}W - ${record.losses}L - ${record.draws}D</span>
+        `;
+        recordsList.appendChild(item);
+    });
+}
+
+/**
+ * Render each profile's record in two-player games
+ */
+function renderTwoPlayerRecords() {
+    const recordsList = document.getElementById('stats-two-player-records');
+    if (!recordsList) return;
+    
+    const records = Object.values(getData('twoPlayerStats') || {});
+    recordsList.innerHTML = '';
+    
+    if (records.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'personality-record';
+        item.textContent = 'No two-player games yet';
+        recordsList.appendChild(item);
+        return;
+    }
+    
+    records.forEach(record => {
+        const item = document.createElement('li');
+        item.className = 'personality-record';
+        
+        // Names are typed in by players, so they're set as text
+        const name = document.createElement('span');
+        name.className = 'personality-record-name';
+        name.textContent = `${record.avatar} ${record.name}`;
+        
+        const score = document.createElement('span');
+        score.className = 'personality-record-score';
+        score.textContent = `${record.wins}W - ${record.losses}L - ${record.draws}D (matches ${record.matchWins}-${record.matchLosses}-${record.matchDraws})`;
+        
+        item.appendChild(name);
+        item.appendChild(score);
+        recordsList.appendChild(item);
+    });
+}
+
+/**
+ * Render the player's ranked rating and their latest ranked matches, as kept by the game server
+ */
+async function renderRankedRating() {
+    const ratingElement = document.getElementById('stats-ranked-rating');
+    const historyList = document.getElementById('stats-ranked-history');
+    if (!ratingElement || !historyList) return;
+    
+    let player;
+    try {
+        player = await fetchRating();
+    } catch (error) {
+        ratingElement.textContent = 'Ranked play needs the game server';
+        historyList.innerHTML = '';
+        return;
+    }
+    
+    historyList.innerHTML = '';
+    if (!player) {
+        ratingElement.textContent = 'Unranked';
+        const item = document.createElement('li');
+        item.className = 'personality-record';
+        item.textContent = 'No ranked matches yet';
+        historyList.appendChild(item);
+        return;
+    }
+    
+    ratingElement.textContent = `${player.rating} (${player.wins}W - ${player.losses}L)`;
+    
+    // Newest first
+    player.history.slice(-RANKED_HISTORY_SHOWN).reverse().forEach(match => {
+        const item = document.createElement('li');
+        item.className = 'personality-record';
+        
+        // Opponents' names are typed in by players, so they're set as text
+        const opponent = document.createElement('span');
+        opponent.className = 'personality-record-name';
+        opponent.textContent = `${match.result === 'win' ? 'Won' : 'Lost'} vs ${match.opponent}${match.ai ? ' (AI)' : ''}`;
+        
+        const rating = document.createElement('span');
+        rating.className = 'personality-record-score';
+        rating.textContent = `${match.change >= 0 ? '+' : ''}${match.change} → ${match.rating}`;
+        
+        item.appendChild(opponent);
+        item.appendChild(rating);
+        historyList.appendChild(item);
+    });
+}
+
+/**
+ * Render the AI difficulty the player has beaten most often
+ */
+function renderBestAiDifficulty() {
+    const bestAiElement = document.getElementById('stats-best-ai-mode');
+    if (!bestAiElement) return;
+    
+    // Find the difficulty with the most wins
+    const aiStats = getData('aiStats') || {};
+    let bestDifficulty = null;
+    let highestWins = 0;
+    
+    for (const [difficulty, record] of Object.entries(aiStats)) {
+        if (record.wins > highestWins) {
+            highestWins = record.wins;
+            bestDifficulty = difficulty;
+        }
+    }
+    
+    // Show it with its emoji (custom bots that have since been deleted fall back to their id)
+    const level = aiModes.getAllDifficultyLevels().find(difficulty => difficulty.id === bestDifficulty);
+    if (level) {
+        bestAiElement.textContent = `${level.emoji} ${level.name}`;
+    } else {
+        bestAiElement.textContent = bestDifficulty || 'None';
+    }
+}
+
+/**
+ * Render the best Gauntlet progress and the fastest completed run
+ */
+function renderGauntletStats() {
+    const gauntletStats = { ...DEFAULT_GAUNTLET_STATS, ...(getData('gauntletStats') || {}) };
+    const progressElement = document.getElementById('stats-gauntlet-progress');
+    const timeElement = document.getElementById('stats-gauntlet-time');
+    
+    if (progressElement) {
+        progressElement.textContent = gauntletStats.bestRungs > 0
+            ? `${gauntletStats.bestRungs}/${gauntletStats.rungCount} rungs`
+            : 'None';
+    }
+    
+    if (timeElement) {
+        timeElement.textContent = gauntletStats.fastestTime !== null ? formatTime(gauntletStats.fastestTime) : 'None';
+    }
+}
+
+/**
+ * Render the adaptive AI's skill level and target on the stats screen
+ */
+function renderAdaptiveStats() {
+    const skillElement = document.getElementById('stats-adaptive-skill');
+    const targetElement = document.getElementById('stats-adaptive-target');
+    const adaptive = aiModes.getAdaptiveState();
+    
+    // Negative skill means the AI is deliberately letting the player win
+    if (skillElement) {
+        const skill = Math.round(adaptive.skill * 100);
+        skillElement.textContent = skill < 0 ? `${skill}% (going easy)` : `${skill}%`;
+    }
+    
+    if (targetElement) {
+        const target = Math.round(adaptive.targetWinRate * 100);
+        targetElement.textContent = adaptive.rounds > 0
+            ? `${target}% (you: ${Math.round(adaptive.winRate * 100)}%)`
+            : `${target}%`;
+    }
 }
 
 /**
@@ -123,6 +525,13 @@ export function resetStats() {
         longestWinStreak: 0,
         bestMode: ''
     });
+    setData('personalityStats', {});
+    setData('matchStats', {});
+    setData('aiStats', {});
+    setData('bonusRoundsWon', 0);
+    setData('gauntletStats', { ...DEFAULT_GAUNTLET_STATS });
+    setData('survivalRecords', {});
+    setData('twoPlayerStats', {});
     
     // Re-render stats
     renderStats();
@@ -169,6 +578,15 @@ export default {
     init,
     updateLongestWinStreak,
     updateBestMode,
+    recordMatch,
+    recordWinAgainst,
+    recordGauntletProgress,
+    recordGauntletCompletion,
+    recordSurvival,
+    getLongestSurvival,
+    recordTwoPlayerRound,
+    recordTwoPlayerMatch,
+    formatTime,
     renderStats,
     resetStats,
     showStats,
@@ -0,0 +1,193 @@
+/**
+ * Variants module for Rock Paper Battle
+ * Handles choosing which ruleset the game is played under, including custom rule packs
+ */
+
+import { getData, setData } from '../settings/storage.js';
+import { RULESETS, CLASSIC_RULESET, getRuleset, getActiveRuleset, setActiveRuleset, validateRuleset } from '../game/rules.js';
+import * as ui from '../ui.js';
+import * as secretMove from './secretMove.js';
+import * as aiModes from './aiModes.js';
+
+// Short descriptions shown under the variant selector
+const VARIANT_DESCRIPTIONS = {
+    classic: 'Rock, Paper and Scissors, plus the secret Fire move once unlocked.',
+    rpsls: 'Five moves where every move beats two others. Spock vaporizes Rock, Lizard poisons Spock!'
+};
+
+/**
+ * Initialize the variant system
+ */
+export function init() {
+    // Load the selected variant from localStorage
+    const savedVariant = getData('variant');
+    const ruleset = findRuleset(savedVariant);
+    if (ruleset) {
+        setActiveRuleset(ruleset);
+    } else {
+        // Default to the classic rules
+        setData('variant', CLASSIC_RULESET.id);
+        setActiveRuleset(CLASSIC_RULESET);
+    }
+
+    // Render the move buttons for the active ruleset
+    updateMoveButtons();
+}
+
+/**
+ * Find a built-in ruleset or saved rule pack by ID
+ * @param {string} variantId - The variant ID
+ * @returns {Object|null} The ruleset, or null if none matches
+ */
+function findRuleset(variantId) {
+    return getRuleset(variantId) || getRulePack(variantId);
+}
+
+/**
+ * Get all selectable variants
+ * @returns {Array} Array of variant objects ({ id, name, description, custom })
+ */
+export function getVariants() {
+    const builtIn = Object.values(RULESETS).map(ruleset => ({
+        id: ruleset.id,
+        name: ruleset.name,
+        description: Object.hasOwn(VARIANT_DESCRIPTIONS, ruleset.id) ? VARIANT_DESCRIPTIONS[ruleset.id] : '',
+        custom: false
+    }));
+    
+    const custom = getRulePacks().map(pack => ({
+        id: pack.id,
+        name: pack.name,
+        description: `Custom rule pack: ${pack.moves.map(move => move.emoji).join(' ')}`,
+        custom: true
+    }));
+    
+    return [...builtIn, ...custom];
+}
+
+/**
+ * Get the ID of the current variant
+ * @returns {string} The current variant ID
+ */
+export function getCurrentVariant() {
+    return getActiveRuleset().id;
+}
+
+/**
+ * Set the current variant
+ * @param {string} variantId - The ID of the variant to play
+ */
+export function setVariant(variantId) {
+    const ruleset = findRuleset(variantId);
+    if (!ruleset) {
+        console.error(`Invalid variant: ${variantId}`);
+        return;
+    }
+
+    setActiveRuleset(ruleset);
+    setData('variant', variantId);
+
+    // The AI's move history refers to the old move list
+    aiModes.resetMoveHistory();
+
+    updateMoveButtons();
+}
+
+/**
+ * Play under a particular ruleset for a while, without changing the variant chosen in settings
+ * @param {Object|null} ruleset - The ruleset, or null to go back to the chosen variant
+ */
+export function playRuleset(ruleset) {
+    setActiveRuleset(ruleset || findRuleset(getData('variant')) || CLASSIC_RULESET);
+    updateMoveButtons();
+}
+
+/**
+ * Get all saved custom rule packs
+ * @returns {Array} Array of rule packs
+ */
+export function getRulePacks() {
+    return getData('rulePacks') || [];
+}
+
+/**
+ * Get a saved custom rule pack by ID
+ * @param {string} packId - The rule pack ID
+ * @returns {Object|null} The rule pack, or null if there is none with that ID
+ */
+export function getRulePack(packId) {
+    return getRulePacks().find(pack => pack.id === packId) || null;
+}
+
+/**
+ * Save a custom rule pack, replacing any saved pack with the same ID
+ * @param {Object} pack - The rule pack to save
+ * @returns {Object} Validation result ({ valid, errors })
+ */
+export function saveRulePack(pack) {
+    const validation = validateRuleset(pack);
+    if (!validation.valid) {
+        return validation;
+    }
+    
+    // Built-in IDs are reserved
+    if (getRuleset(pack.id)) {
+        return { valid: false, errors: [`"${pack.id}" is reserved for a built-in variant`] };
+    }
+    
+    const savedPack = {
+        id: pack.id,
+        name: pack.name.trim(),
+        custom: true,
+        moves: pack.moves.map(move => ({ id: move.id, name: move.name.trim(), emoji: move.emoji.trim() })),
+        rules: pack.rules.map(rule => ({ winner: rule.winner, loser: rule.loser, verb: (rule.verb || 'beats').trim() }))
+    };
+    
+    const packs = getRulePacks().filter(existing => existing.id !== savedPack.id);
+    packs.push(savedPack);
+    setData('rulePacks', packs);
+    
+    // Pick up edits to the pack that is currently being played
+    if (getCurrentVariant() === savedPack.id) {
+        setVariant(savedPack.id);
+    }
+    
+    return validation;
+}
+
+/**
+ * Delete a custom rule pack
+ * @param {string} packId - The ID of the rule pack to delete
+ */
+export function deleteRulePack(packId) {
+    setData('rulePacks', getRulePacks().filter(pack => pack.id !== packId));
+    
+    // Fall back to the classic rules if the deleted pack was in use
+    if (getCurrentVariant() === packId) {
+        setVariant(CLASSIC_RULESET.id);
+    }
+}
+
+/**
+ * Render the move buttons for the active ruleset
+ */
+function updateMoveButtons() {
+    // Secret moves have their own buttons
+    const moves = getActiveRuleset().moves.filter(move => !move.secret);
+    ui.renderMoveButtons(moves);
+
+    // Show or hide the fire button depending on the ruleset
+    secretMove.updateSecretMoveUI();
+}
+
+export default {
+    init,
+    getVariants,
+    getCurrentVariant,
+    setVariant,
+    playRuleset,
+    getRulePacks,
+    getRulePack,
+    saveRulePack,
+    deleteRulePack
+};
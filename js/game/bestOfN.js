@@ -0,0 +1,228 @@
+/**
+ * Best of N Mode module for Rock Paper Battle
+ * Handles matches of a chosen length against AI (best of 3, 5, 7, 9 or a custom number of rounds)
+ */
+
+import * as ui from '../ui.js';
+import { getData, setData } from '../settings/storage.js';
+import * as sound from '../features/sound.js';
+import * as stats from '../features/stats.js';
+import * as session from './session.js';
+
+// Match lengths offered on the landing page (any other length is a custom one)
+export const MATCH_LENGTHS = [3, 5, 7, 9];
+
+// Longest custom match
+export const MAX_MATCH_LENGTH = 99;
+
+// Default match format
+const DEFAULT_FORMAT = {
+    length: 5,
+    drawsDontCount: false, // Drawn rounds are replayed instead of using up one of the match's rounds
+    winByTwo: false // The match goes on until the winner leads by two
+};
+
+// Best of N Mode for the game session: the match ends once someone has won it or its rounds are used up
+export const bestOfNMode = {
+    id: 'bestOfN',
+    title: state => describeMatchFormat(state.format),
+    onStart,
+    isMatchOver,
+    onMatchEnd
+};
+
+/**
+ * Initialize the match format options on the landing page
+ */
+export function init() {
+    const lengthSelect = document.getElementById('match-length-select');
+    const customInput = document.getElementById('match-length-custom');
+    const drawsToggle = document.getElementById('draws-dont-count-toggle');
+    const winByTwoToggle = document.getElementById('win-by-two-toggle');
+    const format = getMatchFormat();
+    
+    // Show the saved format
+    if (lengthSelect) {
+        lengthSelect.value = MATCH_LENGTHS.includes(format.length) ? String(format.length) : 'custom';
+        lengthSelect.addEventListener('change', () => {
+            const isCustom = lengthSelect.value === 'custom';
+            if (customInput) {
+                customInput.classList.toggle('hidden', !isCustom);
+                if (isCustom) customInput.focus();
+            }
+            setMatchFormat({ length: isCustom ? parseInt(customInput.value, 10) : parseInt(lengthSelect.value, 10) });
+        });
+    }
+    
+    if (customInput) {
+        customInput.value = format.length;
+        customInput.classList.toggle('hidden', MATCH_LENGTHS.includes(format.length));
+        customInput.addEventListener('change', () => {
+            setMatchFormat({ length: parseInt(customInput.value, 10) });
+            customInput.value = getMatchFormat().length;
+        });
+    }
+    
+    if (drawsToggle) {
+        drawsToggle.checked = format.drawsDontCount;
+        drawsToggle.addEventListener('change', () => setMatchFormat({ drawsDontCount: drawsToggle.checked }));
+    }
+    
+    if (winByTwoToggle) {
+        winByTwoToggle.checked = format.winByTwo;
+        winByTwoToggle.addEventListener('change', () => setMatchFormat({ winByTwo: winByTwoToggle.checked }));
+    }
+    
+    updateModeButton();
+}
+
+/**
+ * Get the match format chosen on the landing page
+ * @returns {Object} - The format ({ length, drawsDontCount, winByTwo })
+ */
+export function getMatchFormat() {
+    return { ...DEFAULT_FORMAT, ...(getData('matchFormat') || {}) };
+}
+
+/**
+ * Change the match format (used from the next match)
+ * @param {Object} changes - The options to change ({ length, drawsDontCount, winByTwo })
+ */
+export function setMatchFormat(changes) {
+    const format = { ...getMatchFormat(), ...changes };
+    
+    // Custom lengths are whole numbers from 1 to MAX_MATCH_LENGTH
+    const length = parseInt(format.length, 10);
+    format.length = Number.isNaN(length) ? DEFAULT_FORMAT.length : Math.min(MAX_MATCH_LENGTH, Math.max(1, length));
+    format.drawsDontCount = Boolean(format.drawsDontCount);
+    format.winByTwo = Boolean(format.winByTwo);
+    
+    setData('matchFormat', format);
+    updateModeButton();
+}
+
+/**
+ * Get the number of round wins that takes a match
+ * @param {number} length - The match length
+ * @returns {number} - Wins needed (3 in a best of 5)
+ */
+export function getWinsNeeded(length) {
+    return Math.floor(length / 2) + 1;
+}
+
+/**
+ * Describe a match format
+ * @param {Object} format - The format ({ length, drawsDontCount, winByTwo })
+ * @returns {string} - e.g. 'Best of 7 (first to 4, win by two)'
+ */
+export function describeMatchFormat(format) {
+    const details = [`first to ${getWinsNeeded(format.length)}`];
+    if (format.drawsDontCount) details.push("draws don't count");
+    if (format.winByTwo) details.push('win by two');
+    
+    return `Best of ${format.length} (${details.join(', ')})`;
+}
+
+/**
+ * Show the chosen match length on the landing page button
+ */
+function updateModeButton() {
+    const button = document.getElementById('best-of-n-btn');
+    if (button) {
+        const format = getMatchFormat();
+        button.textContent = `Best of ${format.length}`;
+        button.setAttribute('aria-label', `Start ${describeMatchFormat(format)}`);
+    }
+}
+
+/**
+ * Initializes the Best of N Mode game
+ */
+export function initBestOfNMode() {
+    session.start(bestOfNMode);
+}
+
+/**
+ * Play the new match in the format chosen now (changing it mid-match waits for the next one)
+ * @param {Object} state - The session state
+ */
+function onStart(state) {
+    state.format = getMatchFormat();
+}
+
+/**
+ * Checks if the match is over
+ * A player wins by reaching a majority of the match's rounds (with a two-round lead when it must be won by two).
+ * Otherwise the match ends on the score once its rounds are used up, which never happens when it must be won by two.
+ * @param {Object} state - The session state (or any { format, playerScore, aiScore, currentRound, decisiveRounds })
+ * @returns {boolean} - Whether the match is over
+ */
+export function isMatchOver(state) {
+    const { length, drawsDontCount, winByTwo } = state.format;
+    const leadingScore = Math.max(state.playerScore, state.aiScore);
+    const lead = Math.abs(state.playerScore - state.aiScore);
+    
+    // Replayed draws don't use up the match's rounds
+    const roundsUsed = drawsDontCount ? state.decisiveRounds : state.currentRound;
+    
+    const hasWinner = leadingScore >= getWinsNeeded(length) && lead >= (winByTwo ? 2 : 1);
+    const outOfRounds = !winByTwo && roundsUsed >= length;
+    
+    return hasWinner || outOfRounds;
+}
+
+/**
+ * Shows the final result of the Best of N game
+ * @param {Object} state - The session state
+ */
+function onMatchEnd(state) {
+    const playerWon = state.playerScore > state.aiScore;
+    const isDraw = state.playerScore === state.aiScore;
+    const message = `Final Score: ${state.playerScore}-${state.aiScore}`;
+    
+    let title, resultClass;
+    
+    if (isDraw) {
+        title = "It's a Draw!";
+        resultClass = 'draw';
+        sound.play('gameDraw');
+    } else if (playerWon) {
+        title = "You Win the Match!";
+        resultClass = 'win';
+        sound.play('gameWin');
+        
+        // Update best mode in stats
+        stats.updateBestMode(`Best of ${state.format.length}`);
+    } else {
+        title = "You Lose the Match!";
+        resultClass = 'lose';
+        sound.play('gameLose');
+    }
+    
+    // Keep the player's record for this match format
+    stats.recordMatch(describeMatchFormat(state.format), resultClass);
+    
+    // Update elements
+    const resultTitle = document.getElementById('result-title');
+    const resultMessage = document.getElementById('result-message');
+    
+    resultTitle.textContent = title;
+    resultMessage.textContent = message;
+    resultMessage.className = `result-message ${resultClass}`;
+    
+    // Show the results screen
+    ui.showSection('results-screen');
+}
+
+export default {
+    MATCH_LENGTHS,
+    MAX_MATCH_LENGTH,
+    bestOfNMode,
+    init,
+    getMatchFormat,
+    setMatchFormat,
+    getWinsNeeded,
+    describeMatchFormat,
+    isMatchOver,
+    initBestOfNMode
+};
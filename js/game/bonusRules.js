@@ -0,0 +1,58 @@
+/**
+ * Bonus Rules module for Rock Paper Battle
+ * What bonus rounds and power-ups do to a round, without the page: the game server referees
+ * leaderboard runs by these same rules (see replay.js)
+ */
+
+import { determineWinnerReversed } from './logic.js';
+
+// Chance that a round is a bonus round (1 in 5)
+export const BONUS_ROUND_CHANCE = 0.2;
+
+// Bonus round types
+export const BONUS_TYPES = {
+    DOUBLE_POINTS: 'double-points',
+    REVERSE_RULES: 'reverse-rules',
+    CHAOS_MODE: 'chaos-mode'
+};
+
+// Power-ups a game mode can hand out, shown the same way as bonus rounds
+export const POWER_UPS = {
+    PEEK: 'peek',
+    SHIELD: 'shield',
+    REDO: 'redo'
+};
+
+/**
+ * Apply a bonus round's rules to a round's result
+ * @param {string|null} bonusType - The bonus round being played (null for a normal round)
+ * @param {string} result - The result by the normal rules ('win', 'lose', or 'draw')
+ * @param {string} playerMove - The player's move
+ * @param {string} aiMove - The AI's move
+ * @param {Object} ruleset - The ruleset in play (defaults to the active ruleset)
+ * @returns {string} The result of the round
+ */
+export function resolveBonusResult(bonusType, result, playerMove, aiMove, ruleset) {
+    // Rock-Paper-Scissors edges are flipped; fixed edges (Fire) keep the regular rules
+    if (bonusType === BONUS_TYPES.REVERSE_RULES) {
+        return determineWinnerReversed(playerMove, aiMove, ruleset);
+    }
+    return result;
+}
+
+/**
+ * Get the points a won round is worth in a bonus round
+ * @param {string|null} bonusType - The bonus round being played (null for a normal round)
+ * @returns {number} The score multiplier (1 for normal, 2 for double points)
+ */
+export function getBonusMultiplier(bonusType) {
+    return bonusType === BONUS_TYPES.DOUBLE_POINTS ? 2 : 1;
+}
+
+export default {
+    BONUS_ROUND_CHANCE,
+    BONUS_TYPES,
+    POWER_UPS,
+    resolveBonusResult,
+    getBonusMultiplier
+};
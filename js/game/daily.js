@@ -0,0 +1,407 @@
+/**
+ * Daily Challenge module for Rock Paper Battle
+ * Everyone playing on the same date faces the same scripted opponent and bonus rounds, with one attempt a day.
+ * With the game server, the attempt is played there against the day's script, which the server keeps to itself until
+ * each move is played, and counts for the leaderboard. Offline, the challenge follows from the date alone and
+ * doesn't count. Results are kept per day for the calendar.
+ */
+
+import { getMoveEmoji } from './logic.js';
+import { ROUND_COUNT, DAILY_RULESET, getDailySeed, createDailyChallenge, getMaxScore } from './dailyChallenge.js';
+import * as ui from '../ui.js';
+import { getData, setData } from '../settings/storage.js';
+import * as sound from '../features/sound.js';
+import * as bonusRound from '../features/bonusRound.js';
+import * as variants from '../features/variants.js';
+import * as session from './session.js';
+
+// The day's challenge itself is worked out in dailyChallenge.js, where the game server can replay it
+export { ROUND_COUNT, getDailySeed, createDailyChallenge };
+
+// Rounds per row of the shared summary
+const SUMMARY_ROW_LENGTH = 5;
+
+// Squares for each result in the shared summary
+const RESULT_SQUARES = {
+    win: '🟩',
+    lose: '🟥',
+    draw: '⬜'
+};
+
+// Weekday headings of the calendar, starting on Monday
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+// Daily Challenge for the game session: ten rounds against the day's script
+export const dailyMode = {
+    id: 'daily',
+    title: state => `Daily Challenge ${state.dailyChallenge.date}`,
+    bonusRounds: false, // The day's bonus rounds are scheduled, not rolled
+    seed: () => getDailySeed(getDateKey()), // Seeds the chaos bonus round's shuffles too
+    leaderboard: 'daily',
+    runSettings: () => ({ date: getDateKey() }),
+    onStart,
+    onRoundStart,
+    chooseAiMove,
+    onScore,
+    isMatchOver,
+    onMatchEnd
+};
+
+// Month shown in the calendar ({ year, month }, month from 0)
+let calendarMonth = null;
+
+// Day whose result is shown under the calendar
+let selectedDate = null;
+
+/**
+ * Initialize the daily challenge screen
+ */
+export function init() {
+    const playButton = document.getElementById('daily-play-btn');
+    if (playButton) {
+        playButton.addEventListener('click', () => {
+            // One attempt a day
+            if (getResult(getDateKey())) return;
+            session.start(dailyMode);
+        });
+    }
+    
+    const copyButton = document.getElementById('daily-copy-btn');
+    if (copyButton) {
+        copyButton.addEventListener('click', copySummary);
+    }
+    
+    const previousButton = document.getElementById('daily-calendar-prev');
+    if (previousButton) {
+        previousButton.addEventListener('click', () => changeMonth(-1));
+    }
+    
+    const nextButton = document.getElementById('daily-calendar-next');
+    if (nextButton) {
+        nextButton.addEventListener('click', () => changeMonth(1));
+    }
+    
+    // Clicking a day that was played shows its result
+    const calendar = document.getElementById('daily-calendar');
+    if (calendar) {
+        calendar.addEventListener('click', (event) => {
+            const day = event.target.closest('.daily-day');
+            if (day && getResult(day.getAttribute('data-date'))) {
+                selectedDate = day.getAttribute('data-date');
+                sound.play('click');
+                render();
+            }
+        });
+    }
+}
+
+/**
+ * Get the key of a date in the player's time zone
+ * @param {Date} date - The date (today if left out)
+ * @returns {string} The date as YYYY-MM-DD
+ */
+export function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the player's results by day
+ * @returns {Object} Results by date ({ score, maxScore, rounds, completed })
+ */
+function getHistory() {
+    return getData('dailyHistory') || {};
+}
+
+/**
+ * Get the player's result for a day
+ * @param {string} dateKey - The date as YYYY-MM-DD
+ * @returns {Object|null} The result, or null if that day's challenge wasn't played
+ */
+export function getResult(dateKey) {
+    return getHistory()[dateKey] || null;
+}
+
+/**
+ * Save the player's result for a day
+ * @param {string} dateKey - The date as YYYY-MM-DD
+ * @param {Object} result - The result ({ score, maxScore, rounds, completed })
+ */
+function saveResult(dateKey, result) {
+    setData('dailyHistory', { ...getHistory(), [dateKey]: result });
+}
+
+/**
+ * Show the daily challenge screen on today's result (or today's challenge, if it hasn't been played)
+ */
+export function showDaily() {
+    const today = new Date();
+    calendarMonth = { year: today.getFullYear(), month: today.getMonth() };
+    selectedDate = getDateKey(today);
+    
+    ui.showSection('daily-screen');
+    render();
+}
+
+/**
+ * Start today's attempt, which is used up as soon as it starts
+ * The script here is only played if the game server can't be: the server's is keyed on a secret of its own
+ * @param {Object} state - The session state
+ */
+function onStart(state) {
+    const challenge = createDailyChallenge(state.run ? state.run.date : getDateKey());
+    state.dailyChallenge = challenge;
+    
+    saveResult(challenge.date, { score: 0, maxScore: getMaxScore(challenge), rounds: [], completed: false });
+    
+    // Play the day's moves, whatever variant is chosen in settings
+    variants.playRuleset(DAILY_RULESET);
+}
+
+/**
+ * Start the round's scheduled bonus round
+ * @param {Object} state - The session state
+ */
+function onRoundStart(state) {
+    const bonusType = state.dailyChallenge.bonusRounds[state.currentRound];
+    if (bonusType) {
+        bonusRound.activateBonusRound(bonusType);
+        state.bonusType = bonusType;
+    }
+}
+
+/**
+ * Play the script's move for the round, when the game server isn't playing it
+ * @param {Array} availableMoves - The moves available to the AI
+ * @param {Object} state - The session state
+ * @returns {string} The AI's move
+ */
+function chooseAiMove(availableMoves, state) {
+    return state.dailyChallenge.script[state.currentRound];
+}
+
+/**
+ * Save the attempt after every round, so leaving part way keeps the score so far
+ * @param {Object} round - The round ({ playerMove, aiMove, result, timedOut, bonusType })
+ * @param {Object} state - The session state
+ */
+function onScore(round, state) {
+    const { date } = state.dailyChallenge;
+    const result = getResult(date);
+    
+    // A timed out move counts as a loss unless it won, as in the score
+    const outcome = round.timedOut && round.result !== 'win' ? 'lose' : round.result;
+    result.rounds.push({ player: round.playerMove, ai: round.aiMove, result: outcome, bonusType: round.bonusType });
+    result.score = state.playerScore;
+    saveResult(date, result);
+}
+
+/**
+ * Checks if the day's rounds have all been played
+ * @param {Object} state - The session state
+ * @returns {boolean} Whether the challenge is over
+ */
+function isMatchOver(state) {
+    return state.currentRound >= ROUND_COUNT;
+}
+
+/**
+ * Finish today's attempt and show it on the daily challenge screen
+ * @param {Object} state - The session state
+ */
+function onMatchEnd(state) {
+    const { date } = state.dailyChallenge;
+    const result = getResult(date);
+    result.completed = true;
+    saveResult(date, result);
+    
+    sound.play(result.score * 2 >= result.maxScore ? 'gameWin' : 'gameLose');
+    variants.playRuleset(null);
+    showDaily();
+}
+
+/**
+ * Build the shareable summary of a day's result: the player's moves in rows, each with a row of result squares
+ * @param {string} dateKey - The date as YYYY-MM-DD
+ * @returns {string} The summary, or an empty string if the day wasn't played
+ */
+export function getSummary(dateKey) {
+    const result = getResult(dateKey);
+    if (!result) return '';
+    
+    const lines = [`Rock Paper Battle Daily ${dateKey}`, `Score: ${result.score}/${result.maxScore}`];
+    for (let i = 0; i < result.rounds.length; i += SUMMARY_ROW_LENGTH) {
+        const row = result.rounds.slice(i, i + SUMMARY_ROW_LENGTH);
+        lines.push(row.map(round => getMoveEmoji(round.player, DAILY_RULESET)).join(''));
+        lines.push(row.map(round => RESULT_SQUARES[round.result]).join(''));
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Copy the selected day's summary for sharing
+ */
+function copySummary() {
+    const summary = getSummary(selectedDate);
+    const status = document.getElementById('daily-copy-status');
+    if (!summary) return;
+    
+    const showStatus = (message) => {
+        if (status) status.textContent = message;
+    };
+    
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+        navigator.clipboard.writeText(summary)
+            .then(() => showStatus('Copied!'))
+            .catch(() => showStatus('Select the summary to copy it'));
+    } else {
+        showStatus('Select the summary to copy it');
+    }
+    
+    sound.play('click');
+}
+
+/**
+ * Show another month in the calendar
+ * @param {number} step - Months to move by (-1 for the previous month)
+ */
+function changeMonth(step) {
+    const date = new Date(calendarMonth.year, calendarMonth.month + step, 1);
+    calendarMonth = { year: date.getFullYear(), month: date.getMonth() };
+    
+    sound.play('click');
+    renderCalendar();
+}
+
+/**
+ * Render the daily challenge screen
+ */
+function render() {
+    const today = getDateKey();
+    const todaysResult = getResult(today);
+    
+    const status = document.getElementById('daily-status');
+    if (status) {
+        if (!todaysResult) {
+            status.textContent = `Today's challenge: ${ROUND_COUNT} rounds against the day's scripted opponent. You get one attempt.`;
+        } else if (todaysResult.completed) {
+            status.textContent = `You scored ${todaysResult.score}/${todaysResult.maxScore} today. Come back tomorrow for a new challenge!`;
+        } else {
+            status.textContent = `You left today's challenge after ${todaysResult.rounds.length} rounds with ${todaysResult.score}/${todaysResult.maxScore}. Come back tomorrow!`;
+        }
+    }
+    
+    const playButton = document.getElementById('daily-play-btn');
+    if (playButton) playButton.classList.toggle('hidden', Boolean(todaysResult));
+    
+    // The selected day's summary
+    const summary = getSummary(selectedDate);
+    const summaryElement = document.getElementById('daily-summary');
+    if (summaryElement) {
+        summaryElement.textContent = summary;
+        summaryElement.classList.toggle('hidden', !summary);
+    }
+    
+    const copyButton = document.getElementById('daily-copy-btn');
+    if (copyButton) copyButton.classList.toggle('hidden', !summary);
+    
+    const copyStatus = document.getElementById('daily-copy-status');
+    if (copyStatus) copyStatus.textContent = '';
+    
+    renderCalendar();
+}
+
+/**
+ * Render the calendar month, marking the days that were played with their score
+ */
+function renderCalendar() {
+    const calendar = document.getElementById('daily-calendar');
+    if (!calendar || !calendarMonth) return;
+    
+    const { year, month } = calendarMonth;
+    const title = document.getElementById('daily-calendar-title');
+    if (title) {
+        title.textContent = new Date(year, month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+    
+    calendar.innerHTML = '';
+    WEEKDAYS.forEach(weekday => {
+        const heading = document.createElement('div');
+        heading.className = 'daily-weekday';
+        heading.textContent = weekday;
+        calendar.appendChild(heading);
+    });
+    
+    // Pad the first week up to the first of the month (weeks start on Monday)
+    const padding = (new Date(year, month, 1).getDay() + 6) % 7;
+    for (let i = 0; i < padding; i++) {
+        calendar.appendChild(document.createElement('div'));
+    }
+    
+    const today = getDateKey();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dateKey = getDateKey(new Date(year, month, day));
+        const result = getResult(dateKey);
+        
+        const cell = document.createElement('button');
+        cell.className = 'daily-day';
+        cell.setAttribute('data-date', dateKey);
+        cell.classList.toggle('today', dateKey === today);
+        cell.classList.toggle('played', Boolean(result));
+        cell.classList.toggle('selected', dateKey === selectedDate);
+        cell.disabled = !result;
+        
+        cell.innerHTML = `
+            <span class="daily-day-number">${day}</span>
+            <span class="daily-day-score">${result ? `${result.score}/${result.maxScore}` : ''}</span>
+        `;
+        cell.setAttribute('aria-label', result ? `${dateKey}: ${result.score} of ${result.maxScore}` : dateKey);
+        calendar.appendChild(cell);
+    }
+}
+
+/**
+ * Returns to the main menu, going back to the variant chosen in settings
+ */
+export function returnToMenu() {
+    if (session.isActive()) {
+        session.returnToMenu();
+    } else {
+        sound.play('click');
+        ui.showSection('landing-page');
+    }
+    
+    variants.playRuleset(null);
+}
+
+/**
+ * Continues the challenge after showing a round's result
+ */
+export function continueGame() {
+    session.continueGame();
+}
+
+/**
+ * The day's attempt can't be restarted
+ */
+export function resetScores() {
+    sound.play('click');
+}
+
+export default {
+    ROUND_COUNT,
+    dailyMode,
+    init,
+    getDateKey,
+    getDailySeed,
+    createDailyChallenge,
+    getResult,
+    getSummary,
+    showDaily,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
@@ -0,0 +1,118 @@
+/**
+ * Daily Challenge Rules module for Rock Paper Battle
+ * The day's challenge as it follows from the date, without the page: the Daily Challenge plays it offline, and the
+ * game server plays the attempts that count with a script keyed on a secret of its own (see replay.js), so that
+ * script can't be worked out from the date
+ */
+
+import { CLASSIC_RULESET } from './rules.js';
+import { BONUS_ROUND_CHANCE, BONUS_TYPES, getBonusMultiplier } from './bonusRules.js';
+import { createRandom } from '../utils/random.js';
+
+// Rounds in a daily challenge
+export const ROUND_COUNT = 10;
+
+// The daily challenge is classic rock, paper, scissors without the unlockable Fire move, so everyone has the same moves
+export const DAILY_RULESET = {
+    ...CLASSIC_RULESET,
+    moves: CLASSIC_RULESET.moves.filter(move => !move.secret),
+    rules: CLASSIC_RULESET.rules.filter(rule => !rule.fixed)
+};
+
+// How the scripted opponent moves on from one move to the next in a run of moves
+const SCRIPT_PATTERNS = {
+    REPEAT: 'repeat', // The same move again
+    CYCLE: 'cycle', // The move that beats the last one
+    RANDOM: 'random' // Any move
+};
+
+/**
+ * Get the seed of a day's challenge
+ * @param {string} dateKey - The date as YYYY-MM-DD
+ * @returns {string} The seed
+ */
+export function getDailySeed(dateKey) {
+    return `daily-${dateKey}`;
+}
+
+/**
+ * Create a day's challenge: the opponent's moves and the bonus round of every round
+ * The bonus rounds always follow from the date, so the page can show them before each round.
+ * @param {string} dateKey - The date as YYYY-MM-DD
+ * @param {string} scriptKey - A secret the opponent's moves are keyed on (none: they follow from the date too)
+ * @returns {Object} The challenge ({ date, seed, script, bonusRounds })
+ */
+export function createDailyChallenge(dateKey, scriptKey = '') {
+    const seed = getDailySeed(dateKey);
+    return {
+        date: dateKey,
+        seed,
+        script: createScript(createRandom(scriptKey ? `${seed}:${scriptKey}:script` : `${seed}:script`)),
+        bonusRounds: createBonusSchedule(createRandom(`${seed}:bonus`))
+    };
+}
+
+/**
+ * Script the opponent's moves as short runs of repeats, cycles and random moves, so there is something to read
+ * @param {Function} rng - Random number generator for the day
+ * @returns {Array} The opponent's move for every round
+ */
+function createScript(rng) {
+    const moves = DAILY_RULESET.moves.map(move => move.id);
+    const patterns = Object.values(SCRIPT_PATTERNS);
+    const script = [];
+    
+    while (script.length < ROUND_COUNT) {
+        const pattern = patterns[Math.floor(rng() * patterns.length)];
+        const runLength = 2 + Math.floor(rng() * 3);
+        let move = moves[Math.floor(rng() * moves.length)];
+        
+        for (let i = 0; i < runLength && script.length < ROUND_COUNT; i++) {
+            script.push(move);
+            
+            if (pattern === SCRIPT_PATTERNS.CYCLE) {
+                // Rock, paper, scissors: each move beats the one before it
+                move = moves[(moves.indexOf(move) + 1) % moves.length];
+            } else if (pattern === SCRIPT_PATTERNS.RANDOM) {
+                move = moves[Math.floor(rng() * moves.length)];
+            }
+        }
+    }
+    
+    return script;
+}
+
+/**
+ * Schedule the day's bonus rounds, as likely as in the other modes
+ * @param {Function} rng - Random number generator for the day
+ * @returns {Array} The bonus type of every round (null for a normal round)
+ */
+function createBonusSchedule(rng) {
+    const bonusTypes = Object.values(BONUS_TYPES);
+    const schedule = [];
+    
+    for (let round = 0; round < ROUND_COUNT; round++) {
+        const isBonus = rng() < BONUS_ROUND_CHANCE;
+        const bonusType = bonusTypes[Math.floor(rng() * bonusTypes.length)];
+        schedule.push(isBonus ? bonusType : null);
+    }
+    
+    return schedule;
+}
+
+/**
+ * Get the highest possible score of a challenge (a double points round is worth two)
+ * @param {Object} challenge - The challenge
+ * @returns {number} The maximum score
+ */
+export function getMaxScore(challenge) {
+    return challenge.bonusRounds.reduce((total, bonusType) => total + getBonusMultiplier(bonusType), 0);
+}
+
+export default {
+    ROUND_COUNT,
+    DAILY_RULESET,
+    getDailySeed,
+    createDailyChallenge,
+    getMaxScore
+};
@@ -0,0 +1,297 @@
+/**
+ * Gauntlet Mode module for Rock Paper Battle
+ * The player climbs a ladder of difficulty tiers, beating each in a Best of 3 before facing the next.
+ * Every lost match costs one of a fixed number of lives; the run ends when the last life is lost.
+ */
+
+import * as ui from '../ui.js';
+import * as sound from '../features/sound.js';
+import * as stats from '../features/stats.js';
+import * as aiModes from '../features/aiModes.js';
+import * as fairPlay from '../features/fairPlay.js';
+import { getLadder } from '../ai/difficulties.js';
+import * as session from './session.js';
+import { isMatchOver } from './bestOfN.js';
+
+// Lives the player starts a run with
+export const STARTING_LIVES = 3;
+
+// Every rung is a Best of 3 in which drawn rounds are replayed, so every match has a winner
+const MATCH_FORMAT = {
+    length: 3,
+    drawsDontCount: true,
+    winByTwo: false
+};
+
+// Gauntlet Mode for the game session: each session match is the player's match on the current rung
+export const gauntletMode = {
+    id: 'gauntlet',
+    title: state => state.gauntletTitle,
+    onStart,
+    isMatchOver,
+    onMatchEnd
+};
+
+// The run in progress ({ rungs, rung, lives, startedAt, finishedAt, lastResult }), null between runs
+let run = null;
+
+/**
+ * Initialize the ladder screen
+ */
+export function init() {
+    const continueButton = document.getElementById('gauntlet-continue-btn');
+    if (continueButton) {
+        continueButton.addEventListener('click', () => {
+            // A finished run is followed by a new one
+            if (isRunOver()) {
+                startRun();
+                sound.play('click');
+                renderLadder();
+                return;
+            }
+            playMatch();
+        });
+    }
+}
+
+/**
+ * Get the difficulty tiers of the ladder, weakest first (Impossible only plays fair with fair play on)
+ * @returns {Array} The difficulty IDs
+ */
+export function getRungs() {
+    return getLadder(fairPlay.isEnabled());
+}
+
+/**
+ * Start a new run from the bottom of the ladder
+ */
+function startRun() {
+    run = {
+        rungs: getRungs(),
+        rung: 0,
+        lives: STARTING_LIVES,
+        startedAt: null,
+        finishedAt: null,
+        lastResult: null
+    };
+}
+
+/**
+ * Check whether the run has been completed or lost
+ * @returns {boolean} Whether the run is over
+ */
+function isRunOver() {
+    return !run || run.lives === 0 || run.rung >= run.rungs.length;
+}
+
+/**
+ * Start a new run and show the ladder
+ */
+export function initGauntletMode() {
+    startRun();
+    showLadder();
+}
+
+/**
+ * Show the ladder screen
+ */
+export function showLadder() {
+    ui.showSection('gauntlet-screen');
+    renderLadder();
+}
+
+/**
+ * Play the match on the current rung
+ */
+function playMatch() {
+    if (session.isActive()) {
+        session.continueGame();
+    } else {
+        session.start(gauntletMode);
+    }
+}
+
+/**
+ * Set up a session match against the current rung's tier
+ * @param {Object} state - The session state
+ */
+function onStart(state) {
+    if (isRunOver()) startRun();
+    
+    // The clock starts with the first match
+    if (run.startedAt === null) {
+        run.startedAt = Date.now();
+    }
+    
+    const difficulty = run.rungs[run.rung];
+    aiModes.playOpponent({ difficulty, personality: null });
+    
+    state.format = MATCH_FORMAT;
+    state.gauntletTitle = `Gauntlet ${run.rung + 1}/${run.rungs.length}: vs ${getTierName(difficulty)}`;
+}
+
+/**
+ * Move up the ladder after a win, or lose a life after a loss, then show the ladder
+ * @param {Object} state - The session state
+ */
+function onMatchEnd(state) {
+    const won = state.playerScore > state.aiScore;
+    run.lastResult = { rung: run.rung, won, score: `${state.playerScore}-${state.aiScore}` };
+    
+    if (won) {
+        run.rung++;
+        stats.recordGauntletProgress(run.rung, run.rungs.length);
+        
+        // Reaching the top of the ladder completes the run
+        if (run.rung >= run.rungs.length) {
+            run.finishedAt = Date.now();
+            stats.recordGauntletCompletion(run.finishedAt - run.startedAt);
+            sound.play('gameWin');
+        } else {
+            sound.play('win');
+        }
+    } else {
+        run.lives--;
+        sound.play('gameLose');
+    }
+    
+    showLadder();
+}
+
+/**
+ * Get the display name of a difficulty tier
+ * @param {string} difficulty - The difficulty ID
+ * @returns {string} The tier's emoji and name, e.g. '😊 Noobron'
+ */
+function getTierName(difficulty) {
+    const level = aiModes.getAllDifficultyLevels().find(tier => tier.id === difficulty);
+    return level ? `${level.emoji} ${level.name}` : difficulty;
+}
+
+/**
+ * Describe where the run stands
+ * @returns {string} The status, e.g. 'You beat 😊 Noobron 2-1. Next: 🙂 Median Mind.'
+ */
+function describeStatus() {
+    const parts = [];
+    
+    // The last match's result
+    const { lastResult } = run;
+    if (lastResult) {
+        const tierName = getTierName(run.rungs[lastResult.rung]);
+        parts.push(lastResult.won
+            ? `You beat ${tierName} ${lastResult.score}.`
+            : `You lost to ${tierName} ${lastResult.score}.`);
+    }
+    
+    // What comes next
+    if (run.rung >= run.rungs.length) {
+        parts.push(`🏆 Gauntlet complete in ${stats.formatTime(run.finishedAt - run.startedAt)}!`);
+    } else if (run.lives === 0) {
+        parts.push(`Out of lives on rung ${run.rung + 1} of ${run.rungs.length}.`);
+    } else {
+        parts.push(`Next: ${getTierName(run.rungs[run.rung])}.`);
+    }
+    
+    return parts.join(' ');
+}
+
+/**
+ * Render the ladder, the lives left and the run's status
+ */
+function renderLadder() {
+    if (!run) startRun();
+    
+    // Ladder, top rung first
+    const ladder = document.getElementById('gauntlet-ladder');
+    if (ladder) {
+        ladder.innerHTML = '';
+        [...run.rungs].reverse().forEach((difficulty, index) => {
+            const rung = run.rungs.length - 1 - index;
+            const item = document.createElement('li');
+            item.className = 'gauntlet-rung';
+            
+            if (rung < run.rung) {
+                item.classList.add('cleared');
+            } else if (rung === run.rung && run.lives > 0) {
+                item.classList.add('current');
+            } else {
+                item.classList.add('locked');
+            }
+            
+            item.innerHTML = `
+                <span class="gauntlet-rung-number">${rung + 1}</span>
+                <span class="gauntlet-rung-name">${getTierName(difficulty)}</span>
+                <span class="gauntlet-rung-state">${rung < run.rung ? '✅' : ''}</span>
+            `;
+            ladder.appendChild(item);
+        });
+    }
+    
+    // Lives left, with lost ones greyed out
+    const lives = document.getElementById('gauntlet-lives');
+    if (lives) {
+        lives.textContent = '❤️'.repeat(run.lives) + '🖤'.repeat(STARTING_LIVES - run.lives);
+        lives.setAttribute('aria-label', `${run.lives} of ${STARTING_LIVES} lives left`);
+    }
+    
+    const status = document.getElementById('gauntlet-status');
+    if (status) {
+        status.textContent = run.lastResult ? describeStatus() : `Beat every tier in a Best of 3. You have ${STARTING_LIVES} lives.`;
+    }
+    
+    // The button plays the next match, or starts over once the run is over
+    const continueButton = document.getElementById('gauntlet-continue-btn');
+    if (continueButton) {
+        if (isRunOver()) {
+            continueButton.textContent = 'New Run';
+        } else if (run.lastResult && !run.lastResult.won) {
+            continueButton.textContent = 'Try Again';
+        } else {
+            continueButton.textContent = run.rung === 0 ? 'Start' : 'Next Match';
+        }
+    }
+}
+
+/**
+ * Returns to the main menu, ending the run and going back to the opponent chosen in settings
+ */
+export function returnToMenu() {
+    if (session.isActive()) {
+        session.returnToMenu();
+    } else {
+        sound.play('click');
+        ui.showSection('landing-page');
+    }
+    
+    run = null;
+    aiModes.playOpponent(null);
+}
+
+/**
+ * Continues the match after showing a round's result
+ */
+export function continueGame() {
+    session.continueGame();
+}
+
+/**
+ * Restarts the match being played
+ */
+export function resetScores() {
+    if (session.isActive()) {
+        session.resetScores();
+    }
+}
+
+export default {
+    STARTING_LIVES,
+    gauntletMode,
+    init,
+    getRungs,
+    initGauntletMode,
+    showLadder,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
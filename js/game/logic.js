@@ -3,174 +3,162 @@
  * Handles core game mechanics
  */
 
-// Possible moves
-const MOVES = ['rock', 'paper', 'scissors', 'fire'];
+import { RULESETS, getActiveRuleset, getMove, getEdge, resolve, getMovesBeating } from './rules.js';
+import { pick } from '../utils/random.js';
 
-// Move emojis for display
-const MOVE_EMOJIS = {
-    rock: '✊',
-    paper: '✋',
-    scissors: '✌️',
-    fire: '🔥'
-};
+// Emojis for every built-in move, used when a move is not in the active ruleset
+const MOVE_EMOJIS = Object.fromEntries(
+    Object.values(RULESETS).flatMap(ruleset => ruleset.moves).map(move => [move.id, move.emoji])
+);
 
 /**
  * Determines the winner of a round
  * @param {string} playerMove - The player's move
  * @param {string} aiMove - The AI's move
+ * @param {Object} ruleset - The ruleset to apply (defaults to the active ruleset)
  * @returns {string} - 'win', 'lose', or 'draw'
  */
-export function determineWinner(playerMove, aiMove) {
-    // Same move = draw
-    if (playerMove === aiMove) {
-        return 'draw';
-    }
-    
-    // Standard Rock-Paper-Scissors rules
-    if (
-        (playerMove === 'rock' && aiMove === 'scissors') ||
-        (playerMove === 'paper' && aiMove === 'rock') ||
-        (playerMove === 'scissors' && aiMove === 'paper')
-    ) {
-        return 'win';
-    }
-    
-    // Fire move rules
-    if (playerMove === 'fire') {
-        // Fire beats scissors and paper
-        if (aiMove === 'scissors' || aiMove === 'paper') {
-            return 'win';
-        }
-        // Rock beats fire
-        return 'lose';
-    }
-    
-    if (aiMove === 'fire') {
-        // Fire beats scissors and paper
-        if (playerMove === 'scissors' || playerMove === 'paper') {
-            return 'lose';
-        }
-        // Rock beats fire
-        return 'win';
-    }
-    
-    // Player loses in all other cases
-    return 'lose';
+export function determineWinner(playerMove, aiMove, ruleset = getActiveRuleset()) {
+    return resolve(playerMove, aiMove, ruleset);
 }
 
 /**
  * Determines the winner with reversed rules
+ * Every edge is flipped except the ones the ruleset marks as fixed
  * @param {string} playerMove - The player's move
  * @param {string} aiMove - The AI's move
+ * @param {Object} ruleset - The ruleset to apply (defaults to the active ruleset)
  * @returns {string} - 'win', 'lose', or 'draw'
  */
-export function determineWinnerReversed(playerMove, aiMove) {
-    // Same move = draw
-    if (playerMove === aiMove) {
-        return 'draw';
-    }
-    
-    // Reversed Rock-Paper-Scissors rules
-    if (
-        (playerMove === 'rock' && aiMove === 'paper') ||
-        (playerMove === 'paper' && aiMove === 'scissors') ||
-        (playerMove === 'scissors' && aiMove === 'rock')
-    ) {
-        return 'win';
-    }
-    
-    // Fire move rules (same as normal)
-    if (playerMove === 'fire') {
-        // Fire beats scissors and paper
-        if (aiMove === 'scissors' || aiMove === 'paper') {
-            return 'win';
-        }
-        // Rock beats fire
-        return 'lose';
-    }
-    
-    if (aiMove === 'fire') {
-        // Fire beats scissors and paper
-        if (playerMove === 'scissors' || playerMove === 'paper') {
-            return 'lose';
-        }
-        // Rock beats fire
-        return 'win';
-    }
-    
-    // Player loses in all other cases
-    return 'lose';
+export function determineWinnerReversed(playerMove, aiMove, ruleset = getActiveRuleset()) {
+    return resolve(playerMove, aiMove, ruleset, true);
 }
 
 /**
  * Gets the emoji for a move
  * @param {string} move - The move
+ * @param {Object} ruleset - The ruleset to look in (defaults to the active ruleset)
  * @returns {string} - The emoji for the move
  */
-export function getMoveEmoji(move) {
+export function getMoveEmoji(move, ruleset = getActiveRuleset()) {
+    const definition = getMove(move, ruleset);
+    if (definition) {
+        return definition.emoji;
+    }
     return MOVE_EMOJIS[move] || '❓';
 }
 
+/**
+ * Builds the "X verbs Y" part of a result message
+ * @param {string} winner - The winning move
+ * @param {string} loser - The losing move
+ * @param {Object} ruleset - The ruleset to look in
+ * @returns {string} - The description of the winning edge
+ */
+function describeWin(winner, loser, ruleset) {
+    const winnerEmoji = getMoveEmoji(winner, ruleset);
+    const loserEmoji = getMoveEmoji(loser, ruleset);
+    const edge = getEdge(winner, loser, ruleset);
+    const definition = getMove(winner, ruleset);
+    
+    // Reversed bonus rounds produce wins that have no edge in the graph
+    if (!edge || !edge.verb || !definition) {
+        return `${winnerEmoji} beats ${loserEmoji}`;
+    }
+    
+    return `${winnerEmoji} ${definition.name} ${edge.verb} ${loserEmoji}`;
+}
+
 /**
  * Generates a result message based on the round outcome
  * @param {string} result - The result ('win', 'lose', or 'draw')
  * @param {string} playerMove - The player's move
  * @param {string} aiMove - The AI's move
+ * @param {Object} ruleset - The ruleset to look in (defaults to the active ruleset)
  * @returns {string} - The result message
  */
-export function getResultMessage(result, playerMove, aiMove) {
-    const playerEmoji = getMoveEmoji(playerMove);
-    const aiEmoji = getMoveEmoji(aiMove);
-    
+export function getResultMessage(result, playerMove, aiMove, ruleset = getActiveRuleset()) {
     if (result === 'win') {
-        if (playerMove === 'fire' && (aiMove === 'scissors' || aiMove === 'paper')) {
-            return `${playerEmoji} Fire burns ${aiEmoji}! You win!`;
-        }
-        if (playerMove === 'rock' && aiMove === 'fire') {
-            return `${playerEmoji} Rock smothers ${aiEmoji}! You win!`;
-        }
-        return `${playerEmoji} beats ${aiEmoji}! You win!`;
+        return `${describeWin(playerMove, aiMove, ruleset)}! You win!`;
     } else if (result === 'lose') {
-        if (aiMove === 'fire' && (playerMove === 'scissors' || playerMove === 'paper')) {
-            return `${aiEmoji} Fire burns ${playerEmoji}! You lose!`;
-        }
-        if (aiMove === 'rock' && playerMove === 'fire') {
-            return `${aiEmoji} Rock smothers ${playerEmoji}! You lose!`;
-        }
-        return `${aiEmoji} beats ${playerEmoji}! You lose!`;
+        return `${describeWin(aiMove, playerMove, ruleset)}! You lose!`;
     } else {
-        return `${playerEmoji} ties with ${aiEmoji}! It's a draw!`;
+        return `${getMoveEmoji(playerMove, ruleset)} ties with ${getMoveEmoji(aiMove, ruleset)}! It's a draw!`;
     }
 }
 
+/**
+ * Get the moves that can be played under a ruleset
+ * @param {boolean} includeSecret - Whether unlockable moves (like fire) are included
+ * @param {Object} ruleset - The ruleset to look in (defaults to the active ruleset)
+ * @returns {Array} - IDs of the playable moves
+ */
+export function getAvailableMoves(includeSecret = false, ruleset = getActiveRuleset()) {
+    return ruleset.moves
+        .filter(move => includeSecret || !move.secret)
+        .map(move => move.id);
+}
+
 /**
  * Get a random move from the available moves
  * @param {Array} availableMoves - Array of available moves
+ * @param {string|Function} stream - The seeded random stream to draw from
  * @returns {string} - A random move
  */
-export function getRandomMove(availableMoves) {
-    const randomIndex = Math.floor(Math.random() * availableMoves.length);
-    return availableMoves[randomIndex];
+export function getRandomMove(availableMoves, stream = 'ai') {
+    return pick(availableMoves, stream);
 }
 
 /**
  * Get the counter move that beats the given move
+ * When several moves beat it, the first one in ruleset order that is available wins
  * @param {string} move - The move to counter
+ * @param {Array} availableMoves - Moves the counter may be chosen from (defaults to all ruleset moves)
+ * @param {Object} ruleset - The ruleset to look in (defaults to the active ruleset)
  * @returns {string} - The counter move
  */
-export function getCounterMove(move) {
-    switch (move) {
-        case 'rock':
-            return 'paper';
-        case 'paper':
-            return 'scissors';
-        case 'scissors':
-            return 'rock';
-        case 'fire':
-            return 'rock'; // Rock counters fire
-        default:
-            return 'rock';
+export function getCounterMove(move, availableMoves = null, ruleset = getActiveRuleset()) {
+    const counters = getMovesBeating(move, ruleset)
+        .filter(counter => !availableMoves || availableMoves.includes(counter));
+    
+    if (counters.length > 0) {
+        return counters[0];
     }
+    
+    // Unknown move or nothing available beats it: fall back to the first move
+    return availableMoves && availableMoves.length > 0 ? availableMoves[0] : ruleset.moves[0].id;
+}
+
+/**
+ * Get the move with the best expected result against a predicted move distribution
+ * Scores +1 per expected win and -1 per expected loss; ties are broken at random
+ * @param {Object} distribution - Move -> probability that the opponent plays it
+ * @param {Array} availableMoves - Moves the response may be chosen from
+ * @param {Object} ruleset - The ruleset to apply (defaults to the active ruleset)
+ * @param {string|Function} stream - The seeded random stream ties are broken with
+ * @returns {string} - The best response
+ */
+export function getBestResponse(distribution, availableMoves, ruleset = getActiveRuleset(), stream = 'ai') {
+    let bestScore = -Infinity;
+    let bestMoves = [];
+
+    availableMoves.forEach(move => {
+        let score = 0;
+        Object.entries(distribution).forEach(([opponentMove, probability]) => {
+            if (opponentMove === move) return;
+            score += resolve(move, opponentMove, ruleset) === 'win' ? probability : -probability;
+        });
+
+        // Treat near-equal scores as ties so rounding doesn't make the choice predictable
+        if (score > bestScore + 1e-9) {
+            bestScore = score;
+            bestMoves = [move];
+        } else if (Math.abs(score - bestScore) <= 1e-9) {
+            bestMoves.push(move);
+        }
+    });
+
+    return getRandomMove(bestMoves, stream);
 }
 
 export default {
@@ -178,6 +166,8 @@ export default {
     determineWinnerReversed,
     getMoveEmoji,
     getResultMessage,
+    getAvailableMoves,
     getRandomMove,
-    getCounterMove
-}; 
\ No newline at end of file
+    getCounterMove,
+    getBestResponse
+};
\ No newline at end of file
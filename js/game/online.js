@@ -0,0 +1,863 @@
+/**
+ * Online Mode module for Rock Paper Battle
+ * Plays another person over the game server's WebSocket (see api/multiplayer.js): the lobby creates or joins
+ * a room by invite code or link, and the server resolves each round so neither browser decides the result.
+ * Ranked play queues for an opponent with a similar rating instead, and each ranked match moves the rating.
+ */
+
+import { getMoveEmoji, getAvailableMoves } from './logic.js';
+import { RULESETS, CLASSIC_RULESET, getActiveRuleset, getRuleset } from './rules.js';
+import * as ui from '../ui.js';
+import * as sound from '../features/sound.js';
+import * as avatar from '../features/avatar.js';
+import * as aiModes from '../features/aiModes.js';
+import * as variants from '../features/variants.js';
+import * as fairPlay from '../features/fairPlay.js';
+import * as aiExplainer from '../features/aiExplainer.js';
+import { getPlayerId } from '../features/ranked.js';
+import { showBurst } from '../features/reactions.js';
+import { getMatchFormat } from './bestOfN.js';
+
+// Where the game server listens
+const MULTIPLAYER_PATH = '/multiplayer';
+
+// Query parameters of invite links (?room=CODE) and of links for spectators (?watch=CODE)
+export const ROOM_PARAM = 'room';
+export const WATCH_PARAM = 'watch';
+
+// Waits before each attempt to reconnect after the connection drops
+const RECONNECT_DELAYS = [1000, 2000, 4000, 8000, 15000];
+
+// This tab's seat, kept in session storage so a reload rejoins but two tabs can play each other
+const SEAT_STORAGE_KEY = 'RockPaperBattle_onlineSeat';
+
+// How long both moves are shown before the next round
+const REVEAL_DELAY = 1500;
+
+// The connection to the game server
+let socket = null;
+
+// This tab's seat ({ code, seat, token }), null outside a room
+let seat = null;
+
+// The room as last sent by the server
+let room = null;
+
+// The move this player locked in this round
+let chosenMove = null;
+
+// The last round's result from the server, while it's being shown
+let revealedRound = null;
+
+// The ranked queue this player is waiting in ({ rating, aiWait, since }), null when not queued
+let queue = null;
+
+// The player's rating change from their last ranked match ({ rating, change })
+let ratingChange = null;
+
+// Whether the player is leaving on purpose (so the connection isn't restored)
+let leaving = false;
+
+// Reconnection attempts made since the connection dropped
+let reconnectAttempts = 0;
+
+// Timers for reconnecting, for ending a round's reveal, for the opponent's move clock and for the time queued
+let reconnectTimer = null;
+let revealTimer = null;
+let countdownTimer = null;
+let queueTimer = null;
+
+// Game screen labels replaced while playing online, restored when leaving
+let savedLabels = null;
+
+/**
+ * Initialize the lobby
+ */
+export function init() {
+    const createButton = document.getElementById('online-create-btn');
+    if (createButton) {
+        createButton.addEventListener('click', () => {
+            sound.play('click');
+            // A custom rule pack only exists in this browser, so its room plays the classic moves
+            const ruleset = getRuleset(getActiveRuleset().id) || CLASSIC_RULESET;
+            connect({ type: 'create', ...getProfileMessage(), rulesetId: ruleset.id, length: getMatchFormat().length });
+        });
+    }
+    
+    const codeInput = document.getElementById('online-code-input');
+    const joinButton = document.getElementById('online-join-btn');
+    if (joinButton && codeInput) {
+        joinButton.addEventListener('click', () => {
+            sound.play('click');
+            joinRoom(codeInput.value);
+        });
+        codeInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                joinRoom(codeInput.value);
+            }
+        });
+    }
+    
+    const copyButton = document.getElementById('online-copy-btn');
+    if (copyButton) {
+        copyButton.addEventListener('click', copyInviteLink);
+    }
+    
+    const rankedButton = document.getElementById('online-ranked-btn');
+    if (rankedButton) {
+        rankedButton.addEventListener('click', () => {
+            sound.play('click');
+            joinQueue();
+        });
+    }
+    
+    const cancelQueueButton = document.getElementById('online-cancel-queue-btn');
+    if (cancelQueueButton) {
+        cancelQueueButton.addEventListener('click', () => {
+            sound.play('click');
+            send({ type: 'unqueue' });
+            leaveQueue();
+            setLobbyStatus('Stopped looking for a ranked match.');
+        });
+    }
+}
+
+/**
+ * Open the lobby if the page was opened with an invite link, or reloaded while in a room
+ * @returns {boolean} Whether the lobby was opened
+ */
+export function openInviteLink() {
+    const savedSeat = getSavedSeat();
+    const code = new URLSearchParams(window.location.search).get(ROOM_PARAM);
+    
+    if (savedSeat && (!code || code.toUpperCase() === savedSeat.code)) {
+        showLobby();
+        connect({ type: 'rejoin', code: savedSeat.code, token: savedSeat.token });
+        return true;
+    }
+    
+    if (code) {
+        showLobby();
+        joinRoom(code);
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Show the lobby
+ */
+export function showLobby() {
+    leaving = false;
+    ui.showSection('online-screen');
+    renderLobby();
+}
+
+/**
+ * Check whether the player is in an online room
+ * @returns {boolean} Whether this tab has a seat
+ */
+export function isActive() {
+    return seat !== null;
+}
+
+/**
+ * Get the player's profile as sent to the server
+ * @returns {Object} { name, avatar }
+ */
+function getProfileMessage() {
+    const profile = avatar.getCurrentProfile();
+    return { name: profile.name, avatar: profile.avatar };
+}
+
+/**
+ * Join a room by its invite code
+ * @param {string} code - The invite code
+ */
+function joinRoom(code) {
+    const cleanCode = String(code || '').trim().toUpperCase();
+    if (!cleanCode) {
+        setLobbyStatus('Enter the invite code you were sent.');
+        return;
+    }
+    connect({ type: 'join', code: cleanCode, ...getProfileMessage() });
+}
+
+/**
+ * Wait for a ranked match against someone with a similar rating
+ */
+function joinQueue() {
+    connect({ type: 'queue', ...getProfileMessage(), playerId: getPlayerId() });
+}
+
+/**
+ * Stop showing the time spent in the ranked queue
+ */
+function leaveQueue() {
+    queue = null;
+    clearInterval(queueTimer);
+    queueTimer = null;
+    renderLobby();
+}
+
+/**
+ * Show how long the player has been waiting for a ranked match
+ */
+function updateQueueStatus() {
+    const status = document.getElementById('online-queue-status');
+    if (!status || !queue) return;
+    
+    const waited = Date.now() - queue.since;
+    status.textContent = waited >= queue.aiWait
+        ? 'No one is around. Finding you an AI opponent...'
+        : `Looking for an opponent rated near ${queue.rating}... ${Math.floor(waited / 1000)}s`;
+}
+
+/**
+ * Get the seat this tab held before a reload
+ * @returns {Object|null} { code, seat, token }
+ */
+function getSavedSeat() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SEAT_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Keep this tab's seat for a reload, or forget it
+ * @param {Object|null} savedSeat - { code, seat, token }
+ */
+function saveSeat(savedSeat) {
+    try {
+        if (savedSeat) {
+            sessionStorage.setItem(SEAT_STORAGE_KEY, JSON.stringify(savedSeat));
+        } else {
+            sessionStorage.removeItem(SEAT_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('Error saving online seat:', error);
+    }
+}
+
+/**
+ * Get the invite link to a room
+ * @param {string} code - The invite code
+ * @param {string} param - ROOM_PARAM to play in the room, or WATCH_PARAM to watch it
+ * @returns {string} The link
+ */
+export function getInviteLink(code, param = ROOM_PARAM) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(param, code);
+    return url.toString();
+}
+
+/**
+ * Get the address of the game server
+ * @returns {string} The WebSocket URL, on the server the game was loaded from
+ */
+export function getServerUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}${MULTIPLAYER_PATH}`;
+}
+
+/**
+ * Connect to the game server (if not connected) and send a message once connected
+ * @param {Object} message - The first message to send
+ */
+function connect(message) {
+    clearTimeout(reconnectTimer);
+    
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        send(message);
+        return;
+    }
+    
+    // Connections that are still opening are replaced
+    if (socket) {
+        socket.onclose = null;
+        socket.close();
+    }
+    
+    setLobbyStatus('Connecting...');
+    
+    socket = new WebSocket(getServerUrl());
+    socket.onopen = () => {
+        reconnectAttempts = 0;
+        send(message);
+    };
+    socket.onmessage = (event) => {
+        try {
+            handleMessage(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling online message:', error);
+        }
+    };
+    socket.onclose = handleDisconnect;
+}
+
+/**
+ * Send a message to the game server
+ * @param {Object} message - The message
+ */
+function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Try to get the seat back after the connection drops
+ */
+function handleDisconnect() {
+    socket = null;
+    if (leaving) return;
+    
+    if (!seat) {
+        leaveQueue();
+        setLobbyStatus("Couldn't reach the game server. Online play needs the game's own server (npm start).");
+        return;
+    }
+    
+    if (reconnectAttempts >= RECONNECT_DELAYS.length) {
+        setStatus('Lost the connection to the game server.');
+        return;
+    }
+    
+    const delay = RECONNECT_DELAYS[reconnectAttempts];
+    reconnectAttempts++;
+    setStatus(`Connection lost. Reconnecting in ${Math.round(delay / 1000)}s...`);
+    
+    reconnectTimer = setTimeout(() => {
+        connect({ type: 'rejoin', code: seat.code, token: seat.token });
+    }, delay);
+}
+
+/**
+ * Handle a message from the game server
+ * @param {Object} message - The message
+ */
+function handleMessage(message) {
+    switch (message.type) {
+        case 'joined':
+            seat = { code: message.code, seat: message.seat, token: message.token };
+            saveSeat(seat);
+            leaveQueue();
+            
+            // The address bar holds the invite link, which rejoins on reload
+            window.history.replaceState(null, '', getInviteLink(message.code));
+            break;
+        case 'room':
+            handleRoom(message);
+            break;
+        case 'round':
+            handleRound(message);
+            break;
+        case 'queued':
+            queue = { rating: message.rating, aiWait: message.aiWait, since: Date.now() };
+            clearInterval(queueTimer);
+            queueTimer = setInterval(updateQueueStatus, 1000);
+            renderLobby();
+            break;
+        case 'rated':
+            ratingChange = { rating: message.rating, change: message.change };
+            break;
+        case 'reaction':
+            showBurst(message.emoji);
+            break;
+        case 'error':
+            handleError(message.message);
+            break;
+        default:
+            console.warn('Unknown online message:', message.type);
+    }
+}
+
+/**
+ * Show a message from the server about something that couldn't be done
+ * @param {string} message - What went wrong
+ */
+function handleError(message) {
+    // A seat that is gone can't be rejoined
+    if (!room) {
+        seat = null;
+        saveSeat(null);
+    }
+    
+    // The server took the player out of the ranked queue
+    if (queue) {
+        leaveQueue();
+    }
+    setStatus(message);
+    sound.play('lose');
+}
+
+/**
+ * Take in the room as the server sees it
+ * @param {Object} message - The room message
+ */
+function handleRoom(message) {
+    const previousStatus = room ? room.status : null;
+    room = message;
+    
+    // Both players play the room's rules
+    if (getActiveRuleset().id !== room.rulesetId) {
+        variants.playRuleset(RULESETS[room.rulesetId]);
+    }
+    
+    // A new match (or a rematch) starts on the game screen
+    if (room.status === 'playing' && previousStatus !== 'playing') {
+        chosenMove = null;
+        ratingChange = null;
+        showGame();
+    }
+    
+    renderLobby();
+    if (isOnGameScreen()) {
+        renderGame();
+    }
+    
+    // A match that ended without a last round being shown (the opponent left) shows its result now
+    if (room.status === 'over' && previousStatus === 'playing' && !revealedRound) {
+        showFinalResult();
+    }
+}
+
+/**
+ * Show both moves of a round
+ * @param {Object} message - The round message
+ */
+function handleRound(message) {
+    revealedRound = message;
+    chosenMove = null;
+    
+    const opponentSeat = 1 - seat.seat;
+    ui.displayMoves(message.moves[seat.seat], message.moves[opponentSeat]);
+    ui.updateScore(message.scores[seat.seat], message.scores[opponentSeat]);
+    sound.play(message.result === 'win' ? 'win' : message.result === 'lose' ? 'lose' : 'draw');
+    
+    clearTimeout(revealTimer);
+    revealTimer = setTimeout(() => {
+        revealTimer = null;
+        revealedRound = null;
+        if (room && room.status === 'over') {
+            showFinalResult();
+        } else if (isOnGameScreen()) {
+            ui.displayMoves('', '');
+            renderGame();
+        }
+    }, REVEAL_DELAY);
+}
+
+/**
+ * Lock in a move for the round
+ * @param {string} move - The chosen move
+ */
+export function chooseMove(move) {
+    if (!room || room.status !== 'playing' || chosenMove || revealedRound) return;
+    if (!getAvailableMoves().includes(move)) return;
+    
+    chosenMove = move;
+    send({ type: 'move', move });
+    sound.play('click');
+    renderGame();
+}
+
+/**
+ * Get the opponent, if there is one
+ * @returns {Object|null} The opponent ({ name, avatar, connected, ready, rematch })
+ */
+function getOpponent() {
+    return room && seat ? room.players[1 - seat.seat] : null;
+}
+
+/**
+ * Check if the online game screen is showing
+ * @returns {boolean} Whether the game screen is showing an online match
+ */
+function isOnGameScreen() {
+    const gameScreen = document.getElementById('game-screen');
+    return gameScreen.classList.contains('online') && !gameScreen.classList.contains('hidden');
+}
+
+/**
+ * Show the match on the game screen
+ */
+function showGame() {
+    const gameScreen = document.getElementById('game-screen');
+    gameScreen.classList.add('online');
+    document.getElementById('online-controls').classList.remove('hidden');
+    
+    // The AI explanation and the fair play log are about games against the AI
+    fairPlay.startMatch();
+    aiExplainer.hide();
+    
+    document.querySelector('#game-screen h2').textContent = `${room.ranked ? 'Ranked' : 'Online'}: Best of ${room.length}`;
+    ui.displayMoves('', '');
+    
+    ui.showSection('game-screen');
+    sound.play('gameStart');
+}
+
+/**
+ * Show the players, the score and where the round stands on the game screen
+ */
+function renderGame() {
+    const me = room.players[seat.seat];
+    const opponent = getOpponent();
+    
+    showPlayers(me, opponent);
+    ui.updateScore(room.scores[seat.seat], room.scores[1 - seat.seat]);
+    
+    // This player sees their own move; the opponent's is only shown as ready
+    if (!revealedRound) {
+        document.getElementById('player-move-display').textContent = chosenMove ? getMoveEmoji(chosenMove) : '';
+        document.getElementById('ai-move-display').textContent = opponent && opponent.ready ? '🔒' : '';
+    }
+    
+    const moveButtons = document.querySelector('.player-choice .move-buttons');
+    if (moveButtons) {
+        moveButtons.classList.toggle('locked-in', Boolean(chosenMove) || room.status !== 'playing');
+    }
+    
+    setStatus(describeRoom());
+    updateCountdown();
+    showSpectatorCount(room.spectators);
+}
+
+/**
+ * Show how many people are watching the match
+ * @param {number} count - The number of spectators
+ */
+export function showSpectatorCount(count) {
+    const spectators = document.getElementById('online-spectators');
+    if (spectators) {
+        spectators.textContent = count > 0 ? `👀 ${count} watching` : '';
+    }
+}
+
+/**
+ * Describe where the match stands for this player
+ * @returns {string} e.g. '🦊 Bob is ready. 25s left to choose.'
+ */
+function describeRoom() {
+    const opponent = getOpponent();
+    const opponentName = opponent ? `${opponent.avatar} ${opponent.name}` : 'Your opponent';
+    
+    if (!opponent) {
+        return room.status === 'over' ? `${opponentName} left the room.` : 'Waiting for an opponent to join...';
+    }
+    if (room.status === 'over') {
+        if (room.ranked) {
+            return 'Match over. Play again to queue for your next ranked match.';
+        }
+        if (room.players[seat.seat].rematch) {
+            return `Waiting for ${opponentName} to accept the rematch...`;
+        }
+        return opponent.rematch ? `${opponentName} wants a rematch.` : `Match over. First to ${room.winsNeeded} wins.`;
+    }
+    if (!opponent.connected) {
+        return `${opponentName} lost their connection. Waiting for them to come back...`;
+    }
+    if (chosenMove && !opponent.ready) {
+        return `Round ${room.round}: waiting for ${opponentName}...`;
+    }
+    if (opponent.ready && !chosenMove) {
+        return `Round ${room.round}: ${opponentName} is ready. Choose your move!`;
+    }
+    return `Round ${room.round}: choose your move. First to ${room.winsNeeded} wins.`;
+}
+
+/**
+ * Count down the time the slower player has left to choose
+ */
+function updateCountdown() {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    
+    const countdown = document.getElementById('online-countdown');
+    if (!countdown) return;
+    
+    if (!room || room.moveTimeLeft === null || room.status !== 'playing') {
+        countdown.textContent = '';
+        return;
+    }
+    
+    const deadline = Date.now() + room.moveTimeLeft;
+    const tick = () => {
+        const secondsLeft = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        countdown.textContent = chosenMove
+            ? `⏱️ ${secondsLeft}s until your opponent forfeits the round`
+            : `⏱️ ${secondsLeft}s left to choose`;
+        if (secondsLeft === 0) {
+            clearInterval(countdownTimer);
+            countdownTimer = null;
+        }
+    };
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+}
+
+/**
+ * Show both players' names and avatars, this player on the left
+ * @param {Object} me - This player ({ name, avatar, rating })
+ * @param {Object|null} opponent - The opponent, if there is one
+ */
+function showPlayers(me, opponent) {
+    const opponentName = opponent ? opponent.name : 'Waiting...';
+    const labels = {
+        'game-player-avatar': me.avatar,
+        'game-player-name': describePlayer(me),
+        'ai-avatar': opponent ? opponent.avatar : '⏳',
+        'game-ai-name': opponent ? describePlayer(opponent) : opponentName,
+        'player-move-heading': 'Your Choice',
+        'ai-move-heading': `${opponentName}'s Choice`
+    };
+    
+    // Keep the usual labels to put back when leaving
+    if (!savedLabels) {
+        savedLabels = {};
+        Object.keys(labels).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) savedLabels[id] = element.textContent;
+        });
+    }
+    
+    Object.entries(labels).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    });
+    
+    const aiAvatar = document.getElementById('ai-avatar');
+    if (aiAvatar) {
+        aiAvatar.className = 'avatar-small';
+        aiAvatar.title = opponentName;
+    }
+}
+
+/**
+ * Name a player on the scoreboard, with their rating in ranked matches
+ * @param {Object} player - The player ({ name, rating, ai })
+ * @returns {string} e.g. 'Bob (1516)' or 'Mindbreaker (AI, 1700)'
+ */
+function describePlayer(player) {
+    if (!room.ranked) return player.name;
+    return player.ai ? `${player.name} (AI, ${player.rating})` : `${player.name} (${player.rating})`;
+}
+
+/**
+ * Show the match's result on the results screen
+ */
+function showFinalResult() {
+    const opponent = getOpponent();
+    const opponentName = opponent ? opponent.name : 'Your opponent';
+    const won = room.winner === seat.seat;
+    const myScore = room.scores[seat.seat];
+    const opponentScore = room.scores[1 - seat.seat];
+    
+    const title = won ? 'You Win the Match!' : `${opponentName} Wins the Match!`;
+    let message = opponent
+        ? `Final Score: ${myScore}-${opponentScore}`
+        : `${opponentName} left the match. Final Score: ${myScore}-${opponentScore}`;
+    if (ratingChange) {
+        message += ` Rating: ${ratingChange.rating} (${ratingChange.change >= 0 ? '+' : ''}${ratingChange.change})`;
+    }
+    const lastMoves = revealedRound ? revealedRound.moves : [null, null];
+    
+    sound.play(won ? 'gameWin' : 'gameLose');
+    ui.showResult(won ? 'win' : 'lose', message, lastMoves[seat.seat], lastMoves[1 - seat.seat], title);
+}
+
+/**
+ * Show the lobby for this player's state: the create and join options, the ranked queue, or the room they're waiting in
+ */
+function renderLobby() {
+    const actions = document.getElementById('online-lobby-actions');
+    const queuePanel = document.getElementById('online-queue');
+    const roomPanel = document.getElementById('online-room');
+    const inRoom = Boolean(seat && room);
+    
+    if (actions) actions.classList.toggle('hidden', inRoom || Boolean(queue));
+    if (queuePanel) queuePanel.classList.toggle('hidden', !queue);
+    if (roomPanel) roomPanel.classList.toggle('hidden', !inRoom);
+    updateQueueStatus();
+    
+    const codeInput = document.getElementById('online-code-input');
+    const linkCode = new URLSearchParams(window.location.search).get(ROOM_PARAM);
+    if (codeInput && linkCode && !codeInput.value) {
+        codeInput.value = linkCode.toUpperCase();
+    }
+    
+    if (!inRoom) return;
+    
+    const code = document.getElementById('online-room-code');
+    if (code) code.textContent = room.code;
+    
+    const link = document.getElementById('online-invite-link');
+    if (link) link.value = getInviteLink(room.code);
+    
+    const watchLink = document.getElementById('online-watch-link');
+    if (watchLink) watchLink.value = getInviteLink(room.code, WATCH_PARAM);
+    
+    const players = document.getElementById('online-players');
+    if (players) {
+        players.innerHTML = '';
+        room.players.forEach((player, index) => {
+            const item = document.createElement('li');
+            item.className = 'online-player';
+            item.textContent = player
+                ? `${player.avatar} ${player.name}${index === seat.seat ? ' (you)' : ''}${player.connected ? '' : ' · reconnecting...'}`
+                : '⏳ Waiting for an opponent...';
+            players.appendChild(item);
+        });
+    }
+    
+    setLobbyStatus(getOpponent()
+        ? describeRoom()
+        : 'Share the invite code or link. The match starts when your opponent joins.');
+}
+
+/**
+ * Copy the invite link
+ */
+function copyInviteLink() {
+    if (!room) return;
+    
+    const link = getInviteLink(room.code);
+    const showCopied = () => setLobbyStatus('Invite link copied!');
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(showCopied, () => setLobbyStatus(`Send this link to your opponent: ${link}`));
+    } else {
+        setLobbyStatus(`Send this link to your opponent: ${link}`);
+    }
+    sound.play('click');
+}
+
+/**
+ * Show a status message on the game screen and in the lobby
+ * @param {string} text - The message
+ */
+function setStatus(text) {
+    const status = document.getElementById('online-game-status');
+    if (status) status.textContent = text;
+    setLobbyStatus(text);
+}
+
+/**
+ * Show a status message in the lobby
+ * @param {string} text - The message
+ */
+function setLobbyStatus(text) {
+    const status = document.getElementById('online-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Put the usual game screen labels and rules back
+ */
+function restoreGameScreen() {
+    document.getElementById('game-screen').classList.remove('online');
+    document.getElementById('online-controls').classList.add('hidden');
+    const moveButtons = document.querySelector('.player-choice .move-buttons');
+    if (moveButtons) moveButtons.classList.remove('locked-in');
+    
+    if (savedLabels) {
+        Object.entries(savedLabels).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        });
+        savedLabels = null;
+    }
+    
+    // The AI avatar is styled by its difficulty, and the player's own ruleset comes back
+    aiModes.updateAiIndicators();
+    variants.playRuleset(null);
+}
+
+/**
+ * Forget the room this tab was in
+ */
+function forgetRoom() {
+    clearTimeout(revealTimer);
+    clearInterval(countdownTimer);
+    seat = null;
+    room = null;
+    chosenMove = null;
+    revealedRound = null;
+    saveSeat(null);
+    
+    // The invite link is dropped from the address bar
+    window.history.replaceState(null, '', window.location.pathname);
+    
+    restoreGameScreen();
+}
+
+/**
+ * Leaves the room and returns to the main menu
+ */
+export function returnToMenu() {
+    leaving = true;
+    send({ type: 'leave' });
+    if (socket) {
+        socket.close();
+        socket = null;
+    }
+    
+    clearTimeout(reconnectTimer);
+    leaveQueue();
+    forgetRoom();
+    sound.play('click');
+    ui.showSection('landing-page');
+}
+
+/**
+ * Asks for a rematch after a match, queues for the next one after a ranked match,
+ * or goes back to the lobby if the opponent has left
+ */
+export function continueGame() {
+    sound.play('click');
+    
+    // Queueing again gives up the seat in the finished ranked match
+    if (room && room.ranked) {
+        forgetRoom();
+        showLobby();
+        joinQueue();
+        return;
+    }
+    
+    if (!getOpponent()) {
+        showLobby();
+        return;
+    }
+    
+    send({ type: 'rematch' });
+    ui.showSection('game-screen');
+}
+
+/**
+ * Scores can't be reset in an online match, which both players share
+ */
+export function resetScores() {
+    setStatus("The score is shared with your opponent, so it can't be reset.");
+}
+
+export default {
+    ROOM_PARAM,
+    WATCH_PARAM,
+    init,
+    openInviteLink,
+    showLobby,
+    isActive,
+    getInviteLink,
+    getServerUrl,
+    showSpectatorCount,
+    chooseMove,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
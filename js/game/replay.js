@@ -0,0 +1,579 @@
+/**
+ * Replay module for Rock Paper Battle
+ * Referees a leaderboard run round by round the way the game session plays it, so its score follows from the
+ * player's moves instead of being taken on trust. Nothing here needs the page: the game server plays every run's
+ * AI (or the Daily Challenge's scripted opponent) with it while the run is played (see api/leaderboard.js).
+ *
+ * A run, as the game records it:
+ *   difficulty  - The AI the run was played against (Endless; Survival climbs its own tiers)
+ *   fairPlay    - Whether the AI committed to its moves before the player chose (without it, Impossible peeks)
+ *   bonusRounds - Whether bonus rounds could come up
+ *   speedMode   - Whether the player's moves were timed
+ *   date        - The day whose challenge was played, as YYYY-MM-DD (Daily Challenge)
+ *   rounds      - Every round played, oldest first: { move, timedOut, secretMove, powerUps }, where secretMove is
+ *                 whether Fire was unlocked for the round and powerUps the power-ups used before it (Survival).
+ *                 The game server is sent them one at a time instead, as they are played
+ */
+
+import { determineWinner, getAvailableMoves } from './logic.js';
+import { CLASSIC_RULESET } from './rules.js';
+import { BONUS_ROUND_CHANCE, BONUS_TYPES, POWER_UPS, resolveBonusResult, getBonusMultiplier } from './bonusRules.js';
+import { ROUND_COUNT, DAILY_RULESET, createDailyChallenge } from './dailyChallenge.js';
+import { DIFFICULTY_LEVELS, createDifficultyStrategy, getLadder } from '../ai/difficulties.js';
+import { createStrategyContext, toStrategyRound } from '../ai/strategy.js';
+import * as random from '../utils/random.js';
+
+// Lives a Survival run starts with
+export const STARTING_LIVES = 3;
+
+// Rounds lasted before the Survival AI moves up a tier
+export const ROUNDS_PER_TIER = 5;
+
+// Round wins that earn a power-up in Survival
+export const WINS_PER_POWER_UP = 3;
+
+// Power-ups a Survival player can hold at once
+export const MAX_POWER_UPS = 3;
+
+// The leaderboards: what their runs are scored by, and how a player's runs in a period add up
+export const BOARDS = {
+    endless: {
+        id: 'endless',
+        name: 'Endless Streak',
+        scoreName: 'Longest streak',
+        description: 'The most rounds won in a row in one Endless run. Draws keep the streak going.',
+        aggregate: 'best'
+    },
+    survival: {
+        id: 'survival',
+        name: 'Speed Survival',
+        scoreName: 'Rounds lasted',
+        description: 'The most rounds lasted in a Survival run with speed mode on.',
+        aggregate: 'best'
+    },
+    daily: {
+        id: 'daily',
+        name: 'Daily Challenge',
+        scoreName: 'Points',
+        description: "Daily Challenge points. A week's or all-time board adds up every day played.",
+        aggregate: 'total'
+    }
+};
+
+// The AI levels an Endless run can count against (the Adaptive level tunes itself across sessions, so it can't be replayed)
+export const LEADERBOARD_DIFFICULTIES = [
+    DIFFICULTY_LEVELS.EASY,
+    DIFFICULTY_LEVELS.MEDIUM,
+    DIFFICULTY_LEVELS.HARD,
+    DIFFICULTY_LEVELS.IOCAINE,
+    DIFFICULTY_LEVELS.IMPOSSIBLE
+];
+
+// Rounds a replayed run may have, to keep replays quick
+export const MAX_RUN_ROUNDS = 2000;
+
+// Rounds the AI is shown when choosing, as in the game
+const MAX_ROUND_HISTORY = 50;
+
+/**
+ * Find a leaderboard by its ID
+ * @param {string} boardId - The board's ID, as the game or a URL names it
+ * @returns {Object|null} The board (one of BOARDS), or null if there is no such board
+ */
+export function findBoard(boardId) {
+    return Object.hasOwn(BOARDS, boardId) ? BOARDS[boardId] : null;
+}
+
+/**
+ * Replay a whole run and work out its score
+ * @param {string} boardId - The leaderboard the run was played for (one of BOARDS)
+ * @param {Object} run - The run (see above)
+ * @param {string} seed - The seed the run was played with (the Daily Challenge's follows from its date)
+ * @returns {Object} { valid: true, score, rounds } or { valid: false, error }
+ */
+export function replayRun(boardId, run, seed) {
+    try {
+        if (!run || typeof run !== 'object' || !Array.isArray(run.rounds)) {
+            throw new Error('A run needs its rounds');
+        }
+        if (run.rounds.length > MAX_RUN_ROUNDS) {
+            throw new Error(`A run has at most ${MAX_RUN_ROUNDS} rounds`);
+        }
+        
+        const referee = createReferee(boardId, run, { seed });
+        run.rounds.forEach(logged => referee.playRound(logged));
+        return { valid: true, ...referee.finish() };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+/**
+ * Referee a run as it is played, one round at a time
+ * A round that breaks the game's rules throws, and the run can't go on after it.
+ * @param {string} boardId - The leaderboard the run is played for (one of BOARDS)
+ * @param {Object} settings - The run's { difficulty, fairPlay, bonusRounds, speedMode, date } (see above)
+ * @param {Object} options - { seed: the run's seed (the Daily Challenge's follows from its date),
+ *     ai: a generator for the AI's choices, to keep them apart from the seed (default: the seed's 'ai' stream),
+ *     scriptKey: the secret the Daily Challenge's script is keyed on (see dailyChallenge.js) }
+ * @returns {Object} The referee ({ lockInMove, playRound, isOver, finish })
+ */
+export function createReferee(boardId, settings, options = {}) {
+    if (!findBoard(boardId)) {
+        throw new Error(`There is no ${boardId} leaderboard`);
+    }
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('A run needs its settings');
+    }
+    
+    const rules = BOARD_RULES[boardId](settings, options);
+    const fairPlay = Boolean(settings.fairPlay);
+    let played = 0;
+    
+    // The round being played once it has started: { secretMove, availableMoves, bonusType, aiMove }
+    let current = null;
+    
+    /**
+     * Start the next round as the game session does, before the player chooses
+     * @param {boolean} secretMove - Whether Fire is unlocked for the round
+     */
+    function startRound(secretMove) {
+        if (rules.isOver(played)) {
+            throw new Error(`Round ${played + 1} was played after the run was over`);
+        }
+        if (played >= MAX_RUN_ROUNDS) {
+            throw new Error(`A run has at most ${MAX_RUN_ROUNDS} rounds`);
+        }
+        
+        if (rules.onRoundStart) {
+            rules.onRoundStart(played);
+        }
+        const availableMoves = rules.getMoves(Boolean(secretMove));
+        current = {
+            secretMove: Boolean(secretMove),
+            availableMoves,
+            bonusType: rules.getBonusType(availableMoves, played),
+            aiMove: null
+        };
+    }
+    
+    return {
+        /**
+         * Have the AI lock in its move for the next round before the player chooses, as fair play does
+         * (a scripted opponent's move is fixed already, so locking it in only shows it isn't changed afterwards)
+         * @param {boolean} secretMove - Whether Fire is unlocked for the round
+         * @returns {string} The AI's move, to be kept from the player until they have chosen
+         */
+        lockInMove(secretMove) {
+            if (!fairPlay) {
+                throw new Error('Only the AI of a fair play run locks its moves in');
+            }
+            if (current) {
+                throw new Error(`Round ${played + 1}: the AI has already locked in its move`);
+            }
+            
+            startRound(secretMove);
+            current.aiMove = rules.opponent
+                ? chooseAiMove(rules.opponent, current.availableMoves, rules.ruleset)
+                : rules.getScriptedMove(played);
+            return current.aiMove;
+        },
+        
+        /**
+         * Play the next round with the player's move
+         * @param {Object} logged - The round as the game records it ({ move, timedOut, secretMove, powerUps })
+         * @returns {Object} The round ({ playerMove, aiMove, result, scored, timedOut, bonusType })
+         */
+        playRound(logged) {
+            const index = played;
+            checkRound(logged, index, settings);
+            
+            if (!current) {
+                startRound(logged.secretMove);
+            } else if (current.secretMove !== Boolean(logged.secretMove)) {
+                throw new Error(`Round ${index + 1} was played with other moves than the AI locked its move in for`);
+            }
+            
+            const { availableMoves, bonusType, aiMove } = current;
+            current = null;
+            played++;
+            
+            (logged.powerUps || []).forEach(powerUp => {
+                if (!rules.usePowerUp) {
+                    throw new Error(`Round ${index + 1}: power-ups are only played in Survival`);
+                }
+                rules.usePowerUp(powerUp, index);
+            });
+            
+            const round = playRound(logged, index, {
+                availableMoves,
+                ruleset: rules.ruleset,
+                bonusType,
+                opponent: rules.opponent,
+                streams: rules.streams,
+                fairPlay,
+                aiMove: aiMove || (rules.getScriptedMove ? rules.getScriptedMove(index) : undefined),
+                onResolve: rules.onResolve
+            });
+            rules.onScore(round);
+            return round;
+        },
+        
+        /**
+         * Check whether the run has been played to its end (an Endless run never is)
+         * @returns {boolean} Whether no more rounds can be played
+         */
+        isOver() {
+            return rules.isOver(played);
+        },
+        
+        /**
+         * Work out the run's score, once it can count
+         * @returns {Object} { score, rounds }
+         */
+        finish() {
+            if (played === 0) {
+                throw new Error('A run needs at least one round');
+            }
+            return { score: rules.finish(played), rounds: played };
+        }
+    };
+}
+
+/**
+ * Check that a round has the shape the game records
+ * @param {Object} logged - The round
+ * @param {number} index - The round's index in the run
+ * @param {Object} settings - The run's settings
+ */
+function checkRound(logged, index, settings) {
+    if (!logged || typeof logged !== 'object' || typeof logged.move !== 'string') {
+        throw new Error(`Round ${index + 1} has no move`);
+    }
+    if (logged.timedOut && !settings.speedMode) {
+        throw new Error(`Round ${index + 1} timed out without speed mode`);
+    }
+    if (logged.powerUps !== undefined && !Array.isArray(logged.powerUps)) {
+        throw new Error(`Round ${index + 1} has an unreadable list of power-ups`);
+    }
+}
+
+/**
+ * Create the random streams a run's seed gives the game, as generators of the referee's own
+ * The game server plays ranked AI opponents with the same module, so a referee never reseeds the shared streams
+ * @param {string} seed - The run's seed
+ * @param {Function} ai - A generator for the AI's choices, instead of the seed's own
+ * @returns {Object} { ai, bonus, timer }
+ */
+function createStreams(seed, ai) {
+    return {
+        ai: ai || random.createStream(seed, 'ai'),
+        bonus: random.createStream(seed, 'bonus'),
+        timer: random.createStream(seed, 'timer')
+    };
+}
+
+/**
+ * Create an AI opponent the way the game starts one for a leaderboard run: with nothing remembered about the player
+ * @param {string} difficulty - The difficulty ID
+ * @param {boolean} fairPlay - Whether the AI commits to its move before the player chooses
+ * @param {Function} stream - The generator its choices draw from
+ * @returns {Object} The opponent ({ strategy, rounds, playerMove, stream })
+ */
+function createOpponent(difficulty, fairPlay, stream) {
+    const opponent = { strategy: null, rounds: [], playerMove: null, stream };
+    
+    // Without fair play the AI chooses once the player has, and Impossible sees that move
+    opponent.strategy = createDifficultyStrategy(difficulty, {
+        peek: () => (fairPlay ? null : opponent.playerMove),
+        stream
+    });
+    return opponent;
+}
+
+/**
+ * Have an AI opponent choose its move
+ * A strategy that throws or answers with something unplayable forfeits to a random move, as in the game
+ * @param {Object} opponent - The opponent
+ * @param {Array} availableMoves - The moves it may play
+ * @param {Object} ruleset - The ruleset in play
+ * @returns {string} The move
+ */
+function chooseAiMove(opponent, availableMoves, ruleset) {
+    let move = null;
+    try {
+        move = opponent.strategy.chooseMove(createStrategyContext(opponent.rounds, availableMoves, ruleset));
+    } catch (error) {
+        // Played as a random move below
+    }
+    return availableMoves.includes(move) ? move : random.pick(availableMoves, opponent.stream);
+}
+
+/**
+ * Let an AI opponent learn from a round
+ * @param {Object} opponent - The opponent
+ * @param {Object} round - The round ({ playerMove, aiMove, scored })
+ */
+function learn(opponent, round) {
+    const playerRound = { player: round.playerMove, opponent: round.aiMove, outcome: round.scored };
+    opponent.rounds.push(playerRound);
+    if (opponent.rounds.length > MAX_ROUND_HISTORY) {
+        opponent.rounds.shift();
+    }
+    
+    opponent.strategy.update(toStrategyRound(playerRound));
+    opponent.playerMove = null;
+}
+
+/**
+ * Roll for a bonus round before the player chooses, as the game session does
+ * @param {Array} availableMoves - The moves in play (a chaos round shuffles their buttons)
+ * @param {Function} stream - The run's bonus stream
+ * @returns {string|null} The bonus round, or null for a normal round
+ */
+function rollBonusRound(availableMoves, stream) {
+    if (random.random(stream) >= BONUS_ROUND_CHANCE) return null;
+    
+    const bonusType = random.pick(Object.values(BONUS_TYPES), stream);
+    
+    // Shuffling the move buttons' labels draws from the same stream
+    if (bonusType === BONUS_TYPES.CHAOS_MODE && availableMoves.length >= 2) {
+        random.shuffle([...availableMoves], stream);
+    }
+    return bonusType;
+}
+
+/**
+ * Play a recorded round: the AI's move, the result, and how it is scored
+ * @param {Object} logged - The round as recorded ({ move, timedOut })
+ * @param {number} index - The round's index in the run
+ * @param {Object} options - { availableMoves, ruleset, bonusType, opponent: the AI choosing (none for a script),
+ *     streams: the run's random streams, fairPlay, aiMove: the scripted AI move, onResolve: may change the result, as a mode's hook can }
+ * @returns {Object} The round ({ playerMove, aiMove, result, scored, timedOut, bonusType })
+ */
+function playRound(logged, index, options) {
+    const { availableMoves, ruleset, bonusType, opponent, fairPlay } = options;
+    
+    // With fair play the AI has locked its move in before the player chooses (it may have been asked for it already)
+    let aiMove = options.aiMove;
+    if (opponent && fairPlay && !aiMove) {
+        aiMove = chooseAiMove(opponent, availableMoves, ruleset);
+    }
+    
+    if (!availableMoves.includes(logged.move)) {
+        throw new Error(`Round ${index + 1}: ${logged.move} can't be played`);
+    }
+    
+    // A move played by the speed mode timer is the one the timer would have picked
+    const timedOut = Boolean(logged.timedOut);
+    if (timedOut && random.pick(availableMoves, options.streams.timer) !== logged.move) {
+        throw new Error(`Round ${index + 1}: the timer wouldn't have played ${logged.move}`);
+    }
+    
+    if (opponent && !fairPlay) {
+        opponent.playerMove = logged.move;
+        aiMove = chooseAiMove(opponent, availableMoves, ruleset);
+    }
+    
+    const round = { playerMove: logged.move, aiMove, timedOut, bonusType };
+    round.result = resolveBonusResult(bonusType, determineWinner(logged.move, aiMove, ruleset), logged.move, aiMove, ruleset);
+    if (options.onResolve) {
+        round.result = options.onResolve(round) || round.result;
+    }
+    
+    // A move chosen by the timer counts as a loss unless it won
+    round.scored = timedOut && round.result !== 'win' ? 'lose' : round.result;
+    
+    if (opponent) {
+        learn(opponent, round);
+    }
+    return round;
+}
+
+/**
+ * Set up the rules of an Endless run, scored by its longest run of won rounds (draws don't end it, losses do)
+ * A board's rules are hooks for its referee, much like a game mode's for the session:
+ *   ruleset, streams, opponent   - The rules in play, the run's random streams, and the AI playing (none for a script)
+ *   getMoves(secretMove)         - The moves in play for a round
+ *   getBonusType(moves, index)   - The bonus round coming up, or null
+ *   getScriptedMove(index)       - The AI's move, for a scripted opponent
+ *   onRoundStart(index)          - A round is about to be played
+ *   usePowerUp(powerUp, index)   - The player uses a power-up before a round
+ *   onResolve(round)             - A round has been decided; may return a different result for it
+ *   onScore(round)               - The round has been scored
+ *   isOver(rounds)               - Whether no more rounds can be played
+ *   finish(rounds)               - The run's score; throws if the run can't count yet
+ * @param {Object} settings - The run's settings
+ * @param {Object} options - The referee's options ({ seed, ai })
+ * @returns {Object} The rules
+ */
+function createEndlessRules(settings, options) {
+    if (!LEADERBOARD_DIFFICULTIES.includes(settings.difficulty)) {
+        throw new Error(`Runs against ${settings.difficulty} don't count`);
+    }
+    
+    const streams = createStreams(options.seed, options.ai);
+    let streak = 0;
+    let longest = 0;
+    
+    return {
+        ruleset: CLASSIC_RULESET,
+        streams,
+        opponent: createOpponent(settings.difficulty, Boolean(settings.fairPlay), streams.ai),
+        getMoves: secretMove => getAvailableMoves(secretMove, CLASSIC_RULESET),
+        getBonusType: moves => (settings.bonusRounds ? rollBonusRound(moves, streams.bonus) : null),
+        onScore(round) {
+            if (round.scored === 'win') {
+                streak++;
+                longest = Math.max(longest, streak);
+            } else if (round.scored === 'lose') {
+                streak = 0;
+            }
+        },
+        isOver: () => false,
+        finish: () => longest
+    };
+}
+
+/**
+ * Set up the rules of a Survival run, scored by the rounds lasted; the run must be timed and played to its last life
+ * @param {Object} settings - The run's settings
+ * @param {Object} options - The referee's options ({ seed, ai })
+ * @returns {Object} The rules (see createEndlessRules)
+ */
+function createSurvivalRules(settings, options) {
+    if (!settings.speedMode) {
+        throw new Error('Only runs with speed mode on count');
+    }
+    
+    const streams = createStreams(options.seed, options.ai);
+    const fairPlay = Boolean(settings.fairPlay);
+    const tiers = getLadder(fairPlay);
+    const state = { lives: STARTING_LIVES, tier: 0, wins: 0, powerUps: [], shield: false, redo: false };
+    
+    const rules = {
+        ruleset: CLASSIC_RULESET,
+        streams,
+        opponent: createOpponent(tiers[0], fairPlay, streams.ai),
+        getMoves: secretMove => getAvailableMoves(secretMove, CLASSIC_RULESET),
+        getBonusType: moves => (settings.bonusRounds ? rollBonusRound(moves, streams.bonus) : null),
+        
+        // The AI moves up a tier every few rounds, starting over with the new opponent
+        onRoundStart(index) {
+            const tier = Math.min(Math.floor(index / ROUNDS_PER_TIER), tiers.length - 1);
+            if (tier !== state.tier) {
+                state.tier = tier;
+                rules.opponent = createOpponent(tiers[tier], fairPlay, streams.ai);
+            }
+        },
+        usePowerUp: (powerUp, index) => usePowerUp(state, powerUp, index),
+        
+        // A redo calls off a lost round
+        onResolve(round) {
+            if (round.result !== 'lose' || !state.redo) return undefined;
+            state.redo = false;
+            return 'draw';
+        },
+        onScore(round) {
+            if (round.scored === 'lose') {
+                if (state.shield) {
+                    state.shield = false;
+                } else {
+                    state.lives--;
+                }
+            } else if (round.scored === 'win') {
+                state.wins++;
+                if (state.wins % WINS_PER_POWER_UP === 0 && state.powerUps.length < MAX_POWER_UPS) {
+                    state.powerUps.push(random.pick(Object.values(POWER_UPS), streams.bonus));
+                }
+            }
+        },
+        isOver: () => state.lives <= 0,
+        finish(rounds) {
+            if (state.lives > 0) {
+                throw new Error('The run is still going: only finished runs count');
+            }
+            return rounds;
+        }
+    };
+    return rules;
+}
+
+/**
+ * Use a Survival power-up the player holds
+ * @param {Object} state - The run's lives, tier and power-ups
+ * @param {string} powerUp - One of POWER_UPS
+ * @param {number} index - The index of the round it is used before
+ */
+function usePowerUp(state, powerUp, index) {
+    const held = state.powerUps.indexOf(powerUp);
+    if (held === -1) {
+        throw new Error(`Round ${index + 1}: ${powerUp} was used without being held`);
+    }
+    
+    // A shield or redo already waiting can't be used again
+    if ((powerUp === POWER_UPS.SHIELD && state.shield) || (powerUp === POWER_UPS.REDO && state.redo)) {
+        throw new Error(`Round ${index + 1}: ${powerUp} was already in use`);
+    }
+    
+    if (powerUp === POWER_UPS.SHIELD) state.shield = true;
+    if (powerUp === POWER_UPS.REDO) state.redo = true;
+    state.powerUps.splice(held, 1);
+}
+
+/**
+ * Set up the rules of a Daily Challenge attempt against the day's script, scored by its points; all its rounds must
+ * be played
+ * @param {Object} settings - The run's settings ({ date })
+ * @param {Object} options - The referee's options ({ scriptKey })
+ * @returns {Object} The rules (see createEndlessRules)
+ */
+function createDailyRules(settings, options) {
+    if (typeof settings.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(settings.date)) {
+        throw new Error('A Daily Challenge attempt needs its date');
+    }
+    
+    const challenge = createDailyChallenge(settings.date, options.scriptKey);
+    let score = 0;
+    
+    return {
+        ruleset: DAILY_RULESET,
+        streams: createStreams(challenge.seed),
+        opponent: null,
+        getMoves: () => getAvailableMoves(true, DAILY_RULESET),
+        getBonusType: (moves, index) => challenge.bonusRounds[index],
+        getScriptedMove: index => challenge.script[index],
+        onScore(round) {
+            if (round.scored === 'win') {
+                score += getBonusMultiplier(round.bonusType);
+            }
+        },
+        isOver: rounds => rounds >= ROUND_COUNT,
+        finish(rounds) {
+            if (rounds !== ROUND_COUNT) {
+                throw new Error(`A Daily Challenge attempt has ${ROUND_COUNT} rounds`);
+            }
+            return score;
+        }
+    };
+}
+
+// Each board's rules, by board ID
+const BOARD_RULES = {
+    [BOARDS.endless.id]: createEndlessRules,
+    [BOARDS.survival.id]: createSurvivalRules,
+    [BOARDS.daily.id]: createDailyRules
+};
+
+export default {
+    STARTING_LIVES,
+    ROUNDS_PER_TIER,
+    WINS_PER_POWER_UP,
+    MAX_POWER_UPS,
+    BOARDS,
+    LEADERBOARD_DIFFICULTIES,
+    MAX_RUN_ROUNDS,
+    findBoard,
+    replayRun,
+    createReferee
+};
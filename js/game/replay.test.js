@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReferee, replayRun, findBoard, STARTING_LIVES } from './replay.js';
+import { createDailyChallenge, getMaxScore } from './dailyChallenge.js';
+import { BONUS_TYPES } from './bonusRules.js';
+import { createStream, pick, random, setSeed } from '../utils/random.js';
+
+// What beats each classic move, and what each one beats
+const COUNTERS = { rock: 'paper', paper: 'scissors', scissors: 'rock' };
+const BEATEN = { rock: 'scissors', paper: 'rock', scissors: 'paper' };
+
+/**
+ * Make up a run of rounds that plays the same moves every time
+ * @param {number} count - Number of rounds
+ * @returns {Array} The rounds ({ move })
+ */
+function makeRounds(count) {
+    const moves = ['rock', 'paper', 'scissors', 'paper', 'rock', 'rock'];
+    return Array.from({ length: count }, (_, index) => ({ move: moves[index % moves.length] }));
+}
+
+test('only real boards can be refereed', () => {
+    assert.equal(findBoard('endless').id, 'endless');
+    assert.equal(findBoard('__proto__'), null);
+    assert.equal(findBoard('toString'), null);
+    assert.throws(() => createReferee('constructor', {}), /There is no constructor leaderboard/);
+});
+
+test('a run replays to the same score with the same seed', () => {
+    const run = { difficulty: 'hard', bonusRounds: true, rounds: makeRounds(60) };
+    const first = replayRun('endless', run, 'seed-1');
+    const second = replayRun('endless', run, 'seed-1');
+
+    assert.equal(first.valid, true);
+    assert.equal(first.rounds, 60);
+    assert.deepEqual(second, first);
+});
+
+test('replaying a run leaves the shared random streams alone', () => {
+    setSeed('match');
+    const expected = [random(), random('bonus'), random('timer')];
+
+    setSeed('match');
+    replayRun('endless', { difficulty: 'medium', bonusRounds: true, rounds: makeRounds(20) }, 'other-seed');
+    assert.deepEqual([random(), random('bonus'), random('timer')], expected);
+});
+
+test('rounds that break the rules are refused', () => {
+    const replay = (run) => replayRun('endless', { difficulty: 'easy', ...run }, 'seed-1');
+
+    assert.match(replay({ rounds: [{ move: 'fire', secretMove: false }] }).error, /fire can't be played/);
+    assert.match(replay({ rounds: [{ move: 'rock', timedOut: true }] }).error, /timed out without speed mode/);
+    assert.match(replay({ rounds: [{ move: 'rock', powerUps: ['shield'] }] }).error, /only played in Survival/);
+    assert.match(replay({ rounds: [{}] }).error, /has no move/);
+    assert.match(replay({ rounds: [] }).error, /at least one round/);
+    assert.match(replayRun('endless', { difficulty: 'adaptive', rounds: makeRounds(1) }).error, /don't count/);
+});
+
+test('a timed out move must be the one the speed mode timer would have played', () => {
+    const timerMove = pick(['rock', 'paper', 'scissors'], createStream('seed-1', 'timer'));
+    const otherMove = COUNTERS[timerMove];
+    const run = move => ({ difficulty: 'easy', speedMode: true, rounds: [{ move, timedOut: true }] });
+
+    assert.equal(replayRun('endless', run(timerMove), 'seed-1').valid, true);
+    assert.match(replayRun('endless', run(otherMove), 'seed-1').error, /the timer wouldn't have played/);
+});
+
+test('a fair play AI locks in the move it then plays', () => {
+    const referee = createReferee('endless', { difficulty: 'hard', fairPlay: true }, { seed: 'seed-1' });
+
+    for (let round = 0; round < 10; round++) {
+        const locked = referee.lockInMove(false);
+        assert.throws(() => referee.lockInMove(false), /already locked in/);
+        assert.equal(referee.playRound({ move: 'rock', secretMove: false }).aiMove, locked);
+    }
+
+    // The round is played with the moves the AI locked in for
+    referee.lockInMove(false);
+    assert.throws(() => referee.playRound({ move: 'fire', secretMove: true }), /other moves than the AI locked its move in for/);
+
+    const unfair = createReferee('endless', { difficulty: 'hard' }, { seed: 'seed-1' });
+    assert.throws(() => unfair.lockInMove(false), /Only the AI of a fair play run/);
+});
+
+test('a Survival run lasts until its last life and only counts once it is over', () => {
+    assert.throws(() => createReferee('survival', { speedMode: false }), /speed mode on/);
+
+    const referee = createReferee('survival', { speedMode: true }, { seed: 'seed-1' });
+    let losses = 0;
+    while (!referee.isOver()) {
+        if (referee.playRound({ move: 'rock' }).scored === 'lose') losses++;
+    }
+
+    assert.equal(losses, STARTING_LIVES);
+    assert.throws(() => referee.playRound({ move: 'rock' }), /after the run was over/);
+
+    const { score, rounds } = referee.finish();
+    assert.equal(score, rounds);
+
+    const unfinished = createReferee('survival', { speedMode: true }, { seed: 'seed-1' });
+    unfinished.playRound({ move: 'rock' });
+    assert.throws(() => unfinished.finish(), /still going/);
+    assert.throws(() => unfinished.playRound({ move: 'rock', powerUps: ['shield'] }), /without being held/);
+});
+
+test("a Daily Challenge attempt plays the day's script and scores its bonus rounds", () => {
+    const date = '2026-10-19';
+    const challenge = createDailyChallenge(date);
+    const rounds = challenge.script.map((move, index) => ({
+        move: challenge.bonusRounds[index] === BONUS_TYPES.REVERSE_RULES ? BEATEN[move] : COUNTERS[move]
+    }));
+
+    assert.deepEqual(replayRun('daily', { date, rounds }), { valid: true, score: getMaxScore(challenge), rounds: 10 });
+    assert.match(replayRun('daily', { date, rounds: rounds.slice(0, 9) }).error, /has 10 rounds/);
+    assert.match(replayRun('daily', { date, rounds: [...rounds, rounds[0]] }).error, /after the run was over/);
+    assert.match(replayRun('daily', { rounds }).error, /needs its date/);
+});
+
+test("a Daily Challenge script keyed on a secret can't be worked out from the date", () => {
+    const date = '2026-10-19';
+    const keyed = createDailyChallenge(date, 'server-secret');
+
+    assert.notDeepEqual(keyed.script, createDailyChallenge(date).script);
+    assert.deepEqual(keyed.bonusRounds, createDailyChallenge(date).bonusRounds);
+
+    const referee = createReferee('daily', { date }, { scriptKey: 'server-secret' });
+    keyed.script.forEach(move => assert.equal(referee.playRound({ move: 'rock' }).aiMove, move));
+});
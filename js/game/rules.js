@@ -0,0 +1,324 @@
+/**
+ * Rules module for Rock Paper Battle
+ * Holds the rule graph (moves, beats-edges and verbs) that all game logic is derived from
+ */
+
+/**
+ * Classic ruleset: rock, paper, scissors plus the unlockable fire move.
+ * Edges marked as fixed keep their direction when reverse rules are active.
+ */
+export const CLASSIC_RULESET = {
+    id: 'classic',
+    name: 'Classic',
+    moves: [
+        { id: 'rock', name: 'Rock', emoji: '✊' },
+        { id: 'paper', name: 'Paper', emoji: '✋' },
+        { id: 'scissors', name: 'Scissors', emoji: '✌️' },
+        { id: 'fire', name: 'Fire', emoji: '🔥', secret: true }
+    ],
+    rules: [
+        { winner: 'rock', loser: 'scissors', verb: 'crushes' },
+        { winner: 'paper', loser: 'rock', verb: 'covers' },
+        { winner: 'scissors', loser: 'paper', verb: 'cuts' },
+        { winner: 'fire', loser: 'scissors', verb: 'burns', fixed: true },
+        { winner: 'fire', loser: 'paper', verb: 'burns', fixed: true },
+        { winner: 'rock', loser: 'fire', verb: 'smothers', fixed: true }
+    ]
+};
+
+/**
+ * Rock-Paper-Scissors-Lizard-Spock: a balanced 5-move tournament where
+ * every move beats exactly two others
+ */
+export const RPSLS_RULESET = {
+    id: 'rpsls',
+    name: 'Rock Paper Scissors Lizard Spock',
+    moves: [
+        { id: 'rock', name: 'Rock', emoji: '✊' },
+        { id: 'paper', name: 'Paper', emoji: '✋' },
+        { id: 'scissors', name: 'Scissors', emoji: '✌️' },
+        { id: 'lizard', name: 'Lizard', emoji: '🦎' },
+        { id: 'spock', name: 'Spock', emoji: '🖖' }
+    ],
+    rules: [
+        { winner: 'scissors', loser: 'paper', verb: 'cuts' },
+        { winner: 'paper', loser: 'rock', verb: 'covers' },
+        { winner: 'rock', loser: 'lizard', verb: 'crushes' },
+        { winner: 'lizard', loser: 'spock', verb: 'poisons' },
+        { winner: 'spock', loser: 'scissors', verb: 'smashes' },
+        { winner: 'scissors', loser: 'lizard', verb: 'decapitates' },
+        { winner: 'lizard', loser: 'paper', verb: 'eats' },
+        { winner: 'paper', loser: 'spock', verb: 'disproves' },
+        { winner: 'spock', loser: 'rock', verb: 'vaporizes' },
+        { winner: 'rock', loser: 'scissors', verb: 'crushes' }
+    ]
+};
+
+// Built-in rulesets by ID
+export const RULESETS = {
+    [CLASSIC_RULESET.id]: CLASSIC_RULESET,
+    [RPSLS_RULESET.id]: RPSLS_RULESET
+};
+
+// Ruleset currently used by the game
+let activeRuleset = CLASSIC_RULESET;
+
+// Lookup tables built from each ruleset's edge list
+const compiledRulesets = new WeakMap();
+
+/**
+ * Build (or fetch from cache) the lookup tables for a ruleset
+ * @param {Object} ruleset - The ruleset to compile
+ * @returns {Object} - Lookup tables for moves and edges
+ */
+function compile(ruleset) {
+    let compiled = compiledRulesets.get(ruleset);
+    if (compiled) {
+        return compiled;
+    }
+
+    const moves = new Map();
+    ruleset.moves.forEach(move => moves.set(move.id, move));
+
+    const edges = new Map();
+    ruleset.rules.forEach(rule => edges.set(`${rule.winner}>${rule.loser}`, rule));
+
+    compiled = { moves, edges };
+    compiledRulesets.set(ruleset, compiled);
+    return compiled;
+}
+
+/**
+ * Build a balanced tournament from an odd number of moves.
+ * Each move beats the (n - 1) / 2 moves listed before it (wrapping around),
+ * so rock, paper, scissors in that order gives the classic rules.
+ * @param {string} id - The ruleset ID
+ * @param {string} name - The ruleset display name
+ * @param {Array} moves - Move definitions ({ id, name, emoji }) in tournament order
+ * @returns {Object} - The generated ruleset
+ */
+export function createBalancedRuleset(id, name, moves) {
+    if (moves.length < 3 || moves.length % 2 === 0) {
+        throw new Error('A balanced ruleset needs an odd number of moves (at least 3)');
+    }
+
+    const rules = [];
+    const reach = (moves.length - 1) / 2;
+    moves.forEach((move, index) => {
+        for (let step = 1; step <= reach; step++) {
+            const loser = moves[(index - step + moves.length) % moves.length];
+            rules.push({ winner: move.id, loser: loser.id, verb: 'beats' });
+        }
+    });
+
+    return { id, name, moves: moves.map(move => ({ ...move })), rules };
+}
+
+/**
+ * Check that a ruleset is a well-formed rule graph:
+ * unique moves, no move beats itself and every pair of moves is resolved exactly once
+ * @param {Object} ruleset - The ruleset to validate
+ * @returns {Object} - Validation result ({ valid, errors })
+ */
+export function validateRuleset(ruleset) {
+    const errors = [];
+
+    if (!ruleset || typeof ruleset !== 'object') {
+        return { valid: false, errors: ['Rule pack is not an object'] };
+    }
+
+    if (typeof ruleset.name !== 'string' || !ruleset.name.trim()) {
+        errors.push('Rule pack needs a name');
+    }
+
+    if (!Array.isArray(ruleset.moves) || ruleset.moves.length < 3) {
+        errors.push('Rule pack needs at least 3 moves');
+        return { valid: false, errors };
+    }
+
+    if (!Array.isArray(ruleset.rules)) {
+        errors.push('Rule pack has no rules');
+        return { valid: false, errors };
+    }
+
+    // Moves must have unique IDs, a name and an emoji
+    const moveIds = new Set();
+    const moveNames = new Map();
+    ruleset.moves.forEach((move, index) => {
+        if (!move || typeof move.id !== 'string' || !/^[A-Za-z0-9_]+$/.test(move.id)) {
+            errors.push(`Move ${index + 1} needs an ID made of letters, numbers or underscores`);
+            return;
+        }
+        // The AI counts moves by ID, so an ID every object already has (like constructor) would break its counts
+        if (move.id in Object.prototype) {
+            errors.push(`Move ${index + 1} can't be called "${move.id}"`);
+            return;
+        }
+        if (moveIds.has(move.id)) {
+            errors.push(`Move "${move.id}" is listed more than once`);
+        }
+        moveIds.add(move.id);
+        if (typeof move.name !== 'string' || !move.name.trim()) {
+            errors.push(`Move ${index + 1} needs a name`);
+        } else {
+            moveNames.set(move.id, move.name.trim());
+        }
+        if (typeof move.emoji !== 'string' || !move.emoji.trim()) {
+            errors.push(`Move ${index + 1} needs an emoji`);
+        }
+    });
+
+    // Refer to moves by name where possible
+    const label = moveId => moveNames.get(moveId) || moveId;
+
+    // Every edge must connect two different, known moves
+    const resolvedPairs = new Map();
+    ruleset.rules.forEach(rule => {
+        if (!rule || !moveIds.has(rule.winner) || !moveIds.has(rule.loser)) {
+            errors.push('A rule refers to a move that does not exist');
+            return;
+        }
+        if (rule.winner === rule.loser) {
+            errors.push(`${label(rule.winner)} cannot beat itself`);
+            return;
+        }
+        if (rule.verb !== undefined && typeof rule.verb !== 'string') {
+            errors.push(`The verb for ${label(rule.winner)} beating ${label(rule.loser)} must be text`);
+        }
+        const pair = [rule.winner, rule.loser].sort().join('|');
+        resolvedPairs.set(pair, (resolvedPairs.get(pair) || 0) + 1);
+    });
+
+    // Every pair of moves must be resolved exactly once
+    const ids = Array.from(moveIds);
+    for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+            const count = resolvedPairs.get([ids[i], ids[j]].sort().join('|')) || 0;
+            if (count === 0) {
+                errors.push(`Nothing decides ${label(ids[i])} vs ${label(ids[j])}`);
+            } else if (count > 1) {
+                errors.push(`${label(ids[i])} vs ${label(ids[j])} is decided more than once`);
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get a built-in ruleset by ID
+ * @param {string} id - The ruleset ID
+ * @returns {Object|null} - The ruleset, or null if there is no built-in ruleset with that ID
+ */
+export function getRuleset(id) {
+    return Object.hasOwn(RULESETS, id) ? RULESETS[id] : null;
+}
+
+/**
+ * Get the active ruleset
+ * @returns {Object} - The active ruleset
+ */
+export function getActiveRuleset() {
+    return activeRuleset;
+}
+
+/**
+ * Set the active ruleset
+ * @param {Object} ruleset - The ruleset to activate
+ */
+export function setActiveRuleset(ruleset) {
+    activeRuleset = ruleset || CLASSIC_RULESET;
+}
+
+/**
+ * Get a move definition from a ruleset
+ * @param {string} moveId - The move ID
+ * @param {Object} ruleset - The ruleset to look in
+ * @returns {Object|null} - The move definition, or null if the ruleset has no such move
+ */
+export function getMove(moveId, ruleset = activeRuleset) {
+    return compile(ruleset).moves.get(moveId) || null;
+}
+
+/**
+ * Get the edge where one move beats another
+ * @param {string} winner - The move that would win
+ * @param {string} loser - The move that would lose
+ * @param {Object} ruleset - The ruleset to look in
+ * @returns {Object|null} - The rule edge, or null if winner does not beat loser
+ */
+export function getEdge(winner, loser, ruleset = activeRuleset) {
+    return compile(ruleset).edges.get(`${winner}>${loser}`) || null;
+}
+
+/**
+ * Check whether one move beats another
+ * @param {string} moveA - The first move
+ * @param {string} moveB - The second move
+ * @param {Object} ruleset - The ruleset to apply
+ * @param {boolean} reversed - Whether non-fixed edges are flipped (reverse rules bonus round)
+ * @returns {boolean} - Whether moveA beats moveB
+ */
+export function beats(moveA, moveB, ruleset = activeRuleset, reversed = false) {
+    const edge = getEdge(moveA, moveB, ruleset);
+    if (!reversed) {
+        return edge !== null;
+    }
+
+    if (edge && edge.fixed) {
+        return true;
+    }
+
+    const reverseEdge = getEdge(moveB, moveA, ruleset);
+    return reverseEdge !== null && !reverseEdge.fixed;
+}
+
+/**
+ * Resolve a round between two moves
+ * @param {string} playerMove - The player's move
+ * @param {string} opponentMove - The opponent's move
+ * @param {Object} ruleset - The ruleset to apply
+ * @param {boolean} reversed - Whether reverse rules are active
+ * @returns {string} - 'win', 'lose', or 'draw' from the player's perspective
+ */
+export function resolve(playerMove, opponentMove, ruleset = activeRuleset, reversed = false) {
+    if (playerMove === opponentMove) {
+        return 'draw';
+    }
+
+    if (beats(playerMove, opponentMove, ruleset, reversed)) {
+        return 'win';
+    }
+
+    // Player loses in all other cases
+    return 'lose';
+}
+
+/**
+ * Get every move that beats the given move, in ruleset order
+ * @param {string} move - The move to counter
+ * @param {Object} ruleset - The ruleset to look in
+ * @returns {Array} - IDs of the moves that beat the given move
+ */
+export function getMovesBeating(move, ruleset = activeRuleset) {
+    return ruleset.rules
+        .filter(rule => rule.loser === move)
+        .map(rule => rule.winner)
+        .sort((a, b) => ruleset.moves.findIndex(m => m.id === a) - ruleset.moves.findIndex(m => m.id === b));
+}
+
+export default {
+    CLASSIC_RULESET,
+    RPSLS_RULESET,
+    RULESETS,
+    createBalancedRuleset,
+    validateRuleset,
+    getRuleset,
+    getActiveRuleset,
+    setActiveRuleset,
+    getMove,
+    getEdge,
+    beats,
+    resolve,
+    getMovesBeating
+};
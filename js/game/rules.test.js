@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CLASSIC_RULESET, RULESETS, createBalancedRuleset, validateRuleset,
+    getRuleset, resolve, beats, getMovesBeating
+} from './rules.js';
+
+const MOVES = [
+    { id: 'rock', name: 'Rock', emoji: '✊' },
+    { id: 'paper', name: 'Paper', emoji: '✋' },
+    { id: 'scissors', name: 'Scissors', emoji: '✌️' }
+];
+
+/**
+ * Make a classic three-move rule pack with some of it changed
+ * @param {Object} changes - Properties to replace
+ * @returns {Object} The rule pack
+ */
+function makePack(changes = {}) {
+    return { ...createBalancedRuleset('pack', 'Pack', MOVES), ...changes };
+}
+
+/**
+ * Validate a rule pack and get the errors it was refused for
+ * @param {Object} pack - The rule pack
+ * @returns {Array} The errors
+ */
+function errorsOf(pack) {
+    const result = validateRuleset(pack);
+    assert.equal(result.valid, false);
+    return result.errors;
+}
+
+test('every built-in ruleset is valid', () => {
+    for (const ruleset of Object.values(RULESETS)) {
+        assert.deepEqual(validateRuleset(ruleset), { valid: true, errors: [] }, ruleset.id);
+    }
+});
+
+test('a balanced ruleset is valid and every move beats half the others', () => {
+    const moves = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(id => ({ id, name: id.toUpperCase(), emoji: '⭐' }));
+    const ruleset = createBalancedRuleset('seven', 'Seven', moves);
+
+    assert.equal(validateRuleset(ruleset).valid, true);
+    moves.forEach(move => assert.equal(ruleset.rules.filter(rule => rule.winner === move.id).length, 3));
+    assert.throws(() => createBalancedRuleset('four', 'Four', moves.slice(0, 4)), /odd number of moves/);
+});
+
+test('a rule pack must be a complete tournament', () => {
+    const rules = makePack().rules;
+
+    assert.deepEqual(errorsOf(makePack({ rules: rules.slice(1) })), ['Nothing decides Rock vs Scissors']);
+    assert.deepEqual(
+        errorsOf(makePack({ rules: [...rules, { winner: 'rock', loser: 'paper' }] })),
+        ['Rock vs Paper is decided more than once']
+    );
+    assert.ok(errorsOf(makePack({ rules: [...rules, { winner: 'rock', loser: 'rock' }] })).includes('Rock cannot beat itself'));
+    assert.ok(errorsOf(makePack({ rules: [...rules, { winner: 'rock', loser: 'fire' }] }))
+        .includes('A rule refers to a move that does not exist'));
+});
+
+test('a rule pack needs named moves with unique IDs', () => {
+    assert.deepEqual(errorsOf(null), ['Rule pack is not an object']);
+    assert.ok(errorsOf(makePack({ name: ' ' })).includes('Rule pack needs a name'));
+    assert.ok(errorsOf(makePack({ moves: MOVES.slice(0, 2) })).includes('Rule pack needs at least 3 moves'));
+    assert.ok(errorsOf(makePack({ moves: [...MOVES, MOVES[0]] })).includes('Move "rock" is listed more than once'));
+    assert.ok(errorsOf(makePack({ moves: [...MOVES, { id: 'rock paper', name: 'Both', emoji: '🤝' }] }))
+        .includes('Move 4 needs an ID made of letters, numbers or underscores'));
+    assert.ok(errorsOf(makePack({ rules: [...makePack().rules, { winner: 'rock', loser: 'scissors', verb: 3 }] }))
+        .includes('The verb for Rock beating Scissors must be text'));
+});
+
+test("a move can't take a name every object already has", () => {
+    for (const id of ['constructor', '__proto__', 'toString']) {
+        const moves = [...MOVES.slice(0, 2), { id, name: 'Sneaky', emoji: '🕵️' }];
+        assert.ok(errorsOf(createBalancedRuleset('pack', 'Pack', moves)).includes(`Move 3 can't be called "${id}"`), id);
+    }
+});
+
+test('only built-in rulesets are found by ID', () => {
+    assert.equal(getRuleset('classic'), CLASSIC_RULESET);
+    assert.equal(getRuleset('constructor'), null);
+    assert.equal(getRuleset('__proto__'), null);
+    assert.equal(getRuleset('nope'), null);
+});
+
+test('rounds are resolved by the rule graph, and reverse rules flip all but the fixed edges', () => {
+    assert.equal(resolve('rock', 'scissors', CLASSIC_RULESET), 'win');
+    assert.equal(resolve('rock', 'paper', CLASSIC_RULESET), 'lose');
+    assert.equal(resolve('rock', 'rock', CLASSIC_RULESET), 'draw');
+
+    assert.equal(resolve('rock', 'scissors', CLASSIC_RULESET, true), 'lose');
+    assert.equal(resolve('scissors', 'rock', CLASSIC_RULESET, true), 'win');
+
+    // Fire burns scissors and is smothered by rock whichever way the rules go
+    assert.equal(beats('fire', 'scissors', CLASSIC_RULESET, true), true);
+    assert.equal(beats('scissors', 'fire', CLASSIC_RULESET, true), false);
+    assert.equal(resolve('rock', 'fire', CLASSIC_RULESET, true), 'win');
+
+    assert.deepEqual(getMovesBeating('scissors', CLASSIC_RULESET), ['rock', 'fire']);
+});
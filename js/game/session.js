@@ -0,0 +1,530 @@
+/**
+ * Game Session module for Rock Paper Battle
+ * Plays a game against the AI in any mode: rounds, scoring, speed mode, bonus rounds and results.
+ *
+ * A mode is a definition object that configures the session with lifecycle hooks, all optional:
+ *   id                      - The mode's id, used for achievements and speed mode ('endless', 'bestOfN', ...)
+ *   title                   - The game screen title, or a function of the session state returning it
+ *   speedMode               - Whether speed mode can time the player's moves (default true)
+ *   bonusRounds             - Whether bonus rounds can come up (default true)
+ *   seed                    - The match seed, or a function of the session state returning it
+ *                             (default: the seed set in settings, or a fresh one for every match)
+ *   leaderboard             - The leaderboard the match can count for (see features/leaderboard.js), if any. The match
+ *                             is then played on the game server, against an AI that starts fresh (or the mode's script
+ *                             as the server has it), with a seed the server handed out unless the mode has its own.
+ *                             It is submitted once it is over, or for a match that never ends, when the player leaves
+ *                             it or starts over
+ *   runSettings(state)      - Settings of the mode's own its leaderboard run is played with (the Daily Challenge's date)
+ *   chooseAiMove(availableMoves, state)
+ *                           - Choose the AI's move, for a scripted opponent; the AI opponent then neither plays nor learns
+ *   onStart(state)          - A match is starting; set up the mode's own state and scores
+ *   onRoundStart(state)     - A round is about to be played
+ *   onResolve(round, state) - A round has been decided; may return a different result for it
+ *   onScore(round, state)   - The round has been added to the score
+ *   isMatchOver(state)      - Whether the match is over after a round (never, if left out)
+ *   onMatchEnd(state)       - The match is over; show its final result
+ *   onReset(state)          - The player is resetting the scores
+ */
+
+import { determineWinner, getResultMessage, getAvailableMoves } from './logic.js';
+import * as ui from '../ui.js';
+import { getData, setData, updateStat } from '../settings/storage.js';
+import * as sound from '../features/sound.js';
+import * as achievements from '../features/achievements.js';
+import * as stats from '../features/stats.js';
+import * as secretMove from '../features/secretMove.js';
+import * as aiModes from '../features/aiModes.js';
+import * as fairPlay from '../features/fairPlay.js';
+import * as aiExplainer from '../features/aiExplainer.js';
+import * as random from '../utils/random.js';
+import * as speedMode from '../features/speedMode.js';
+import * as bonusRound from '../features/bonusRound.js';
+import * as leaderboard from '../features/leaderboard.js';
+
+// Time the player has for each move in speed mode
+const SPEED_MODE_TIME_LIMIT = 3000;
+
+// Delay before the result of a round is shown (shorter in speed mode)
+const RESULT_DELAY = 1000;
+const SPEED_MODE_RESULT_DELAY = 500;
+
+// State of the session in progress (modes may keep their own state here too)
+const state = {
+    mode: null,
+    playerScore: 0,
+    aiScore: 0,
+    currentRound: 0,
+    decisiveRounds: 0,
+    lastPlayerMove: null,
+    lastAiMove: null,
+    lastResult: null,
+    bonusType: null,
+    run: null,
+    awaitingResult: false,
+    gameOver: false
+};
+
+// Timer that shows the result of the last round
+let resultTimer = null;
+
+/**
+ * Start a session in a game mode
+ * @param {Object} mode - The mode definition (see above)
+ */
+export function start(mode) {
+    state.mode = mode;
+    
+    // Speed mode only times modes that allow it
+    speedMode.setGameMode(mode.speedMode === false ? null : mode.id);
+    
+    startMatch();
+    
+    // Show the game screen
+    ui.showSection('game-screen');
+    
+    // Play start sound
+    sound.play('gameStart');
+    
+    startRound();
+}
+
+/**
+ * Check whether a session is being played
+ * @returns {boolean} Whether a mode is active
+ */
+export function isActive() {
+    return state.mode !== null;
+}
+
+/**
+ * Get the state of the session in progress
+ * @returns {Object} A copy of the session state
+ */
+export function getState() {
+    return { ...state };
+}
+
+/**
+ * Call one of the active mode's hooks
+ * @param {string} hook - The hook's name
+ * @param {...*} args - Arguments for the hook (the session state is always passed last)
+ * @returns {*} What the hook returned, undefined if the mode has no such hook
+ */
+function callHook(hook, ...args) {
+    const handler = state.mode && state.mode[hook];
+    return typeof handler === 'function' ? handler(...args, state) : undefined;
+}
+
+/**
+ * Check whether the active mode scripts the AI's moves itself
+ * @returns {boolean} Whether the mode chooses the AI's moves
+ */
+function isScripted() {
+    return Boolean(state.mode) && typeof state.mode.chooseAiMove === 'function';
+}
+
+/**
+ * Seed the random number generator for a new match
+ * A mode's own seed, or a fixed seed from settings, replays the same match for the same player moves.
+ * A leaderboard run plays the seed the game server handed out for it (its AI's moves come from the server).
+ */
+function seedMatch() {
+    state.run = leaderboard.startRun(state.mode.leaderboard, callHook('runSettings'));
+    
+    const modeSeed = typeof state.mode.seed === 'function' ? state.mode.seed(state) : state.mode.seed;
+    random.setSeed((state.run && state.run.seed) || modeSeed || getData('matchSeed') || random.createSeed());
+    ui.updateSeedDisplay(random.getSeed());
+}
+
+/**
+ * Submit the leaderboard run being played, if there is one
+ * A match that can end only counts once it is over; an endless one counts whenever it is left
+ */
+function endRun() {
+    const run = state.run;
+    state.run = null;
+    if (!run || run.rounds.length === 0) return;
+    
+    if (state.gameOver || typeof state.mode.isMatchOver !== 'function') {
+        leaderboard.submitRun(run);
+    }
+}
+
+/**
+ * Reset the session for a new match
+ */
+function startMatch() {
+    // The last match's run is done with, and every new match gets a fresh (or the configured) seed
+    endRun();
+    seedMatch();
+    
+    clearTimeout(resultTimer);
+    state.playerScore = 0;
+    state.aiScore = 0;
+    state.currentRound = 0;
+    state.decisiveRounds = 0;
+    state.lastPlayerMove = null;
+    state.lastAiMove = null;
+    state.lastResult = null;
+    state.awaitingResult = false;
+    state.gameOver = false;
+    
+    // End any active bonus round
+    endBonusRound();
+    
+    // Reset the move displays
+    ui.displayMoves('', '');
+    
+    // Reset AI move history (a leaderboard run's AI starts without what it remembers about the player)
+    aiModes.playFresh(Boolean(state.run));
+    aiModes.resetMoveHistory();
+    fairPlay.startMatch();
+    
+    callHook('onStart');
+    
+    // Show who is being played (a mode may have picked the opponent)
+    aiModes.updateAiIndicators();
+    
+    // Show the mode's title and starting score
+    const title = typeof state.mode.title === 'function' ? state.mode.title(state) : state.mode.title;
+    document.querySelector('#game-screen h2').textContent = title;
+    updateScoreDisplay();
+}
+
+/**
+ * Get ready for the player's next move
+ */
+function startRound() {
+    callHook('onRoundStart');
+    
+    // Roll for a bonus round before the player chooses, so its rules are known in time
+    if (state.mode.bonusRounds !== false && bonusRound.isEnabled() && bonusRound.shouldActivateBonusRound()) {
+        state.bonusType = bonusRound.activateRandomBonusRound();
+    }
+    
+    // Lock in the AI's move before the player can choose (a scripted move is fixed already, and a leaderboard run's
+    // AI locks its move in on the game server)
+    if (leaderboard.isLive(state.run)) {
+        leaderboard.lockInMove(state.run, secretMove.isUnlocked());
+    } else if (!isScripted()) {
+        fairPlay.commitMove(getAvailableMoves(secretMove.isUnlocked()));
+    }
+    
+    // Start the clock if speed mode is on
+    startSpeedModeTimer();
+}
+
+/**
+ * Starts the speed mode timer, which plays a random move for the player when time runs out
+ */
+function startSpeedModeTimer() {
+    if (!speedMode.shouldBeActive()) return;
+    
+    speedMode.stopTimer(false);
+    speedMode.startTimer(SPEED_MODE_TIME_LIMIT, () => {
+        const timeoutMove = speedMode.getTimeoutMove(getAvailableMoves(secretMove.isUnlocked()));
+        handlePlayerMove(timeoutMove, true);
+    });
+}
+
+/**
+ * Play a round with the player's move
+ * @param {string} playerMove - The player's selected move
+ * @param {boolean} isTimeoutMove - Whether this is an auto-selected move due to timeout
+ */
+export function handlePlayerMove(playerMove, isTimeoutMove = false) {
+    // Don't allow moves between matches or while a result is on its way
+    if (!state.mode || state.gameOver || state.awaitingResult) return;
+    
+    speedMode.stopTimer();
+    
+    // Record the player's move for AI analysis
+    aiModes.recordPlayerMove(playerMove);
+    
+    // Generate AI move - include secret moves if player has unlocked them
+    const secretMoveUnlocked = secretMove.isUnlocked();
+    const availableMoves = getAvailableMoves(secretMoveUnlocked);
+    
+    // A leaderboard run's AI plays on the game server, which answers with its move (the AI here takes over if the run
+    // stops counting)
+    if (leaderboard.isLive(state.run)) {
+        const run = state.run;
+        state.awaitingResult = true;
+        leaderboard.playRound(run, playerMove, isTimeoutMove, secretMoveUnlocked).then(aiMove => {
+            // The player may have left the match while the server answered
+            if (state.run !== run) return;
+            resolveRound(playerMove, aiMove || chooseAiMove(availableMoves), isTimeoutMove, secretMoveUnlocked);
+        });
+        return;
+    }
+    
+    resolveRound(playerMove, chooseAiMove(availableMoves), isTimeoutMove, secretMoveUnlocked);
+}
+
+/**
+ * Choose the AI's move for the round being played
+ * @param {Array} availableMoves - The moves the AI may play
+ * @returns {string} The mode's scripted move, the move the AI committed to before the player chose (fair play),
+ *     or one picked now
+ */
+function chooseAiMove(availableMoves) {
+    return isScripted()
+        ? callHook('chooseAiMove', availableMoves)
+        : fairPlay.revealMove(availableMoves) || aiModes.getComputerMove(availableMoves);
+}
+
+/**
+ * Decide a round once both moves are known, and show it
+ * @param {string} playerMove - The player's move
+ * @param {string} aiMove - The AI's move
+ * @param {boolean} isTimeoutMove - Whether the speed mode timer chose the player's move
+ * @param {boolean} secretMoveUnlocked - Whether the player could play Fire
+ */
+function resolveRound(playerMove, aiMove, isTimeoutMove, secretMoveUnlocked) {
+    // Determine the winner (a bonus round may change the rules)
+    let result = determineWinner(playerMove, aiMove);
+    if (state.bonusType) {
+        result = bonusRound.modifyResult(result, playerMove, aiMove);
+    }
+    
+    const round = { playerMove, aiMove, result, timedOut: isTimeoutMove, bonusType: state.bonusType };
+    round.result = callHook('onResolve', round) || round.result;
+    
+    // Update session state
+    state.lastPlayerMove = playerMove;
+    state.lastAiMove = aiMove;
+    state.lastResult = round.result;
+    state.currentRound++;
+    
+    // Display moves
+    ui.displayMoves(playerMove, aiMove);
+    
+    scoreRound(round);
+    
+    // Play appropriate sound
+    sound.play(round.result === 'win' ? 'win' : round.result === 'lose' ? 'lose' : 'draw');
+    
+    // Check whether that settled the match
+    state.gameOver = Boolean(callHook('isMatchOver'));
+    
+    // Check achievements
+    achievements.checkAchievements(round.result, state, state.mode.id);
+    
+    // Check if secret move should be unlocked
+    if (!secretMove.isUnlocked()) {
+        secretMove.init();
+    }
+    
+    // Apply win/loss/draw animations
+    applyResultAnimations(round.result);
+    
+    // Show result after a short delay
+    state.awaitingResult = true;
+    resultTimer = setTimeout(() => showRoundResult(round),
+        speedMode.getAppropriateDelay(RESULT_DELAY, SPEED_MODE_RESULT_DELAY));
+}
+
+/**
+ * Add a round to the score and the player's stats
+ * A move chosen by the speed mode timer counts as a loss unless it won.
+ * @param {Object} round - The round ({ playerMove, aiMove, result, timedOut, bonusType })
+ */
+function scoreRound(round) {
+    const scoredResult = round.timedOut && round.result !== 'win' ? 'lose' : round.result;
+    
+    // Check for score multiplier from bonus round
+    const scoreMultiplier = round.bonusType ? bonusRound.getScoreMultiplier() : 1;
+    
+    if (scoredResult === 'win') {
+        state.playerScore += scoreMultiplier;
+        for (let i = 0; i < scoreMultiplier; i++) {
+            updateStat('wins');
+        }
+        // Record a loss for the AI
+        recordAiOutcome('loss');
+        
+        // Update longest win streak if needed
+        stats.updateLongestWinStreak(getData('currentWinStreak') || 0);
+        
+        // Remember which opponent was beaten (a scripted opponent isn't one of them)
+        if (!isScripted()) {
+            stats.recordWinAgainst(aiModes.getCurrentDifficulty());
+        }
+        
+        if (round.bonusType) {
+            updateBonusRoundStats();
+        }
+    } else if (scoredResult === 'lose') {
+        state.aiScore++;
+        updateStat('losses');
+        // Record a win for the AI
+        recordAiOutcome('win');
+    } else {
+        updateStat('draws');
+        // Record a draw for the AI
+        recordAiOutcome('draw');
+    }
+    
+    if (scoredResult !== 'draw') {
+        state.decisiveRounds++;
+    }
+    
+    updateScoreDisplay();
+    callHook('onScore', round);
+}
+
+/**
+ * Let the AI opponent learn from the round, unless the mode scripted the AI's move
+ * @param {string} outcome - 'win', 'loss', or 'draw' from the AI's side
+ */
+function recordAiOutcome(outcome) {
+    if (!isScripted()) {
+        aiModes.recordGameOutcome(outcome);
+    }
+}
+
+/**
+ * Updates the bonus rounds won statistic
+ */
+function updateBonusRoundStats() {
+    const bonusRoundsWon = (getData('bonusRoundsWon') || 0) + 1;
+    setData('bonusRoundsWon', bonusRoundsWon);
+    
+    // Update UI in stats screen if it exists
+    const bonusRoundsElement = document.getElementById('stats-bonus-rounds');
+    if (bonusRoundsElement) {
+        bonusRoundsElement.textContent = bonusRoundsWon;
+    }
+}
+
+/**
+ * Updates the score display
+ */
+function updateScoreDisplay() {
+    ui.updateScore(state.playerScore, state.aiScore);
+}
+
+/**
+ * Show the result of a round, or of the match if it is over
+ * @param {Object} round - The round ({ playerMove, aiMove, result, timedOut, bonusType })
+ */
+function showRoundResult(round) {
+    state.awaitingResult = false;
+    
+    if (state.gameOver) {
+        callHook('onMatchEnd');
+        endRun();
+    } else {
+        const resultMessage = getResultMessage(round.result, round.playerMove, round.aiMove);
+        ui.showResult(round.result, resultMessage, round.playerMove, round.aiMove);
+        
+        // Explain the AI's choice if the player asks (a scripted move has nothing to explain, and the game server's
+        // AI chose out of sight)
+        if (isScripted() || leaderboard.isLive(state.run)) {
+            aiExplainer.hide();
+        } else {
+            aiExplainer.refresh();
+        }
+    }
+    
+    // End the bonus round after the result is shown
+    endBonusRound();
+}
+
+/**
+ * End the bonus round in play, if any
+ */
+function endBonusRound() {
+    bonusRound.endBonusRound();
+    state.bonusType = null;
+}
+
+/**
+ * Apply win/loss/draw animations to game elements
+ * @param {string} result - The result of the round ('win', 'lose', or 'draw')
+ */
+function applyResultAnimations(result) {
+    const playerMoveDisplay = document.getElementById('player-move-display');
+    const aiMoveDisplay = document.getElementById('ai-move-display');
+    
+    switch (result) {
+        case 'win':
+            // Show confetti for win
+            if (window.showWinAnimation) {
+                window.showWinAnimation();
+            }
+            break;
+        case 'lose':
+            // Show shake animation for loss
+            if (window.showLossAnimation && playerMoveDisplay) {
+                window.showLossAnimation(playerMoveDisplay);
+            }
+            break;
+        case 'draw':
+            // Show glow effect for draw
+            if (window.showDrawAnimation && playerMoveDisplay && aiMoveDisplay) {
+                window.showDrawAnimation(playerMoveDisplay);
+                window.showDrawAnimation(aiMoveDisplay);
+            }
+            break;
+    }
+}
+
+/**
+ * Returns to the main menu and ends the session
+ */
+export function returnToMenu() {
+    sound.play('click');
+    
+    // Stop everything still running for the session
+    clearTimeout(resultTimer);
+    speedMode.stopTimer();
+    endBonusRound();
+    endRun();
+    aiModes.playFresh(false);
+    
+    state.mode = null;
+    state.awaitingResult = false;
+    speedMode.setGameMode(null);
+    
+    ui.showSection('landing-page');
+}
+
+/**
+ * Continues the game after showing results, starting a new match if the last one is over
+ */
+export function continueGame() {
+    sound.play('click');
+    
+    if (state.gameOver) {
+        startMatch();
+    }
+    
+    ui.showSection('game-screen');
+    startRound();
+}
+
+/**
+ * Resets the current scores and starts the match over
+ */
+export function resetScores() {
+    speedMode.stopTimer();
+    callHook('onReset');
+    
+    startMatch();
+    
+    // Play sound
+    sound.play('click');
+    
+    startRound();
+}
+
+export default {
+    start,
+    isActive,
+    getState,
+    handlePlayerMove,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
@@ -0,0 +1,597 @@
+/**
+ * AI vs AI Mode module for Rock Paper Battle
+ * Two AI opponents play each other on the game screen while the player watches
+ */
+
+import { determineWinner, getAvailableMoves, getMoveEmoji } from './logic.js';
+import { getActiveRuleset } from './rules.js';
+import * as ui from '../ui.js';
+import { getData, setData } from '../settings/storage.js';
+import * as sound from '../features/sound.js';
+import * as aiModes from '../features/aiModes.js';
+import * as fairPlay from '../features/fairPlay.js';
+import * as aiExplainer from '../features/aiExplainer.js';
+import * as random from '../utils/random.js';
+import { createDifficultyStrategy } from '../ai/difficulties.js';
+import { createPersonalityStrategy } from '../ai/personalities.js';
+import { createStrategyContext } from '../ai/strategy.js';
+
+// Prefix of opponent IDs that are personalities (the rest are difficulty levels)
+export const PERSONALITY_PREFIX = 'personality:';
+
+// Playback speeds, from the speed slider
+const SPEEDS = [
+    { label: 'Slow', delay: 2000 },
+    { label: 'Normal', delay: 1000 },
+    { label: 'Fast', delay: 400 },
+    { label: 'Faster', delay: 150 },
+    { label: 'Fastest', delay: 30 }
+];
+
+// Outcomes for the right opponent by outcome for the left
+const OTHER_SIDE_OUTCOMES = {
+    win: 'lose',
+    lose: 'win',
+    draw: 'draw'
+};
+
+// Rounds shown in the history strip
+const MAX_HISTORY_ITEMS = 20;
+
+// Rounds of history each strategy is given, as in the game
+const MAX_ROUND_HISTORY = 50;
+
+// Default settings
+const DEFAULT_SETTINGS = {
+    first: aiModes.DIFFICULTY_LEVELS.EASY,
+    second: aiModes.DIFFICULTY_LEVELS.HARD,
+    speed: 1,
+    rounds: 25
+};
+
+// Game state for AI vs AI Mode
+const gameState = {
+    firstScore: 0,
+    secondScore: 0,
+    draws: 0,
+    currentRound: 0,
+    lastFirstMove: null,
+    lastSecondMove: null,
+    paused: false,
+    gameOver: false
+};
+
+// The two strategies, left and right
+let strategies = [];
+
+// Each side's rounds seen from its opponent's side ({ player, opponent, outcome }), for the strategy context
+let histories = [[], []];
+
+// Whether each side sees the other side's move before choosing (Impossible, unless both sides are)
+let canPeek = [false, false];
+
+// Moves chosen so far this round, by side
+let roundMoves = [null, null];
+
+// Timer for the next round
+let roundTimer = null;
+
+// Game screen labels replaced while watching, restored when leaving
+let savedLabels = null;
+
+/**
+ * Initialize the AI vs AI controls
+ */
+export function init() {
+    populateOpponentSelects();
+
+    const settings = getSettings();
+    const speedInput = document.getElementById('spectator-speed');
+    const roundsSelect = document.getElementById('spectator-rounds');
+
+    if (speedInput) {
+        speedInput.value = settings.speed;
+        updateSpeedLabel();
+
+        // A new speed applies from the next round
+        speedInput.addEventListener('input', () => {
+            saveSettings({ speed: parseInt(speedInput.value, 10) });
+            updateSpeedLabel();
+            scheduleNextRound();
+        });
+    }
+
+    if (roundsSelect) {
+        roundsSelect.value = String(settings.rounds);
+        roundsSelect.addEventListener('change', () => {
+            saveSettings({ rounds: parseInt(roundsSelect.value, 10) });
+            startMatch();
+            sound.play('click');
+        });
+    }
+
+    // Picking a different opponent starts a new match
+    ['spectator-first', 'spectator-second'].forEach((id, side) => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', () => {
+                saveSettings(side === 0 ? { first: select.value } : { second: select.value });
+                startMatch();
+                sound.play('click');
+            });
+        }
+    });
+
+    const pauseBtn = document.getElementById('spectator-pause-btn');
+    if (pauseBtn) {
+        pauseBtn.addEventListener('click', () => {
+            setPaused(!gameState.paused);
+            sound.play('click');
+        });
+    }
+
+    const stepBtn = document.getElementById('spectator-step-btn');
+    if (stepBtn) {
+        stepBtn.addEventListener('click', () => {
+            if (gameState.paused && !gameState.gameOver) {
+                playRound();
+            }
+        });
+    }
+}
+
+/**
+ * Fill the opponent pickers with the built-in difficulty levels and the personalities
+ */
+function populateOpponentSelects() {
+    const settings = getSettings();
+
+    ['spectator-first', 'spectator-second'].forEach((id, side) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        select.innerHTML = '';
+
+        const groups = [
+            { label: 'Difficulties', opponents: getDifficultyOpponents() },
+            { label: 'Personalities', opponents: getPersonalityOpponents() }
+        ];
+
+        groups.forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.opponents.forEach(opponent => {
+                const option = document.createElement('option');
+                option.value = opponent.id;
+                option.textContent = `${opponent.avatar} ${opponent.name}`;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
+
+        select.value = side === 0 ? settings.first : settings.second;
+    });
+}
+
+/**
+ * Get the difficulty levels that can be watched (custom bots only play against the player)
+ * @returns {Array} Opponents ({ id, name, avatar })
+ */
+function getDifficultyOpponents() {
+    return aiModes.getAllDifficultyLevels()
+        .filter(level => !level.custom)
+        .map(level => ({ id: level.id, name: level.name, avatar: level.emoji }));
+}
+
+/**
+ * Get the personalities that can be watched
+ * @returns {Array} Opponents ({ id, name, avatar })
+ */
+function getPersonalityOpponents() {
+    return aiModes.getAllPersonalities()
+        .map(personality => ({ id: `${PERSONALITY_PREFIX}${personality.id}`, name: personality.name, avatar: personality.avatar }));
+}
+
+/**
+ * Get every AI opponent that can play another AI: the built-in difficulty levels, then the personalities
+ * @returns {Array} Opponents ({ id, name, avatar })
+ */
+export function getOpponents() {
+    return [...getDifficultyOpponents(), ...getPersonalityOpponents()];
+}
+
+/**
+ * Find an opponent by ID
+ * @param {string} id - The opponent ID
+ * @returns {Object|null} The opponent ({ id, name, avatar }), or null if there is none with that ID
+ */
+export function getOpponent(id) {
+    return getOpponents().find(opponent => opponent.id === id) || null;
+}
+
+/**
+ * Get the saved AI vs AI settings
+ * @returns {Object} The settings ({ first, second, speed, rounds })
+ */
+function getSettings() {
+    const settings = { ...DEFAULT_SETTINGS, ...(getData('spectator') || {}) };
+
+    // Opponents that no longer exist fall back to the defaults
+    if (!getOpponent(settings.first)) settings.first = DEFAULT_SETTINGS.first;
+    if (!getOpponent(settings.second)) settings.second = DEFAULT_SETTINGS.second;
+
+    return settings;
+}
+
+/**
+ * Save some of the AI vs AI settings
+ * @param {Object} changes - The settings to change
+ */
+function saveSettings(changes) {
+    setData('spectator', { ...getSettings(), ...changes });
+}
+
+/**
+ * Initializes the AI vs AI Mode
+ */
+export function initSpectatorMode() {
+    // Show the watching controls instead of the move buttons
+    document.querySelector('#game-screen h2').textContent = 'AI vs AI';
+    document.getElementById('game-screen').classList.add('spectating');
+    document.getElementById('spectator-controls').classList.remove('hidden');
+
+    // The AI explanation and the fair play log are about the player's own games
+    fairPlay.startMatch();
+    aiExplainer.hide();
+
+    ui.showSection('game-screen');
+    sound.play('gameStart');
+
+    startMatch();
+}
+
+/**
+ * Start a new match between the selected opponents
+ */
+function startMatch() {
+    stopTimer();
+
+    // Every match gets a fresh (or the configured) seed, so it can be watched again
+    random.setSeed(getData('matchSeed') || random.createSeed());
+    ui.updateSeedDisplay(random.getSeed());
+
+    const settings = getSettings();
+    const opponents = [getOpponent(settings.first), getOpponent(settings.second)];
+
+    // Impossible sees the other side's move, unless the other side is Impossible too
+    const impossible = opponents.map(opponent => opponent.id === aiModes.DIFFICULTY_LEVELS.IMPOSSIBLE);
+    canPeek = [impossible[0] && !impossible[1], impossible[1] && !impossible[0]];
+
+    strategies = opponents.map((opponent, side) => createOpponentStrategy(opponent.id, () => roundMoves[1 - side]));
+    histories = [[], []];
+
+    gameState.firstScore = 0;
+    gameState.secondScore = 0;
+    gameState.draws = 0;
+    gameState.currentRound = 0;
+    gameState.lastFirstMove = null;
+    gameState.lastSecondMove = null;
+    gameState.gameOver = false;
+
+    showOpponents(opponents);
+    ui.displayMoves('', '');
+    updateScoreDisplay();
+
+    const historyStrip = document.getElementById('spectator-history');
+    if (historyStrip) historyStrip.innerHTML = '';
+
+    setPaused(false);
+}
+
+/**
+ * Create the strategy for an opponent
+ * @param {string} id - The opponent ID
+ * @param {Function} peek - Returns the other side's move if it has already been chosen this round
+ * @returns {Object} The strategy
+ */
+export function createOpponentStrategy(id, peek) {
+    if (id.startsWith(PERSONALITY_PREFIX)) {
+        return createPersonalityStrategy(id.slice(PERSONALITY_PREFIX.length));
+    }
+    return createDifficultyStrategy(id, { peek });
+}
+
+/**
+ * Show the opponents' names and avatars where the player's and the AI's usually are
+ * @param {Array} opponents - The left and right opponents
+ */
+function showOpponents(opponents) {
+    const labels = {
+        'game-player-avatar': opponents[0].avatar,
+        'game-player-name': opponents[0].name,
+        'ai-avatar': opponents[1].avatar,
+        'game-ai-name': opponents[1].name,
+        'player-move-heading': `${opponents[0].name}'s Choice`,
+        'ai-move-heading': `${opponents[1].name}'s Choice`
+    };
+
+    // Keep the usual labels to put back when leaving
+    if (!savedLabels) {
+        savedLabels = {};
+        Object.keys(labels).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) savedLabels[id] = element.textContent;
+        });
+    }
+
+    Object.entries(labels).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    });
+
+    const aiAvatar = document.getElementById('ai-avatar');
+    if (aiAvatar) {
+        aiAvatar.className = 'avatar-small';
+        aiAvatar.title = opponents[1].name;
+    }
+}
+
+/**
+ * Put the usual game screen labels and controls back
+ */
+function restoreGameScreen() {
+    document.getElementById('game-screen').classList.remove('spectating');
+    document.getElementById('spectator-controls').classList.add('hidden');
+
+    if (!savedLabels) return;
+
+    Object.entries(savedLabels).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    });
+    savedLabels = null;
+
+    // The AI avatar is styled by its difficulty
+    aiModes.updateAiIndicators();
+}
+
+/**
+ * Play one round between the two AIs
+ */
+function playRound() {
+    const availableMoves = getAvailableMoves();
+    const ruleset = getActiveRuleset();
+    roundMoves = [null, null];
+
+    // A side that peeks chooses after the other side
+    const order = canPeek[0] ? [1, 0] : [0, 1];
+    order.forEach(side => {
+        roundMoves[side] = chooseMove(strategies[side], createStrategyContext(histories[side], availableMoves, ruleset));
+    });
+
+    const [firstMove, secondMove] = roundMoves;
+    const result = determineWinner(firstMove, secondMove);
+
+    // Update game state
+    gameState.currentRound++;
+    gameState.lastFirstMove = firstMove;
+    gameState.lastSecondMove = secondMove;
+
+    if (result === 'win') {
+        gameState.firstScore++;
+    } else if (result === 'lose') {
+        gameState.secondScore++;
+    } else {
+        gameState.draws++;
+    }
+
+    // Both sides learn from the round, each from its own side
+    const outcomes = [result, OTHER_SIDE_OUTCOMES[result]];
+    strategies.forEach((strategy, side) => {
+        histories[side].push({ player: roundMoves[1 - side], opponent: roundMoves[side], outcome: outcomes[1 - side] });
+        if (histories[side].length > MAX_ROUND_HISTORY) {
+            histories[side].shift();
+        }
+        if (typeof strategy.update === 'function') {
+            strategy.update({ me: roundMoves[side], opponent: roundMoves[1 - side], outcome: outcomes[side] });
+        }
+    });
+
+    // Show the round the same way as the player's rounds
+    ui.displayMoves(firstMove, secondMove);
+    updateScoreDisplay();
+    addHistoryItem(firstMove, secondMove, result);
+
+    // Check if the match is over
+    const { rounds } = getSettings();
+    if (rounds > 0 && gameState.currentRound >= rounds) {
+        gameState.gameOver = true;
+        stopTimer();
+        updatePlaybackButtons();
+
+        // Let the last round be seen before the result
+        roundTimer = setTimeout(showFinalResult, SPEEDS[getSettings().speed].delay);
+    }
+}
+
+/**
+ * Ask a strategy for its move, falling back to a random move as the game does
+ * @param {Object} strategy - The strategy
+ * @param {Object} context - The strategy context
+ * @returns {string} The move
+ */
+function chooseMove(strategy, context) {
+    let move = null;
+    try {
+        move = strategy.chooseMove(context);
+    } catch (error) {
+        console.error('AI strategy failed to choose a move:', error);
+    }
+    return context.availableMoves.includes(move) ? move : aiModes.getRandomMove(context.availableMoves);
+}
+
+/**
+ * Wait for the next round at the selected speed
+ */
+function scheduleNextRound() {
+    // Once the match is over the timer is waiting to show the result
+    if (gameState.gameOver) return;
+
+    stopTimer();
+    if (gameState.paused || !isWatching()) return;
+
+    roundTimer = setTimeout(() => {
+        roundTimer = null;
+        playRound();
+        scheduleNextRound();
+    }, SPEEDS[getSettings().speed].delay);
+}
+
+/**
+ * Cancel the next round
+ */
+function stopTimer() {
+    if (roundTimer) {
+        clearTimeout(roundTimer);
+        roundTimer = null;
+    }
+}
+
+/**
+ * Check if the AI vs AI game screen is showing
+ * @returns {boolean} Whether the player is watching
+ */
+function isWatching() {
+    const gameScreen = document.getElementById('game-screen');
+    return gameScreen.classList.contains('spectating') && !gameScreen.classList.contains('hidden');
+}
+
+/**
+ * Pause or resume the match
+ * @param {boolean} paused - Whether to pause
+ */
+function setPaused(paused) {
+    gameState.paused = paused;
+    updatePlaybackButtons();
+    scheduleNextRound();
+}
+
+/**
+ * Update the pause and step buttons for the match state
+ */
+function updatePlaybackButtons() {
+    const pauseBtn = document.getElementById('spectator-pause-btn');
+    if (pauseBtn) {
+        pauseBtn.textContent = gameState.paused ? '▶️ Play' : '⏸️ Pause';
+        pauseBtn.disabled = gameState.gameOver;
+    }
+
+    // Stepping plays one round at a time while paused
+    const stepBtn = document.getElementById('spectator-step-btn');
+    if (stepBtn) {
+        stepBtn.disabled = !gameState.paused || gameState.gameOver;
+    }
+}
+
+/**
+ * Show the selected speed next to the slider
+ */
+function updateSpeedLabel() {
+    const label = document.getElementById('spectator-speed-value');
+    if (label) {
+        label.textContent = SPEEDS[getSettings().speed].label;
+    }
+}
+
+/**
+ * Updates the scoreboard
+ */
+function updateScoreDisplay() {
+    ui.updateScore(gameState.firstScore, gameState.secondScore);
+
+    const status = document.getElementById('spectator-status');
+    if (status) {
+        const { rounds } = getSettings();
+        const roundText = rounds > 0 ? `Round ${gameState.currentRound} of ${rounds}` : `Round ${gameState.currentRound}`;
+        status.textContent = `${roundText} · ${gameState.draws} ${gameState.draws === 1 ? 'draw' : 'draws'}`;
+    }
+}
+
+/**
+ * Add a round to the history strip, newest first
+ * @param {string} firstMove - The left opponent's move
+ * @param {string} secondMove - The right opponent's move
+ * @param {string} result - The result for the left opponent ('win', 'lose', or 'draw')
+ */
+function addHistoryItem(firstMove, secondMove, result) {
+    const historyStrip = document.getElementById('spectator-history');
+    if (!historyStrip) return;
+
+    const item = document.createElement('li');
+    item.className = `spectator-history-item ${result}`;
+    item.textContent = `${getMoveEmoji(firstMove)}${getMoveEmoji(secondMove)}`;
+    item.title = `Round ${gameState.currentRound}`;
+    historyStrip.insertBefore(item, historyStrip.firstChild);
+
+    while (historyStrip.children.length > MAX_HISTORY_ITEMS) {
+        historyStrip.removeChild(historyStrip.lastChild);
+    }
+}
+
+/**
+ * Shows the final result of the match on the results screen
+ */
+function showFinalResult() {
+    roundTimer = null;
+    if (!isWatching()) return;
+
+    const settings = getSettings();
+    const names = [getOpponent(settings.first).name, getOpponent(settings.second).name];
+    const result = gameState.firstScore > gameState.secondScore ? 'win'
+        : gameState.firstScore < gameState.secondScore ? 'lose' : 'draw';
+
+    const title = result === 'draw' ? "It's a Draw!" : `${names[result === 'win' ? 0 : 1]} Wins!`;
+    const message = `Final Score: ${names[0]} ${gameState.firstScore}-${gameState.secondScore} ${names[1]}`;
+
+    sound.play(result === 'draw' ? 'gameDraw' : 'gameWin');
+    ui.showResult(result, message, gameState.lastFirstMove, gameState.lastSecondMove, title);
+}
+
+/**
+ * Returns to the main menu
+ */
+export function returnToMenu() {
+    stopTimer();
+    restoreGameScreen();
+    sound.play('click');
+    ui.showSection('landing-page');
+}
+
+/**
+ * Watches another match after showing the result
+ */
+export function continueGame() {
+    sound.play('click');
+    ui.showSection('game-screen');
+    startMatch();
+}
+
+/**
+ * Restarts the current match
+ */
+export function resetScores() {
+    startMatch();
+    sound.play('click');
+}
+
+export default {
+    PERSONALITY_PREFIX,
+    init,
+    getOpponents,
+    getOpponent,
+    createOpponentStrategy,
+    initSpectatorMode,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
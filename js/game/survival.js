@@ -0,0 +1,322 @@
+/**
+ * Survival Mode module for Rock Paper Battle
+ * The player has three lives and loses one for every lost round, while the AI climbs a tier every few rounds.
+ * Winning streaks of rounds earn one-time power-ups: a peek at the AI's likely move, a shield and a redo.
+ */
+
+import { getMoveEmoji } from './logic.js';
+import * as ui from '../ui.js';
+import * as sound from '../features/sound.js';
+import * as stats from '../features/stats.js';
+import * as aiModes from '../features/aiModes.js';
+import * as bonusRound from '../features/bonusRound.js';
+import * as leaderboard from '../features/leaderboard.js';
+import { pick } from '../utils/random.js';
+import * as session from './session.js';
+import { getRungs } from './gauntlet.js';
+import { STARTING_LIVES, ROUNDS_PER_TIER, WINS_PER_POWER_UP, MAX_POWER_UPS } from './replay.js';
+
+// A run's lives, tiers and power-ups are set in replay.js, which the game server referees leaderboard runs with
+export { STARTING_LIVES };
+
+// Recent AI moves the peek looks at
+const PEEK_HISTORY = 10;
+
+// Survival Mode for the game session: the match lasts until the last life is lost
+export const survivalMode = {
+    id: 'survival',
+    title: 'Survival Mode',
+    leaderboard: 'survival', // Only counts with speed mode on
+    onStart,
+    onRoundStart,
+    onResolve,
+    onScore,
+    isMatchOver,
+    onMatchEnd
+};
+
+// The run in progress ({ lives, tier, wins, powerUps, shield, redo, aiMoves })
+let run = null;
+
+/**
+ * Initialize the power-up buttons
+ */
+export function init() {
+    const powerUps = document.getElementById('survival-power-ups');
+    if (powerUps) {
+        powerUps.addEventListener('click', (event) => {
+            const button = event.target.closest('.power-up-btn');
+            if (button) {
+                usePowerUp(button.getAttribute('data-power-up'));
+            }
+        });
+    }
+}
+
+/**
+ * Initializes the Survival Mode game
+ */
+export function initSurvivalMode() {
+    session.start(survivalMode);
+}
+
+/**
+ * Start a run against the lowest tier
+ * @param {Object} state - The session state
+ */
+function onStart(state) {
+    run = {
+        lives: STARTING_LIVES,
+        tier: 0,
+        wins: 0,
+        powerUps: [],
+        shield: false,
+        redo: false,
+        aiMoves: []
+    };
+    
+    bonusRound.endPowerUp(bonusRound.POWER_UPS.SHIELD);
+    bonusRound.endPowerUp(bonusRound.POWER_UPS.REDO);
+    aiModes.playOpponent({ difficulty: getRungs()[0], personality: null });
+    
+    const hud = document.getElementById('survival-hud');
+    if (hud) hud.classList.remove('hidden');
+    renderHud(state);
+}
+
+/**
+ * Move the AI up a tier once enough rounds have been lasted
+ * @param {Object} state - The session state
+ */
+function onRoundStart(state) {
+    const tiers = getRungs();
+    const tier = Math.min(Math.floor(state.currentRound / ROUNDS_PER_TIER), tiers.length - 1);
+    
+    if (tier !== run.tier) {
+        run.tier = tier;
+        aiModes.playOpponent({ difficulty: tiers[tier], personality: null });
+        aiModes.updateAiIndicators();
+        bonusRound.showNotification('⬆️', 'The AI Levels Up!', `You're now facing ${getTierName(tiers[tier])}.`);
+    }
+    
+    renderHud(state);
+}
+
+/**
+ * Play a lost round again if the player has a redo ready
+ * @param {Object} round - The round ({ playerMove, aiMove, result, timedOut, bonusType })
+ * @returns {string|undefined} 'draw' to call off the lost round, or nothing to keep its result
+ */
+function onResolve(round) {
+    if (round.result !== 'lose' || !run.redo) return undefined;
+    
+    run.redo = false;
+    bonusRound.endPowerUp(bonusRound.POWER_UPS.REDO);
+    bonusRound.activatePowerUp(bonusRound.POWER_UPS.REDO, { message: 'The lost round is called off. Go again!' });
+    return 'draw';
+}
+
+/**
+ * Take a life for a lost round (unless the shield takes it), and hand out power-ups for wins
+ * @param {Object} round - The round ({ playerMove, aiMove, result, timedOut, bonusType })
+ * @param {Object} state - The session state
+ */
+function onScore(round, state) {
+    run.aiMoves.push(round.aiMove);
+    if (run.aiMoves.length > PEEK_HISTORY) {
+        run.aiMoves.shift();
+    }
+    
+    // A timed out move counts as a loss unless it won, as in the score
+    const outcome = round.timedOut && round.result !== 'win' ? 'lose' : round.result;
+    
+    if (outcome === 'lose') {
+        if (run.shield) {
+            run.shield = false;
+            bonusRound.endPowerUp(bonusRound.POWER_UPS.SHIELD);
+            bonusRound.activatePowerUp(bonusRound.POWER_UPS.SHIELD, { message: 'Your shield took the loss. No life lost!' });
+        } else {
+            run.lives--;
+        }
+    } else if (outcome === 'win') {
+        run.wins++;
+        if (run.wins % WINS_PER_POWER_UP === 0 && run.powerUps.length < MAX_POWER_UPS) {
+            earnPowerUp();
+        }
+    }
+    
+    renderHud(state);
+}
+
+/**
+ * Give the player a random power-up
+ */
+function earnPowerUp() {
+    const powerUp = pick(Object.values(bonusRound.POWER_UPS), 'bonus');
+    const details = bonusRound.getPowerUpDetails(powerUp);
+    run.powerUps.push(powerUp);
+    
+    bonusRound.showNotification(details.icon, 'Power-up Earned!', `${details.name}: ${details.description}.`);
+}
+
+/**
+ * Use one of the player's power-ups on the round about to be played
+ * @param {string} powerUp - One of bonusRound.POWER_UPS
+ */
+function usePowerUp(powerUp) {
+    const state = session.getState();
+    const index = run ? run.powerUps.indexOf(powerUp) : -1;
+    if (index === -1 || state.mode !== survivalMode || state.gameOver || state.awaitingResult) return;
+    
+    switch (powerUp) {
+        case bonusRound.POWER_UPS.PEEK:
+            bonusRound.activatePowerUp(powerUp, { message: describeLikelyMove() });
+            break;
+        case bonusRound.POWER_UPS.SHIELD:
+            if (run.shield) return;
+            run.shield = true;
+            bonusRound.activatePowerUp(powerUp, { lasting: true });
+            break;
+        case bonusRound.POWER_UPS.REDO:
+            if (run.redo) return;
+            run.redo = true;
+            bonusRound.activatePowerUp(powerUp, { lasting: true });
+            break;
+        default:
+            return;
+    }
+    
+    run.powerUps.splice(index, 1);
+    
+    // A leaderboard run's referee on the game server plays the power-up with the next round
+    leaderboard.recordPowerUp(state.run, powerUp);
+    renderHud(state);
+}
+
+/**
+ * Describe the move the AI is most likely to play: the one it has played most lately
+ * @returns {string} e.g. 'The AI is most likely to play ✊ (4 of its last 10 moves).'
+ */
+function describeLikelyMove() {
+    if (run.aiMoves.length === 0) {
+        return "The AI hasn't shown a habit yet. Any move is as likely as the next.";
+    }
+    
+    const counts = {};
+    run.aiMoves.forEach(move => {
+        counts[move] = (counts[move] || 0) + 1;
+    });
+    const [likelyMove, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    
+    return `The AI is most likely to play ${getMoveEmoji(likelyMove)} (${count} of its last ${run.aiMoves.length} moves).`;
+}
+
+/**
+ * Checks if the player is out of lives
+ * @returns {boolean} Whether the run is over
+ */
+function isMatchOver() {
+    return run.lives <= 0;
+}
+
+/**
+ * Shows how long the player lasted and keeps the profile's longest run
+ * @param {Object} state - The session state
+ */
+function onMatchEnd(state) {
+    const longestBefore = stats.getLongestSurvival();
+    stats.recordSurvival(state.currentRound);
+    stats.updateBestMode('Survival');
+    
+    const isRecord = state.currentRound > longestBefore;
+    sound.play(isRecord ? 'gameWin' : 'gameLose');
+    
+    const resultTitle = document.getElementById('result-title');
+    const resultMessage = document.getElementById('result-message');
+    
+    resultTitle.textContent = isRecord ? 'New Survival Record!' : 'Out of Lives!';
+    resultMessage.textContent = `You lasted ${state.currentRound} rounds and reached ${getTierName(getRungs()[run.tier])}.`;
+    resultMessage.className = `result-message ${isRecord ? 'win' : 'lose'}`;
+    
+    ui.showSection('results-screen');
+}
+
+/**
+ * Get the display name of a difficulty tier
+ * @param {string} difficulty - The difficulty ID
+ * @returns {string} The tier's emoji and name, e.g. '😊 Noobron'
+ */
+function getTierName(difficulty) {
+    const level = aiModes.getAllDifficultyLevels().find(tier => tier.id === difficulty);
+    return level ? `${level.emoji} ${level.name}` : difficulty;
+}
+
+/**
+ * Show the lives left, the AI's tier, the rounds lasted and the power-ups held
+ * @param {Object} state - The session state
+ */
+function renderHud(state) {
+    const lives = document.getElementById('survival-lives');
+    if (lives) {
+        lives.textContent = '❤️'.repeat(Math.max(run.lives, 0)) + '🖤'.repeat(STARTING_LIVES - Math.max(run.lives, 0));
+        lives.setAttribute('aria-label', `${run.lives} of ${STARTING_LIVES} lives left`);
+    }
+    
+    const tier = document.getElementById('survival-tier');
+    if (tier) tier.textContent = `Tier ${run.tier + 1}: ${getTierName(getRungs()[run.tier])}`;
+    
+    const rounds = document.getElementById('survival-rounds');
+    if (rounds) rounds.textContent = `Round ${state.currentRound + 1} (best: ${stats.getLongestSurvival()})`;
+    
+    const powerUps = document.getElementById('survival-power-ups');
+    if (powerUps) {
+        powerUps.innerHTML = '';
+        run.powerUps.forEach(powerUp => {
+            const details = bonusRound.getPowerUpDetails(powerUp);
+            const button = document.createElement('button');
+            button.className = 'btn-small power-up-btn';
+            button.setAttribute('data-power-up', powerUp);
+            button.setAttribute('title', details.description);
+            button.setAttribute('aria-label', `Use ${details.name}: ${details.description}`);
+            button.textContent = `${details.icon} ${details.name}`;
+            powerUps.appendChild(button);
+        });
+    }
+}
+
+/**
+ * Returns to the main menu, going back to the opponent chosen in settings
+ */
+export function returnToMenu() {
+    session.returnToMenu();
+    
+    const hud = document.getElementById('survival-hud');
+    if (hud) hud.classList.add('hidden');
+    bonusRound.endPowerUp(bonusRound.POWER_UPS.SHIELD);
+    bonusRound.endPowerUp(bonusRound.POWER_UPS.REDO);
+    aiModes.playOpponent(null);
+}
+
+/**
+ * Continues the run after showing a round's result, or starts a new one after the last
+ */
+export function continueGame() {
+    session.continueGame();
+}
+
+/**
+ * Starts the run over
+ */
+export function resetScores() {
+    session.resetScores();
+}
+
+export default {
+    STARTING_LIVES,
+    survivalMode,
+    init,
+    initSurvivalMode,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
@@ -0,0 +1,833 @@
+/**
+ * Tournament Mode module for Rock Paper Battle
+ * The player is drawn into an 8 or 16 entrant single or double elimination bracket of AI opponents.
+ * Every match is a Best of N: the player's are played on the game screen, the AIs' matches are simulated,
+ * and the bracket is saved after every match so a tournament can be continued later.
+ */
+
+import { determineWinner, getAvailableMoves } from './logic.js';
+import { getActiveRuleset } from './rules.js';
+import * as ui from '../ui.js';
+import { getData, setData } from '../settings/storage.js';
+import * as sound from '../features/sound.js';
+import * as achievements from '../features/achievements.js';
+import * as aiModes from '../features/aiModes.js';
+import * as random from '../utils/random.js';
+import { createStrategyContext } from '../ai/strategy.js';
+import * as session from './session.js';
+import { isMatchOver } from './bestOfN.js';
+import { PERSONALITY_PREFIX, getOpponent, createOpponentStrategy } from './spectator.js';
+
+// Number of entrants a bracket can have
+export const BRACKET_SIZES = [8, 16];
+
+// Bracket types
+export const ELIMINATION_TYPES = {
+    SINGLE: 'single', // One loss and you are out
+    DOUBLE: 'double' // A first loss drops you into the losers bracket
+};
+
+// Match lengths offered
+export const MATCH_LENGTHS = [3, 5, 7];
+
+// AI entrants, strongest first, which is the order they are seeded in
+// (Impossible sits out: it would see the player's move)
+const FIELD = [
+    'iocaine',
+    'hard',
+    'adaptive',
+    `${PERSONALITY_PREFIX}grudge`,
+    'medium',
+    `${PERSONALITY_PREFIX}copycat`,
+    `${PERSONALITY_PREFIX}cycler`,
+    `${PERSONALITY_PREFIX}rockLover`,
+    'easy'
+];
+
+// Name suffixes for the first, second and third copies of an AI in the field
+const COPY_SUFFIXES = ['', ' II', ' III'];
+
+// Default tournament options
+const DEFAULT_SETUP = {
+    size: 8,
+    elimination: ELIMINATION_TYPES.SINGLE,
+    length: 3
+};
+
+// Rounds after which a simulated match is decided on the score (or by seed if level)
+const MAX_SIMULATED_ROUNDS = 200;
+
+// Rounds of history each simulated AI is given, as in the game
+const MAX_ROUND_HISTORY = 50;
+
+// Outcomes for the second AI in a simulated round by outcome for the first
+const OTHER_SIDE_OUTCOMES = {
+    win: 'lose',
+    lose: 'win',
+    draw: 'draw'
+};
+
+// Tournament Mode for the game session: each session match is the player's next match in the bracket
+export const tournamentMode = {
+    id: 'tournament',
+    title: state => state.tournamentTitle,
+    onStart,
+    isMatchOver,
+    onMatchEnd
+};
+
+/**
+ * Initialize the tournament screen
+ */
+export function init() {
+    const setup = getSetup();
+    const selects = {
+        'tournament-size': 'size',
+        'tournament-elimination': 'elimination',
+        'tournament-match-length': 'length'
+    };
+    
+    // Show the saved options and save any change
+    Object.entries(selects).forEach(([id, option]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        select.value = String(setup[option]);
+        select.addEventListener('change', () => {
+            const value = option === 'elimination' ? select.value : parseInt(select.value, 10);
+            setData('tournamentSetup', { ...getSetup(), [option]: value });
+        });
+    });
+    
+    const startButton = document.getElementById('tournament-start-btn');
+    if (startButton) {
+        startButton.addEventListener('click', startTournament);
+    }
+    
+    const playButton = document.getElementById('tournament-play-btn');
+    if (playButton) {
+        playButton.addEventListener('click', playNextMatch);
+    }
+    
+    const newButton = document.getElementById('tournament-new-btn');
+    if (newButton) {
+        newButton.addEventListener('click', () => {
+            const tournament = getTournament();
+            if (tournament && getChampion(tournament) === null && !confirm('Abandon the tournament in progress?')) {
+                return;
+            }
+            setData('tournament', null);
+            sound.play('click');
+            render();
+        });
+    }
+    
+    // Clicking a match shows its details
+    const bracket = document.getElementById('tournament-bracket');
+    if (bracket) {
+        bracket.addEventListener('click', (event) => {
+            const matchElement = event.target.closest('.bracket-match');
+            if (matchElement) {
+                showMatchDetails(matchElement.getAttribute('data-match'));
+            }
+        });
+    }
+    
+    updateModeButton();
+}
+
+/**
+ * Show the tournament screen: the bracket in progress, or the options for a new tournament
+ */
+export function showTournament() {
+    ui.showSection('tournament-screen');
+    render();
+}
+
+/**
+ * Get the saved tournament options
+ * @returns {Object} The options ({ size, elimination, length })
+ */
+function getSetup() {
+    const setup = { ...DEFAULT_SETUP, ...(getData('tournamentSetup') || {}) };
+    
+    if (!BRACKET_SIZES.includes(setup.size)) setup.size = DEFAULT_SETUP.size;
+    if (!Object.values(ELIMINATION_TYPES).includes(setup.elimination)) setup.elimination = DEFAULT_SETUP.elimination;
+    if (!MATCH_LENGTHS.includes(setup.length)) setup.length = DEFAULT_SETUP.length;
+    
+    return setup;
+}
+
+/**
+ * Get the saved tournament
+ * @returns {Object|null} The tournament, or null if none has been started
+ */
+export function getTournament() {
+    return getData('tournament') || null;
+}
+
+/**
+ * Save the tournament
+ * @param {Object} tournament - The tournament
+ */
+function saveTournament(tournament) {
+    setData('tournament', tournament);
+    updateModeButton();
+}
+
+/**
+ * Start a new tournament with the saved options
+ */
+function startTournament() {
+    const setup = getSetup();
+    const seed = random.createSeed();
+    
+    const tournament = {
+        seed,
+        size: setup.size,
+        elimination: setup.elimination,
+        // Drawn rounds are replayed, so every match has a winner
+        format: { length: setup.length, drawsDontCount: true, winByTwo: false },
+        entrants: createField(setup.size, random.createRandom(`${seed}:draw`)),
+        matches: createBracket(setup.size, setup.elimination)
+    };
+    
+    // Play the AIs' matches that come before the player's first one
+    advance(tournament);
+    saveTournament(tournament);
+    
+    sound.play('gameStart');
+    render();
+}
+
+/**
+ * Draw the field: AIs seeded by strength, with the player drawn into a random seed
+ * @param {number} size - Number of entrants
+ * @param {Function} rng - Random number generator for the draw
+ * @returns {Array} The entrants in seed order ({ name, avatar, opponent } for AIs, { name, avatar, player: true } for the player)
+ */
+function createField(size, rng) {
+    const pool = FIELD.filter(id => getOpponent(id));
+    
+    // Shuffle the pool, then take AIs from it in turn (a big field has some AIs more than once)
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    
+    const picks = [];
+    for (let i = 0; i < size - 1; i++) {
+        picks.push({ id: pool[i % pool.length], copy: Math.floor(i / pool.length) });
+    }
+    
+    // Seed the AIs by strength, first copies ahead of second ones
+    picks.sort((a, b) => a.copy - b.copy || FIELD.indexOf(a.id) - FIELD.indexOf(b.id));
+    const entrants = picks.map(({ id, copy }) => {
+        const opponent = getOpponent(id);
+        return { name: `${opponent.name}${COPY_SUFFIXES[copy]}`, avatar: opponent.avatar, opponent: id };
+    });
+    
+    // Draw the player's seed
+    const profile = getData('profile') || {};
+    const player = { name: profile.name || 'Player', avatar: profile.avatar || '👤', player: true };
+    entrants.splice(Math.floor(rng() * size), 0, player);
+    
+    return entrants;
+}
+
+/**
+ * Get the order seeds are placed in the first round, so the top seeds can only meet late on
+ * @param {number} size - Number of entrants
+ * @returns {Array} Seeds (1 is the top seed), e.g. [1, 8, 4, 5, 2, 7, 3, 6] for 8 entrants
+ */
+function getSeedingOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const seeds = order.length * 2;
+        order = order.flatMap(seed => [seed, seeds + 1 - seed]);
+    }
+    return order;
+}
+
+/**
+ * Create the matches of a bracket, in the order they are played
+ * Each slot of a match comes from a source: { seed }, { winner: matchId } or { loser: matchId }
+ * @param {number} size - Number of entrants
+ * @param {string} elimination - One of ELIMINATION_TYPES
+ * @returns {Array} The matches ({ id, bracket, name, sources, players, score, winner, loser, skipped })
+ */
+function createBracket(size, elimination) {
+    const double = elimination === ELIMINATION_TYPES.DOUBLE;
+    const roundCount = Math.log2(size);
+    
+    // Pair the sources up into the matches of a round
+    const createRound = (sources, bracket, prefix, name) => {
+        const matches = [];
+        for (let i = 0; i < sources.length; i += 2) {
+            matches.push({
+                id: `${prefix}-${i / 2 + 1}`,
+                bracket,
+                name,
+                sources: [sources[i], sources[i + 1]],
+                players: [null, null],
+                score: [0, 0],
+                winner: null,
+                loser: null,
+                skipped: false
+            });
+        }
+        return matches;
+    };
+    const winnersOf = matches => matches.map(match => ({ winner: match.id }));
+    const losersOf = matches => matches.map(match => ({ loser: match.id }));
+    
+    // Winners bracket (the whole bracket in single elimination)
+    const winners = [];
+    let sources = getSeedingOrder(size).map(seed => ({ seed }));
+    for (let round = 1; round <= roundCount; round++) {
+        winners.push(createRound(sources, 'winners', `W${round}`, getWinnersRoundName(round, roundCount, double)));
+        sources = winnersOf(winners[round - 1]);
+    }
+    
+    if (!double) {
+        return winners.flat();
+    }
+    
+    // Losers bracket: the first round's losers play each other, then every later round's losers
+    // drop in to face the survivors (in reverse order, to keep rematches late), who then play each other
+    const losers = [[]];
+    let losersRound = 1;
+    const nameLosersRound = () => `Losers Round ${losersRound}`;
+    
+    losers[0] = createRound(losersOf(winners[0]), 'losers', `L${losersRound}`, nameLosersRound());
+    for (let round = 2; round <= roundCount; round++) {
+        const survivors = winnersOf(losers[losers.length - 1]);
+        const dropping = losersOf(winners[round - 1]);
+        if (round % 2 === 0) dropping.reverse();
+        
+        losersRound++;
+        losers.push(createRound(survivors.flatMap((survivor, i) => [survivor, dropping[i]]), 'losers', `L${losersRound}`, nameLosersRound()));
+        
+        if (round < roundCount) {
+            losersRound++;
+            losers.push(createRound(winnersOf(losers[losers.length - 1]), 'losers', `L${losersRound}`, nameLosersRound()));
+        }
+    }
+    losers[losers.length - 1].forEach(match => { match.name = 'Losers Final'; });
+    
+    // Grand final between the two brackets' winners, played again if the losers bracket's winner takes the first one
+    const winnersFinal = winners[roundCount - 1][0];
+    const losersFinal = losers[losers.length - 1][0];
+    const grandFinal = createRound([{ winner: winnersFinal.id }, { winner: losersFinal.id }], 'grand', 'GF', 'Grand Final')[0];
+    const grandFinalReset = createRound([{ winner: grandFinal.id }, { loser: grandFinal.id }], 'grand', 'GF2', 'Grand Final Reset')[0];
+    
+    // Play order: each winners round, then the losers rounds its losers drop into
+    const matches = [...winners[0], ...losers[0]];
+    for (let round = 2; round <= roundCount; round++) {
+        matches.push(...winners[round - 1]);
+        matches.push(...losers.slice(round * 2 - 3, round * 2 - 1).flat());
+    }
+    matches.push(grandFinal, grandFinalReset);
+    
+    return matches;
+}
+
+/**
+ * Get the name of a winners bracket round
+ * @param {number} round - The round (1 is the first)
+ * @param {number} roundCount - Number of winners bracket rounds
+ * @param {boolean} double - Whether there is a losers bracket too
+ * @returns {string} The name, e.g. 'Quarter-finals'
+ */
+function getWinnersRoundName(round, roundCount, double) {
+    const prefix = double ? 'Winners ' : '';
+    switch (roundCount - round) {
+        case 0:
+            return `${prefix}Final`;
+        case 1:
+            return `${prefix}Semi-finals`;
+        case 2:
+            return `${prefix}Quarter-finals`;
+        default:
+            return `${prefix}Round ${round}`;
+    }
+}
+
+/**
+ * Find a match by ID
+ * @param {Object} tournament - The tournament
+ * @param {string} matchId - The match ID
+ * @returns {Object|null} The match
+ */
+function findMatch(tournament, matchId) {
+    return tournament.matches.find(match => match.id === matchId) || null;
+}
+
+/**
+ * Get the index of the player among the entrants
+ * @param {Object} tournament - The tournament
+ * @returns {number} The player's entrant index
+ */
+function getPlayerIndex(tournament) {
+    return tournament.entrants.findIndex(entrant => entrant.player);
+}
+
+/**
+ * Fill in the players of every match whose sources have been decided
+ * @param {Object} tournament - The tournament
+ */
+function fillSlots(tournament) {
+    tournament.matches.forEach(match => {
+        match.sources.forEach((source, slot) => {
+            if (match.players[slot] !== null) return;
+            
+            if (source.seed) {
+                match.players[slot] = source.seed - 1;
+            } else {
+                const from = findMatch(tournament, source.winner || source.loser);
+                match.players[slot] = source.winner ? from.winner : from.loser;
+            }
+        });
+    });
+}
+
+/**
+ * Get the next match to be played
+ * @param {Object} tournament - The tournament
+ * @returns {Object|null} The match, or null if the tournament is over
+ */
+function getNextMatch(tournament) {
+    fillSlots(tournament);
+    return tournament.matches.find(match =>
+        !match.skipped && match.winner === null && match.players[0] !== null && match.players[1] !== null) || null;
+}
+
+/**
+ * Get the tournament's winner
+ * @param {Object} tournament - The tournament
+ * @returns {number|null} The champion's entrant index, or null if the final has not been played
+ */
+function getChampion(tournament) {
+    const final = [...tournament.matches].reverse().find(match => !match.skipped);
+    return final ? final.winner : null;
+}
+
+/**
+ * Record the result of a match
+ * @param {Object} tournament - The tournament
+ * @param {Object} match - The match
+ * @param {Array} score - Rounds won by each slot's player
+ */
+function decideMatch(tournament, match, score) {
+    // A level score (only possible when a simulation runs out of rounds) goes to the higher seed
+    let winningSlot = score[0] > score[1] ? 0 : 1;
+    if (score[0] === score[1]) {
+        winningSlot = match.players[0] < match.players[1] ? 0 : 1;
+    }
+    
+    match.score = score;
+    match.winner = match.players[winningSlot];
+    match.loser = match.players[1 - winningSlot];
+    
+    // The grand final is only played again if the winners bracket's champion lost it
+    if (match.id === 'GF-1' && winningSlot === 0) {
+        const reset = findMatch(tournament, 'GF2-1');
+        if (reset) reset.skipped = true;
+    }
+    
+    fillSlots(tournament);
+}
+
+/**
+ * Simulate the AIs' matches up to the player's next match (or to the end, once the player is out)
+ * @param {Object} tournament - The tournament
+ */
+function advance(tournament) {
+    const playerIndex = getPlayerIndex(tournament);
+    
+    let match = getNextMatch(tournament);
+    while (match && !match.players.includes(playerIndex)) {
+        simulateMatch(tournament, match);
+        match = getNextMatch(tournament);
+    }
+}
+
+/**
+ * Play a match between two AIs
+ * Every match has its own seed, so the same tournament always plays out the same way
+ * @param {Object} tournament - The tournament
+ * @param {Object} match - The match
+ */
+function simulateMatch(tournament, match) {
+    random.setSeed(`${tournament.seed}:${match.id}`);
+    
+    const availableMoves = getAvailableMoves();
+    const ruleset = getActiveRuleset();
+    const strategies = match.players.map(entrant => createOpponentStrategy(tournament.entrants[entrant].opponent, () => null));
+    const histories = [[], []];
+    const state = { format: tournament.format, playerScore: 0, aiScore: 0, currentRound: 0, decisiveRounds: 0 };
+    
+    while (!isMatchOver(state) && state.currentRound < MAX_SIMULATED_ROUNDS) {
+        const moves = strategies.map((strategy, side) => chooseMove(strategy, createStrategyContext(histories[side], availableMoves, ruleset)));
+        const result = determineWinner(moves[0], moves[1], ruleset);
+        
+        state.currentRound++;
+        if (result === 'win') {
+            state.playerScore++;
+        } else if (result === 'lose') {
+            state.aiScore++;
+        }
+        if (result !== 'draw') {
+            state.decisiveRounds++;
+        }
+        
+        // Both sides learn from the round, each from its own side
+        const outcomes = [result, OTHER_SIDE_OUTCOMES[result]];
+        strategies.forEach((strategy, side) => {
+            histories[side].push({ player: moves[1 - side], opponent: moves[side], outcome: outcomes[1 - side] });
+            if (histories[side].length > MAX_ROUND_HISTORY) {
+                histories[side].shift();
+            }
+            if (typeof strategy.update === 'function') {
+                strategy.update({ me: moves[side], opponent: moves[1 - side], outcome: outcomes[side] });
+            }
+        });
+    }
+    
+    decideMatch(tournament, match, [state.playerScore, state.aiScore]);
+}
+
+/**
+ * Ask a strategy for its move, falling back to a random move as the game does
+ * @param {Object} strategy - The strategy
+ * @param {Object} context - The strategy context
+ * @returns {string} The move
+ */
+function chooseMove(strategy, context) {
+    let move = null;
+    try {
+        move = strategy.chooseMove(context);
+    } catch (error) {
+        console.error('AI strategy failed to choose a move:', error);
+    }
+    return context.availableMoves.includes(move) ? move : aiModes.getRandomMove(context.availableMoves);
+}
+
+/**
+ * Start the player's next match, or the first one of the visit
+ */
+function playNextMatch() {
+    if (session.isActive()) {
+        session.continueGame();
+    } else {
+        session.start(tournamentMode);
+    }
+}
+
+/**
+ * Set up a session match as the player's next match in the bracket
+ * @param {Object} state - The session state
+ */
+function onStart(state) {
+    const tournament = getTournament();
+    const match = tournament && getNextMatch(tournament);
+    if (!match) return;
+    
+    const opponent = tournament.entrants[match.players.find(entrant => entrant !== getPlayerIndex(tournament))];
+    
+    state.format = tournament.format;
+    state.tournamentMatch = match.id;
+    state.tournamentTitle = `${match.name}: vs ${opponent.avatar} ${opponent.name}`;
+    
+    // Face the entrant instead of the opponent chosen in settings
+    const personality = opponent.opponent.startsWith(PERSONALITY_PREFIX) ? opponent.opponent.slice(PERSONALITY_PREFIX.length) : null;
+    aiModes.playOpponent({ difficulty: personality ? aiModes.getCurrentDifficulty() : opponent.opponent, personality });
+}
+
+/**
+ * Record the player's match in the bracket and show the bracket
+ * @param {Object} state - The session state
+ */
+function onMatchEnd(state) {
+    const tournament = getTournament();
+    const match = tournament && findMatch(tournament, state.tournamentMatch);
+    if (!match) return;
+    
+    // The session keeps the player's score first; the bracket keeps it in the player's slot
+    const playerSlot = match.players.indexOf(getPlayerIndex(tournament));
+    const score = playerSlot === 0 ? [state.playerScore, state.aiScore] : [state.aiScore, state.playerScore];
+    decideMatch(tournament, match, score);
+    
+    // Play on to the player's next match (or to the end, if the player is out)
+    advance(tournament);
+    saveTournament(tournament);
+    
+    if (getChampion(tournament) === getPlayerIndex(tournament)) {
+        sound.play('gameWin');
+        achievements.unlockAchievement('tournamentChampion');
+    } else {
+        sound.play(match.winner === getPlayerIndex(tournament) ? 'win' : 'gameLose');
+    }
+    
+    showTournament();
+}
+
+/**
+ * Describe where the player stands
+ * @param {Object} tournament - The tournament
+ * @returns {string} The status, e.g. 'You beat Mindbreaker 3-1. Next: Semi-finals against Iocaine'
+ */
+function describeStatus(tournament) {
+    const playerIndex = getPlayerIndex(tournament);
+    const parts = [];
+    
+    // The player's last result
+    const lastMatch = [...tournament.matches].reverse().find(match => match.winner !== null && match.players.includes(playerIndex));
+    if (lastMatch) {
+        const playerSlot = lastMatch.players.indexOf(playerIndex);
+        const opponent = tournament.entrants[lastMatch.players[1 - playerSlot]];
+        const score = `${lastMatch.score[playerSlot]}-${lastMatch.score[1 - playerSlot]}`;
+        parts.push(lastMatch.winner === playerIndex
+            ? `You beat ${opponent.name} ${score}.`
+            : `You lost to ${opponent.name} ${score}.`);
+    }
+    
+    // What comes next
+    const champion = getChampion(tournament);
+    const nextMatch = getNextMatch(tournament);
+    if (champion === playerIndex) {
+        parts.push('🏆 You won the tournament!');
+    } else if (champion !== null) {
+        parts.push(`🏆 ${tournament.entrants[champion].name} won the tournament.`);
+    } else if (nextMatch) {
+        const opponent = tournament.entrants[nextMatch.players.find(entrant => entrant !== playerIndex)];
+        parts.push(`Next: ${nextMatch.name} against ${opponent.avatar} ${opponent.name}.`);
+    }
+    
+    return parts.join(' ');
+}
+
+/**
+ * Render the tournament screen
+ */
+function render() {
+    const tournament = getTournament();
+    const setupPanel = document.getElementById('tournament-setup');
+    const view = document.getElementById('tournament-view');
+    if (!setupPanel || !view) return;
+    
+    setupPanel.classList.toggle('hidden', Boolean(tournament));
+    view.classList.toggle('hidden', !tournament);
+    if (!tournament) return;
+    
+    const nextMatch = getNextMatch(tournament);
+    const status = document.getElementById('tournament-status');
+    if (status) status.textContent = describeStatus(tournament);
+    
+    const playButton = document.getElementById('tournament-play-btn');
+    if (playButton) playButton.classList.toggle('hidden', !nextMatch);
+    
+    const details = document.getElementById('tournament-match-details');
+    if (details) details.classList.add('hidden');
+    
+    renderBracket(tournament, nextMatch);
+}
+
+/**
+ * Render the bracket, one column per round
+ * @param {Object} tournament - The tournament
+ * @param {Object|null} nextMatch - The player's next match
+ */
+function renderBracket(tournament, nextMatch) {
+    const container = document.getElementById('tournament-bracket');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const playerIndex = getPlayerIndex(tournament);
+    const sections = tournament.elimination === ELIMINATION_TYPES.DOUBLE
+        ? [['winners', 'Winners Bracket'], ['losers', 'Losers Bracket'], ['grand', 'Grand Final']]
+        : [['winners', null]];
+    
+    sections.forEach(([bracket, heading]) => {
+        const section = document.createElement('div');
+        section.className = 'bracket-section';
+        
+        if (heading) {
+            const title = document.createElement('h3');
+            title.textContent = heading;
+            section.appendChild(title);
+        }
+        
+        // Group the bracket's matches into rounds (matches of a round share an ID prefix)
+        const rounds = [];
+        tournament.matches
+            .filter(match => match.bracket === bracket && !match.skipped)
+            .forEach(match => {
+                const roundId = match.id.split('-')[0];
+                let round = rounds.find(candidate => candidate.id === roundId);
+                if (!round) {
+                    round = { id: roundId, name: match.name, matches: [] };
+                    rounds.push(round);
+                }
+                round.matches.push(match);
+            });
+        
+        const roundsElement = document.createElement('div');
+        roundsElement.className = 'bracket-rounds';
+        
+        rounds.forEach(round => {
+            const column = document.createElement('div');
+            column.className = 'bracket-round';
+            
+            const roundTitle = document.createElement('h4');
+            roundTitle.textContent = round.name;
+            column.appendChild(roundTitle);
+            
+            round.matches.forEach(match => column.appendChild(createMatchElement(tournament, match, playerIndex, match === nextMatch)));
+            roundsElement.appendChild(column);
+        });
+        
+        section.appendChild(roundsElement);
+        container.appendChild(section);
+    });
+}
+
+/**
+ * Create the element for a match in the bracket
+ * @param {Object} tournament - The tournament
+ * @param {Object} match - The match
+ * @param {number} playerIndex - The player's entrant index
+ * @param {boolean} isNext - Whether it is the player's next match
+ * @returns {HTMLElement} The match element
+ */
+function createMatchElement(tournament, match, playerIndex, isNext) {
+    const element = document.createElement('button');
+    element.className = 'bracket-match';
+    element.setAttribute('data-match', match.id);
+    element.classList.toggle('player-match', match.players.includes(playerIndex));
+    element.classList.toggle('next-match', isNext);
+    
+    match.players.forEach((entrant, slot) => {
+        const row = document.createElement('div');
+        row.className = 'bracket-slot';
+        
+        const name = document.createElement('span');
+        name.className = 'bracket-name';
+        
+        const score = document.createElement('span');
+        score.className = 'bracket-score';
+        
+        if (entrant === null) {
+            name.textContent = 'TBD';
+        } else {
+            const { avatar, name: entrantName } = tournament.entrants[entrant];
+            name.textContent = `${avatar} ${entrantName}`;
+            row.classList.toggle('player', entrant === playerIndex);
+        }
+        
+        if (match.winner !== null) {
+            score.textContent = match.score[slot];
+            row.classList.add(match.winner === entrant ? 'winner' : 'loser');
+        }
+        
+        row.appendChild(name);
+        row.appendChild(score);
+        element.appendChild(row);
+    });
+    
+    element.setAttribute('aria-label', describeMatch(tournament, match));
+    return element;
+}
+
+/**
+ * Describe a match
+ * @param {Object} tournament - The tournament
+ * @param {Object} match - The match
+ * @returns {string} e.g. 'Quarter-finals: Mindbreaker 2-1 The Copycat'
+ */
+function describeMatch(tournament, match) {
+    const names = match.players.map((entrant, slot) => {
+        if (entrant !== null) return tournament.entrants[entrant].name;
+        
+        // Say where a player still to be decided comes from
+        const source = match.sources[slot];
+        const from = findMatch(tournament, source.winner || source.loser);
+        return `${source.winner ? 'Winner' : 'Loser'} of ${from.name}`;
+    });
+    
+    if (match.winner !== null) {
+        return `${match.name}: ${names[0]} ${match.score[0]}-${match.score[1]} ${names[1]}`;
+    }
+    return `${match.name}: ${names[0]} vs ${names[1]}`;
+}
+
+/**
+ * Show the details of a match below the bracket
+ * @param {string} matchId - The match ID
+ */
+function showMatchDetails(matchId) {
+    const tournament = getTournament();
+    const match = tournament && findMatch(tournament, matchId);
+    const details = document.getElementById('tournament-match-details');
+    if (!match || !details) return;
+    
+    details.textContent = describeMatch(tournament, match);
+    details.classList.remove('hidden');
+    sound.play('click');
+}
+
+/**
+ * Show on the landing page whether a tournament is waiting to be continued
+ */
+function updateModeButton() {
+    const button = document.getElementById('tournament-btn');
+    if (!button) return;
+    
+    const tournament = getTournament();
+    const inProgress = Boolean(tournament) && getChampion(tournament) === null;
+    button.textContent = inProgress ? 'Continue Tournament' : 'Tournament';
+}
+
+/**
+ * Returns to the main menu, going back to the opponent chosen in settings
+ */
+export function returnToMenu() {
+    if (session.isActive()) {
+        session.returnToMenu();
+    } else {
+        sound.play('click');
+        ui.showSection('landing-page');
+    }
+    
+    aiModes.playOpponent(null);
+    updateModeButton();
+}
+
+/**
+ * Continues the match after showing a round's result
+ */
+export function continueGame() {
+    session.continueGame();
+}
+
+/**
+ * Restarts the match being played
+ */
+export function resetScores() {
+    if (session.isActive()) {
+        session.resetScores();
+    }
+}
+
+export default {
+    BRACKET_SIZES,
+    ELIMINATION_TYPES,
+    MATCH_LENGTHS,
+    tournamentMode,
+    init,
+    showTournament,
+    getTournament,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
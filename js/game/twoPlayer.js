@@ -0,0 +1,543 @@
+/**
+ * Two-Player Mode module for Rock Paper Battle
+ * Two players share one device ("hot seat"): each picks a move while the other's stays hidden,
+ * with their own move buttons or their own side of the keyboard, and both moves are revealed together.
+ */
+
+import { determineWinner, getMoveEmoji } from './logic.js';
+import { getActiveRuleset } from './rules.js';
+import * as ui from '../ui.js';
+import { getData, setData } from '../settings/storage.js';
+import * as sound from '../features/sound.js';
+import * as stats from '../features/stats.js';
+import * as avatar from '../features/avatar.js';
+import * as aiModes from '../features/aiModes.js';
+import * as fairPlay from '../features/fairPlay.js';
+import * as aiExplainer from '../features/aiExplainer.js';
+import { getMatchFormat, describeMatchFormat, isMatchOver } from './bestOfN.js';
+
+// The two sides: the current profile on the left, the second player on the right
+export const PLAYER_ONE = 0;
+export const PLAYER_TWO = 1;
+
+// Keys for each side's moves, in the ruleset's order (left and right hand on one keyboard)
+export const PLAYER_KEYS = [
+    ['a', 's', 'd', 'f', 'g'],
+    ['j', 'k', 'l', ';', "'"]
+];
+
+// Match formats: no end, or the Best of N format chosen on the landing page
+export const FORMATS = {
+    ENDLESS: 'endless',
+    BEST_OF_N: 'bestOfN'
+};
+
+// How long both moves are shown before the next round
+const REVEAL_DELAY = 1500;
+
+// Results for the right side by result for the left
+const OTHER_SIDE_RESULTS = {
+    win: 'lose',
+    lose: 'win',
+    draw: 'draw'
+};
+
+// Game state for Two-Player Mode
+const gameState = {
+    active: false,
+    format: null,
+    scores: [0, 0],
+    currentRound: 0,
+    decisiveRounds: 0,
+    moves: [null, null],
+    lastMoves: [null, null],
+    revealing: false,
+    gameOver: false
+};
+
+// The two players' profiles ({ name, avatar })
+let profiles = [];
+
+// Timer for the next round, or for the final result
+let roundTimer = null;
+
+// Game screen labels replaced while two people play, restored when leaving
+let savedLabels = null;
+
+/**
+ * Initialize the second player's controls and the split keyboard
+ */
+export function init() {
+    populateAvatarSelect();
+    
+    const nameInput = document.getElementById('two-player-name');
+    const avatarSelect = document.getElementById('two-player-avatar');
+    const formatSelect = document.getElementById('two-player-format');
+    
+    // A different second player or format starts a new match
+    if (nameInput) {
+        nameInput.value = avatar.getSecondProfile().name;
+        nameInput.addEventListener('change', () => {
+            avatar.setSecondProfile({ name: nameInput.value });
+            nameInput.value = avatar.getSecondProfile().name;
+            startMatch();
+        });
+    }
+    
+    if (avatarSelect) {
+        avatarSelect.value = avatar.getSecondProfile().avatar;
+        avatarSelect.addEventListener('change', () => {
+            avatar.setSecondProfile({ avatar: avatarSelect.value });
+            startMatch();
+            sound.play('click');
+        });
+    }
+    
+    if (formatSelect) {
+        formatSelect.value = getFormat();
+        formatSelect.addEventListener('change', () => {
+            setData('twoPlayerFormat', formatSelect.value);
+            startMatch();
+            sound.play('click');
+        });
+    }
+    
+    // The second player's buttons (the first player's go through the game's move handler)
+    const secondPlayerMoves = document.getElementById('second-player-moves');
+    if (secondPlayerMoves) {
+        secondPlayerMoves.addEventListener('click', (event) => {
+            const button = event.target.closest('.move-btn');
+            if (button) {
+                chooseMove(PLAYER_TWO, button.getAttribute('data-move'));
+            }
+        });
+    }
+    
+    document.addEventListener('keydown', handleKeyDown);
+}
+
+/**
+ * Fill the second player's avatar picker
+ */
+function populateAvatarSelect() {
+    const avatarSelect = document.getElementById('two-player-avatar');
+    if (!avatarSelect) return;
+    
+    avatarSelect.innerHTML = '';
+    avatar.AVATARS.forEach(emoji => {
+        const option = document.createElement('option');
+        option.value = emoji;
+        option.textContent = emoji;
+        avatarSelect.appendChild(option);
+    });
+}
+
+/**
+ * Get the chosen match format
+ * @returns {string} One of FORMATS
+ */
+function getFormat() {
+    return getData('twoPlayerFormat') === FORMATS.BEST_OF_N ? FORMATS.BEST_OF_N : FORMATS.ENDLESS;
+}
+
+/**
+ * Initializes Two-Player Mode
+ */
+export function initTwoPlayerMode() {
+    gameState.active = true;
+    
+    // Show the second player's controls and buttons
+    document.getElementById('game-screen').classList.add('two-player');
+    document.getElementById('two-player-controls').classList.remove('hidden');
+    
+    // The Best of N option plays the format chosen on the landing page
+    const bestOfNOption = document.querySelector(`#two-player-format option[value="${FORMATS.BEST_OF_N}"]`);
+    if (bestOfNOption) {
+        bestOfNOption.textContent = describeMatchFormat(getMatchFormat());
+    }
+    
+    // The AI explanation and the fair play log are about games against the AI
+    fairPlay.startMatch();
+    aiExplainer.hide();
+    
+    ui.showSection('game-screen');
+    sound.play('gameStart');
+    
+    startMatch();
+}
+
+/**
+ * Check whether two players are playing
+ * @returns {boolean} Whether Two-Player Mode is active
+ */
+export function isActive() {
+    return gameState.active;
+}
+
+/**
+ * Start a new match between the two profiles
+ */
+function startMatch() {
+    if (!gameState.active) return;
+    
+    stopTimer();
+    
+    profiles = [avatar.getCurrentProfile(), avatar.getSecondProfile()];
+    
+    gameState.format = getFormat() === FORMATS.BEST_OF_N ? getMatchFormat() : null;
+    gameState.scores = [0, 0];
+    gameState.currentRound = 0;
+    gameState.decisiveRounds = 0;
+    gameState.lastMoves = [null, null];
+    gameState.gameOver = false;
+    
+    document.querySelector('#game-screen h2').textContent = gameState.format
+        ? `Two Players: ${describeMatchFormat(gameState.format)}`
+        : 'Two Players: Endless';
+    
+    showPlayers();
+    renderSecondPlayerButtons();
+    renderKeyHints();
+    ui.updateScore(0, 0);
+    
+    startRound();
+}
+
+/**
+ * Get ready for both players' next moves
+ */
+function startRound() {
+    roundTimer = null;
+    gameState.moves = [null, null];
+    gameState.revealing = false;
+    
+    ui.displayMoves('', '');
+    updateEntryDisplay();
+}
+
+/**
+ * Lock in a player's move for the round, without showing it
+ * @param {number} side - PLAYER_ONE or PLAYER_TWO
+ * @param {string} move - The chosen move
+ */
+export function chooseMove(side, move) {
+    if (!gameState.active || gameState.gameOver || gameState.revealing) return;
+    
+    // A move can't be changed once it's locked in
+    if (gameState.moves[side] || !getPlayableMoves().some(playable => playable.id === move)) return;
+    
+    gameState.moves[side] = move;
+    sound.play('click');
+    
+    // Don't leave the chosen button highlighted for the other player to see
+    if (document.activeElement && document.activeElement.classList.contains('move-btn')) {
+        document.activeElement.blur();
+    }
+    
+    updateEntryDisplay();
+    
+    if (gameState.moves.every(Boolean)) {
+        revealRound();
+    }
+}
+
+/**
+ * Get the moves the players can choose from (unlockable moves are the single player's own)
+ * @returns {Array} Move definitions ({ id, name, emoji })
+ */
+function getPlayableMoves() {
+    return getActiveRuleset().moves.filter(move => !move.secret);
+}
+
+/**
+ * Play a move for whichever player the pressed key belongs to
+ * @param {KeyboardEvent} event - The key press
+ */
+function handleKeyDown(event) {
+    if (!gameState.active || event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    // Typing a name or picking an option isn't a move
+    const target = event.target;
+    if (target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+    
+    const gameScreen = document.getElementById('game-screen');
+    if (gameScreen.classList.contains('hidden')) return;
+    
+    const key = event.key.toLowerCase();
+    const moves = getPlayableMoves();
+    
+    [PLAYER_ONE, PLAYER_TWO].forEach(side => {
+        const index = PLAYER_KEYS[side].indexOf(key);
+        if (index !== -1 && moves[index]) {
+            event.preventDefault();
+            chooseMove(side, moves[index].id);
+        }
+    });
+}
+
+/**
+ * Show both moves, score the round and get ready for the next one
+ */
+function revealRound() {
+    const [firstMove, secondMove] = gameState.moves;
+    const result = determineWinner(firstMove, secondMove);
+    const results = [result, OTHER_SIDE_RESULTS[result]];
+    
+    gameState.currentRound++;
+    gameState.lastMoves = [firstMove, secondMove];
+    gameState.revealing = true;
+    
+    if (result === 'win') {
+        gameState.scores[PLAYER_ONE]++;
+    } else if (result === 'lose') {
+        gameState.scores[PLAYER_TWO]++;
+    }
+    if (result !== 'draw') {
+        gameState.decisiveRounds++;
+    }
+    
+    // Both players' stats get the round, each from their own side
+    profiles.forEach((profile, side) => stats.recordTwoPlayerRound(profile, results[side]));
+    
+    ui.displayMoves(firstMove, secondMove);
+    ui.updateScore(gameState.scores[PLAYER_ONE], gameState.scores[PLAYER_TWO]);
+    updateEntryDisplay();
+    sound.play(result === 'draw' ? 'draw' : 'win');
+    
+    // Check if the match is over
+    gameState.gameOver = Boolean(gameState.format) && isMatchOver({
+        format: gameState.format,
+        playerScore: gameState.scores[PLAYER_ONE],
+        aiScore: gameState.scores[PLAYER_TWO],
+        currentRound: gameState.currentRound,
+        decisiveRounds: gameState.decisiveRounds
+    });
+    
+    if (gameState.gameOver) {
+        const matchResult = getMatchResult();
+        profiles.forEach((profile, side) => stats.recordTwoPlayerMatch(profile, side === PLAYER_ONE ? matchResult : OTHER_SIDE_RESULTS[matchResult]));
+        
+        // Let the last round be seen before the result
+        roundTimer = setTimeout(showFinalResult, REVEAL_DELAY);
+    } else {
+        roundTimer = setTimeout(startRound, REVEAL_DELAY);
+    }
+}
+
+/**
+ * Get the match's result for the left player
+ * @returns {string} 'win', 'lose', or 'draw'
+ */
+function getMatchResult() {
+    const [firstScore, secondScore] = gameState.scores;
+    return firstScore > secondScore ? 'win' : firstScore < secondScore ? 'lose' : 'draw';
+}
+
+/**
+ * Show which players have locked in a move, and the round's outcome once both are revealed
+ */
+function updateEntryDisplay() {
+    const displays = [document.getElementById('player-move-display'), document.getElementById('ai-move-display')];
+    const buttonGroups = [document.querySelector('.player-choice .move-buttons'), document.getElementById('second-player-moves')];
+    
+    [PLAYER_ONE, PLAYER_TWO].forEach(side => {
+        const ready = Boolean(gameState.moves[side]);
+        
+        // A chosen move stays masked until both are in
+        if (!gameState.revealing && displays[side]) {
+            displays[side].textContent = ready ? '🔒' : '';
+        }
+        if (buttonGroups[side]) {
+            buttonGroups[side].classList.toggle('locked-in', ready || gameState.revealing);
+        }
+    });
+    
+    const status = document.getElementById('two-player-status');
+    if (status) {
+        status.textContent = describeRound();
+    }
+}
+
+/**
+ * Describe where the round stands
+ * @returns {string} e.g. '🦊 Player 2 is ready. Waiting for 👤 Player...'
+ */
+function describeRound() {
+    const names = profiles.map(profile => `${profile.avatar} ${profile.name}`);
+    
+    if (gameState.revealing) {
+        const [firstMove, secondMove] = gameState.lastMoves;
+        const result = determineWinner(firstMove, secondMove);
+        const moves = `${getMoveEmoji(firstMove)} vs ${getMoveEmoji(secondMove)}`;
+        if (result === 'draw') {
+            return `Round ${gameState.currentRound}: ${moves}. It's a draw!`;
+        }
+        return `Round ${gameState.currentRound}: ${moves}. ${names[result === 'win' ? PLAYER_ONE : PLAYER_TWO]} wins the round!`;
+    }
+    
+    const waiting = [PLAYER_ONE, PLAYER_TWO].filter(side => !gameState.moves[side]);
+    if (waiting.length === 2) {
+        return 'Both players: choose your moves.';
+    }
+    
+    const readySide = waiting[0] === PLAYER_ONE ? PLAYER_TWO : PLAYER_ONE;
+    return `${names[readySide]} is ready. Waiting for ${names[waiting[0]]}...`;
+}
+
+/**
+ * Show the players' names and avatars on either side of the scoreboard
+ */
+function showPlayers() {
+    const labels = {
+        'game-player-avatar': profiles[PLAYER_ONE].avatar,
+        'game-player-name': profiles[PLAYER_ONE].name,
+        'ai-avatar': profiles[PLAYER_TWO].avatar,
+        'game-ai-name': profiles[PLAYER_TWO].name,
+        'player-move-heading': `${profiles[PLAYER_ONE].name}'s Choice`,
+        'ai-move-heading': `${profiles[PLAYER_TWO].name}'s Choice`
+    };
+    
+    // Keep the usual labels to put back when leaving
+    if (!savedLabels) {
+        savedLabels = {};
+        Object.keys(labels).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) savedLabels[id] = element.textContent;
+        });
+    }
+    
+    Object.entries(labels).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    });
+    
+    const aiAvatar = document.getElementById('ai-avatar');
+    if (aiAvatar) {
+        aiAvatar.className = 'avatar-small';
+        aiAvatar.title = profiles[PLAYER_TWO].name;
+    }
+}
+
+/**
+ * Render the second player's move buttons for the active ruleset
+ */
+function renderSecondPlayerButtons() {
+    const container = document.getElementById('second-player-moves');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    getPlayableMoves().forEach(move => {
+        const button = document.createElement('button');
+        button.className = 'move-btn';
+        button.setAttribute('data-move', move.id);
+        button.setAttribute('aria-label', `Choose ${move.name} for ${profiles[PLAYER_TWO].name}`);
+        button.textContent = move.emoji;
+        container.appendChild(button);
+    });
+}
+
+/**
+ * Show each player which keys play which moves
+ */
+function renderKeyHints() {
+    const moves = getPlayableMoves();
+    
+    ['player-one-keys', 'player-two-keys'].forEach((id, side) => {
+        const hint = document.getElementById(id);
+        if (!hint) return;
+        
+        const keys = moves
+            .map((move, index) => PLAYER_KEYS[side][index] ? `${PLAYER_KEYS[side][index].toUpperCase()} ${move.emoji}` : null)
+            .filter(Boolean);
+        hint.textContent = `Keys: ${keys.join(' · ')}`;
+    });
+}
+
+/**
+ * Shows the final result of the match on the results screen
+ */
+function showFinalResult() {
+    roundTimer = null;
+    
+    const result = getMatchResult();
+    const names = profiles.map(profile => profile.name);
+    const [firstScore, secondScore] = gameState.scores;
+    
+    const title = result === 'draw' ? "It's a Draw!" : `${names[result === 'win' ? PLAYER_ONE : PLAYER_TWO]} Wins!`;
+    const message = `Final Score: ${names[PLAYER_ONE]} ${firstScore}-${secondScore} ${names[PLAYER_TWO]}`;
+    
+    sound.play(result === 'draw' ? 'gameDraw' : 'gameWin');
+    ui.showResult(result, message, gameState.lastMoves[PLAYER_ONE], gameState.lastMoves[PLAYER_TWO], title);
+}
+
+/**
+ * Cancel the next round (or the final result)
+ */
+function stopTimer() {
+    if (roundTimer) {
+        clearTimeout(roundTimer);
+        roundTimer = null;
+    }
+}
+
+/**
+ * Put the usual game screen labels and controls back
+ */
+function restoreGameScreen() {
+    document.getElementById('game-screen').classList.remove('two-player');
+    document.getElementById('two-player-controls').classList.add('hidden');
+    document.querySelector('.player-choice .move-buttons').classList.remove('locked-in');
+    
+    if (!savedLabels) return;
+    
+    Object.entries(savedLabels).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    });
+    savedLabels = null;
+    
+    // The AI avatar is styled by its difficulty
+    aiModes.updateAiIndicators();
+}
+
+/**
+ * Returns to the main menu
+ */
+export function returnToMenu() {
+    stopTimer();
+    gameState.active = false;
+    restoreGameScreen();
+    sound.play('click');
+    ui.showSection('landing-page');
+}
+
+/**
+ * Plays another match after showing the result
+ */
+export function continueGame() {
+    sound.play('click');
+    ui.showSection('game-screen');
+    startMatch();
+}
+
+/**
+ * Restarts the current match
+ */
+export function resetScores() {
+    startMatch();
+    sound.play('click');
+}
+
+export default {
+    PLAYER_ONE,
+    PLAYER_TWO,
+    PLAYER_KEYS,
+    FORMATS,
+    init,
+    initTwoPlayerMode,
+    isActive,
+    chooseMove,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
@@ -0,0 +1,465 @@
+/**
+ * Watch Mode module for Rock Paper Battle
+ * Follows an online match as a spectator, e.g. on a big screen: any number of people can watch a room by its code
+ * or watch link. The server only ever sends them what the players see of each other, so a move is never shown
+ * before both players have chosen. Spectators can't play, but can send emoji reactions from the reaction bar.
+ */
+
+import { RULESETS, getActiveRuleset } from './rules.js';
+import * as ui from '../ui.js';
+import * as sound from '../features/sound.js';
+import * as aiModes from '../features/aiModes.js';
+import * as variants from '../features/variants.js';
+import * as fairPlay from '../features/fairPlay.js';
+import * as aiExplainer from '../features/aiExplainer.js';
+import * as reactions from '../features/reactions.js';
+import { WATCH_PARAM, getInviteLink, getServerUrl, showSpectatorCount } from './online.js';
+
+// Waits before each attempt to reconnect after the connection drops
+const RECONNECT_DELAYS = [1000, 2000, 4000, 8000, 15000];
+
+// How long both moves are shown before the next round (longer than for the players, for a room watching together)
+const REVEAL_DELAY = 2500;
+
+// The connection to the game server
+let socket = null;
+
+// The code of the room being watched, null when not watching
+let watchedCode = null;
+
+// The room as last sent by the server
+let room = null;
+
+// The last round from the server, while it's being shown
+let revealedRound = null;
+
+// Whether the spectator is leaving on purpose (so the connection isn't restored)
+let leaving = false;
+
+// Reconnection attempts made since the connection dropped
+let reconnectAttempts = 0;
+
+// Timers for reconnecting and for ending a round's reveal
+let reconnectTimer = null;
+let revealTimer = null;
+
+// Game screen labels replaced while watching, restored when leaving
+let savedLabels = null;
+
+/**
+ * Initialize the reaction bar
+ */
+export function init() {
+    const reactionBar = document.getElementById('online-reactions');
+    if (reactionBar) {
+        reactions.renderReactionBar(reactionBar, react);
+    }
+}
+
+/**
+ * Start watching if the page was opened with a watch link
+ * @returns {boolean} Whether a match is being watched
+ */
+export function openWatchLink() {
+    const code = new URLSearchParams(window.location.search).get(WATCH_PARAM);
+    if (!code) return false;
+    
+    watchRoom(code);
+    return true;
+}
+
+/**
+ * Check whether a match is being watched
+ * @returns {boolean} Whether this tab is a spectator
+ */
+export function isActive() {
+    return watchedCode !== null;
+}
+
+/**
+ * Watch a room by its code
+ * @param {string} code - The room's invite code
+ */
+export function watchRoom(code) {
+    const cleanCode = String(code || '').trim().toUpperCase();
+    if (!cleanCode) {
+        setLobbyStatus('Enter the code of the room to watch.');
+        ui.showSection('online-screen');
+        return;
+    }
+    
+    leaving = false;
+    watchedCode = cleanCode;
+    connect();
+}
+
+/**
+ * Connect to the game server and ask to watch the room
+ */
+function connect() {
+    clearTimeout(reconnectTimer);
+    
+    if (socket) {
+        socket.onclose = null;
+        socket.close();
+    }
+    
+    setStatus('Connecting...');
+    socket = new WebSocket(getServerUrl());
+    socket.onopen = () => {
+        reconnectAttempts = 0;
+        send({ type: 'watch', code: watchedCode });
+    };
+    socket.onmessage = (event) => {
+        try {
+            handleMessage(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling watch message:', error);
+        }
+    };
+    socket.onclose = handleDisconnect;
+}
+
+/**
+ * Send a message to the game server
+ * @param {Object} message - The message
+ */
+function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Keep watching after the connection drops
+ */
+function handleDisconnect() {
+    socket = null;
+    if (leaving || !watchedCode) return;
+    
+    if (!room) {
+        watchedCode = null;
+        setLobbyStatus("Couldn't reach the game server. Watching needs the game's own server (npm start).");
+        ui.showSection('online-screen');
+        return;
+    }
+    
+    if (reconnectAttempts >= RECONNECT_DELAYS.length) {
+        setStatus('Lost the connection to the game server.');
+        return;
+    }
+    
+    const delay = RECONNECT_DELAYS[reconnectAttempts];
+    reconnectAttempts++;
+    setStatus(`Connection lost. Reconnecting in ${Math.round(delay / 1000)}s...`);
+    reconnectTimer = setTimeout(connect, delay);
+}
+
+/**
+ * Handle a message from the game server
+ * @param {Object} message - The message
+ */
+function handleMessage(message) {
+    switch (message.type) {
+        case 'watching':
+            // The address bar holds the watch link, which keeps watching on reload
+            window.history.replaceState(null, '', getInviteLink(message.code, WATCH_PARAM));
+            showGame();
+            break;
+        case 'room':
+            handleRoom(message);
+            break;
+        case 'round':
+            handleRound(message);
+            break;
+        case 'reaction':
+            reactions.showBurst(message.emoji);
+            break;
+        case 'closed':
+            room = null;
+            setStatus('The players have left, so the room has closed.');
+            break;
+        case 'error':
+            handleError(message.message);
+            break;
+        default:
+            console.warn('Unknown watch message:', message.type);
+    }
+}
+
+/**
+ * Show why the room can't be watched
+ * @param {string} message - What went wrong
+ */
+function handleError(message) {
+    if (!room) {
+        watchedCode = null;
+        leaving = true;
+        if (socket) socket.close();
+        restoreGameScreen();
+        setLobbyStatus(message);
+        ui.showSection('online-screen');
+    } else {
+        setStatus(message);
+    }
+}
+
+/**
+ * Take in the room as the server sees it
+ * @param {Object} message - The room message
+ */
+function handleRoom(message) {
+    const previousStatus = room ? room.status : null;
+    room = message;
+    
+    // The room's rules decide the moves shown
+    if (getActiveRuleset().id !== room.rulesetId) {
+        variants.playRuleset(RULESETS[room.rulesetId]);
+    }
+    
+    document.querySelector('#game-screen h2').textContent = `Watching ${room.ranked ? 'Ranked' : 'Online'}: Best of ${room.length}`;
+    
+    if (room.status === 'playing' && previousStatus === 'over') {
+        sound.play('gameStart');
+    }
+    
+    renderGame();
+    
+    // A match that ended without a last round (a player left) is called straight away
+    if (room.status === 'over' && previousStatus === 'playing' && !revealedRound) {
+        announceWinner();
+    }
+}
+
+/**
+ * Show both moves of a round
+ * @param {Object} message - The round message
+ */
+function handleRound(message) {
+    revealedRound = message;
+    
+    ui.displayMoves(message.moves[0], message.moves[1]);
+    ui.updateScore(message.scores[0], message.scores[1]);
+    sound.play(message.results[0] === 'draw' ? 'draw' : 'win');
+    
+    clearTimeout(revealTimer);
+    revealTimer = setTimeout(() => {
+        revealTimer = null;
+        revealedRound = null;
+        if (!room) return;
+        
+        if (room.status === 'over') {
+            announceWinner();
+        } else {
+            ui.displayMoves('', '');
+            renderGame();
+        }
+    }, REVEAL_DELAY);
+}
+
+/**
+ * Show the match on the game screen
+ */
+function showGame() {
+    const gameScreen = document.getElementById('game-screen');
+    gameScreen.classList.add('online', 'watching');
+    document.getElementById('online-controls').classList.remove('hidden');
+    
+    // The AI explanation and the fair play log are about games against the AI
+    fairPlay.startMatch();
+    aiExplainer.hide();
+    
+    ui.displayMoves('', '');
+    ui.showSection('game-screen');
+    sound.play('gameStart');
+}
+
+/**
+ * Show the players, the score and where the round stands
+ */
+function renderGame() {
+    showPlayers(room.players);
+    ui.updateScore(room.scores[0], room.scores[1]);
+    
+    // Moves are only known once both are in; until then, a locked-in player shows as ready
+    if (!revealedRound) {
+        document.getElementById('player-move-display').textContent = room.players[0] && room.players[0].ready ? '🔒' : '';
+        document.getElementById('ai-move-display').textContent = room.players[1] && room.players[1].ready ? '🔒' : '';
+    }
+    
+    if (room.status !== 'over' || revealedRound) {
+        setStatus(describeRoom());
+    }
+    showSpectatorCount(room.spectators);
+}
+
+/**
+ * Describe where the match stands for the spectators
+ * @returns {string} e.g. 'Round 3: 🦊 Bob is ready.'
+ */
+function describeRoom() {
+    const names = room.players.map(player => (player ? `${player.avatar} ${player.name}` : null));
+    
+    if (room.status === 'waiting' || names.includes(null)) {
+        return 'Waiting for both players...';
+    }
+    
+    const absent = room.players.findIndex(player => !player.connected);
+    if (absent !== -1) {
+        return `${names[absent]} lost their connection. Waiting for them to come back...`;
+    }
+    
+    const ready = room.players.map(player => player.ready);
+    if (ready[0] !== ready[1]) {
+        return `Round ${room.round}: ${names[ready[0] ? 0 : 1]} is ready. Waiting for ${names[ready[0] ? 1 : 0]}...`;
+    }
+    return `Round ${room.round}: first to ${room.winsNeeded} wins.`;
+}
+
+/**
+ * Call the match for the winner
+ */
+function announceWinner() {
+    const winner = room.players[room.winner];
+    const winnerName = winner ? `${winner.avatar} ${winner.name}` : 'The remaining player';
+    const scores = [room.scores[room.winner], room.scores[1 - room.winner]];
+    
+    setStatus(`🏆 ${winnerName} wins the match ${scores[0]}-${scores[1]}!`);
+    sound.play('gameWin');
+}
+
+/**
+ * Show both players' names and avatars, the room's first player on the left
+ * @param {Array} players - The room's players ({ name, avatar, rating } or null for an empty seat)
+ */
+function showPlayers(players) {
+    const names = players.map(player => {
+        if (!player) return 'Waiting...';
+        return room.ranked ? `${player.name} (${player.rating})` : player.name;
+    });
+    const labels = {
+        'game-player-avatar': players[0] ? players[0].avatar : '⏳',
+        'game-player-name': names[0],
+        'ai-avatar': players[1] ? players[1].avatar : '⏳',
+        'game-ai-name': names[1],
+        'player-move-heading': `${players[0] ? players[0].name : 'Player 1'}'s Choice`,
+        'ai-move-heading': `${players[1] ? players[1].name : 'Player 2'}'s Choice`
+    };
+    
+    // Keep the usual labels to put back when leaving
+    if (!savedLabels) {
+        savedLabels = {};
+        Object.keys(labels).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) savedLabels[id] = element.textContent;
+        });
+    }
+    
+    Object.entries(labels).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    });
+    
+    const aiAvatar = document.getElementById('ai-avatar');
+    if (aiAvatar) {
+        aiAvatar.className = 'avatar-small';
+        aiAvatar.title = names[1];
+    }
+}
+
+/**
+ * Send a reaction to everyone in the room
+ * @param {string} emoji - One of the reactions
+ */
+function react(emoji) {
+    if (!room) return;
+    send({ type: 'react', emoji });
+}
+
+/**
+ * Show a status message on the game screen
+ * @param {string} text - The message
+ */
+function setStatus(text) {
+    const status = document.getElementById('online-game-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Show a status message in the online lobby
+ * @param {string} text - The message
+ */
+function setLobbyStatus(text) {
+    const status = document.getElementById('online-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Put the usual game screen labels and rules back
+ */
+function restoreGameScreen() {
+    document.getElementById('game-screen').classList.remove('online', 'watching');
+    document.getElementById('online-controls').classList.add('hidden');
+    showSpectatorCount(0);
+    
+    if (savedLabels) {
+        Object.entries(savedLabels).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        });
+        savedLabels = null;
+    }
+    
+    // The AI avatar is styled by its difficulty, and the player's own ruleset comes back
+    aiModes.updateAiIndicators();
+    variants.playRuleset(null);
+}
+
+/**
+ * Stops watching and returns to the main menu
+ */
+export function returnToMenu() {
+    leaving = true;
+    send({ type: 'leave' });
+    if (socket) {
+        socket.close();
+        socket = null;
+    }
+    
+    clearTimeout(reconnectTimer);
+    clearTimeout(revealTimer);
+    watchedCode = null;
+    room = null;
+    revealedRound = null;
+    
+    // The watch link is dropped from the address bar
+    window.history.replaceState(null, '', window.location.pathname);
+    
+    restoreGameScreen();
+    sound.play('click');
+    ui.showSection('landing-page');
+}
+
+/**
+ * Goes back to the match (spectators have no results screen)
+ */
+export function continueGame() {
+    ui.showSection('game-screen');
+}
+
+/**
+ * Spectators can't change the score
+ */
+export function resetScores() {
+    setStatus("Only the players' moves change the score.");
+}
+
+export default {
+    init,
+    openWatchLink,
+    isActive,
+    watchRoom,
+    returnToMenu,
+    continueGame,
+    resetScores
+};
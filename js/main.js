@@ -4,18 +4,31 @@
  */
 
 import * as ui from './ui.js';
+import * as session from './game/session.js';
 import * as endless from './game/endless.js';
-import * as bestOf5 from './game/bestOf5.js';
+import * as bestOfN from './game/bestOfN.js';
+import * as spectator from './game/spectator.js';
+import * as twoPlayer from './game/twoPlayer.js';
+import * as online from './game/online.js';
+import * as watch from './game/watch.js';
+import * as tournament from './game/tournament.js';
+import * as gauntlet from './game/gauntlet.js';
+import * as daily from './game/daily.js';
+import * as survival from './game/survival.js';
 import * as sound from './features/sound.js';
 import * as achievements from './features/achievements.js';
 import * as stats from './features/stats.js';
 import * as theme from './features/theme.js';
 import * as avatar from './features/avatar.js';
 import * as secretMove from './features/secretMove.js';
+import * as variants from './features/variants.js';
 import * as aiModes from './features/aiModes.js';
+import * as fairPlay from './features/fairPlay.js';
+import * as aiExplainer from './features/aiExplainer.js';
 import * as idle from './features/idle.js';
 import * as speedMode from './features/speedMode.js';
 import * as bonusRound from './features/bonusRound.js';
+import * as leaderboard from './features/leaderboard.js';
 import * as settings from './settings/settings.js';
 import * as accessibility from './features/accessibility.js';
 import { getData, setData } from './settings/storage.js';
@@ -23,8 +36,8 @@ import * as preloader from './utils/preloader.js';
 import * as dataManager from './utils/dataManager.js';
 import * as performance from './utils/performance.js';
 
-// Current game mode
-let currentGameMode = null;
+// The game being played: the game session, a mode with its own controls (tournament, gauntlet, daily, survival), two players, an online match, an online match being watched, or the spectator when two AIs play (null on the menus)
+let currentGame = null;
 
 /**
  * Initializes the game
@@ -85,11 +98,24 @@ function initializeGame() {
     avatar.init();
     achievements.init();
     stats.init();
+    variants.init();
     secretMove.init();
     aiModes.init();
+    fairPlay.init();
+    aiExplainer.init();
     idle.init();
     speedMode.init();
     bonusRound.init();
+    bestOfN.init();
+    spectator.init();
+    twoPlayer.init();
+    online.init();
+    watch.init();
+    tournament.init();
+    gauntlet.init();
+    daily.init();
+    survival.init();
+    leaderboard.init();
     settings.init();
     accessibility.init();
     
@@ -110,6 +136,13 @@ function initializeGame() {
     
     // Add keyboard controls
     setupKeyboardNavigation();
+    
+    // An invite link (or a reload during an online match) opens the online lobby, and a watch link the match
+    if (online.openInviteLink()) {
+        currentGame = online;
+    } else if (watch.openWatchLink()) {
+        currentGame = watch;
+    }
 }
 
 /**
@@ -120,9 +153,7 @@ function setupEventHandlers() {
     ui.setupEventListeners({
         // Game mode selection
         startEndlessMode: () => {
-            currentGameMode = 'endless';
-            // Set the game mode in speedMode
-            speedMode.setGameMode('endless');
+            currentGame = session;
             endless.initEndlessMode();
             sound.play('click');
             stats.updateBestMode('Endless');
@@ -130,60 +161,114 @@ function setupEventHandlers() {
         
         // Navigation
         backToMenu: () => {
-            if (currentGameMode === 'endless') {
-                endless.returnToMenu();
-            } else if (currentGameMode === 'bestOf5') {
-                bestOf5.returnToMenu();
+            if (currentGame) {
+                currentGame.returnToMenu();
             }
-            
-            // End any active bonus round
-            bonusRound.endBonusRound();
-            
-            // Stop speed timer if active
-            speedMode.stopTimer();
-            
-            // Reset game mode
-            currentGameMode = null;
-            speedMode.setGameMode(null);
+            currentGame = null;
         },
         
         // Play again
         playAgain: () => {
-            if (currentGameMode === 'endless') {
-                endless.continueGame();
-            } else if (currentGameMode === 'bestOf5') {
-                bestOf5.continueGame();
+            if (currentGame) {
+                currentGame.continueGame();
             }
-            
-            // End any active bonus round
-            bonusRound.endBonusRound();
         },
         
         // Move selection
-        makeMove: (move) => {
-            // Stop speed timer if active
-            speedMode.stopTimer();
-            
-            if (currentGameMode === 'endless') {
-                endless.handlePlayerMove(move);
-            } else if (currentGameMode === 'bestOf5') {
-                bestOf5.handlePlayerMove(move);
-            }
-            
-            // Reset idle timer on move
-            idle.resetIdleTimer();
-        }
+        makeMove
     });
     
-    // Best of 5 mode button
-    const bestOf5Btn = document.getElementById('best-of-5-btn');
-    if (bestOf5Btn) {
-        bestOf5Btn.addEventListener('click', () => {
-            currentGameMode = 'bestOf5';
-            speedMode.setGameMode('bestOf5');
-            bestOf5.initBestOf5Mode();
+    // Best of N mode button
+    const bestOfNBtn = document.getElementById('best-of-n-btn');
+    if (bestOfNBtn) {
+        bestOfNBtn.addEventListener('click', () => {
+            currentGame = session;
+            bestOfN.initBestOfNMode();
+            sound.play('click');
+            stats.updateBestMode(`Best of ${bestOfN.getMatchFormat().length}`);
+        });
+    }
+    
+    // AI vs AI button
+    const aiVsAiBtn = document.getElementById('ai-vs-ai-btn');
+    if (aiVsAiBtn) {
+        aiVsAiBtn.addEventListener('click', () => {
+            currentGame = spectator;
+            speedMode.setGameMode(null);
+            spectator.initSpectatorMode();
+        });
+    }
+    
+    // Two players button
+    const twoPlayerBtn = document.getElementById('two-player-btn');
+    if (twoPlayerBtn) {
+        twoPlayerBtn.addEventListener('click', () => {
+            currentGame = twoPlayer;
+            speedMode.setGameMode(null);
+            twoPlayer.initTwoPlayerMode();
+        });
+    }
+    
+    // Online button
+    const onlineBtn = document.getElementById('online-btn');
+    if (onlineBtn) {
+        onlineBtn.addEventListener('click', () => {
+            currentGame = online;
+            speedMode.setGameMode(null);
+            online.showLobby();
+            sound.play('click');
+        });
+    }
+    
+    // Watch button in the online lobby
+    const onlineWatchBtn = document.getElementById('online-watch-btn');
+    if (onlineWatchBtn) {
+        onlineWatchBtn.addEventListener('click', () => {
+            currentGame = watch;
+            watch.watchRoom(document.getElementById('online-code-input').value);
+            sound.play('click');
+        });
+    }
+    
+    // Tournament button
+    const tournamentBtn = document.getElementById('tournament-btn');
+    if (tournamentBtn) {
+        tournamentBtn.addEventListener('click', () => {
+            currentGame = tournament;
+            tournament.showTournament();
+            sound.play('click');
+        });
+    }
+    
+    // Gauntlet button
+    const gauntletBtn = document.getElementById('gauntlet-btn');
+    if (gauntletBtn) {
+        gauntletBtn.addEventListener('click', () => {
+            currentGame = gauntlet;
+            gauntlet.initGauntletMode();
+            sound.play('click');
+            stats.updateBestMode('Gauntlet');
+        });
+    }
+    
+    // Daily Challenge button
+    const dailyBtn = document.getElementById('daily-btn');
+    if (dailyBtn) {
+        dailyBtn.addEventListener('click', () => {
+            currentGame = daily;
+            daily.showDaily();
+            sound.play('click');
+        });
+    }
+    
+    // Survival button
+    const survivalBtn = document.getElementById('survival-btn');
+    if (survivalBtn) {
+        survivalBtn.addEventListener('click', () => {
+            currentGame = survival;
+            survival.initSurvivalMode();
             sound.play('click');
-            stats.updateBestMode('Best of 5');
+            stats.updateBestMode('Survival');
         });
     }
     
@@ -191,14 +276,9 @@ function setupEventHandlers() {
     const resetScoresBtn = document.getElementById('reset-scores');
     if (resetScoresBtn) {
         resetScoresBtn.addEventListener('click', () => {
-            if (currentGameMode === 'endless') {
-                endless.resetScores();
-            } else if (currentGameMode === 'bestOf5') {
-                bestOf5.resetScores();
+            if (currentGame) {
+                currentGame.resetScores();
             }
-            
-            // End any active bonus round
-            bonusRound.endBonusRound();
         });
     }
     
@@ -217,6 +297,18 @@ function setupEventHandlers() {
         });
     }
     
+    // Leaderboards button
+    const leaderboardBtn = document.getElementById('leaderboard-btn');
+    if (leaderboardBtn) {
+        leaderboardBtn.addEventListener('click', leaderboard.showLeaderboard);
+    }
+    
+    // Back from leaderboards button
+    const leaderboardBackBtn = document.getElementById('leaderboard-back-btn');
+    if (leaderboardBackBtn) {
+        leaderboardBackBtn.addEventListener('click', leaderboard.hideLeaderboard);
+    }
+    
     // Back from stats button
     const backFromStatsBtn = document.getElementById('back-from-stats');
     if (backFromStatsBtn) {
@@ -243,25 +335,6 @@ function setupEventHandlers() {
         settingsBtn.addEventListener('click', settings.showSettings);
     }
     
-    // Fire move button (secret move)
-    const fireMoveBtn = document.getElementById('fire-move-btn');
-    if (fireMoveBtn) {
-        fireMoveBtn.addEventListener('click', () => {
-            // Stop speed timer if active
-            speedMode.stopTimer();
-            
-            const move = fireMoveBtn.getAttribute('data-move');
-            if (currentGameMode === 'endless') {
-                endless.handlePlayerMove(move);
-            } else if (currentGameMode === 'bestOf5') {
-                bestOf5.handlePlayerMove(move);
-            }
-            
-            // Reset idle timer on move
-            idle.resetIdleTimer();
-        });
-    }
-    
     // FPS Monitor toggle
     const fpsToggle = document.getElementById('fps-toggle');
     if (fpsToggle) {
@@ -305,6 +378,24 @@ function setupEventHandlers() {
     document.addEventListener('keydown', idle.resetIdleTimer);
 }
 
+/**
+ * Plays the player's move in the current game
+ * @param {string} move - The chosen move
+ */
+function makeMove(move) {
+    // The game session takes the player's moves, two players' games the left player's, and online matches send them to the server (two AIs play on their own)
+    if (session.isActive()) {
+        session.handlePlayerMove(move);
+    } else if (twoPlayer.isActive()) {
+        twoPlayer.chooseMove(twoPlayer.PLAYER_ONE, move);
+    } else if (online.isActive()) {
+        online.chooseMove(move);
+    }
+    
+    // Reset idle timer on move
+    idle.resetIdleTimer();
+}
+
 /**
  * Set up keyboard navigation for accessibility
  */
@@ -314,23 +405,13 @@ function setupKeyboardNavigation() {
         // Only handle keyboard navigation when game screen is active
         const gameScreen = document.getElementById('game-screen');
         if (gameScreen && !gameScreen.classList.contains('hidden')) {
-            // Enter or Space to select focused move
-            if ((event.key === 'Enter' || event.key === ' ') && document.activeElement.classList.contains('move-btn')) {
+            // Enter or Space to select focused move (the second player's buttons are clicked as usual)
+            if ((event.key === 'Enter' || event.key === ' ') && document.activeElement.classList.contains('move-btn')
+                && !document.activeElement.closest('#second-player-moves')) {
                 event.preventDefault();
                 const move = document.activeElement.getAttribute('data-move');
                 if (move) {
-                    // Stop speed timer if active
-                    speedMode.stopTimer();
-                    
-                    // Make the move
-                    if (currentGameMode === 'endless') {
-                        endless.handlePlayerMove(move);
-                    } else if (currentGameMode === 'bestOf5') {
-                        bestOf5.handlePlayerMove(move);
-                    }
-                    
-                    // Reset idle timer on move
-                    idle.resetIdleTimer();
+                    makeMove(move);
                 }
             }
         }
@@ -478,9 +559,11 @@ function checkFirstRun() {
         // Mark as having run before
         setData('hasRunBefore', true);
         
-        // Show settings to set up profile on first run
+        // Show settings to set up profile on first run (unless an invite or watch link has opened a match)
         setTimeout(() => {
-            settings.showSettings();
+            if (!currentGame) {
+                settings.showSettings();
+            }
         }, 1000);
     }
 }
@@ -0,0 +1,322 @@
+/**
+ * Bot Editor module for Rock Paper Battle
+ * Handles writing, importing and exporting custom bots on the settings screen
+ */
+
+import { getAvailableMoves } from '../game/logic.js';
+import { getActiveRuleset } from '../game/rules.js';
+import { createStrategyContext } from '../ai/strategy.js';
+import { testBot, isSupported } from '../ai/workerBot.js';
+import * as customBots from '../features/customBots.js';
+import * as aiModes from '../features/aiModes.js';
+import * as sound from '../features/sound.js';
+import * as dataManager from '../utils/dataManager.js';
+
+// Code a new bot starts from
+const BOT_TEMPLATE = `// Plays whatever would have beaten the player's last move
+function chooseMove({ history, availableMoves, ruleset }) {
+    const last = history[history.length - 1];
+    if (!last) {
+        return availableMoves[Math.floor(Math.random() * availableMoves.length)];
+    }
+
+    const counter = ruleset.rules.find(rule => rule.loser === last.opponent && availableMoves.includes(rule.winner));
+    return counter ? counter.winner : availableMoves[0];
+}
+`;
+
+// ID of the bot being edited (null for a new bot)
+let editingBotId = null;
+
+// Called whenever the list of saved bots changes
+let botsChangedCallback = null;
+
+/**
+ * Initialize the bot editor
+ * @param {Function} onBotsChanged - Called when bots are saved, imported, deleted or picked
+ */
+export function init(onBotsChanged = null) {
+    botsChangedCallback = onBotsChanged;
+
+    setupEventListeners();
+    newBot();
+    renderBotList();
+
+    // Bots need Web Workers
+    if (!isSupported()) {
+        showErrors(['This browser cannot run bots (Web Workers are unavailable)']);
+        const saveBtn = document.getElementById('save-bot-btn');
+        if (saveBtn) saveBtn.disabled = true;
+    }
+}
+
+/**
+ * Set up event listeners for the editor controls
+ */
+function setupEventListeners() {
+    // Save button
+    const saveBtn = document.getElementById('save-bot-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveBot);
+    }
+
+    // New bot button
+    const newBtn = document.getElementById('new-bot-btn');
+    if (newBtn) {
+        newBtn.addEventListener('click', () => {
+            newBot();
+            sound.play('click');
+        });
+    }
+
+    // Import input
+    const importInput = document.getElementById('import-bot-file');
+    if (importInput) {
+        importInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                importBot(file);
+            }
+            // Allow importing the same file again
+            importInput.value = '';
+        });
+    }
+}
+
+/**
+ * Fill the editor with a bot
+ * @param {string|null} id - The bot's ID (null for a new bot)
+ * @param {string} name - The bot's name
+ * @param {string} source - The bot's code
+ */
+function fillEditor(id, name, source) {
+    editingBotId = id;
+
+    const nameInput = document.getElementById('bot-name');
+    if (nameInput) nameInput.value = name;
+
+    const sourceInput = document.getElementById('bot-source');
+    if (sourceInput) sourceInput.value = source;
+
+    showErrors([]);
+}
+
+/**
+ * Start a new bot from the template
+ */
+function newBot() {
+    fillEditor(null, '', BOT_TEMPLATE);
+}
+
+/**
+ * Build sample contexts to try a bot on: the first round, and a round with some history
+ * @returns {Array} The contexts
+ */
+function createTestContexts() {
+    const ruleset = getActiveRuleset();
+    const availableMoves = getAvailableMoves(false, ruleset);
+    const rounds = availableMoves.slice(0, 3).map((move, index) => ({
+        player: move,
+        opponent: availableMoves[(index + 1) % availableMoves.length],
+        outcome: 'draw'
+    }));
+
+    return [
+        createStrategyContext([], availableMoves, ruleset),
+        createStrategyContext(rounds, availableMoves, ruleset)
+    ];
+}
+
+/**
+ * Run a bot on the sample contexts
+ * @param {string} source - The bot's code
+ * @returns {Promise<Object>} Validation result ({ valid, errors })
+ */
+function tryBot(source) {
+    return createTestContexts().reduce(
+        (previous, context) => previous.then(result => (result.valid ? testBot(source, context) : result)),
+        Promise.resolve({ valid: true, errors: [] })
+    );
+}
+
+/**
+ * Show validation errors under the editor
+ * @param {Array} errors - Error messages (empty to clear)
+ */
+function showErrors(errors) {
+    const container = document.getElementById('bot-errors');
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (errors.length === 0) return;
+
+    const list = document.createElement('ul');
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Check, try out and save the bot being edited
+ */
+function saveBot() {
+    const bot = {
+        id: editingBotId,
+        name: document.getElementById('bot-name').value,
+        source: document.getElementById('bot-source').value
+    };
+
+    const validation = customBots.validateBot(bot);
+    if (!validation.valid) {
+        showErrors(validation.errors);
+        sound.play('lose');
+        return;
+    }
+
+    // Make sure the code actually plays before it can be picked
+    const saveBtn = document.getElementById('save-bot-btn');
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Testing...';
+
+    tryBot(bot.source).then((result) => {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Bot';
+
+        if (!result.valid) {
+            showErrors(result.errors);
+            sound.play('lose');
+            return;
+        }
+
+        const saved = customBots.saveBot(bot);
+        editingBotId = saved.bot.id;
+
+        // Reload the bot if it is the one being played
+        if (aiModes.getCurrentDifficulty() === saved.bot.id) {
+            aiModes.setDifficulty(saved.bot.id);
+        }
+
+        showErrors([]);
+        renderBotList();
+        notifyBotsChanged();
+        sound.play('win');
+    });
+}
+
+/**
+ * Import a bot from a file and save it as a new bot once it passes the same checks as the editor
+ * @param {File} file - The JavaScript file
+ */
+function importBot(file) {
+    dataManager.importBot(file)
+        .then((bot) => {
+            const validation = customBots.validateBot(bot);
+            if (!validation.valid) {
+                throw { message: validation.errors[0] };
+            }
+
+            return tryBot(bot.source).then((result) => {
+                if (!result.valid) {
+                    throw { message: result.errors[0] };
+                }
+
+                customBots.saveBot({ name: bot.name, source: bot.source });
+                renderBotList();
+                notifyBotsChanged();
+                alert(`Imported bot "${bot.name}".`);
+            });
+        })
+        .catch((error) => {
+            alert(`Import failed: ${error.message}`);
+        });
+}
+
+/**
+ * Render the list of saved bots
+ */
+function renderBotList() {
+    const container = document.getElementById('bot-list');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const bots = customBots.getBots();
+    if (bots.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'setting-description';
+        empty.textContent = 'No bots saved yet';
+        container.appendChild(empty);
+        return;
+    }
+
+    bots.forEach(bot => {
+        const item = document.createElement('div');
+        item.className = 'bot-item';
+        item.setAttribute('role', 'listitem');
+
+        const name = document.createElement('span');
+        name.className = 'bot-item-name';
+        name.textContent = bot.name;
+        item.appendChild(name);
+
+        const actions = [
+            {
+                label: 'Play',
+                handler: () => {
+                    aiModes.setPersonality(null);
+                    aiModes.setDifficulty(bot.id);
+                }
+            },
+            { label: 'Edit', handler: () => fillEditor(bot.id, bot.name, bot.source) },
+            { label: 'Export', handler: () => dataManager.exportBot(bot) },
+            {
+                label: 'Delete',
+                handler: () => {
+                    if (confirm(`Delete the bot "${bot.name}"?`)) {
+                        customBots.deleteBot(bot.id);
+                        if (editingBotId === bot.id) {
+                            editingBotId = null;
+                        }
+
+                        // Fall back to the default difficulty if the deleted bot was being played
+                        if (aiModes.getCurrentDifficulty() === bot.id) {
+                            aiModes.setDifficulty(aiModes.DIFFICULTY_LEVELS.MEDIUM);
+                        }
+                        renderBotList();
+                    }
+                }
+            }
+        ];
+
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.textContent = action.label;
+            button.setAttribute('aria-label', `${action.label} ${bot.name}`);
+            button.addEventListener('click', () => {
+                action.handler();
+                notifyBotsChanged();
+                sound.play('click');
+            });
+            item.appendChild(button);
+        });
+
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Let the settings screen know that the saved bots or the selected difficulty changed
+ */
+function notifyBotsChanged() {
+    if (typeof botsChangedCallback === 'function') {
+        botsChangedCallback();
+    }
+}
+
+export default {
+    init
+};
@@ -0,0 +1,577 @@
+/**
+ * Rules Editor module for Rock Paper Battle
+ * Handles the custom rule pack editor on the settings screen
+ */
+
+import { CLASSIC_RULESET, createBalancedRuleset, getRuleset } from '../game/rules.js';
+import * as variants from '../features/variants.js';
+import * as sound from '../features/sound.js';
+import * as dataManager from '../utils/dataManager.js';
+
+// Editor limits
+const MIN_MOVES = 3;
+const MAX_MOVES = 9;
+
+// Rule pack currently being edited
+let editingPack = null;
+
+// Called whenever the list of saved packs changes
+let packsChangedCallback = null;
+
+/**
+ * Initialize the rules editor
+ * @param {Function} onPacksChanged - Called when rule packs are saved, imported or deleted
+ */
+export function init(onPacksChanged = null) {
+    packsChangedCallback = onPacksChanged;
+
+    // Start with a copy of the classic rules as a template
+    editingPack = createTemplatePack();
+
+    setupEventListeners();
+    renderEditor();
+    renderPackList();
+}
+
+/**
+ * Set up event listeners for the editor controls
+ */
+function setupEventListeners() {
+    // Pack name
+    const nameInput = document.getElementById('rule-pack-name');
+    if (nameInput) {
+        nameInput.addEventListener('input', () => {
+            editingPack.name = nameInput.value;
+        });
+    }
+
+    // Add move button
+    const addMoveBtn = document.getElementById('add-rule-move-btn');
+    if (addMoveBtn) {
+        addMoveBtn.addEventListener('click', () => {
+            addMove();
+            sound.play('click');
+        });
+    }
+
+    // Auto-balance button
+    const balanceBtn = document.getElementById('balance-rule-pack-btn');
+    if (balanceBtn) {
+        balanceBtn.addEventListener('click', () => {
+            balanceRules();
+            sound.play('click');
+        });
+    }
+
+    // Save button
+    const saveBtn = document.getElementById('save-rule-pack-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', savePack);
+    }
+
+    // New pack button
+    const newBtn = document.getElementById('new-rule-pack-btn');
+    if (newBtn) {
+        newBtn.addEventListener('click', () => {
+            editingPack = createTemplatePack();
+            renderEditor();
+            sound.play('click');
+        });
+    }
+
+    // Import input
+    const importInput = document.getElementById('import-rule-pack-file');
+    if (importInput) {
+        importInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                importPack(file);
+            }
+            // Allow importing the same file again
+            importInput.value = '';
+        });
+    }
+}
+
+/**
+ * Create a new editable pack based on the classic rules (without the secret move)
+ * @returns {Object} A new rule pack
+ */
+function createTemplatePack() {
+    const moves = CLASSIC_RULESET.moves.filter(move => !move.secret);
+    const moveIds = moves.map(move => move.id);
+
+    return {
+        id: null,
+        name: '',
+        moves: moves.map(move => ({ id: move.id, name: move.name, emoji: move.emoji })),
+        rules: CLASSIC_RULESET.rules
+            .filter(rule => moveIds.includes(rule.winner) && moveIds.includes(rule.loser))
+            .map(rule => ({ winner: rule.winner, loser: rule.loser, verb: rule.verb }))
+    };
+}
+
+/**
+ * Generate a move ID that is not used in the pack yet
+ * @returns {string} A new move ID
+ */
+function generateMoveId() {
+    let index = editingPack.moves.length + 1;
+    while (editingPack.moves.some(move => move.id === `move${index}`)) {
+        index++;
+    }
+    return `move${index}`;
+}
+
+/**
+ * Add a new move to the pack being edited
+ */
+function addMove() {
+    if (editingPack.moves.length >= MAX_MOVES) {
+        showErrors([`A rule pack can have at most ${MAX_MOVES} moves`]);
+        return;
+    }
+
+    editingPack.moves.push({ id: generateMoveId(), name: '', emoji: '' });
+    renderEditor();
+}
+
+/**
+ * Remove a move (and every rule that mentions it) from the pack being edited
+ * @param {string} moveId - The ID of the move to remove
+ */
+function removeMove(moveId) {
+    if (editingPack.moves.length <= MIN_MOVES) {
+        showErrors([`A rule pack needs at least ${MIN_MOVES} moves`]);
+        return;
+    }
+
+    editingPack.moves = editingPack.moves.filter(move => move.id !== moveId);
+    editingPack.rules = editingPack.rules.filter(rule => rule.winner !== moveId && rule.loser !== moveId);
+    renderEditor();
+}
+
+/**
+ * Find the rule that decides a pair of moves
+ * @param {string} moveA - The first move
+ * @param {string} moveB - The second move
+ * @returns {Object|undefined} The rule, if the pair is decided
+ */
+function findPairRule(moveA, moveB) {
+    return editingPack.rules.find(rule =>
+        (rule.winner === moveA && rule.loser === moveB) ||
+        (rule.winner === moveB && rule.loser === moveA)
+    );
+}
+
+/**
+ * Cycle a matrix cell: undecided -> row wins -> column wins -> undecided
+ * @param {string} rowMove - The move of the clicked row
+ * @param {string} columnMove - The move of the clicked column
+ */
+function cyclePair(rowMove, columnMove) {
+    const rule = findPairRule(rowMove, columnMove);
+    editingPack.rules = editingPack.rules.filter(existing => existing !== rule);
+
+    if (!rule) {
+        editingPack.rules.push({ winner: rowMove, loser: columnMove, verb: 'beats' });
+    } else if (rule.winner === rowMove) {
+        editingPack.rules.push({ winner: columnMove, loser: rowMove, verb: 'beats' });
+    }
+
+    renderMatrix();
+    renderVerbs();
+}
+
+/**
+ * Fill the matrix with a balanced tournament, keeping verbs where the direction is unchanged
+ */
+function balanceRules() {
+    let balanced;
+    try {
+        balanced = createBalancedRuleset(editingPack.id, editingPack.name, editingPack.moves);
+    } catch (error) {
+        showErrors([error.message]);
+        return;
+    }
+
+    editingPack.rules = balanced.rules.map(rule => {
+        const existing = editingPack.rules.find(old => old.winner === rule.winner && old.loser === rule.loser);
+        return existing ? { ...rule, verb: existing.verb } : rule;
+    });
+
+    showErrors([]);
+    renderMatrix();
+    renderVerbs();
+}
+
+/**
+ * Render the whole editor for the pack being edited
+ */
+function renderEditor() {
+    const nameInput = document.getElementById('rule-pack-name');
+    if (nameInput) {
+        nameInput.value = editingPack.name;
+    }
+
+    renderMoves();
+    renderMatrix();
+    renderVerbs();
+    showErrors([]);
+}
+
+/**
+ * Render the editable move rows
+ */
+function renderMoves() {
+    const container = document.getElementById('rule-pack-moves');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    editingPack.moves.forEach((move, index) => {
+        const row = document.createElement('div');
+        row.className = 'rule-move-row';
+        row.setAttribute('role', 'listitem');
+
+        const emojiInput = document.createElement('input');
+        emojiInput.type = 'text';
+        emojiInput.className = 'rule-move-emoji';
+        emojiInput.maxLength = 8;
+        emojiInput.placeholder = '❓';
+        emojiInput.value = move.emoji;
+        emojiInput.setAttribute('aria-label', `Emoji for move ${index + 1}`);
+        emojiInput.addEventListener('input', () => {
+            move.emoji = emojiInput.value;
+            renderMatrix();
+            renderVerbs();
+        });
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.maxLength = 15;
+        nameInput.placeholder = 'Move name';
+        nameInput.value = move.name;
+        nameInput.setAttribute('aria-label', `Name for move ${index + 1}`);
+        nameInput.addEventListener('input', () => {
+            move.name = nameInput.value;
+            renderMatrix();
+            renderVerbs();
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn';
+        removeBtn.textContent = '✖';
+        removeBtn.title = 'Remove Move';
+        removeBtn.setAttribute('aria-label', `Remove move ${index + 1}`);
+        removeBtn.addEventListener('click', () => {
+            removeMove(move.id);
+            sound.play('click');
+        });
+
+        row.appendChild(emojiInput);
+        row.appendChild(nameInput);
+        row.appendChild(removeBtn);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Get a short label for a move in the pack being edited
+ * @param {Object} move - The move
+ * @returns {string} The move's emoji, or its name if it has no emoji yet
+ */
+function getMoveLabel(move) {
+    return move.emoji || move.name || '❓';
+}
+
+/**
+ * Render the beats-matrix
+ */
+function renderMatrix() {
+    const container = document.getElementById('rule-pack-matrix');
+    if (!container) return;
+
+    const table = document.createElement('table');
+
+    // Header row with column moves
+    const headerRow = document.createElement('tr');
+    headerRow.appendChild(document.createElement('th'));
+    editingPack.moves.forEach(move => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = getMoveLabel(move);
+        headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    // One row per move
+    editingPack.moves.forEach(rowMove => {
+        const row = document.createElement('tr');
+
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = getMoveLabel(rowMove);
+        row.appendChild(th);
+
+        editingPack.moves.forEach(columnMove => {
+            const td = document.createElement('td');
+
+            if (rowMove.id === columnMove.id) {
+                // A move never plays against itself
+                td.textContent = '—';
+            } else {
+                const rule = findPairRule(rowMove.id, columnMove.id);
+                const cell = document.createElement('button');
+                cell.className = 'matrix-cell';
+
+                const rowName = rowMove.name || getMoveLabel(rowMove);
+                const columnName = columnMove.name || getMoveLabel(columnMove);
+
+                if (!rule) {
+                    cell.textContent = '?';
+                    cell.setAttribute('aria-label', `${rowName} vs ${columnName}: undecided`);
+                } else if (rule.winner === rowMove.id) {
+                    cell.textContent = '✔';
+                    cell.classList.add('beats');
+                    cell.setAttribute('aria-label', `${rowName} beats ${columnName}`);
+                } else {
+                    cell.textContent = '✖';
+                    cell.classList.add('loses');
+                    cell.setAttribute('aria-label', `${rowName} loses to ${columnName}`);
+                }
+
+                cell.addEventListener('click', () => {
+                    cyclePair(rowMove.id, columnMove.id);
+                    sound.play('click');
+                });
+
+                td.appendChild(cell);
+            }
+
+            row.appendChild(td);
+        });
+
+        table.appendChild(row);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+/**
+ * Render a verb input for every decided pair
+ */
+function renderVerbs() {
+    const container = document.getElementById('rule-pack-verbs');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    editingPack.rules.forEach(rule => {
+        const winner = editingPack.moves.find(move => move.id === rule.winner);
+        const loser = editingPack.moves.find(move => move.id === rule.loser);
+        if (!winner || !loser) return;
+
+        const row = document.createElement('div');
+        row.className = 'rule-verb-row';
+
+        const winnerLabel = document.createElement('span');
+        winnerLabel.textContent = `${getMoveLabel(winner)} ${winner.name}`;
+
+        const verbInput = document.createElement('input');
+        verbInput.type = 'text';
+        verbInput.maxLength = 20;
+        verbInput.value = rule.verb;
+        verbInput.setAttribute('aria-label', `How ${winner.name || 'the winner'} beats ${loser.name || 'the loser'}`);
+        verbInput.addEventListener('input', () => {
+            rule.verb = verbInput.value;
+        });
+
+        const loserLabel = document.createElement('span');
+        loserLabel.textContent = `${getMoveLabel(loser)} ${loser.name}`;
+
+        row.appendChild(winnerLabel);
+        row.appendChild(verbInput);
+        row.appendChild(loserLabel);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Show validation errors under the editor
+ * @param {Array} errors - The error messages (empty to clear)
+ */
+function showErrors(errors) {
+    const container = document.getElementById('rule-pack-errors');
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (errors.length === 0) return;
+
+    const list = document.createElement('ul');
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Validate and save the pack being edited
+ */
+function savePack() {
+    const pack = {
+        ...editingPack,
+        id: editingPack.id || `custom_${Date.now().toString(36)}`
+    };
+
+    const result = variants.saveRulePack(pack);
+    if (!result.valid) {
+        showErrors(result.errors);
+        sound.play('lose');
+        return;
+    }
+
+    editingPack.id = pack.id;
+    showErrors([]);
+    renderPackList();
+    notifyPacksChanged();
+    sound.play('win');
+    showSaveSuccess();
+}
+
+/**
+ * Show a success message on the save button
+ */
+function showSaveSuccess() {
+    const saveBtn = document.getElementById('save-rule-pack-btn');
+    if (saveBtn) {
+        const originalText = saveBtn.textContent;
+        saveBtn.textContent = 'Saved!';
+        saveBtn.disabled = true;
+
+        // Restore original text after delay
+        setTimeout(() => {
+            saveBtn.textContent = originalText;
+            saveBtn.disabled = false;
+        }, 1500);
+    }
+}
+
+/**
+ * Load a saved pack into the editor
+ * @param {Object} pack - The saved rule pack
+ */
+function editPack(pack) {
+    editingPack = {
+        id: pack.id,
+        name: pack.name,
+        moves: pack.moves.map(move => ({ ...move })),
+        rules: pack.rules.map(rule => ({ ...rule }))
+    };
+    renderEditor();
+}
+
+/**
+ * Import a rule pack from a file and save it
+ * @param {File} file - The JSON file to import
+ */
+function importPack(file) {
+    dataManager.importRulePack(file)
+        .then((pack) => {
+            // Never overwrite a built-in variant or an existing pack
+            const id = getRuleset(pack.id) || variants.getRulePack(pack.id)
+                ? `custom_${Date.now().toString(36)}`
+                : pack.id;
+
+            const result = variants.saveRulePack({ ...pack, id });
+            if (!result.valid) {
+                throw { message: result.errors[0] };
+            }
+
+            renderPackList();
+            notifyPacksChanged();
+            alert(`Imported rule pack "${pack.name}".`);
+        })
+        .catch((error) => {
+            alert(`Import failed: ${error.message}`);
+        });
+}
+
+/**
+ * Render the list of saved rule packs
+ */
+function renderPackList() {
+    const container = document.getElementById('rule-pack-list');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const packs = variants.getRulePacks();
+    if (packs.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'setting-description';
+        empty.textContent = 'No rule packs saved yet';
+        container.appendChild(empty);
+        return;
+    }
+
+    packs.forEach(pack => {
+        const item = document.createElement('div');
+        item.className = 'rule-pack-item';
+        item.setAttribute('role', 'listitem');
+
+        const name = document.createElement('span');
+        name.className = 'rule-pack-item-name';
+        name.textContent = `${pack.name} ${pack.moves.map(move => move.emoji).join('')}`;
+        item.appendChild(name);
+
+        const actions = [
+            { label: 'Play', handler: () => variants.setVariant(pack.id) },
+            { label: 'Edit', handler: () => editPack(pack) },
+            { label: 'Export', handler: () => dataManager.exportRulePack(pack) },
+            {
+                label: 'Delete',
+                handler: () => {
+                    if (confirm(`Delete the rule pack "${pack.name}"?`)) {
+                        variants.deleteRulePack(pack.id);
+                        if (editingPack.id === pack.id) {
+                            editingPack.id = null;
+                        }
+                        renderPackList();
+                    }
+                }
+            }
+        ];
+
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.textContent = action.label;
+            button.setAttribute('aria-label', `${action.label} ${pack.name}`);
+            button.addEventListener('click', () => {
+                action.handler();
+                notifyPacksChanged();
+                sound.play('click');
+            });
+            item.appendChild(button);
+        });
+
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Let the settings screen know that the saved packs or active variant changed
+ */
+function notifyPacksChanged() {
+    if (typeof packsChangedCallback === 'function') {
+        packsChangedCallback();
+    }
+}
+
+export default {
+    init
+};
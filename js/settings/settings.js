@@ -11,8 +11,13 @@ import * as achievements from '../features/achievements.js';
 import * as stats from '../features/stats.js';
 import * as secretMove from '../features/secretMove.js';
 import * as aiModes from '../features/aiModes.js';
+import * as fairPlay from '../features/fairPlay.js';
+import * as playerMemory from '../features/playerMemory.js';
 import * as speedMode from '../features/speedMode.js';
 import * as bonusRound from '../features/bonusRound.js';
+import * as variants from '../features/variants.js';
+import * as rulesEditor from './rulesEditor.js';
+import * as botEditor from './botEditor.js';
 import * as accessibility from '../features/accessibility.js';
 import * as performance from '../utils/performance.js';
 import * as preloader from '../utils/preloader.js';
@@ -203,21 +208,170 @@ function setupEventListeners() {
     // AI difficulty selector
     const aiDifficultySelect = document.getElementById('ai-difficulty-select');
     if (aiDifficultySelect) {
+        // Fill in the available difficulty levels
+        populateAiDifficultySelect(aiDifficultySelect);
+        
         // Set initial value
         aiDifficultySelect.value = aiModes.getCurrentDifficulty();
         
         // Update description based on current selection
         updateAiDifficultyDescription(aiDifficultySelect.value);
+        updateAdaptiveTargetVisibility(aiDifficultySelect.value);
         
         // Add change event listener
         aiDifficultySelect.addEventListener('change', () => {
             const selectedDifficulty = aiDifficultySelect.value;
             aiModes.setDifficulty(selectedDifficulty);
             updateAiDifficultyDescription(selectedDifficulty);
+            updateAdaptiveTargetVisibility(selectedDifficulty);
+            
+            // Picking a difficulty means playing it rather than a personality
+            if (aiModes.getCurrentPersonality()) {
+                aiModes.setPersonality(null);
+                const personalitySelect = document.getElementById('ai-personality-select');
+                if (personalitySelect) {
+                    personalitySelect.value = '';
+                }
+                updatePersonalityDescription('');
+            }
+            
+            sound.play('click');
+        });
+    }
+    
+    // AI personality selector
+    const aiPersonalitySelect = document.getElementById('ai-personality-select');
+    if (aiPersonalitySelect) {
+        // Fill in the available personalities
+        populatePersonalitySelect(aiPersonalitySelect);
+        
+        // Update description based on current selection
+        updatePersonalityDescription(aiPersonalitySelect.value);
+        
+        // Add change event listener
+        aiPersonalitySelect.addEventListener('change', () => {
+            const selectedPersonality = aiPersonalitySelect.value;
+            aiModes.setPersonality(selectedPersonality || null);
+            updatePersonalityDescription(selectedPersonality);
+            sound.play('click');
+        });
+    }
+    
+    // Adaptive AI target win rate slider
+    const adaptiveTargetInput = document.getElementById('adaptive-target-input');
+    const adaptiveTargetValue = document.getElementById('adaptive-target-value');
+    if (adaptiveTargetInput) {
+        // Set initial value
+        adaptiveTargetInput.value = Math.round(aiModes.getAdaptiveState().targetWinRate * 100);
+        if (adaptiveTargetValue) {
+            adaptiveTargetValue.textContent = `${adaptiveTargetInput.value}%`;
+        }
+        
+        // Add input event listener
+        adaptiveTargetInput.addEventListener('input', () => {
+            aiModes.setAdaptiveTargetWinRate(adaptiveTargetInput.value / 100);
+            if (adaptiveTargetValue) {
+                adaptiveTargetValue.textContent = `${adaptiveTargetInput.value}%`;
+            }
+        });
+    }
+    
+    // Fair play toggle
+    const fairPlayToggle = document.getElementById('fair-play-toggle');
+    if (fairPlayToggle) {
+        // Set initial value
+        fairPlayToggle.checked = fairPlay.isEnabled();
+        
+        // Fair play needs Web Crypto, which browsers only offer on secure (https) pages
+        if (!fairPlay.isSupported()) {
+            fairPlayToggle.disabled = true;
+        }
+        
+        // Add change event listener
+        fairPlayToggle.addEventListener('change', () => {
+            fairPlay.setEnabled(fairPlayToggle.checked);
             sound.play('click');
         });
     }
     
+    // AI memory toggle
+    const aiMemoryToggle = document.getElementById('ai-memory-toggle');
+    if (aiMemoryToggle) {
+        // Set initial value
+        aiMemoryToggle.checked = playerMemory.isEnabled();
+        
+        // Add change event listener
+        aiMemoryToggle.addEventListener('change', () => {
+            playerMemory.setEnabled(aiMemoryToggle.checked);
+            sound.play('click');
+        });
+    }
+    
+    // Forget me button
+    const forgetMeBtn = document.getElementById('forget-me-btn');
+    if (forgetMeBtn) {
+        forgetMeBtn.addEventListener('click', () => {
+            if (confirm('Make the AI forget everything it has learned about how you play?')) {
+                aiModes.forgetPlayer();
+                updateAiMemoryStatus();
+                sound.play('click');
+            }
+        });
+    }
+    
+    // Game variant selector
+    const variantSelect = document.getElementById('variant-select');
+    if (variantSelect) {
+        // Fill in the available variants
+        populateVariantSelect(variantSelect);
+        
+        // Update description based on current selection
+        updateVariantDescription(variantSelect.value);
+        
+        // Add change event listener
+        variantSelect.addEventListener('change', () => {
+            variants.setVariant(variantSelect.value);
+            updateVariantDescription(variantSelect.value);
+            sound.play('click');
+        });
+    }
+    
+    // Match seed input
+    const matchSeedInput = document.getElementById('match-seed-input');
+    if (matchSeedInput) {
+        // Set initial value
+        matchSeedInput.value = getData('matchSeed') || '';
+        
+        // Add change event listener (an empty seed means a random one every match)
+        matchSeedInput.addEventListener('change', () => {
+            const seed = matchSeedInput.value.trim();
+            matchSeedInput.value = seed;
+            setData('matchSeed', seed || null);
+        });
+    }
+    
+    // Custom rule pack editor (keeps the variant selector in sync with saved packs)
+    rulesEditor.init(() => {
+        if (variantSelect) {
+            populateVariantSelect(variantSelect);
+            updateVariantDescription(variantSelect.value);
+        }
+    });
+    
+    // Custom bot editor (keeps the AI selectors in sync with saved bots)
+    botEditor.init(() => {
+        if (aiDifficultySelect) {
+            populateAiDifficultySelect(aiDifficultySelect);
+            aiDifficultySelect.value = aiModes.getCurrentDifficulty();
+            updateAiDifficultyDescription(aiDifficultySelect.value);
+            updateAdaptiveTargetVisibility(aiDifficultySelect.value);
+        }
+        if (aiPersonalitySelect) {
+            aiPersonalitySelect.value = aiModes.getCurrentPersonality() || '';
+            updatePersonalityDescription(aiPersonalitySelect.value);
+        }
+    });
+    
     // Speed mode toggle
     const speedModeToggle = document.getElementById('speed-mode-toggle');
     if (speedModeToggle) {
@@ -319,42 +473,154 @@ function setupEventListeners() {
     }
 }
 
+/**
+ * Show how many rounds the AI remembers about the current profile
+ */
+function updateAiMemoryStatus() {
+    const status = document.getElementById('ai-memory-status');
+    if (!status) return;
+    
+    const count = playerMemory.getRememberedRoundCount();
+    status.textContent = count > 0
+        ? `The AI remembers ${count} of your rounds.`
+        : 'The AI does not remember any of your rounds yet.';
+}
+
 /**
  * Update the AI difficulty description based on the selected difficulty
  * @param {string} difficulty - The selected AI difficulty
  */
 function updateAiDifficultyDescription(difficulty) {
     const descriptionContainer = document.getElementById('ai-difficulty-description');
-    let title = '';
-    let description = '';
-    
-    switch (difficulty) {
-        case 'easy':
-            title = "Noobron";
-            description = "Chill, always makes mistakes. Great for beginners or casual play.";
-            break;
-        case 'medium':
-            title = "Median Mind";
-            description = "Keeps things fair. A balanced challenge for most players.";
-            break;
-        case 'hard':
-            title = "Mindbreaker";
-            description = "Forces you to think harder. A serious challenge for experienced players!";
-            break;
-        case 'impossible':
-            title = "Impossible";
-            description = "Impossible to Beat. Only for those seeking the ultimate challenge!";
-            break;
-        default:
-            title = "Median Mind";
-            description = "Keeps things fair. A balanced challenge for most players.";
-            break;
-    }
+    const levels = aiModes.getAllDifficultyLevels();
+    
+    // Fall back to Median Mind for unknown difficulties
+    const level = levels.find(l => l.id === difficulty) ||
+        levels.find(l => l.id === aiModes.DIFFICULTY_LEVELS.MEDIUM);
     
     if (descriptionContainer) {
+        // Built with textContent because custom bot names are user input
+        const name = document.createElement('h4');
+        name.textContent = level.name;
+        const details = document.createElement('p');
+        details.textContent = level.details;
+        descriptionContainer.replaceChildren(name, details);
+    }
+}
+
+/**
+ * Fill the personality selector with the available personalities
+ * @param {HTMLSelectElement} aiPersonalitySelect - The personality selector element
+ */
+function populatePersonalitySelect(aiPersonalitySelect) {
+    aiPersonalitySelect.innerHTML = '';
+    
+    // Empty value means the difficulty level is played
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = 'None (use difficulty)';
+    aiPersonalitySelect.appendChild(noneOption);
+    
+    aiModes.getAllPersonalities().forEach(personality => {
+        const option = document.createElement('option');
+        option.value = personality.id;
+        option.textContent = `${personality.avatar} ${personality.name}`;
+        aiPersonalitySelect.appendChild(option);
+    });
+    
+    aiPersonalitySelect.value = aiModes.getCurrentPersonality() || '';
+}
+
+/**
+ * Update the personality description based on the selected personality
+ * @param {string} personalityId - The selected personality (empty for none)
+ */
+function updatePersonalityDescription(personalityId) {
+    const descriptionContainer = document.getElementById('ai-personality-description');
+    if (!descriptionContainer) return;
+    
+    const personality = aiModes.getAllPersonalities().find(p => p.id === personalityId);
+    if (!personality) {
+        descriptionContainer.classList.add('hidden');
+        descriptionContainer.innerHTML = '';
+        return;
+    }
+    
+    descriptionContainer.classList.remove('hidden');
+    descriptionContainer.innerHTML = `
+        <h4>${personality.avatar} ${personality.name}</h4>
+        <p>${personality.description}</p>
+    `;
+}
+
+/**
+ * Show the target win rate slider only while the Adaptive difficulty is selected
+ * @param {string} difficulty - The selected AI difficulty
+ */
+function updateAdaptiveTargetVisibility(difficulty) {
+    const adaptiveTargetGroup = document.getElementById('adaptive-target-group');
+    if (adaptiveTargetGroup) {
+        adaptiveTargetGroup.classList.toggle('hidden', difficulty !== aiModes.DIFFICULTY_LEVELS.ADAPTIVE);
+    }
+}
+
+/**
+ * Fill the AI difficulty selector with the available difficulty levels
+ * @param {HTMLSelectElement} aiDifficultySelect - The difficulty selector element
+ */
+function populateAiDifficultySelect(aiDifficultySelect) {
+    aiDifficultySelect.innerHTML = '';
+    
+    // Custom bots are listed in their own group after the built-in levels
+    let botGroup = null;
+    
+    aiModes.getAllDifficultyLevels().forEach(level => {
+        const option = document.createElement('option');
+        option.value = level.id;
+        option.textContent = `${level.emoji} ${level.name}`;
+        
+        if (level.custom) {
+            if (!botGroup) {
+                botGroup = document.createElement('optgroup');
+                botGroup.label = 'Custom Bots';
+                aiDifficultySelect.appendChild(botGroup);
+            }
+            botGroup.appendChild(option);
+        } else {
+            aiDifficultySelect.appendChild(option);
+        }
+    });
+}
+
+/**
+ * Fill the variant selector with the available variants
+ * @param {HTMLSelectElement} variantSelect - The variant selector element
+ */
+function populateVariantSelect(variantSelect) {
+    variantSelect.innerHTML = '';
+    
+    variants.getVariants().forEach(variant => {
+        const option = document.createElement('option');
+        option.value = variant.id;
+        option.textContent = variant.name;
+        variantSelect.appendChild(option);
+    });
+    
+    variantSelect.value = variants.getCurrentVariant();
+}
+
+/**
+ * Update the variant description based on the selected variant
+ * @param {string} variantId - The selected variant
+ */
+function updateVariantDescription(variantId) {
+    const descriptionContainer = document.getElementById('variant-description');
+    const variant = variants.getVariants().find(v => v.id === variantId);
+    
+    if (descriptionContainer && variant) {
         descriptionContainer.innerHTML = `
-            <h4>${title}</h4>
-            <p>${description}</p>
+            <h4>${variant.name}</h4>
+            <p>${variant.description}</p>
         `;
     }
 }
@@ -407,6 +673,9 @@ export function showSettings() {
     // Default to the profile tab
     switchTab('profile');
     
+    // Show how much the AI currently remembers
+    updateAiMemoryStatus();
+    
     // Play sound
     sound.play('click');
 }
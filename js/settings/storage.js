@@ -1,6 +1,7 @@
 /**
  * Storage module for Rock Paper Battle
  * Handles localStorage operations
+ * Without localStorage (e.g. in Node) the data is only kept in memory
  */
 
 // Local storage key
@@ -24,7 +25,8 @@ const DEFAULT_DATA = {
     achievements: {
         winStreak3: false,
         flawlessVictory: false,
-        roundsPlayed10: false
+        roundsPlayed10: false,
+        tournamentChampion: false
     },
     profile: {
         name: 'Player',
@@ -46,6 +48,11 @@ let dataCache = null;
  */
 export function getData(key = null) {
     if (!dataCache) {
+        if (!hasLocalStorage()) {
+            dataCache = { ...DEFAULT_DATA };
+            return key ? dataCache[key] : dataCache;
+        }
+        
         try {
             const storedData = localStorage.getItem(STORAGE_KEY);
             dataCache = storedData ? JSON.parse(storedData) : { ...DEFAULT_DATA };
@@ -75,6 +82,12 @@ export function setData(key, value) {
     // Update data
     data[key] = value;
     
+    // Keep it in memory only if there is nowhere to save it
+    if (!hasLocalStorage()) {
+        dataCache = data;
+        return;
+    }
+    
     // Save to localStorage
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
@@ -110,6 +123,11 @@ export function updateStat(statName) {
  * Clear all game data from localStorage
  */
 export function clearAllData() {
+    if (!hasLocalStorage()) {
+        dataCache = { ...DEFAULT_DATA };
+        return;
+    }
+    
     try {
         localStorage.removeItem(STORAGE_KEY);
         dataCache = { ...DEFAULT_DATA };
@@ -118,6 +136,14 @@ export function clearAllData() {
     }
 }
 
+/**
+ * Check if localStorage is available
+ * @returns {boolean} Whether there is a localStorage to save to
+ */
+function hasLocalStorage() {
+    return typeof localStorage !== 'undefined';
+}
+
 export default {
     getData,
     setData,
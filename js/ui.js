@@ -11,14 +11,26 @@ const elements = {
     landingPage: document.getElementById('landing-page'),
     gameScreen: document.getElementById('game-screen'),
     resultsScreen: document.getElementById('results-screen'),
+    tournamentScreen: document.getElementById('tournament-screen'),
+    gauntletScreen: document.getElementById('gauntlet-screen'),
+    dailyScreen: document.getElementById('daily-screen'),
+    onlineScreen: document.getElementById('online-screen'),
+    leaderboardScreen: document.getElementById('leaderboard-screen'),
     
     // Buttons
     endlessModeBtn: document.getElementById('endless-mode-btn'),
-    bestOf5Btn: document.getElementById('best-of-5-btn'),
+    bestOfNBtn: document.getElementById('best-of-n-btn'),
+    tournamentBtn: document.getElementById('tournament-btn'),
+    tournamentBackBtn: document.getElementById('tournament-back-btn'),
+    gauntletBtn: document.getElementById('gauntlet-btn'),
+    gauntletBackBtn: document.getElementById('gauntlet-back-btn'),
+    dailyBtn: document.getElementById('daily-btn'),
+    dailyBackBtn: document.getElementById('daily-back-btn'),
+    onlineBackBtn: document.getElementById('online-back-btn'),
     backToMenuBtn: document.getElementById('back-to-menu'),
     backToMenuResultBtn: document.getElementById('back-to-menu-btn'),
     playAgainBtn: document.getElementById('play-again-btn'),
-    moveButtons: document.querySelectorAll('.move-btn'),
+    moveButtonsContainer: document.querySelector('#game-screen .move-buttons'),
     themeToggleBtn: document.getElementById('theme-toggle-btn'),
     resetScoresBtn: document.getElementById('reset-scores'),
     soundToggleBtn: document.getElementById('sound-toggle'),
@@ -28,6 +40,7 @@ const elements = {
     aiScore: document.getElementById('ai-score'),
     playerMoveDisplay: document.getElementById('player-move-display'),
     aiMoveDisplay: document.getElementById('ai-move-display'),
+    matchSeed: document.getElementById('match-seed'),
     
     // Result elements
     resultTitle: document.getElementById('result-title'),
@@ -38,13 +51,18 @@ const elements = {
 
 /**
  * Shows a specific section and hides others
- * @param {string} sectionId - The ID of the section to show ('landing-page', 'game-screen', or 'results-screen')
+ * @param {string} sectionId - The ID of the section to show ('landing-page', 'game-screen', 'results-screen' or one of the mode screens)
  */
 export function showSection(sectionId) {
     // Hide all sections
     elements.landingPage.classList.add('hidden');
     elements.gameScreen.classList.add('hidden');
     elements.resultsScreen.classList.add('hidden');
+    if (elements.tournamentScreen) elements.tournamentScreen.classList.add('hidden');
+    if (elements.gauntletScreen) elements.gauntletScreen.classList.add('hidden');
+    if (elements.dailyScreen) elements.dailyScreen.classList.add('hidden');
+    if (elements.onlineScreen) elements.onlineScreen.classList.add('hidden');
+    if (elements.leaderboardScreen) elements.leaderboardScreen.classList.add('hidden');
     
     // Show the requested section
     const section = document.getElementById(sectionId);
@@ -65,6 +83,16 @@ export function updateScore(playerScore, aiScore) {
     elements.aiScore.textContent = aiScore;
 }
 
+/**
+ * Shows the seed of the current match so it can be shared and replayed
+ * @param {string} seed - The match seed
+ */
+export function updateSeedDisplay(seed) {
+    if (elements.matchSeed) {
+        elements.matchSeed.textContent = `🎲 Seed: ${seed}`;
+    }
+}
+
 /**
  * Displays the player and AI moves
  * @param {string} playerMove - Player's move
@@ -81,8 +109,9 @@ export function displayMoves(playerMove, aiMove) {
  * @param {string} message - The result message
  * @param {string} playerMove - Player's move
  * @param {string} aiMove - AI's move
+ * @param {string} customTitle - Title to show instead of the player's (e.g. when two AIs play)
  */
-export function showResult(result, message, playerMove, aiMove) {
+export function showResult(result, message, playerMove, aiMove, customTitle = null) {
     // Set result title based on outcome
     let title;
     let messageClass;
@@ -106,7 +135,7 @@ export function showResult(result, message, playerMove, aiMove) {
     }
     
     // Update elements
-    elements.resultTitle.textContent = title;
+    elements.resultTitle.textContent = customTitle || title;
     elements.resultMessage.textContent = message;
     elements.resultMessage.className = `result-message ${messageClass}`;
     elements.playerMoveResult.textContent = getMoveEmoji(playerMove);
@@ -116,6 +145,31 @@ export function showResult(result, message, playerMove, aiMove) {
     showSection('results-screen');
 }
 
+/**
+ * Renders the move buttons for a ruleset
+ * The secret fire button is kept in place and managed by the secret move module
+ * @param {Array} moves - Move definitions ({ id, name, emoji }) to render
+ */
+export function renderMoveButtons(moves) {
+    const container = elements.moveButtonsContainer;
+    if (!container) return;
+    
+    // Remove previously rendered buttons
+    container.querySelectorAll('.move-btn:not(#fire-move-btn)').forEach(button => button.remove());
+    
+    // Insert the new buttons before the fire button
+    const fireButton = document.getElementById('fire-move-btn');
+    moves.forEach(move => {
+        const button = document.createElement('button');
+        button.className = 'move-btn';
+        button.setAttribute('data-move', move.id);
+        button.setAttribute('tabindex', '0');
+        button.setAttribute('aria-label', `Choose ${move.name}`);
+        button.textContent = move.emoji;
+        container.insertBefore(button, fireButton);
+    });
+}
+
 /**
  * Adds event listeners to UI elements
  * @param {Object} handlers - Object containing event handler functions
@@ -134,6 +188,18 @@ export function setupEventListeners(handlers) {
         if (elements.backToMenuResultBtn) {
             elements.backToMenuResultBtn.addEventListener('click', handlers.backToMenu);
         }
+        if (elements.tournamentBackBtn) {
+            elements.tournamentBackBtn.addEventListener('click', handlers.backToMenu);
+        }
+        if (elements.gauntletBackBtn) {
+            elements.gauntletBackBtn.addEventListener('click', handlers.backToMenu);
+        }
+        if (elements.dailyBackBtn) {
+            elements.dailyBackBtn.addEventListener('click', handlers.backToMenu);
+        }
+        if (elements.onlineBackBtn) {
+            elements.onlineBackBtn.addEventListener('click', handlers.backToMenu);
+        }
     }
     
     // Play again
@@ -141,13 +207,14 @@ export function setupEventListeners(handlers) {
         elements.playAgainBtn.addEventListener('click', handlers.playAgain);
     }
     
-    // Move selection
-    if (handlers.makeMove && elements.moveButtons) {
-        elements.moveButtons.forEach(button => {
-            button.addEventListener('click', () => {
+    // Move selection (delegated, since move buttons are rendered from the active ruleset)
+    if (handlers.makeMove && elements.moveButtonsContainer) {
+        elements.moveButtonsContainer.addEventListener('click', (event) => {
+            const button = event.target.closest('.move-btn');
+            if (button) {
                 const move = button.getAttribute('data-move');
                 handlers.makeMove(move);
-            });
+            }
         });
     }
     
@@ -168,5 +235,6 @@ export default {
     updateScore,
     displayMoves,
     showResult,
+    renderMoveButtons,
     setupEventListeners
 }; 
\ No newline at end of file
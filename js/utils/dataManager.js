@@ -1,13 +1,17 @@
 /**
  * Data Manager for Rock Paper Battle
- * Handles data export, import, and validation
+ * Handles data export, import, and validation for save files, rule packs and custom bots
  */
 
 import { getData, setData, clearAllData } from '../settings/storage.js';
+import { validateRuleset } from '../game/rules.js';
 
 // Schema version for data validation
 const SCHEMA_VERSION = '1.0';
 
+// First line of an exported bot file, followed by the bot's name
+const BOT_HEADER = '// Rock Paper Battle bot: ';
+
 /**
  * Export all game data to a JSON file
  * @returns {boolean} Whether the export was successful
@@ -24,33 +28,100 @@ export function exportGameData() {
             game: 'RockPaperBattle'
         };
         
-        // Convert to JSON string
-        const jsonString = JSON.stringify(gameData, null, 2);
-        
-        // Create a blob for better file handling
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        downloadJson(gameData, `rock-paper-battle-save-${formatDate(new Date())}.json`);
         
-        // Create a download link using URL.createObjectURL
-        const url = URL.createObjectURL(blob);
-        const downloadLink = document.createElement('a');
-        downloadLink.href = url;
-        downloadLink.download = `rock-paper-battle-save-${formatDate(new Date())}.json`;
+        return true;
+    } catch (error) {
+        console.error('Failed to export game data:', error);
+        return false;
+    }
+}
+
+/**
+ * Export a custom rule pack to a JSON file
+ * @param {Object} pack - The rule pack to export
+ * @returns {boolean} Whether the export was successful
+ */
+export function exportRulePack(pack) {
+    try {
+        const packData = {
+            rulePack: {
+                id: pack.id,
+                name: pack.name,
+                moves: pack.moves,
+                rules: pack.rules
+            },
+            metadata: {
+                version: SCHEMA_VERSION,
+                exportDate: new Date().toISOString(),
+                game: 'RockPaperBattle',
+                type: 'rulePack'
+            }
+        };
         
-        // Trigger download
-        document.body.appendChild(downloadLink);
-        downloadLink.click();
-        document.body.removeChild(downloadLink);
+        const fileName = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom';
+        downloadJson(packData, `rock-paper-battle-rules-${fileName}.json`);
         
-        // Clean up the URL object
-        URL.revokeObjectURL(url);
+        return true;
+    } catch (error) {
+        console.error('Failed to export rule pack:', error);
+        return false;
+    }
+}
+
+/**
+ * Export a custom bot to a JavaScript file
+ * The name is kept in a header comment so the file can be imported again as it is
+ * @param {Object} bot - The bot to export ({ name, source })
+ * @returns {boolean} Whether the export was successful
+ */
+export function exportBot(bot) {
+    try {
+        const fileName = bot.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'bot';
+        downloadFile(`${BOT_HEADER}${bot.name}\n${bot.source}`, `rock-paper-battle-bot-${fileName}.js`, 'text/javascript');
         
         return true;
     } catch (error) {
-        console.error('Failed to export game data:', error);
+        console.error('Failed to export bot:', error);
         return false;
     }
 }
 
+/**
+ * Trigger a browser download of data as a JSON file
+ * @param {Object} data - The data to download
+ * @param {string} fileName - The name of the downloaded file
+ */
+function downloadJson(data, fileName) {
+    // Convert to JSON string
+    downloadFile(JSON.stringify(data, null, 2), fileName, 'application/json');
+}
+
+/**
+ * Trigger a browser download of text as a file
+ * @param {string} content - The file contents
+ * @param {string} fileName - The name of the downloaded file
+ * @param {string} mimeType - The file's MIME type
+ */
+function downloadFile(content, fileName, mimeType) {
+    // Create a blob for better file handling
+    const blob = new Blob([content], { type: mimeType });
+    
+    // Create a download link using URL.createObjectURL
+    const url = URL.createObjectURL(blob);
+    const downloadLink = document.createElement('a');
+    downloadLink.href = url;
+    downloadLink.download = fileName;
+    
+    // Trigger download
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    
+    // Clean up the URL object
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Gather game data into a structured format
  * @returns {Object} Structured game data
@@ -87,7 +158,9 @@ function gatherGameData() {
             currentWinStreak: mainData.currentWinStreak || 0,
             unlocks: mainData.unlocks || {},
             bonusRoundsEnabled: mainData.bonusRoundsEnabled || true,
-            speedModeEnabled: mainData.speedModeEnabled || false
+            speedModeEnabled: mainData.speedModeEnabled || false,
+            variant: mainData.variant || 'classic',
+            rulePacks: mainData.rulePacks || []
         },
         // Include any other game data that might be stored
         other: getAllOtherGameData()
@@ -136,6 +209,86 @@ function formatDate(date) {
  * @returns {Promise<Object>} Result of the import operation
  */
 export function importGameData(file) {
+    return readJsonFile(file).then((importedData) => {
+        // Validate the imported data
+        const validation = validateImportedData(importedData);
+        if (!validation.valid) {
+            return Promise.reject({ success: false, message: validation.message });
+        }
+        
+        // Clear existing data if needed
+        if (!confirm('This will replace your current game data. Continue?')) {
+            return Promise.reject({ success: false, message: 'Import cancelled by user' });
+        }
+        
+        applyImportedData(importedData);
+        return { 
+            success: true, 
+            message: 'Game data imported successfully!',
+            stats: countImportedItems(importedData)
+        };
+    });
+}
+
+/**
+ * Import a custom rule pack from a JSON file
+ * @param {File} file - JSON file to import
+ * @returns {Promise<Object>} The validated rule pack
+ */
+export function importRulePack(file) {
+    return readJsonFile(file).then((importedData) => {
+        // Check that it's a rule pack from this game
+        if (!importedData.metadata || importedData.metadata.game !== 'RockPaperBattle' ||
+            importedData.metadata.type !== 'rulePack' || !importedData.rulePack) {
+            return Promise.reject({ success: false, message: 'Invalid file: Not a Rock Paper Battle rule pack' });
+        }
+        
+        // Check schema version
+        const importedVersion = importedData.metadata.version || '0';
+        if (!isCompatibleVersion(importedVersion)) {
+            return Promise.reject({
+                success: false,
+                message: `Incompatible rule pack version: ${importedVersion} (current: ${SCHEMA_VERSION})`
+            });
+        }
+        
+        // Check that the rule graph is well-formed
+        const validation = validateRuleset(importedData.rulePack);
+        if (!validation.valid) {
+            return Promise.reject({ success: false, message: `Invalid rule pack: ${validation.errors[0]}` });
+        }
+        
+        return importedData.rulePack;
+    });
+}
+
+/**
+ * Import a custom bot from a JavaScript file
+ * @param {File} file - JavaScript file to import
+ * @returns {Promise<Object>} The bot ({ name, source }), named after the file if it has no header
+ */
+export function importBot(file) {
+    if (file && !file.name.endsWith('.js') && file.type !== 'text/javascript') {
+        return Promise.reject({ success: false, message: 'Invalid file type. Please select a JavaScript (.js) file' });
+    }
+    
+    return readTextFile(file).then((text) => {
+        if (text.startsWith(BOT_HEADER)) {
+            const lineEnd = text.indexOf('\n');
+            const name = (lineEnd === -1 ? text.slice(BOT_HEADER.length) : text.slice(BOT_HEADER.length, lineEnd)).trim();
+            return { name, source: lineEnd === -1 ? '' : text.slice(lineEnd + 1) };
+        }
+        
+        return { name: file.name.replace(/\.js$/, ''), source: text };
+    });
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {File} file - JSON file to read
+ * @returns {Promise<Object>} The parsed data
+ */
+function readJsonFile(file) {
     return new Promise((resolve, reject) => {
         // Check if file is provided
         if (!file) {
@@ -149,34 +302,33 @@ export function importGameData(file) {
             return;
         }
         
-        const reader = new FileReader();
-        
-        reader.onload = (event) => {
+        readTextFile(file).then((text) => {
             try {
-                // Parse JSON data
-                const importedData = JSON.parse(event.target.result);
-                
-                // Validate the imported data
-                const validation = validateImportedData(importedData);
-                if (!validation.valid) {
-                    reject({ success: false, message: validation.message });
-                    return;
-                }
-                
-                // Clear existing data if needed
-                if (confirm('This will replace your current game data. Continue?')) {
-                    applyImportedData(importedData);
-                    resolve({ 
-                        success: true, 
-                        message: 'Game data imported successfully!',
-                        stats: countImportedItems(importedData)
-                    });
-                } else {
-                    reject({ success: false, message: 'Import cancelled by user' });
-                }
+                resolve(JSON.parse(text));
             } catch (error) {
                 reject({ success: false, message: `Failed to import data: ${error.message}` });
             }
+        }, reject);
+    });
+}
+
+/**
+ * Read a file as text
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} The file contents
+ */
+function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        // Check if file is provided
+        if (!file) {
+            reject({ success: false, message: 'No file provided' });
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = (event) => {
+            resolve(event.target.result);
         };
         
         reader.onerror = () => {
@@ -263,6 +415,8 @@ function applyImportedData(importedData) {
             currentWinStreak: importedData.game?.currentWinStreak,
             bonusRoundsEnabled: importedData.game?.bonusRoundsEnabled,
             speedModeEnabled: importedData.game?.speedModeEnabled,
+            variant: importedData.game?.variant,
+            rulePacks: importedData.game?.rulePacks,
             // Add any other fields that should be in the main data structure
         };
         
@@ -353,5 +507,9 @@ function countImportedItems(importedData) {
 
 export default {
     exportGameData,
-    importGameData
+    importGameData,
+    exportRulePack,
+    importRulePack,
+    exportBot,
+    importBot
 }; 
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Random module for Rock Paper Battle
+ * Seeded pseudo-random numbers for everything that can change how a match plays out,
+ * so a whole match can be reproduced from its seed
+ */
+
+// Characters used for generated seeds
+const SEED_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const SEED_LENGTH = 8;
+
+/**
+ * Each part of the game draws from its own stream, derived from the match seed.
+ * That way e.g. turning bonus rounds off does not change the AI's moves.
+ * Streams in use: 'ai' (AI choices), 'bonus' (bonus rounds and chaos shuffles), 'timer' (speed mode timeouts)
+ * Anything that draws can also be handed a generator of its own (see createRandom) instead of a stream name,
+ * to play apart from the match being played, as the game server does.
+ */
+const DEFAULT_STREAM = 'ai';
+
+// Current match seed
+let currentSeed = null;
+
+// Stream name -> generator
+const streams = {};
+
+/**
+ * Create a generator from a seed (mulberry32 over a hash of the seed text)
+ * @param {string|number} seed - The seed
+ * @returns {Function} A function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = hashSeed(String(seed));
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create the generator a stream of a match seed draws from
+ * @param {string|number} seed - The match seed
+ * @param {string} stream - The stream name
+ * @returns {Function} A function returning numbers in [0, 1)
+ */
+export function createStream(seed, stream) {
+    return createRandom(`${seed}:${stream}`);
+}
+
+/**
+ * Hash seed text to a 32-bit integer (FNV-1a)
+ * @param {string} text - The seed text
+ * @returns {number} The hash
+ */
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a new random seed
+ * @returns {string} A short, easy to share seed
+ */
+export function createSeed() {
+    const values = new Uint32Array(SEED_LENGTH);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        crypto.getRandomValues(values);
+    } else {
+        // Seeds only need to differ between matches, not be unguessable
+        for (let i = 0; i < values.length; i++) {
+            values[i] = Math.floor(Math.random() * 4294967296);
+        }
+    }
+
+    return Array.from(values, value => SEED_ALPHABET[value % SEED_ALPHABET.length]).join('');
+}
+
+/**
+ * Seed every stream for a new match
+ * @param {string|number} seed - The match seed
+ */
+export function setSeed(seed) {
+    currentSeed = String(seed);
+    Object.keys(streams).forEach(name => delete streams[name]);
+}
+
+/**
+ * Get the current match seed
+ * @returns {string} The seed
+ */
+export function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * Get the generator for a stream, creating it from the match seed on first use
+ * @param {string|Function} stream - The stream name, or a generator of its own
+ * @returns {Function} The generator
+ */
+function getStream(stream) {
+    if (typeof stream === 'function') return stream;
+
+    if (!streams[stream]) {
+        streams[stream] = createStream(currentSeed, stream);
+    }
+    return streams[stream];
+}
+
+/**
+ * Get a random number
+ * @param {string|Function} stream - The stream to draw from
+ * @returns {number} A number in [0, 1)
+ */
+export function random(stream = DEFAULT_STREAM) {
+    return getStream(stream)();
+}
+
+/**
+ * Get a random integer
+ * @param {number} max - Upper bound (exclusive)
+ * @param {string|Function} stream - The stream to draw from
+ * @returns {number} An integer in [0, max)
+ */
+export function randomInt(max, stream = DEFAULT_STREAM) {
+    return Math.floor(random(stream) * max);
+}
+
+/**
+ * Pick a random element of an array
+ * @param {Array} items - The array to pick from
+ * @param {string|Function} stream - The stream to draw from
+ * @returns {*} The picked element
+ */
+export function pick(items, stream = DEFAULT_STREAM) {
+    return items[randomInt(items.length, stream)];
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - The array to shuffle
+ * @param {string|Function} stream - The stream to draw from
+ * @returns {Array} The same array, shuffled
+ */
+export function shuffle(items, stream = DEFAULT_STREAM) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1, stream);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Start with an unpredictable seed until a match sets one
+setSeed(createSeed());
+
+export default {
+    createRandom,
+    createStream,
+    createSeed,
+    setSeed,
+    getSeed,
+    random,
+    randomInt,
+    pick,
+    shuffle
+};
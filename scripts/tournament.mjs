@@ -0,0 +1,321 @@
+/**
+ * Tournament runner for Rock Paper Battle
+ * Plays AI strategies against each other in Node, every pairing for the same number of rounds,
+ * then prints a win/draw/loss crosstable and Elo ratings fitted to the results.
+ *
+ * Usage:
+ *   npm run tournament -- [strategy ...] [--rounds N] [--ruleset ID] [--seed SEED]
+ *
+ * A strategy is one of:
+ *   easy, medium, hard, iocaine, impossible, adaptive - A built-in difficulty level
+ *   personality:<id>                                   - A personality, e.g. personality:cycler
+ *   path/to/bot.js                                     - A custom bot (see js/ai/strategy.js for the contract)
+ *
+ * With no strategies, every built-in difficulty plays. Impossible cannot see its opponent's move here,
+ * so it plays the way it does with Fair Play on.
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import vm from 'node:vm';
+import { determineWinner, getAvailableMoves, getRandomMove } from '../js/game/logic.js';
+import { RULESETS, CLASSIC_RULESET, setActiveRuleset } from '../js/game/rules.js';
+import { setSeed, createSeed } from '../js/utils/random.js';
+import { DIFFICULTY_LEVELS, createDifficultyStrategy } from '../js/ai/difficulties.js';
+import { getPersonality, createPersonalityStrategy } from '../js/ai/personalities.js';
+import { createStrategyContext } from '../js/ai/strategy.js';
+import { MOVE_TIME_BUDGET } from '../js/ai/workerBot.js';
+
+// Rounds per pairing unless --rounds is given
+const DEFAULT_ROUNDS = 1000;
+
+// Rounds of history a strategy is given, as in the game
+const MAX_ROUND_HISTORY = 50;
+
+// Rating every strategy starts from, and the average of the fitted ratings
+const BASE_RATING = 1500;
+
+// Passes made when fitting the ratings
+const ELO_ITERATIONS = 200;
+
+// Outcomes for the second strategy in a round by outcome for the first
+const OTHER_SIDE_OUTCOMES = {
+    win: 'lose',
+    lose: 'win',
+    draw: 'draw'
+};
+
+/**
+ * Read the command line
+ * @param {Array} args - The arguments after the script name
+ * @returns {Object} The options ({ strategies, rounds, ruleset, seed })
+ */
+function parseArgs(args) {
+    const options = { strategies: [], rounds: DEFAULT_ROUNDS, ruleset: CLASSIC_RULESET, seed: createSeed() };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--rounds') {
+            options.rounds = parseInt(args[++i], 10);
+            if (!(options.rounds > 0)) {
+                throw new Error('--rounds must be a positive number');
+            }
+        } else if (arg === '--ruleset') {
+            const id = args[++i];
+            options.ruleset = RULESETS[id];
+            if (!options.ruleset) {
+                throw new Error(`Unknown ruleset "${id}" (choose from: ${Object.keys(RULESETS).join(', ')})`);
+            }
+        } else if (arg === '--seed') {
+            options.seed = args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.strategies.push(arg);
+        }
+    }
+
+    if (options.strategies.length === 0) {
+        options.strategies = Object.values(DIFFICULTY_LEVELS);
+    }
+
+    return options;
+}
+
+/**
+ * Describe how to build a strategy from its command line name
+ * @param {string} spec - The strategy as given on the command line
+ * @returns {Object} The entrant ({ name, create }), create makes a fresh strategy for each pairing
+ */
+function createEntrant(spec) {
+    // Built-in difficulty levels
+    if (Object.values(DIFFICULTY_LEVELS).includes(spec)) {
+        return { name: spec, create: () => createDifficultyStrategy(spec) };
+    }
+
+    // Personalities
+    if (spec.startsWith('personality:')) {
+        const personalityId = spec.slice('personality:'.length);
+        if (!getPersonality(personalityId)) {
+            throw new Error(`Unknown personality "${personalityId}"`);
+        }
+        return { name: spec, create: () => createPersonalityStrategy(personalityId) };
+    }
+
+    // Custom bots
+    if (spec.endsWith('.js')) {
+        const source = readFileSync(spec, 'utf8');
+        return { name: basename(spec, '.js'), create: () => createScriptBot(source) };
+    }
+
+    throw new Error(`Unknown strategy "${spec}" (use a difficulty: ${Object.values(DIFFICULTY_LEVELS).join(', ')}, personality:<id> or a bot .js file)`);
+}
+
+/**
+ * Create a strategy that runs a custom bot in its own VM context
+ * Like in the game, the bot has a time budget for every move (Promises are not waited for here)
+ * @param {string} source - The bot's source code
+ * @returns {Object} The strategy ({ chooseMove })
+ */
+function createScriptBot(source) {
+    const sandbox = vm.createContext({});
+    vm.runInContext(source, sandbox, { timeout: MOVE_TIME_BUDGET });
+
+    if (vm.runInContext('typeof chooseMove', sandbox) !== 'function') {
+        throw new Error('The bot must define a chooseMove(context) function');
+    }
+
+    return {
+        chooseMove: (context) => {
+            sandbox.context = structuredClone(context);
+            return vm.runInContext('chooseMove(context)', sandbox, { timeout: MOVE_TIME_BUDGET });
+        }
+    };
+}
+
+/**
+ * Ask a strategy for its move, falling back to a random move as the game does
+ * @param {Object} strategy - The strategy
+ * @param {Object} context - The strategy context
+ * @returns {string} The move
+ */
+function chooseMove(strategy, context) {
+    let move = null;
+    try {
+        move = strategy.chooseMove(context);
+    } catch (error) {
+        // A failing strategy forfeits the round to a random move
+    }
+    return context.availableMoves.includes(move) ? move : getRandomMove(context.availableMoves);
+}
+
+/**
+ * Play one pairing
+ * @param {Object} first - The first entrant
+ * @param {Object} second - The second entrant
+ * @param {number} rounds - Number of rounds
+ * @param {Object} ruleset - The ruleset in play
+ * @returns {Object} The first entrant's record ({ wins, draws, losses })
+ */
+function playMatch(first, second, rounds, ruleset) {
+    const strategies = [first.create(), second.create()];
+    const availableMoves = getAvailableMoves(false, ruleset);
+    const record = { wins: 0, draws: 0, losses: 0 };
+
+    // Each side's rounds seen from its opponent's side ({ player, opponent, outcome }), as the game keeps them
+    const histories = [[], []];
+
+    for (let round = 0; round < rounds; round++) {
+        const moves = strategies.map((strategy, side) =>
+            chooseMove(strategy, createStrategyContext(histories[side], availableMoves, ruleset)));
+
+        const outcome = determineWinner(moves[0], moves[1], ruleset);
+        if (outcome === 'win') {
+            record.wins++;
+        } else if (outcome === 'lose') {
+            record.losses++;
+        } else {
+            record.draws++;
+        }
+
+        // Learn from the round, each strategy from its own side
+        const results = [
+            { me: moves[0], opponent: moves[1], outcome },
+            { me: moves[1], opponent: moves[0], outcome: OTHER_SIDE_OUTCOMES[outcome] }
+        ];
+        results.forEach((result, side) => {
+            histories[side].push({ player: result.opponent, opponent: result.me, outcome: OTHER_SIDE_OUTCOMES[result.outcome] });
+            if (histories[side].length > MAX_ROUND_HISTORY) {
+                histories[side].shift();
+            }
+            if (typeof strategies[side].update === 'function') {
+                strategies[side].update(result);
+            }
+        });
+    }
+
+    return record;
+}
+
+/**
+ * Fit Elo ratings to the results of every round
+ * Each strategy also gets one draw against a BASE_RATING opponent so a perfect score still has a finite rating
+ * @param {Array} names - The entrants' names
+ * @param {Object} results - Results by pairing ("i,j" -> record of i against j)
+ * @returns {Array} The ratings, in the order of names
+ */
+function fitRatings(names, results) {
+    const ratings = names.map(() => BASE_RATING);
+    const expected = (rating, opponent) => 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+
+    for (let iteration = 0; iteration < ELO_ITERATIONS; iteration++) {
+        names.forEach((name, i) => {
+            // The virtual draw
+            let score = 0.5;
+            let expectedScore = expected(ratings[i], BASE_RATING);
+            let variance = expectedScore * (1 - expectedScore);
+
+            names.forEach((opponent, j) => {
+                if (i === j) return;
+                const record = results[`${i},${j}`];
+                const games = record.wins + record.draws + record.losses;
+                const chance = expected(ratings[i], ratings[j]);
+                score += record.wins + record.draws / 2;
+                expectedScore += games * chance;
+                variance += games * chance * (1 - chance);
+            });
+
+            // Newton step towards the rating that expects the score actually made
+            ratings[i] += (score - expectedScore) / (variance * Math.LN10 / 400);
+        });
+    }
+
+    // Keep the average at BASE_RATING
+    const shift = BASE_RATING - ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+    return ratings.map(rating => rating + shift);
+}
+
+/**
+ * Print the crosstable and the ratings
+ * @param {Array} names - The entrants' names
+ * @param {Object} results - Results by pairing ("i,j" -> record of i against j)
+ * @param {Array} ratings - The fitted ratings
+ */
+function printResults(names, results, ratings) {
+    const cells = names.map((name, i) => names.map((opponent, j) => {
+        if (i === j) return '-';
+        const record = results[`${i},${j}`];
+        return `${record.wins}-${record.draws}-${record.losses}`;
+    }));
+
+    const nameWidth = Math.max(...names.map(name => name.length), 'Strategy'.length);
+    const cellWidth = Math.max(...cells.flat().map(cell => cell.length), ...names.map(name => name.length));
+    const row = (label, values) => [label.padEnd(nameWidth), ...values.map(value => value.padStart(cellWidth))].join('  ');
+
+    console.log('Crosstable (W-D-L of the row against the column)\n');
+    console.log(row('Strategy', names));
+    cells.forEach((values, i) => console.log(row(names[i], values)));
+
+    console.log('\nElo\n');
+    names
+        .map((name, i) => {
+            const totals = { wins: 0, draws: 0, losses: 0 };
+            names.forEach((opponent, j) => {
+                if (i === j) return;
+                const record = results[`${i},${j}`];
+                totals.wins += record.wins;
+                totals.draws += record.draws;
+                totals.losses += record.losses;
+            });
+            return { name, rating: ratings[i], totals };
+        })
+        .sort((a, b) => b.rating - a.rating)
+        .forEach(({ name, rating, totals }, rank) => {
+            console.log(`${String(rank + 1).padStart(2)}. ${name.padEnd(nameWidth)}  ${Math.round(rating).toString().padStart(5)}  ` +
+                `(${totals.wins}-${totals.draws}-${totals.losses})`);
+        });
+}
+
+/**
+ * Run the tournament
+ * @param {Array} args - The command line arguments
+ */
+function main(args) {
+    const options = parseArgs(args);
+    if (options.help) {
+        console.log('Usage: npm run tournament -- [strategy ...] [--rounds N] [--ruleset ID] [--seed SEED]');
+        return;
+    }
+
+    const entrants = options.strategies.map(createEntrant);
+    const names = entrants.map(entrant => entrant.name);
+    if (entrants.length < 2) {
+        throw new Error('A tournament needs at least two strategies');
+    }
+
+    // Strategies look moves up in the active ruleset
+    setActiveRuleset(options.ruleset);
+
+    console.log(`${entrants.length} strategies, ${options.rounds} rounds per pairing, ruleset ${options.ruleset.id}, seed ${options.seed}\n`);
+
+    // Each pairing has its own seed, so changing one strategy leaves the other pairings' results as they were
+    const results = {};
+    for (let i = 0; i < entrants.length; i++) {
+        for (let j = i + 1; j < entrants.length; j++) {
+            setSeed(`${options.seed}:${names[i]}:${names[j]}`);
+            const record = playMatch(entrants[i], entrants[j], options.rounds, options.ruleset);
+            results[`${i},${j}`] = record;
+            results[`${j},${i}`] = { wins: record.losses, draws: record.draws, losses: record.wins };
+        }
+    }
+
+    printResults(names, results, fitRatings(names, results));
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}